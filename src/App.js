@@ -4,6 +4,8 @@ import { BrowserRouter as Router, Routes, Route, Link, useLocation } from 'react
 import JSONExpressPage from './pages/JSONExpressPage';
 import FastAPIPage from './pages/FastAPIPage';
 import SupabasePage from './pages/SupabasePage';
+import AllSourcesPage from './pages/AllSourcesPage';
+import SavedViewsMenu from './components/SavedViewsMenu';
 import { initializeEnvironment } from './utils/envValidation';
 import { initializeCSRFToken } from './utils/csrfToken';
 import './App.css';
@@ -37,6 +39,13 @@ const Navigation = () => {
           >
             Supabase Charts
           </Link>
+          <Link 
+            to="/all-charts" 
+            className={`nav-link ${location.pathname === '/all-charts' ? 'active' : ''}`}
+          >
+            All Sources
+          </Link>
+          <SavedViewsMenu />
         </div>
       </div>
     </nav>
@@ -69,6 +78,7 @@ function App() {
             <Route path="/" element={<JSONExpressPage />} />
             <Route path="/fastapi-charts" element={<FastAPIPage />} />
             <Route path="/supabase-charts" element={<SupabasePage />} />
+            <Route path="/all-charts" element={<AllSourcesPage />} />
           </Routes>
         </main>
       </div>
@@ -89,6 +89,8 @@ describe('App Component', () => {
     // Check for navigation links (updated text to match actual component)
     expect(screen.getByText('JSON Express API')).toBeInTheDocument();
     expect(screen.getByText('FastAPI Plotly Charts')).toBeInTheDocument();
-    expect(screen.getByText('Multi-Backend Dashboard')).toBeInTheDocument();
+    expect(screen.getByText('Supabase Charts')).toBeInTheDocument();
+    expect(screen.getByText('All Sources')).toBeInTheDocument();
+    expect(screen.getByText('Multi-Backend Financial Analytic Dashboard')).toBeInTheDocument();
   });
 });
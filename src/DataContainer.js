@@ -1,38 +1,56 @@
-import React, { useState } from "react";
-import Plot from 'react-plotly.js';
+import React from "react";
 import "./App.css";
-import useChartData from "./hooks/useChartData";
+import useChartSource from "./hooks/useChartSource";
+import { useDisplayState, useSelectionInUrl } from "./hooks/useViewState";
+import { expressChartSource } from "./services/chartSources";
 import Loading from "./components/Loading";
 import ErrorDisplay from "./components/ErrorDisplay";
 import ChartSelector from "./components/ChartSelector";
+import LazyChart from "./components/LazyChart";
+import PlotlyChartViewer from "./components/fastapi/PlotlyChartViewer";
+import DataExportMenu from "./components/DataExportMenu";
+import DashboardGrid from "./components/DashboardGrid";
+import AlertsPanel from "./components/AlertsPanel";
+import { AlertProvider } from "./hooks/useAlerts";
 
 export const DataContainer = ({ children, chartOptions = {} }) => {
-  const [displayMode, setDisplayMode] = useState('grid'); // 'grid' or 'single'
-  const [currentChartIndex, setCurrentChartIndex] = useState(0);
-  
   const {
-    chartData,
-    loading,
+    charts: allCharts,
+    isLoading: loading,
     error,
     lastFetch,
-    refetch,
-    updateChartOptions,
-    hasData,
-    // New properties for multiple chart support
-    allCharts,
+    cachedAt,
+    loadCharts,
+    hasCharts,
     selectedCharts,
-    selectedChartIds,
+    selectedIds: selectedChartIds,
     selectChart,
-    selectMultipleCharts,
+    selectCharts,
     toggleChartSelection,
-    hasCharts
-  } = useChartData(chartOptions);
+    pagination,
+    goToPage,
+    setPageSize,
+    loadChartBody,
+    isBodyLoading,
+    getBodyError,
+  } = useChartSource(expressChartSource, {
+    checkConnection: false,
+    autoSelectFirst: true,
+    refreshInterval: 5 * 60 * 1000, // Auto-refetch every 5 minutes
+    listOptions: chartOptions,
+  });
 
-  // Handle chart options updates from parent
-  const handleUpdateOptions = (newOptions) => {
-    updateChartOptions(newOptions);
-    refetch(); // Refetch data with new options
-  };
+  // Selection, display mode and current chart live in the URL so views can be shared
+  useSelectionInUrl(selectedChartIds, selectCharts);
+  const {
+    displayMode, // 'grid' or 'single'
+    setDisplayMode,
+    currentChartIndex: storedIndex,
+    setCurrentChartIndex,
+  } = useDisplayState(selectedCharts.map(chart => chart.id), 'grid');
+  const currentChartIndex = Math.min(storedIndex, Math.max(selectedCharts.length - 1, 0));
+
+  const refetch = () => loadCharts();
   
   // Navigation handlers
   const navigateChart = (direction) => {
@@ -46,11 +64,6 @@ export const DataContainer = ({ children, chartOptions = {} }) => {
       );
     }
   };
-  
-  // Reset index when selection changes
-  React.useEffect(() => {
-    setCurrentChartIndex(0);
-  }, [selectedChartIds.join(',')]);
 
   return (
     <>
@@ -69,12 +82,18 @@ export const DataContainer = ({ children, chartOptions = {} }) => {
           <ErrorDisplay 
             error={error} 
             onRetry={refetch}
-            showFallback={hasData}
+            showFallback={hasCharts}
           />
         )}
+
+        {cachedAt && (
+          <p className="cache-notice">
+            Showing cached charts from {cachedAt.toLocaleString()}
+          </p>
+        )}
         
         {/* Loading state */}
-        {loading && !hasData && (
+        {loading && !hasCharts && (
           <Loading message="Loading chart data from MongoDB..." />
         )}
         
@@ -85,132 +104,138 @@ export const DataContainer = ({ children, chartOptions = {} }) => {
             selectedChartIds={selectedChartIds}
             onSelectChart={selectChart}
             onToggleChart={toggleChartSelection}
-            onSelectMultiple={selectMultipleCharts}
+            onSelectMultiple={selectCharts}
             loading={loading}
             allowMultiple={displayMode === 'grid'}
+            pagination={{ ...pagination, onPageChange: goToPage, onPageSizeChange: setPageSize }}
+            selectedCharts={selectedCharts}
           />
         )}
         
-        {/* Display Mode Toggle */}
-        {selectedCharts.length > 1 && (
-          <div className="display-mode-controls">
-            <button 
-              onClick={() => setDisplayMode('single')} 
-              className={`mode-button ${displayMode === 'single' ? 'active' : ''}`}
-            >
-              Single View
-            </button>
-            <button 
-              onClick={() => setDisplayMode('grid')} 
-              className={`mode-button ${displayMode === 'grid' ? 'active' : ''}`}
-            >
-              Grid View
-            </button>
-          </div>
-        )}
+        {/* Alerts are evaluated again on every auto-refresh */}
+        <AlertProvider charts={selectedCharts}>
+          {selectedCharts.length > 0 && <AlertsPanel charts={selectedCharts} />}
 
-        {/* Chart display */}
-        {selectedCharts.length > 0 && (
-          <div className={`charts-display ${displayMode}`}>
-            {loading && (
-              <div className="chart-loading-overlay">
-                <Loading message="Updating charts..." />
-              </div>
-            )}
-            
-            {displayMode === 'single' ? (
-              // Single chart view with navigation
-              <div className="single-chart-container">
-                {selectedCharts.length > 1 && (
-                  <div className="chart-navigation">
-                    <button 
-                      onClick={() => navigateChart('prev')}
-                      className="nav-button"
-                    >
-                      ← Previous
-                    </button>
-                    <span className="chart-counter">
-                      {currentChartIndex + 1} of {selectedCharts.length}
-                    </span>
-                    <button 
-                      onClick={() => navigateChart('next')}
-                      className="nav-button"
-                    >
-                      Next →
-                    </button>
-                  </div>
-                )}
-                <h3>{selectedCharts[currentChartIndex].title}</h3>
-                <Plot
-                  key={`single-${selectedCharts[currentChartIndex].id}`}
-                  data={selectedCharts[currentChartIndex].plotlyData.data}
-                  layout={{
-                    ...selectedCharts[currentChartIndex].plotlyData.layout,
-                    autosize: true
-                  }}
-                  config={{
-                    displayModeBar: true,
-                    displaylogo: false,
-                    responsive: true,
-                    modeBarButtonsToRemove: [
-                      'pan2d',
-                      'select2d', 
-                      'lasso2d',
-                      'autoScale2d'
-                    ]
-                  }}
-                  style={{ width: '100%', height: '100%' }}
-                  useResizeHandler={true}
-                />
+          {/* Display Mode Toggle */}
+          {selectedCharts.length > 1 && (
+            <div className="display-mode-controls">
+              <button 
+                onClick={() => setDisplayMode('single')} 
+                className={`mode-button ${displayMode === 'single' ? 'active' : ''}`}
+              >
+                Single View
+              </button>
+              <button 
+                onClick={() => setDisplayMode('grid')} 
+                className={`mode-button ${displayMode === 'grid' ? 'active' : ''}`}
+              >
+                Grid View
+              </button>
+            </div>
+          )}
 
-                {selectedCharts[currentChartIndex].description && (
-                  <p className="chart-description chart-description-below">
-                    {selectedCharts[currentChartIndex].description}
-                  </p>
-                )}
-              </div>
-            ) : (
-              // Grid view - show all selected charts stacked vertically
-              <div className="charts-grid-display">
-                {selectedCharts.map((chart, index) => (
-                  <div key={chart.id} className="grid-chart-item">
+          {/* Chart display */}
+          {selectedCharts.length > 0 && (
+            <div className={`charts-display ${displayMode}`}>
+              {loading && (
+                <div className="chart-loading-overlay">
+                  <Loading message="Updating charts..." />
+                </div>
+              )}
+            
+              {displayMode === 'single' ? (
+                // Single chart view with navigation
+                <div className="single-chart-container">
+                  {selectedCharts.length > 1 && (
+                    <div className="chart-navigation">
+                      <button 
+                        onClick={() => navigateChart('prev')}
+                        className="nav-button"
+                      >
+                        ← Previous
+                      </button>
+                      <span className="chart-counter">
+                        {currentChartIndex + 1} of {selectedCharts.length}
+                      </span>
+                      <button 
+                        onClick={() => navigateChart('next')}
+                        className="nav-button"
+                      >
+                        Next →
+                      </button>
+                    </div>
+                  )}
                   <div className="chart-header">
-                    <h4>{chart.title}</h4>
-                  </div>
-                  <div className="chart-container">
-                    <Plot
-                      key={`grid-${chart.id}`}
-                      data={chart.plotlyData.data}
-                      layout={{
-                        ...chart.plotlyData.layout,
-                        autosize: true,
-                        margin: { l: 50, r: 50, t: 50, b: 50 }, // from PlotlyChartViewer
-                      }}
-                      config={{
-                        displayModeBar: true,
-                        displaylogo: false,
-                        modeBarButtonsToRemove: ['pan2d', 'lasso2d'], // same toolbar
-                        responsive: true
-                      }}
-                      /* Fixed pixel height to avoid Plotly overflowing and covering the description */
-                      style={{ width: '100%', height: '100%' }}
-                      useResizeHandler={true}
+                    <h3>{selectedCharts[currentChartIndex].title}</h3>
+                    <DataExportMenu
+                      chart={selectedCharts[currentChartIndex]}
+                      disabled={!selectedCharts[currentChartIndex].bodyLoaded}
                     />
                   </div>
+                  <LazyChart
+                    key={`single-${selectedCharts[currentChartIndex].id}`}
+                    chart={selectedCharts[currentChartIndex]}
+                    onLoadBody={loadChartBody}
+                    isLoading={isBodyLoading(selectedCharts[currentChartIndex].id)}
+                    error={getBodyError(selectedCharts[currentChartIndex].id)}
+                  >
+                    <PlotlyChartViewer
+                      chart={selectedCharts[currentChartIndex]}
+                      showControls={false}
+                      enableFilters={false}
+                      className="single-chart-viewer"
+                    />
+                  </LazyChart>
 
-                  {chart.description && (
+                  {selectedCharts[currentChartIndex].description && (
                     <p className="chart-description chart-description-below">
-                      {chart.description}
+                      {selectedCharts[currentChartIndex].description}
                     </p>
                   )}
-                    
-                  </div>
-                ))}
-              </div>
-            )}
+                </div>
+              ) : (
+                // Grid view - a dashboard of draggable, resizable tiles
+                <DashboardGrid
+                  charts={selectedCharts}
+                  layoutKey="express"
+                  renderActions={(chart) => <DataExportMenu chart={chart} disabled={!chart.bodyLoaded} />}
+                  renderChart={(chart) => (
+                    <>
+                      <LazyChart
+                        key={`grid-${chart.id}`}
+                        chart={chart}
+                        onLoadBody={loadChartBody}
+                        isLoading={isBodyLoading(chart.id)}
+                        error={getBodyError(chart.id)}
+                      >
+                        <PlotlyChartViewer
+                          chart={chart}
+                          showControls={false}
+                          enableFilters={false}
+                          className="grid-chart-viewer"
+                        />
+                      </LazyChart>
+
+                      {chart.description && (
+                        <p className="chart-description chart-description-below">
+                          {chart.description}
+                        </p>
+                      )}
+                    </>
+                  )}
+                />
+              )}
+            </div>
+          )}
+        </AlertProvider>
+        
+        {/* Empty database message */}
+        {!loading && !error && !hasCharts && lastFetch && (
+          <div className="no-charts-selected">
+            <p>No charts found in the database. Please add some chart data first.</p>
           </div>
         )}
-        
+
         {/* No charts selected message */}
         {hasCharts && selectedCharts.length === 0 && (
           <div className="no-charts-selected">
@@ -218,35 +243,6 @@ export const DataContainer = ({ children, chartOptions = {} }) => {
           </div>
         )}
         
-        {/* Fallback chart display when API fails but we have cached data */}
-        {!hasCharts && hasData && error && (
-          <div className="fallback-chart-display">
-            <h3>Displaying Fallback Chart Data</h3>
-            <p>Showing cached chart while backend is unavailable</p>
-            <Plot
-              data={chartData.data}
-              layout={{
-                ...chartData.layout,
-                autosize: true
-              }}
-              config={{
-                displayModeBar: true,
-                displaylogo: false,
-                responsive: true,
-                modeBarButtonsToRemove: [
-                  'pan2d',
-                  'select2d', 
-                  'lasso2d',
-                  'autoScale2d'
-                ]
-              }}
-              style={{ width: '100%', height: '100%' }}
-              useResizeHandler={true}
-            />
-          </div>
-        )}
-        
-        
         {children}
       </div>
     </>
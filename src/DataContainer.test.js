@@ -0,0 +1,71 @@
+import { render, screen, act, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import { DataContainer } from './DataContainer';
+import { createChart, createPage } from './services/chartSources/chartSource';
+
+vi.mock('react-plotly.js', () => ({
+  default: () => <div data-testid="plotly-chart">Mock Plotly Chart</div>
+}));
+
+const expressSource = vi.hoisted(() => ({
+  name: 'express',
+  label: 'Express',
+  capabilities: {},
+  isConfigured: () => true,
+  healthCheck: vi.fn(async () => ({ status: 'connected' })),
+  list: vi.fn(),
+  get: vi.fn(),
+  search: vi.fn(),
+}));
+
+vi.mock('./services/chartSources', async (importOriginal) => ({
+  ...await importOriginal(),
+  expressChartSource: expressSource,
+}));
+
+const REFRESH_INTERVAL = 5 * 60 * 1000;
+
+const page = (latest, updatedAt) => createPage([
+  createChart('express', {
+    sourceId: 'ccp',
+    title: 'Apple CCP',
+    data: [{ name: 'AAPL_CCP', x: ['2024-03-31', '2024-06-30'], y: [100, latest] }],
+    updatedAt,
+  }),
+], { page: 1, pageSize: 20, total: 1 });
+
+describe('DataContainer alerts', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('alertRules', JSON.stringify([
+      { id: 'ccp-high', chartId: null, series: 'AAPL_CCP', condition: 'above', value: 150, period: 'qoq', enabled: true },
+    ]));
+    vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('notifies when an auto-refresh brings in a point crossing a threshold', async () => {
+    expressSource.list
+      .mockResolvedValueOnce(page(120, '2024-07-01'))
+      .mockResolvedValue(page(180, '2024-07-02'));
+
+    render(
+      <MemoryRouter>
+        <DataContainer />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByRole('button', { name: 'Alerts' })).toBeInTheDocument();
+
+    await act(async () => {
+      vi.advanceTimersByTime(REFRESH_INTERVAL);
+    });
+
+    await waitFor(() => expect(screen.getByRole('button', { name: 'Alerts (1)' })).toBeInTheDocument());
+    expect(expressSource.list).toHaveBeenCalledTimes(2);
+  });
+});
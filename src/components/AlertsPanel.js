@@ -0,0 +1,217 @@
+// src/components/AlertsPanel.js
+import React, { useId, useMemo, useState } from 'react';
+import { useAlerts } from '../hooks/useAlerts';
+import { ALERT_CONDITIONS, ALERT_PERIODS, EMPTY_RULE, describeRule } from '../utils/alertRules';
+
+// Notifications listed at once; the rest are counted
+const MAX_LISTED = 50;
+
+/**
+ * Series names, companies and metrics of the loaded charts, offered as rule subjects
+ * @param {Array} charts - Normalized charts
+ * @returns {string[]} Suggestions
+ */
+const seriesSuggestions = (charts) => {
+  const names = new Set();
+  charts.filter(chart => chart.bodyLoaded).forEach(chart => {
+    (chart.data || []).forEach(trace => {
+      if (typeof trace.name !== 'string' || !trace.name) return;
+      names.add(trace.name);
+      const parts = trace.name.split('_');
+      if (parts.length > 1) {
+        names.add(parts[0]);
+        names.add(parts[parts.length - 1]);
+      }
+    });
+  });
+  return [...names].sort();
+};
+
+/**
+ * Form for a new rule
+ */
+const RuleForm = ({ charts, onAdd }) => {
+  const [rule, setRule] = useState(EMPTY_RULE);
+  const [errors, setErrors] = useState([]);
+  const suggestions = useMemo(() => seriesSuggestions(charts), [charts]);
+  const suggestionsId = useId();
+  const isChange = rule.condition === 'drop' || rule.condition === 'rise';
+
+  const update = (changes) => setRule(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const fieldErrors = onAdd(rule);
+    setErrors(fieldErrors);
+    if (fieldErrors.length === 0) setRule(prev => ({ ...EMPTY_RULE, chartId: prev.chartId }));
+  };
+
+  return (
+    <form className="alert-rule-form" onSubmit={handleSubmit}>
+      <select
+        className="editor-input"
+        value={rule.chartId ?? ''}
+        onChange={(e) => update({ chartId: e.target.value || null })}
+        aria-label="Chart"
+      >
+        <option value="">All charts</option>
+        {charts.map(chart => (
+          <option key={chart.id} value={chart.id}>{chart.title}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        className="editor-input"
+        list={suggestionsId}
+        placeholder="Series, company or metric"
+        value={rule.series}
+        onChange={(e) => update({ series: e.target.value })}
+        aria-label="Series"
+      />
+      <datalist id={suggestionsId}>
+        {suggestions.map(name => <option key={name} value={name} />)}
+      </datalist>
+      <select
+        className="editor-input"
+        value={rule.condition}
+        onChange={(e) => update({ condition: e.target.value })}
+        aria-label="Condition"
+      >
+        {ALERT_CONDITIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <input
+        type="number"
+        step="any"
+        className="editor-input"
+        placeholder={isChange ? '%' : 'Value'}
+        value={rule.value}
+        onChange={(e) => update({ value: e.target.value })}
+        aria-label={isChange ? 'Change in %' : 'Threshold'}
+      />
+      {isChange && (
+        <select
+          className="editor-input"
+          value={rule.period}
+          onChange={(e) => update({ period: e.target.value })}
+          aria-label="Period"
+        >
+          {ALERT_PERIODS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      )}
+      <button type="submit" className="action-button">Add rule</button>
+
+      {errors.length > 0 && (
+        <ul className="field-errors">
+          {errors.map(error => <li key={error.path}>{error.message}</li>)}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+/**
+ * Alert notifications and rules of the charts on a page. Must be rendered
+ * inside an AlertProvider.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.charts - Charts rules can be scoped to
+ */
+const AlertsPanel = ({ charts }) => {
+  const {
+    rules,
+    addRule,
+    removeRule,
+    toggleRule,
+    notifications,
+    dismiss,
+    dismissAll,
+  } = useAlerts();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const chartTitle = (chartId) => charts.find(chart => chart.id === chartId)?.title ?? chartId;
+
+  return (
+    <div className="export-menu alerts-menu">
+      <button
+        type="button"
+        className={`filter-toggle-button ${notifications.length > 0 ? 'alerts-active' : ''}`}
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+      >
+        Alerts{notifications.length > 0 && ` (${notifications.length})`}
+      </button>
+
+      {isOpen && (
+        <div className="export-panel alerts-panel">
+          <div className="filters-header">
+            <h4>Notifications</h4>
+            {notifications.length > 0 && (
+              <button type="button" className="reset-filters-button" onClick={dismissAll}>Dismiss all</button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="filter-empty">
+              {rules.length === 0 ? 'Add a rule below to be notified of breaches.' : 'No breaches in the loaded charts.'}
+            </p>
+          ) : (
+            <ul className="alert-list">
+              {notifications.slice(0, MAX_LISTED).map(breach => (
+                <li key={breach.key} className="alert-item">
+                  <span>
+                    <strong>{breach.message}</strong>
+                    <small>{String(breach.x)} • {breach.chartTitle}</small>
+                  </span>
+                  <button type="button" className="action-button" onClick={() => dismiss(breach.key)}>Dismiss</button>
+                </li>
+              ))}
+              {notifications.length > MAX_LISTED && (
+                <li className="alert-item"><small>and {notifications.length - MAX_LISTED} more</small></li>
+              )}
+            </ul>
+          )}
+
+          <div className="filters-header">
+            <h4>Rules</h4>
+          </div>
+
+          {rules.length > 0 && (
+            <ul className="alert-list">
+              {rules.map(rule => (
+                <li key={rule.id} className="alert-item">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      className="checkbox-input"
+                      checked={rule.enabled}
+                      onChange={(e) => toggleRule(rule.id, e.target.checked)}
+                    />
+                    <span className="checkbox-text">
+                      {describeRule(rule)}
+                      <small>{rule.chartId ? chartTitle(rule.chartId) : 'All charts'}</small>
+                    </span>
+                  </label>
+                  <button type="button" className="action-button delete-action" onClick={() => removeRule(rule.id)}>
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <RuleForm charts={charts} onAdd={addRule} />
+
+          <p className="filter-summary">
+            <small>Rules are kept in this browser and checked whenever chart data loads or refreshes.</small>
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,268 @@
+// src/components/ChartDiffView.js
+import React, { useEffect, useMemo, useState } from 'react';
+import PlotlyChartViewer from './fastapi/PlotlyChartViewer';
+import ErrorDisplay from './ErrorDisplay';
+import Loading from './Loading';
+import chartSnapshots from '../services/chartSnapshots';
+import { diffCharts, diffOverlay, hasChanges, toJsonDiff } from '../utils/chartDiff';
+import { downloadFile, toFileName } from '../utils/chartExport';
+
+// Point changes listed per trace; the JSON view has all of them
+const MAX_POINTS_LISTED = 20;
+
+const CURRENT = 'current';
+
+const formatValue = (value) => {
+  if (value === undefined) return '–';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+};
+
+const sameContent = (a, b) => JSON.stringify([a.data, a.layout ?? {}]) === JSON.stringify([b.data, b.layout ?? {}]);
+
+/**
+ * Compare two of the selected charts, or two versions of one chart: added
+ * and removed traces, changed points and layout differences, drawn as an
+ * overlay plot and listed as a structured (JSON) diff. Earlier versions come
+ * from the snapshots recorded in this browser (services/chartSnapshots).
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.charts - Selected charts
+ * @param {number} props.height - Height of the overlay plot
+ * @param {Function} [props.onLoadChartBody] - Fetch the plotly payload of a chart listed without one
+ * @param {Function} [props.getBodyError] - Error from fetching a chart's payload (by id)
+ */
+const ChartDiffView = ({ charts, height = 400, onLoadChartBody, getBodyError = () => null }) => {
+  const [snapshots, setSnapshots] = useState({}); // Earlier versions by chart id
+  const [choice, setChoice] = useState(null); // { before, after } once the user picks
+  const [view, setView] = useState('changes');
+
+  const loadedCharts = useMemo(() => charts.filter(chart => chart.bodyLoaded), [charts]);
+
+  // Record what is on screen as a version (charts opened from a link may be on
+  // no loaded list page), then list the earlier ones
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all(loadedCharts.map(async chart => {
+      await chartSnapshots.record(chart.id, chart);
+      const versions = await chartSnapshots.list(chart.id);
+      return [chart.id, versions.filter(version => !sameContent(version, chart))];
+    })).then(entries => {
+      if (!cancelled) setSnapshots(Object.fromEntries(entries));
+    });
+
+    return () => { cancelled = true; };
+  }, [loadedCharts]);
+
+  const options = useMemo(() => charts.flatMap(chart => [
+    { value: `${chart.id}|${CURRENT}`, label: `${chart.title} (current)` },
+    ...(snapshots[chart.id] || []).map((version, i) => ({
+      value: `${chart.id}|${i}`,
+      label: `${chart.title} (version of ${formatDate(version.version)})`,
+    })),
+  ]), [charts, snapshots]);
+
+  // Until the user picks: the latest change of a chart, else the first two charts
+  const defaults = useMemo(() => {
+    const changed = charts.find(chart => snapshots[chart.id]?.length > 0);
+    if (changed) return { before: `${changed.id}|0`, after: `${changed.id}|${CURRENT}` };
+    if (charts.length > 1) return { before: `${charts[0].id}|${CURRENT}`, after: `${charts[1].id}|${CURRENT}` };
+    return charts[0] ? { before: `${charts[0].id}|${CURRENT}`, after: `${charts[0].id}|${CURRENT}` } : null;
+  }, [charts, snapshots]);
+
+  const isAvailable = (value) => options.some(option => option.value === value);
+  const selected = choice && isAvailable(choice.before) && isAvailable(choice.after) ? choice : defaults;
+
+  /**
+   * Chart or version behind an option
+   * @param {string} value - Option value
+   * @returns {{chart: Object, figure: Object|null}} Chart and its figure (null until the body is loaded)
+   */
+  const resolve = (value) => {
+    const separator = value.lastIndexOf('|');
+    const chart = charts.find(candidate => candidate.id === value.slice(0, separator));
+    const version = value.slice(separator + 1);
+    if (!chart) return { chart: null, figure: null };
+    if (version !== CURRENT) return { chart, figure: snapshots[chart.id]?.[Number(version)] ?? null };
+    return { chart, figure: chart.bodyLoaded ? chart : null };
+  };
+
+  const before = selected ? resolve(selected.before) : { chart: null, figure: null };
+  const after = selected ? resolve(selected.after) : { chart: null, figure: null };
+
+  // Payloads of the compared charts are fetched on demand, as in the other views
+  useEffect(() => {
+    [before.chart, after.chart].forEach(chart => {
+      if (chart && !chart.bodyLoaded && !getBodyError(chart.id)) onLoadChartBody?.(chart);
+    });
+  }, [before.chart, after.chart, onLoadChartBody, getBodyError]);
+
+  const diff = useMemo(
+    () => (before.figure && after.figure ? diffCharts(before.figure, after.figure) : null),
+    [before.figure, after.figure]
+  );
+
+  const overlayChart = useMemo(() => {
+    if (!diff) return null;
+    const figure = diffOverlay(diff, before.figure, after.figure);
+    return {
+      id: 'diff',
+      sourceId: 'diff',
+      title: `${before.chart.title} → ${after.chart.title}`,
+      bodyLoaded: true,
+      data: figure.data,
+      layout: figure.layout,
+      config: after.figure.config,
+    };
+  }, [diff, before.chart, after.chart, before.figure, after.figure]);
+
+  const pick = (side, value) => setChoice({ ...selected, [side]: value });
+
+  const downloadJson = () => {
+    downloadFile(
+      JSON.stringify({ before: selected.before, after: selected.after, ...toJsonDiff(diff) }, null, 2),
+      toFileName(`${after.chart.title} diff`, 'json'),
+      'application/json'
+    );
+  };
+
+  if (!selected) return null;
+
+  const failedChart = [before.chart, after.chart].find(chart => chart && getBodyError(chart.id));
+
+  return (
+    <div className="chart-diff">
+      <div className="chart-diff-controls">
+        {['before', 'after'].map(side => (
+          <label key={side} className="filter-label">
+            {side === 'before' ? 'Before' : 'After'}
+            <select className="editor-input" value={selected[side]} onChange={(e) => pick(side, e.target.value)}>
+              {options.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <button
+          type="button"
+          className="action-button"
+          onClick={() => setChoice({ before: selected.after, after: selected.before })}
+        >
+          Swap
+        </button>
+      </div>
+
+      {charts.length === 1 && !snapshots[charts[0].id]?.length && (
+        <p className="cache-notice">
+          No earlier version of this chart has been seen in this browser yet. Versions are recorded as charts
+          load, so after the chart is updated its previous version can be compared here.
+        </p>
+      )}
+
+      {failedChart ? (
+        <ErrorDisplay
+          error={getBodyError(failedChart.id)}
+          onRetry={onLoadChartBody ? () => onLoadChartBody(failedChart) : null}
+          showFallback={false}
+        />
+      ) : !diff ? (
+        <Loading message="Loading charts to compare..." />
+      ) : (
+        <>
+          <div className="chart-diff-summary">
+            {hasChanges(diff) ? (
+              <>
+                <span className="diff-added">+{diff.counts.added} traces</span>
+                <span className="diff-removed">−{diff.counts.removed} traces</span>
+                <span className="diff-changed">{diff.counts.changed} changed ({diff.counts.points} points)</span>
+                <span>{diff.counts.layout} layout changes</span>
+              </>
+            ) : (
+              <span>No differences</span>
+            )}
+          </div>
+
+          <PlotlyChartViewer
+            chart={overlayChart}
+            showControls={false}
+            enableFilters={false}
+            className="chart-diff-plot"
+            height={height}
+          />
+
+          <div className="chart-diff-details">
+            <div className="chart-diff-tabs">
+              <button
+                type="button"
+                className={`mode-button ${view === 'changes' ? 'active' : ''}`}
+                onClick={() => setView('changes')}
+              >
+                Changes
+              </button>
+              <button
+                type="button"
+                className={`mode-button ${view === 'json' ? 'active' : ''}`}
+                onClick={() => setView('json')}
+              >
+                JSON
+              </button>
+              <button type="button" className="action-button" onClick={downloadJson}>Download JSON</button>
+            </div>
+
+            {view === 'json' ? (
+              <pre className="chart-diff-json">{JSON.stringify(toJsonDiff(diff), null, 2)}</pre>
+            ) : (
+              <ul className="chart-diff-list">
+                {diff.traces.filter(trace => trace.status !== 'unchanged').map(trace => (
+                  <li key={trace.name} className={`diff-${trace.status}`}>
+                    <strong>{trace.name}</strong> {trace.status}
+                    {trace.points.length > 0 && (
+                      <table className="chart-diff-table">
+                        <tbody>
+                          {trace.points.slice(0, MAX_POINTS_LISTED).map(point => (
+                            <tr key={`${point.kind}-${String(point.key)}`} className={`diff-${point.kind}`}>
+                              <td>{formatValue(point.key)}</td>
+                              <td>{formatValue(point.before)}</td>
+                              <td>→</td>
+                              <td>{formatValue(point.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    {trace.points.length > MAX_POINTS_LISTED && (
+                      <small>and {trace.points.length - MAX_POINTS_LISTED} more points (see JSON)</small>
+                    )}
+                    {trace.properties.map(change => (
+                      <div key={change.path} className="chart-diff-property">
+                        <code>{change.path}</code>: {formatValue(change.before)} → {formatValue(change.after)}
+                      </div>
+                    ))}
+                  </li>
+                ))}
+                {diff.layout.length > 0 && (
+                  <li>
+                    <strong>Layout</strong>
+                    {diff.layout.map(change => (
+                      <div key={change.path} className="chart-diff-property">
+                        <code>{change.path}</code>: {formatValue(change.before)} → {formatValue(change.after)}
+                      </div>
+                    ))}
+                  </li>
+                )}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChartDiffView;
@@ -0,0 +1,202 @@
+// src/components/ChartDisplay.js
+import React, { useCallback } from 'react';
+import PlotlyChartViewer from './fastapi/PlotlyChartViewer';
+import SourceBadge from './SourceBadge';
+import LazyChart from './LazyChart';
+import DashboardGrid from './DashboardGrid';
+import ChartLinkControls from './ChartLinkControls';
+import AlertsPanel from './AlertsPanel';
+import ChartDiffView from './ChartDiffView';
+import { ChartLinkProvider } from '../hooks/useChartLink';
+import { AlertProvider } from '../hooks/useAlerts';
+import { useDisplayState } from '../hooks/useViewState';
+
+/**
+ * Display mode controls plus single (with navigation), grid and diff views
+ * for a set of selected, normalized charts. The display mode, current chart
+ * and single-view filters are kept in the URL; the grid is a dashboard whose
+ * tile layout is kept in localStorage. Alert rules are evaluated against the
+ * displayed charts and drawn on them.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.charts - Selected charts to display
+ * @param {string} props.defaultMode - Initial display mode ('single', 'grid' or 'diff')
+ * @param {number} props.singleHeight - Chart height in single view
+ * @param {number} props.gridHeight - Chart height of new tiles in grid view
+ * @param {string} [props.layoutKey] - Name the grid layout is stored under
+ * @param {boolean} props.showSourceBadge - Label each chart with the backend it came from
+ * @param {boolean} props.isLoading - Whether the chart list is loading
+ * @param {React.ReactNode} props.emptyMessage - Extra message shown when nothing is selected
+ * @param {Function} [props.onLoadChartBody] - Fetch the plotly payload of a chart listed without one
+ * @param {Function} [props.isBodyLoading] - Whether a chart's payload is being fetched (by id)
+ * @param {Function} [props.getBodyError] - Error from fetching a chart's payload (by id)
+ */
+const ChartDisplay = ({
+  charts = [],
+  defaultMode = 'single',
+  singleHeight = 400,
+  gridHeight = 400,
+  layoutKey = 'charts',
+  showSourceBadge = false,
+  isLoading = false,
+  emptyMessage = null,
+  onLoadChartBody,
+  isBodyLoading = () => false,
+  getBodyError = () => null
+}) => {
+  // 'single', 'grid' or 'diff'; resets to the first chart when the selection changes
+  const {
+    displayMode,
+    setDisplayMode,
+    currentChartIndex: storedIndex,
+    setCurrentChartIndex,
+  } = useDisplayState(charts.map(chart => chart.id), defaultMode);
+  const currentChartIndex = Math.min(storedIndex, Math.max(charts.length - 1, 0));
+
+  // Navigation between selected charts in single mode
+  const navigateChart = useCallback((direction) => {
+    if (charts.length === 0) return;
+
+    if (direction === 'next') {
+      setCurrentChartIndex(prev =>
+        prev >= charts.length - 1 ? 0 : prev + 1
+      );
+    } else {
+      setCurrentChartIndex(prev =>
+        prev <= 0 ? charts.length - 1 : prev - 1
+      );
+    }
+  }, [charts.length, setCurrentChartIndex]);
+
+  const currentChart = charts[currentChartIndex];
+
+  return (
+    <AlertProvider charts={charts}>
+      {/* Display Mode Controls */}
+      {charts.length > 0 && (
+        <div className="display-mode-controls">
+          <h3>Display Mode</h3>
+          <div className="mode-buttons">
+            <button
+              onClick={() => setDisplayMode('single')}
+              className={`mode-button ${displayMode === 'single' ? 'active' : ''}`}
+            >
+              Single Chart View
+            </button>
+            <button
+              onClick={() => setDisplayMode('grid')}
+              className={`mode-button ${displayMode === 'grid' ? 'active' : ''}`}
+            >
+              Grid View ({charts.length} charts)
+            </button>
+            <button
+              onClick={() => setDisplayMode('diff')}
+              className={`mode-button ${displayMode === 'diff' ? 'active' : ''}`}
+            >
+              Compare Versions
+            </button>
+          </div>
+          <AlertsPanel charts={charts} />
+        </div>
+      )}
+
+      {/* Chart Display Section */}
+      <div className="chart-display-section">
+        {charts.length === 0 && !isLoading && (
+          <div className="no-selection-message">
+            <p>Select one or more charts from the list above to view them here.</p>
+            {emptyMessage}
+          </div>
+        )}
+
+        {/* Single Chart Mode */}
+        {currentChart && displayMode === 'single' && (
+          <div className="single-chart-display">
+            {charts.length > 1 && (
+              <div className="chart-navigation">
+                <button
+                  onClick={() => navigateChart('prev')}
+                  className="nav-button"
+                >
+                  ← Previous
+                </button>
+                <span className="chart-counter">
+                  {currentChartIndex + 1} of {charts.length}
+                </span>
+                <button
+                  onClick={() => navigateChart('next')}
+                  className="nav-button"
+                >
+                  Next →
+                </button>
+              </div>
+            )}
+
+            {showSourceBadge && <SourceBadge source={currentChart.source} />}
+
+            <LazyChart
+              key={`single-${currentChart.id}`}
+              chart={currentChart}
+              onLoadBody={onLoadChartBody}
+              isLoading={isBodyLoading(currentChart.id)}
+              error={getBodyError(currentChart.id)}
+              height={singleHeight}
+            >
+              <PlotlyChartViewer
+                chart={currentChart}
+                showControls={true}
+                enableFilters={true}
+                syncFiltersWithUrl={true}
+                className="single-chart-viewer"
+                width="100%"
+                height={singleHeight}
+              />
+            </LazyChart>
+          </div>
+        )}
+
+        {/* Grid Mode */}
+        {charts.length > 0 && displayMode === 'grid' && (
+          <ChartLinkProvider>
+            <DashboardGrid
+              charts={charts}
+              layoutKey={layoutKey}
+              chartHeight={gridHeight}
+              toolbar={<ChartLinkControls charts={charts} />}
+              renderActions={showSourceBadge ? (chart) => <SourceBadge source={chart.source} /> : undefined}
+              renderChart={(chart) => (
+                <LazyChart
+                  key={`grid-${chart.id}`}
+                  chart={chart}
+                  onLoadBody={onLoadChartBody}
+                  isLoading={isBodyLoading(chart.id)}
+                  error={getBodyError(chart.id)}
+                  height={gridHeight}
+                >
+                  <PlotlyChartViewer
+                    chart={chart}
+                    showControls={false}
+                    enableFilters={false}
+                    className="grid-chart-viewer"
+                  />
+                </LazyChart>
+              )}
+            />
+          </ChartLinkProvider>
+        )}
+
+        {/* Diff Mode */}
+        {charts.length > 0 && displayMode === 'diff' && (
+          <ChartDiffView
+            charts={charts}
+            onLoadChartBody={onLoadChartBody}
+            getBodyError={getBodyError}
+            height={singleHeight}
+          />
+        )}
+      </div>
+    </AlertProvider>
+  );
+};
+
+export default ChartDisplay;
@@ -0,0 +1,89 @@
+// src/components/ChartLinkControls.js
+import React, { useMemo } from 'react';
+import { useChartLink } from '../hooks/useChartLink';
+import { getDimensions } from '../utils/chartFilters';
+import { getXAxisKind } from '../utils/chartLinking';
+
+/**
+ * Opt-in linking of the charts in a grid: synchronized zoom, highlighting
+ * the same company everywhere and a date range shared by every chart with a
+ * date axis. Must be rendered inside a ChartLinkProvider.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.charts - Charts in the grid
+ */
+const ChartLinkControls = ({ charts }) => {
+  const {
+    syncZoom,
+    setSyncZoom,
+    highlightEnabled,
+    setHighlightEnabled,
+    highlight,
+    setHighlight,
+    dateRange,
+    setDateRange,
+    clearDateRange,
+  } = useChartLink();
+
+  // Charts are checked once their payload is in; placeholders have no data yet
+  const hasDateCharts = useMemo(() => charts.some(chart => (
+    chart.bodyLoaded && getXAxisKind(getDimensions(chart.data)) === 'date'
+  )), [charts]);
+
+  return (
+    <div className="chart-link-controls">
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          className="checkbox-input"
+          checked={syncZoom}
+          onChange={(e) => setSyncZoom(e.target.checked)}
+        />
+        <span className="checkbox-text">Sync zoom</span>
+      </label>
+
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          className="checkbox-input"
+          checked={highlightEnabled}
+          onChange={(e) => setHighlightEnabled(e.target.checked)}
+        />
+        <span className="checkbox-text">Highlight the same company</span>
+      </label>
+
+      {highlight && (
+        <span className="chart-link-highlight">
+          Highlighting {highlight.join(', ')}
+          <button type="button" className="action-button" onClick={() => setHighlight(null)}>Clear</button>
+        </span>
+      )}
+
+      {hasDateCharts && (
+        <div className="date-range-inputs">
+          <span className="filter-label">Dates:</span>
+          <input
+            type="date"
+            className="date-input"
+            value={dateRange.min}
+            onChange={(e) => setDateRange(prev => ({ ...prev, min: e.target.value }))}
+            aria-label="Shared start date"
+          />
+          <span className="date-separator">to</span>
+          <input
+            type="date"
+            className="date-input"
+            value={dateRange.max}
+            onChange={(e) => setDateRange(prev => ({ ...prev, max: e.target.value }))}
+            aria-label="Shared end date"
+          />
+          {(dateRange.min || dateRange.max) && (
+            <button type="button" className="action-button" onClick={clearDateRange}>All dates</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChartLinkControls;
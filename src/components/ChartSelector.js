@@ -1,4 +1,6 @@
 import React from 'react';
+import Pagination from './Pagination';
+import ExportMenu from './ExportMenu';
 
 const ChartSelector = ({
   allCharts = [],
@@ -7,8 +9,14 @@ const ChartSelector = ({
   onToggleChart,
   onSelectMultiple,
   loading = false,
-  allowMultiple = true
+  allowMultiple = true,
+  pagination = null,
+  selectedCharts = null
 }) => {
+  const paginationControls = pagination && (
+    <Pagination {...pagination} isLoading={loading} />
+  );
+
   if (allCharts.length === 0) {
     return (
       <div className="chart-selector">
@@ -16,10 +24,13 @@ const ChartSelector = ({
         <div className="no-charts">
           {loading ? 'Loading charts...' : 'No charts available'}
         </div>
+        {paginationControls}
       </div>
     );
   }
 
+  const totalCount = pagination?.total ?? allCharts.length;
+
   const handleSelectAll = () => {
     if (selectedChartIds.length === allCharts.length) {
       // Deselect all
@@ -64,7 +75,7 @@ const ChartSelector = ({
   return (
     <div className="chart-selector">
       <div className="chart-selector-header">
-        <h3>Available Charts ({allCharts.length})</h3>
+        <h3>Available Charts ({totalCount})</h3>
         {allowMultiple && allCharts.length > 1 && (
           <div className="chart-selector-controls">
             <button 
@@ -79,6 +90,9 @@ const ChartSelector = ({
             </span>
           </div>
         )}
+        {selectedCharts && selectedCharts.length > 0 && (
+          <ExportMenu charts={selectedCharts} disabled={loading} />
+        )}
       </div>
 
       <div className="chart-list">
@@ -124,10 +138,10 @@ const ChartSelector = ({
                 )}
                 
                 <div className="chart-metadata">
-                  <span className="chart-id">ID: {chart.id.slice(-8)}</span>
-                  {chart.metadata?.createdAt && (
+                  <span className="chart-id">ID: {String(chart.sourceId).slice(-8)}</span>
+                  {chart.createdAt && (
                     <span className="chart-date">
-                      Created: {formatDate(chart.metadata.createdAt)}
+                      Created: {formatDate(chart.createdAt)}
                     </span>
                   )}
                 </div>
@@ -137,6 +151,8 @@ const ChartSelector = ({
         })}
       </div>
 
+      {paginationControls}
+
       {selectedChartIds.length === 0 && (
         <div className="no-selection-message">
           Please select at least one chart to display.
@@ -0,0 +1,324 @@
+// src/components/ChartWizard.js
+import React, { useState, useMemo, useRef } from 'react';
+import PlotlyChartViewer from './fastapi/PlotlyChartViewer';
+import ErrorDisplay from './ErrorDisplay';
+import {
+  CHART_TYPES,
+  INPUT_FORMATS,
+  buildFigure,
+  inferColumnTypes,
+  parseChartInput,
+  suggestMapping,
+} from '../utils/chartBuilder';
+import { validateFigure } from '../utils/plotlyValidator';
+
+const STEPS = ['Data', 'Chart', 'Save'];
+
+const PLACEHOLDERS = {
+  csv: 'date,ticker,close\n2024-01-02,AAPL,185.64\n2024-01-02,MSFT,370.87',
+  json: '[{ "date": "2024-01-02", "ticker": "AAPL", "close": 185.64 }]',
+  plotly: '{ "data": [{ "type": "bar", "x": ["A", "B"], "y": [1, 2] }], "layout": {} }',
+};
+
+const newIdempotencyKey = () => (
+  globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`
+);
+
+/**
+ * Step-by-step chart creation: paste or upload data, map columns to a chart,
+ * preview it and save it to one of the given backends
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.targets - Chart source adapters that can create charts
+ * @param {string} [props.defaultTarget] - Name of the preselected backend
+ * @param {Function} props.onCreate - Called with (sourceName, { title, description, data, layout }, { idempotencyKey })
+ * @param {Function} props.onClose - Close the wizard; called with the created chart after a save
+ */
+const ChartWizard = ({ targets, defaultTarget, onCreate, onClose }) => {
+  const [step, setStep] = useState(0);
+
+  // Step 1: input
+  const [format, setFormat] = useState('csv');
+  const [text, setText] = useState('');
+  const [input, setInput] = useState(null);
+  const [inputErrors, setInputErrors] = useState([]);
+  const [inputWarnings, setInputWarnings] = useState([]);
+
+  // Step 2: mapping
+  const [chartType, setChartType] = useState('line');
+  const [mapping, setMapping] = useState({ x: '', y: [], series: '' });
+
+  // Step 3: save
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [target, setTarget] = useState(defaultTarget || targets[0]?.name || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  // Resubmitting the same chart reuses its key, so a retried POST cannot create it twice
+  const submissionRef = useRef({ payload: null, key: null });
+
+  const types = useMemo(() => (
+    input?.kind === 'table' ? inferColumnTypes(input.rows, input.columns) : {}
+  ), [input]);
+
+  const figure = useMemo(() => {
+    if (!input) return null;
+    if (input.kind === 'figure') return { data: input.data, layout: input.layout };
+    if (!mapping.x || mapping.y.length === 0) return null;
+    return buildFigure(input.rows, { type: chartType, ...mapping, title, types });
+  }, [input, chartType, mapping, title, types]);
+
+  const previewChart = figure && {
+    id: 'preview',
+    sourceId: 'preview',
+    title,
+    description,
+    data: figure.data,
+    layout: input.kind === 'figure' && title ? { ...figure.layout, title: { text: title } } : figure.layout,
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setText(await file.text());
+    if (/\.csv$/i.test(file.name)) setFormat('csv');
+    if (!title) setTitle(file.name.replace(/\.[^.]+$/, ''));
+  };
+
+  const readInput = () => {
+    try {
+      const parsed = parseChartInput(text, format);
+      setInputWarnings([]);
+
+      // Imported documents are checked before they can be previewed or uploaded
+      if (parsed.kind === 'figure') {
+        const { valid, problems } = validateFigure(parsed);
+        const describe = problem => (problem.path ? `${problem.path}: ${problem.message}` : problem.message);
+        setInputWarnings(problems.filter(problem => problem.severity === 'warning').map(describe));
+        if (!valid) {
+          setInputErrors(problems.filter(problem => problem.severity === 'error').map(describe));
+          return;
+        }
+      }
+
+      setInput(parsed);
+      setInputErrors([]);
+
+      if (parsed.kind === 'table') {
+        setMapping(suggestMapping(parsed.columns, inferColumnTypes(parsed.rows, parsed.columns)));
+        setStep(1);
+      } else {
+        const documentTitle = parsed.layout.title?.text ?? parsed.layout.title;
+        if (!title && typeof documentTitle === 'string') setTitle(documentTitle);
+        setStep(2);
+      }
+    } catch (err) {
+      setInputErrors([err.message]);
+    }
+  };
+
+  const selectX = (column) => setMapping(prev => ({
+    ...prev,
+    x: column,
+    y: prev.y.filter(c => c !== column),
+    series: prev.series === column ? '' : prev.series,
+  }));
+
+  const toggleY = (column) => setMapping(prev => ({
+    ...prev,
+    y: prev.y.includes(column) ? prev.y.filter(c => c !== column) : [...prev.y, column],
+  }));
+
+  const handleSave = async () => {
+    if (!title.trim()) {
+      setSaveError('Please enter a title for the chart.');
+      return;
+    }
+
+    const chartInput = {
+      title: title.trim(),
+      description: description.trim(),
+      data: figure.data,
+      layout: previewChart.layout,
+    };
+    const payload = JSON.stringify([target, chartInput]);
+    if (submissionRef.current.payload !== payload) {
+      submissionRef.current = { payload, key: newIdempotencyKey() };
+    }
+
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      const chart = await onCreate(target, chartInput, { idempotencyKey: submissionRef.current.key });
+      onClose(chart);
+    } catch (err) {
+      setSaveError(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const goBack = () => {
+    setSaveError(null);
+    setStep(prev => (prev === 2 && input?.kind === 'figure' ? 0 : prev - 1));
+  };
+
+  return (
+    <div className="chart-wizard">
+      <div className="chart-editor-header">
+        <h3>New chart</h3>
+        <ol className="wizard-steps">
+          {STEPS.map((label, index) => (
+            <li key={label} className={index === step ? 'active' : ''}>{label}</li>
+          ))}
+        </ol>
+        <button type="button" className="action-button" onClick={() => onClose(null)} disabled={isSaving}>
+          Cancel
+        </button>
+      </div>
+
+      {step === 0 && (
+        <div className="editor-section">
+          <div className="display-mode-controls">
+            {INPUT_FORMATS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                className={`mode-button ${format === option.value ? 'active' : ''}`}
+                onClick={() => setFormat(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <textarea
+            className="editor-input wizard-input"
+            rows={10}
+            placeholder={PLACEHOLDERS[format]}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <label className="filter-label">
+            Or upload a file
+            <input type="file" accept=".csv,.json,.txt,text/csv,application/json" onChange={handleFile} />
+          </label>
+          {inputErrors.length > 0 && (
+            <ul className="field-errors">
+              {inputErrors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+          <div className="chart-editor-actions">
+            <button type="button" className="retry-button" onClick={readInput} disabled={!text.trim()}>
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 1 && input?.kind === 'table' && (
+        <div className="chart-editor-body">
+          <div className="editor-section">
+            <p className="filter-summary">
+              <small>{input.rows.length} rows, {input.columns.length} columns</small>
+            </p>
+            <label className="filter-label">
+              Chart type
+              <select className="editor-input" value={chartType} onChange={(e) => setChartType(e.target.value)}>
+                {CHART_TYPES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+            </label>
+            <label className="filter-label">
+              {chartType === 'pie' ? 'Labels' : 'X axis'}
+              <select className="editor-input" value={mapping.x} onChange={(e) => selectX(e.target.value)}>
+                {input.columns.map(column => <option key={column} value={column}>{column} ({types[column]})</option>)}
+              </select>
+            </label>
+            <div className="filter-group">
+              <span className="filter-label">{chartType === 'pie' ? 'Values' : 'Y values'}</span>
+              <div className="checkbox-group">
+                {input.columns.filter(column => column !== mapping.x).map(column => (
+                  <label key={column} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      className="checkbox-input"
+                      checked={mapping.y.includes(column)}
+                      disabled={types[column] !== 'number'}
+                      onChange={() => toggleY(column)}
+                    />
+                    <span className="checkbox-text">{column}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            {chartType !== 'pie' && (
+              <label className="filter-label">
+                Series (one trace per value)
+                <select className="editor-input" value={mapping.series} onChange={(e) => setMapping(prev => ({ ...prev, series: e.target.value }))}>
+                  <option value="">None</option>
+                  {input.columns.filter(column => column !== mapping.x && !mapping.y.includes(column)).map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <div className="chart-editor-actions">
+              <button type="button" className="action-button" onClick={goBack}>Back</button>
+              <button type="button" className="retry-button" onClick={() => setStep(2)} disabled={!figure}>
+                Next
+              </button>
+            </div>
+          </div>
+          <div className="chart-editor-preview">
+            {previewChart
+              ? <PlotlyChartViewer chart={previewChart} showControls={false} enableFilters={false} height={350} />
+              : <p className="no-charts">Pick at least one numeric column to preview the chart.</p>}
+          </div>
+        </div>
+      )}
+
+      {step === 2 && previewChart && (
+        <div className="chart-editor-body">
+          <div className="editor-section">
+            <label className="filter-label">
+              Title
+              <input type="text" className="editor-input" value={title} onChange={(e) => setTitle(e.target.value)} />
+            </label>
+            <label className="filter-label">
+              Description
+              <textarea className="editor-input" rows={2} value={description} onChange={(e) => setDescription(e.target.value)} />
+            </label>
+            {targets.length > 1 && (
+              <label className="filter-label">
+                Save to
+                <select
+                  className="editor-input"
+                  value={target}
+                  onChange={(e) => setTarget(e.target.value)}
+                >
+                  {targets.map(source => <option key={source.name} value={source.name}>{source.label}</option>)}
+                </select>
+              </label>
+            )}
+            {inputWarnings.length > 0 && (
+              <ul className="field-warnings">
+                {inputWarnings.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+            {saveError && <ErrorDisplay error={saveError} showFallback={false} />}
+            <div className="chart-editor-actions">
+              <button type="button" className="action-button" onClick={goBack} disabled={isSaving}>Back</button>
+              <button type="button" className="retry-button" onClick={handleSave} disabled={isSaving || !target}>
+                {isSaving ? 'Saving...' : 'Create chart'}
+              </button>
+            </div>
+          </div>
+          <div className="chart-editor-preview">
+            <PlotlyChartViewer chart={previewChart} showControls={false} enableFilters={false} height={350} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChartWizard;
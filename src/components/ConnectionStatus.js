@@ -0,0 +1,63 @@
+import React from 'react';
+
+const STATUS_COLORS = {
+  connected: '#28a745',
+  disconnected: '#dc3545',
+  unknown: '#6c757d'
+};
+
+const DEFAULT_LABELS = {
+  connected: 'Connected',
+  disconnected: 'Unavailable',
+  unknown: 'Checking connection...'
+};
+
+/**
+ * Live backend status: reachability, latency of the last probe, last
+ * successful contact and whether requests are paused by the circuit breaker
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.health - Backend health from useBackendHealth / useChartSource
+ * @param {Object} [props.labels] - Status texts keyed by 'connected', 'disconnected', 'unknown'
+ * @param {Function} [props.onRetry] - Shown as a Retry button while disconnected
+ * @param {boolean} [props.isLoading] - Show the checking state and disable Retry
+ */
+const ConnectionStatus = ({ health, labels = {}, onRetry, isLoading = false }) => {
+  const status = isLoading && health.status !== 'connected' ? 'unknown' : health.status;
+  const text = { ...DEFAULT_LABELS, ...labels }[status];
+
+  return (
+    <div className="connection-status" style={{ color: STATUS_COLORS[status] }}>
+      <span className="status-indicator">●</span>
+      <span className="status-text">{text}</span>
+
+      {status === 'connected' && health.latency !== null && (
+        <span className="status-detail">{health.latency} ms</span>
+      )}
+
+      {health.lastSuccessAt && status !== 'connected' && (
+        <span className="status-detail">
+          Last contact: {health.lastSuccessAt.toLocaleTimeString()}
+        </span>
+      )}
+
+      {health.circuit === 'open' && health.retryAt && (
+        <span className="status-detail">
+          Paused after repeated failures, next attempt at {health.retryAt.toLocaleTimeString()}
+        </span>
+      )}
+
+      {status === 'disconnected' && onRetry && (
+        <button
+          onClick={onRetry}
+          className="retry-button"
+          disabled={isLoading}
+        >
+          Retry
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,279 @@
+// src/components/DashboardGrid.js
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import {
+  GRID_GAP,
+  ROW_HEIGHT,
+  getBreakpoint,
+  layoutBottom,
+  moveItem,
+  resizeItem,
+  rowsForHeight,
+  syncLayout,
+  toPixels,
+} from '../utils/dashboardLayout';
+
+const STORAGE_KEY_PREFIX = 'dashboardLayout:';
+
+// Chart header plus tile padding, on top of the chart height
+const TILE_CHROME_HEIGHT = 80;
+
+// Controls inside the tile header that must not start a drag
+const INTERACTIVE_SELECTOR = 'button:not(.dashboard-drag-handle), a, input, select, textarea, .export-menu';
+
+// Layouts per breakpoint, e.g. { lg: [...], md: [...] }
+const layoutStore = {
+  read(key) {
+    try {
+      const layouts = JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + key) || '{}');
+      return layouts && typeof layouts === 'object' ? layouts : {};
+    } catch {
+      return {};
+    }
+  },
+
+  write(key, layouts) {
+    try {
+      localStorage.setItem(STORAGE_KEY_PREFIX + key, JSON.stringify(layouts));
+    } catch (error) {
+      console.warn('Dashboard layout: could not write to localStorage', error);
+    }
+  },
+
+  clear(key) {
+    try {
+      localStorage.removeItem(STORAGE_KEY_PREFIX + key);
+    } catch {
+      // Nothing stored
+    }
+  },
+};
+
+/**
+ * Redraw the Plotly charts inside an element at its current size. Plotly's own
+ * resize handler only listens to window resizes, not to tiles changing size.
+ * @param {HTMLElement} element - Tile body
+ */
+const resizePlots = async (element) => {
+  const plots = element.querySelectorAll('.js-plotly-plot');
+  if (plots.length === 0) return;
+  const { default: Plotly } = await import('plotly.js/dist/plotly');
+  plots.forEach(plot => {
+    if (plot.isConnected) Plotly.Plots.resize(plot);
+  });
+};
+
+/**
+ * Width of an element, followed as it changes
+ * @returns {[React.RefObject, number]} Ref to attach and the current width
+ */
+const useElementWidth = () => {
+  const ref = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useLayoutEffect(() => {
+    const element = ref.current;
+    if (!element) return undefined;
+
+    const measure = () => setWidth(element.getBoundingClientRect().width);
+    measure();
+
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  return [ref, width];
+};
+
+/**
+ * One positioned tile: header with the drag handle, chart body and resize corner
+ */
+const DashboardTile = ({ chart, box, isActive, onPointerDown, onKeyMove, onKeyResize, dragHandlers, actions, children }) => {
+  const bodyRef = useRef(null);
+
+  // Redraw the charts once the tile has settled at a new size
+  useEffect(() => {
+    const element = bodyRef.current;
+    if (!element || typeof ResizeObserver === 'undefined') return undefined;
+
+    let timer = null;
+    const observer = new ResizeObserver(() => {
+      clearTimeout(timer);
+      timer = setTimeout(() => resizePlots(element), 100);
+    });
+    observer.observe(element);
+    return () => {
+      clearTimeout(timer);
+      observer.disconnect();
+    };
+  }, []);
+
+  const handleKeys = (handler) => (e) => {
+    const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+    if (!steps) return;
+    e.preventDefault();
+    handler(...steps);
+  };
+
+  return (
+    <div
+      className={`grid-chart-item dashboard-tile ${isActive ? 'dragging' : ''}`}
+      style={{ left: box.left, top: box.top, width: box.width, height: box.height }}
+      {...dragHandlers}
+    >
+      <div className="chart-header dashboard-tile-header" onPointerDown={(e) => onPointerDown(e, 'move')}>
+        <button
+          type="button"
+          className="dashboard-drag-handle"
+          title="Drag to move. Arrow keys move, Shift+arrow keys resize."
+          aria-label={`Move ${chart.title}`}
+          onKeyDown={(e) => (e.shiftKey ? handleKeys(onKeyResize)(e) : handleKeys(onKeyMove)(e))}
+        >
+          ⠿
+        </button>
+        <h4>{chart.title}</h4>
+        {actions}
+      </div>
+
+      <div className="dashboard-tile-body" ref={bodyRef}>
+        {children}
+      </div>
+
+      <div
+        className="dashboard-resize-handle"
+        title="Drag to resize"
+        onPointerDown={(e) => onPointerDown(e, 'resize')}
+      />
+    </div>
+  );
+};
+
+/**
+ * Dashboard of chart tiles that can be dragged, resized and arranged in
+ * columns. The column count follows the container width (12, 6 or 1
+ * columns) and each breakpoint keeps its own layout in localStorage.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.charts - Charts to show, in selection order (new tiles are placed in this order)
+ * @param {string} props.layoutKey - Name the layouts are stored under, e.g. 'fastapi'
+ * @param {number} [props.chartHeight] - Chart height of new tiles, in pixels
+ * @param {Function} props.renderChart - Renders the body of a chart's tile
+ * @param {Function} [props.renderActions] - Renders extra header content for a chart (badges, menus)
+ * @param {React.ReactNode} [props.toolbar] - Extra controls shown above the grid
+ */
+const DashboardGrid = ({ charts, layoutKey, chartHeight = 350, renderChart, renderActions, toolbar = null }) => {
+  const [containerRef, width] = useElementWidth();
+  const [layouts, setLayouts] = useState(() => layoutStore.read(layoutKey));
+  const [drag, setDrag] = useState(null);
+
+  useEffect(() => {
+    setLayouts(layoutStore.read(layoutKey));
+  }, [layoutKey]);
+
+  const breakpoint = getBreakpoint(width);
+  const { cols } = breakpoint;
+  const colWidth = Math.max(0, (width - GRID_GAP * (cols - 1)) / cols);
+
+  const chartIds = useMemo(() => charts.map(chart => chart.id), [charts]);
+  const storedLayout = layouts[breakpoint.name];
+
+  const layout = useMemo(() => syncLayout(
+    storedLayout,
+    chartIds,
+    cols,
+    { w: Math.ceil(cols / 2), h: rowsForHeight(chartHeight + TILE_CHROME_HEIGHT) }
+  ), [storedLayout, chartIds, cols, chartHeight]);
+
+  const shownLayout = drag ? drag.preview : layout;
+
+  /**
+   * Store a layout for the current breakpoint, keeping the positions of
+   * charts that are not selected right now
+   * @param {import('../utils/dashboardLayout').LayoutItem[]} nextLayout - New layout
+   */
+  const saveLayout = useCallback((nextLayout) => {
+    setLayouts(prev => {
+      const hidden = (prev[breakpoint.name] || []).filter(item => !chartIds.includes(item.id));
+      const next = { ...prev, [breakpoint.name]: [...nextLayout, ...hidden] };
+      layoutStore.write(layoutKey, next);
+      return next;
+    });
+  }, [breakpoint.name, chartIds, layoutKey]);
+
+  const resetLayout = () => {
+    layoutStore.clear(layoutKey);
+    setLayouts({});
+  };
+
+  const startDrag = (e, item, mode) => {
+    if (e.button !== 0) return;
+    if (mode === 'move' && e.target.closest(INTERACTIVE_SELECTOR)) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDrag({ id: item.id, mode, startX: e.clientX, startY: e.clientY, origin: item, preview: layout });
+  };
+
+  const continueDrag = (e) => {
+    if (!drag) return;
+    const dx = Math.round((e.clientX - drag.startX) / (colWidth + GRID_GAP));
+    const dy = Math.round((e.clientY - drag.startY) / (ROW_HEIGHT + GRID_GAP));
+    const { origin } = drag;
+
+    const preview = drag.mode === 'move'
+      ? moveItem(layout, origin.id, { x: origin.x + dx, y: origin.y + dy }, cols)
+      : resizeItem(layout, origin.id, { w: origin.w + dx, h: origin.h + dy }, cols);
+    setDrag(prev => ({ ...prev, preview }));
+  };
+
+  const endDrag = (e) => {
+    if (!drag) return;
+    if (e.type === 'pointerup') saveLayout(drag.preview);
+    setDrag(null);
+  };
+
+  const dragHandlers = { onPointerMove: continueDrag, onPointerUp: endDrag, onPointerCancel: endDrag };
+
+  return (
+    <div className="dashboard-grid">
+      <div className="dashboard-grid-toolbar">
+        {toolbar}
+        <span className="dashboard-grid-hint">Drag a chart by its title to move it, or by its corner to resize it.</span>
+        <button type="button" className="action-button" onClick={resetLayout} disabled={!layouts[breakpoint.name]}>
+          Reset layout
+        </button>
+      </div>
+
+      <div
+        ref={containerRef}
+        className="dashboard-grid-canvas"
+        style={{ height: Math.max(0, layoutBottom(shownLayout) * (ROW_HEIGHT + GRID_GAP) - GRID_GAP) }}
+      >
+        {width > 0 && charts.map((chart, index) => {
+          const item = shownLayout[index];
+          return (
+            <DashboardTile
+              key={chart.id}
+              chart={chart}
+              box={toPixels(item, colWidth)}
+              isActive={drag?.id === chart.id}
+              onPointerDown={(e, mode) => startDrag(e, layout[index], mode)}
+              // Vertical steps jump a whole tile height, so the tile swaps with its neighbour instead of floating back
+              onKeyMove={(dx, dy) => saveLayout(moveItem(layout, item.id, { x: item.x + dx, y: item.y + dy * item.h }, cols))}
+              onKeyResize={(dw, dh) => saveLayout(resizeItem(layout, item.id, { w: item.w + dw, h: item.h + dh }, cols))}
+              dragHandlers={dragHandlers}
+              actions={renderActions?.(chart)}
+            >
+              {renderChart(chart)}
+            </DashboardTile>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DashboardGrid;
@@ -0,0 +1,53 @@
+// src/components/DataExportMenu.js
+import React, { useState } from 'react';
+import { DATA_EXPORT_FORMATS, exportChartData } from '../utils/dataExport';
+
+/**
+ * Download the data behind one chart as CSV, XLSX or JSON
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.chart - Normalized chart
+ * @param {Array} [props.traces] - Traces to export; defaults to chart.data (pass the filtered traces to respect filters)
+ * @param {boolean} [props.disabled] - Disable the button, e.g. while the chart body is loading
+ */
+const DataExportMenu = ({ chart, traces, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = (format) => {
+    setError(null);
+    try {
+      exportChartData(chart, traces || chart.data || [], format);
+      setIsOpen(false);
+    } catch (err) {
+      console.error('Data export failed:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={disabled}
+        className="filter-toggle-button"
+        title="Download the chart data"
+      >
+        Export Data
+      </button>
+
+      {isOpen && (
+        <div className="export-panel">
+          {DATA_EXPORT_FORMATS.map(option => (
+            <button key={option.value} onClick={() => handleExport(option.value)} className="select-all-button">
+              {option.label}
+            </button>
+          ))}
+          {error && <p className="field-errors">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataExportMenu;
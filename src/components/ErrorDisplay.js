@@ -1,29 +1,86 @@
 import React from 'react';
 import './ErrorDisplay.css';
 
-const ErrorDisplay = ({ error, onRetry, showFallback = true }) => {
+const ERROR_TITLES = {
+  network: 'Connection Problem',
+  timeout: 'Request Timed Out',
+  auth: 'Session Expired',
+  validation: 'Invalid Data',
+  'not-found': 'Not Found',
+  'rate-limited': 'Too Many Requests',
+  server: 'Server Error',
+  unavailable: 'Service Unavailable',
+};
+
+// Retrying the same request cannot fix these
+const NO_RETRY_KINDS = ['auth', 'validation'];
+
+/**
+ * Show a failure with a title, message and actions that fit its kind
+ *
+ * @param {Object} props - Component props
+ * @param {Error|string|null} props.error - ApiError (see services/apiErrors), any Error or a message
+ * @param {Function} [props.onRetry] - Shown as a Retry button unless retrying cannot help
+ * @param {Function} [props.onSignIn] - Action for expired sessions (reloads the page by default)
+ * @param {boolean} [props.showFallback=true] - Mention the cached data shown below
+ */
+const ErrorDisplay = ({ error, onRetry, onSignIn, showFallback = true }) => {
+  const details = typeof error === 'string' ? { message: error } : (error || {});
+  const { kind, requestId, retryAfter, fieldErrors = [] } = details;
+
+  const canRetry = onRetry && !NO_RETRY_KINDS.includes(kind);
+  const retryInSeconds = retryAfter ? Math.ceil(retryAfter / 1000) : null;
+
   return (
-    <div className="error-container">
+    <div className={`error-container${kind ? ` error-${kind}` : ''}`}>
       <div className="error-icon">⚠️</div>
-      <h3 className="error-title">Data Loading Error</h3>
-      <p className="error-message">{error || 'Unable to load chart data'}</p>
+      <h3 className="error-title">{ERROR_TITLES[kind] || 'Data Loading Error'}</h3>
+      <p className="error-message">{details.message || 'Unable to load chart data'}</p>
+
+      {fieldErrors.length > 0 && (
+        <ul className="error-field-list">
+          {fieldErrors.map(({ path, message }) => (
+            <li key={`${path}:${message}`}>
+              {path && <strong>{path}: </strong>}
+              {message}
+            </li>
+          ))}
+        </ul>
+      )}
+
       <div className="error-actions">
-        {onRetry && (
-          <button 
+        {kind === 'auth' && (
+          <button
+            className="retry-button"
+            onClick={onSignIn || (() => window.location.reload())}
+          >
+            Sign in again
+          </button>
+        )}
+        {canRetry && (
+          <button
             className="retry-button"
             onClick={onRetry}
           >
             Retry
           </button>
         )}
+        {kind === 'rate-limited' && retryInSeconds && (
+          <p className="fallback-message">
+            The server asked us to wait {retryInSeconds} s before trying again
+          </p>
+        )}
         {showFallback && (
           <p className="fallback-message">
             Displaying cached data below
           </p>
         )}
+        {requestId && (
+          <p className="error-reference">Reference: {requestId}</p>
+        )}
       </div>
     </div>
   );
 };
 
-export default ErrorDisplay;
\ No newline at end of file
+export default ErrorDisplay;
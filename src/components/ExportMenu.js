@@ -0,0 +1,108 @@
+// src/components/ExportMenu.js
+import React, { useState } from 'react';
+import ErrorDisplay from './ErrorDisplay';
+import { getChartSource } from '../services/chartSources';
+import { EXPORT_FORMATS, EXPORT_SIZES, exportCharts } from '../utils/chartExport';
+
+const SCALES = [1, 2, 3];
+
+/**
+ * Full chart, fetching the plotly payload if the list only had metadata
+ * @param {Object} chart - Normalized chart
+ * @returns {Promise<Object>} Chart with its body loaded
+ */
+const withLoadedBody = async (chart) => (
+  chart.bodyLoaded ? chart : getChartSource(chart.source).get(chart.id)
+);
+
+/**
+ * Export the selected charts as images, an HTML report or a PDF
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.charts - Selected normalized charts (bodies are fetched when missing)
+ * @param {boolean} [props.disabled] - Disable the export button
+ */
+const ExportMenu = ({ charts, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState('png');
+  const [size, setSize] = useState(EXPORT_SIZES[1].value);
+  const [scale, setScale] = useState(2);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    const { width, height } = EXPORT_SIZES.find(option => option.value === size);
+
+    // Pop-up blockers only allow windows opened during the click
+    const printWindow = format === 'pdf' ? window.open('', '_blank') : null;
+
+    setError(null);
+    setProgress({ done: 0, total: charts.length });
+    try {
+      const fullCharts = await Promise.all(charts.map(withLoadedBody));
+      await exportCharts(fullCharts, {
+        format,
+        width,
+        height,
+        scale,
+        printWindow,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setIsOpen(false);
+    } catch (err) {
+      console.error('Chart export failed:', err);
+      printWindow?.close();
+      setError(err);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={disabled || charts.length === 0}
+        className="select-all-button"
+        title="Export the selected charts"
+      >
+        Export ({charts.length})
+      </button>
+
+      {isOpen && (
+        <div className="export-panel">
+          <label className="filter-label">
+            Format
+            <select className="editor-input" value={format} onChange={(e) => setFormat(e.target.value)}>
+              {EXPORT_FORMATS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </label>
+
+          <label className="filter-label">
+            Size
+            <select className="editor-input" value={size} onChange={(e) => setSize(e.target.value)}>
+              {EXPORT_SIZES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </label>
+
+          {format === 'png' && (
+            <label className="filter-label">
+              Resolution
+              <select className="editor-input" value={scale} onChange={(e) => setScale(Number(e.target.value))}>
+                {SCALES.map(value => <option key={value} value={value}>{value}×</option>)}
+              </select>
+            </label>
+          )}
+
+          <button onClick={handleExport} disabled={progress !== null} className="refresh-button">
+            {progress ? `Exporting ${progress.done}/${progress.total}...` : `Export ${charts.length} chart${charts.length === 1 ? '' : 's'}`}
+          </button>
+
+          {error && <ErrorDisplay error={error} showFallback={false} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
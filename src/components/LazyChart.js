@@ -0,0 +1,90 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Loading from './Loading';
+import ErrorDisplay from './ErrorDisplay';
+import { validateFigure, toFieldErrors } from '../utils/plotlyValidator';
+
+/**
+ * Render a chart only once its plotly payload is available, asking for the
+ * payload when the placeholder scrolls into view. Payloads that fail
+ * validation are listed as problems instead of being handed to Plotly.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.chart - Normalized chart (bodyLoaded may be false)
+ * @param {Function} [props.onLoadBody] - Called with the chart when its body is needed
+ * @param {boolean} [props.isLoading] - Whether the body is being fetched
+ * @param {Error|null} [props.error] - Error from the last body fetch
+ * @param {number|string} [props.height] - Placeholder height, to keep the layout stable
+ * @param {React.ReactNode} props.children - Chart to render once the body is loaded
+ */
+const LazyChart = ({
+  chart,
+  onLoadBody,
+  isLoading = false,
+  error = null,
+  height = 400,
+  children
+}) => {
+  const placeholderRef = useRef(null);
+  const [isInView, setIsInView] = useState(false);
+
+  const needsBody = !chart.bodyLoaded;
+
+  // Watch the placeholder until it becomes visible once
+  useEffect(() => {
+    if (!needsBody || isInView) return undefined;
+
+    if (typeof IntersectionObserver === 'undefined' || !placeholderRef.current) {
+      setIsInView(true);
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        setIsInView(true);
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(placeholderRef.current);
+    return () => observer.disconnect();
+  }, [needsBody, isInView]);
+
+  useEffect(() => {
+    if (needsBody && isInView && !error) {
+      onLoadBody?.(chart);
+    }
+  }, [needsBody, isInView, error, chart, onLoadBody]);
+
+  const validation = useMemo(() => (needsBody ? null : validateFigure(chart)), [needsBody, chart]);
+
+  if (!needsBody) {
+    if (!validation.valid) {
+      return (
+        <ErrorDisplay
+          error={{
+            kind: 'validation',
+            message: `"${chart.title}" cannot be drawn because its chart data is malformed.`,
+            fieldErrors: toFieldErrors(validation.problems),
+          }}
+          showFallback={false}
+        />
+      );
+    }
+    return children;
+  }
+
+  return (
+    <div ref={placeholderRef} className="lazy-chart-placeholder" style={{ minHeight: height }}>
+      {error ? (
+        <ErrorDisplay
+          error={error}
+          onRetry={onLoadBody ? () => onLoadBody(chart) : null}
+          showFallback={false}
+        />
+      ) : (
+        <Loading message={isLoading ? `Loading "${chart.title}"...` : 'Waiting to load chart...'} />
+      )}
+    </div>
+  );
+};
+
+export default LazyChart;
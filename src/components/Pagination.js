@@ -0,0 +1,81 @@
+import React from 'react';
+
+const PAGE_SIZE_OPTIONS = [10, 20, 50, 100];
+
+/**
+ * Previous/next page controls for server-side paginated chart lists.
+ * Works with backends that report a total and with backends that only
+ * report whether a next page exists.
+ * @param {Object} props - Component props
+ * @param {number} props.page - Current 1-based page
+ * @param {number} props.pageSize - Charts per page
+ * @param {number|null} props.total - Total chart count, or null if unknown
+ * @param {boolean} props.hasMore - Whether a next page exists
+ * @param {Function} props.onPageChange - Called with the page to load
+ * @param {Function} [props.onPageSizeChange] - Called with the new page size
+ * @param {boolean} [props.isLoading] - Disable the controls while loading
+ */
+const Pagination = ({
+  page,
+  pageSize,
+  total = null,
+  hasMore = false,
+  onPageChange,
+  onPageSizeChange,
+  isLoading = false
+}) => {
+  const totalPages = total !== null ? Math.max(1, Math.ceil(total / pageSize)) : null;
+
+  // Nothing to page through
+  if (page === 1 && !hasMore && !onPageSizeChange) {
+    return null;
+  }
+
+  const firstIndex = (page - 1) * pageSize + 1;
+
+  return (
+    <div className="pagination">
+      <button
+        onClick={() => onPageChange(page - 1)}
+        disabled={isLoading || page <= 1}
+        className="pagination-button"
+      >
+        ← Previous
+      </button>
+
+      <span className="pagination-info">
+        {totalPages !== null ? `Page ${page} of ${totalPages}` : `Page ${page}`}
+        {total !== null && total > 0 && (
+          <span className="pagination-range">
+            {' '}({firstIndex}–{Math.min(page * pageSize, total)} of {total})
+          </span>
+        )}
+      </span>
+
+      <button
+        onClick={() => onPageChange(page + 1)}
+        disabled={isLoading || !hasMore}
+        className="pagination-button"
+      >
+        Next →
+      </button>
+
+      {onPageSizeChange && (
+        <label className="pagination-size">
+          Per page:
+          <select
+            value={pageSize}
+            onChange={(e) => onPageSizeChange(Number(e.target.value))}
+            disabled={isLoading}
+          >
+            {PAGE_SIZE_OPTIONS.map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default Pagination;
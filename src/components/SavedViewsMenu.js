@@ -0,0 +1,200 @@
+// src/components/SavedViewsMenu.js
+import React, { useState } from 'react';
+import ErrorDisplay from './ErrorDisplay';
+import { useSavedViews } from '../hooks/useSavedViews';
+
+const ROUTE_LABELS = {
+  '/': 'JSON Express',
+  '/fastapi-charts': 'FastAPI',
+  '/supabase-charts': 'Supabase',
+  '/all-charts': 'All Sources',
+};
+
+/**
+ * One saved view with open, rename, duplicate and delete actions
+ */
+const SavedViewItem = ({ view, onOpen, onRename, onDuplicate, onDelete }) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(view.name);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    try {
+      await action();
+      return true;
+    } catch {
+      return false; // The menu shows the error
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (await run(() => onRename(view, name))) setIsRenaming(false);
+  };
+
+  return (
+    <li className="saved-view-item">
+      {isRenaming ? (
+        <form className="editor-row" onSubmit={handleRename}>
+          <input
+            type="text"
+            className="editor-input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            aria-label="View name"
+            autoFocus
+          />
+          <button type="submit" className="action-button" disabled={isBusy}>Save</button>
+          <button type="button" className="action-button" onClick={() => { setIsRenaming(false); setName(view.name); }}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          <button type="button" className="saved-view-open" onClick={() => onOpen(view)} title="Open this view">
+            <strong>{view.name}</strong>
+            <small>
+              {ROUTE_LABELS[view.path] || view.path} • {view.charts.length} chart{view.charts.length === 1 ? '' : 's'}
+              {view.mode && ` • ${view.mode}`}
+              {view.storage === 'local' && ' • on this device'}
+            </small>
+          </button>
+          <div className="saved-view-actions">
+            <button type="button" className="action-button" onClick={() => setIsRenaming(true)} disabled={isBusy}>Rename</button>
+            <button type="button" className="action-button" onClick={() => run(() => onDuplicate(view))} disabled={isBusy}>Duplicate</button>
+            <button
+              type="button"
+              className="action-button delete-action"
+              onClick={() => window.confirm(`Delete the view "${view.name}"?`) && run(() => onDelete(view))}
+              disabled={isBusy}
+            >
+              Delete
+            </button>
+          </div>
+        </>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Saved views menu: save the current selection, display mode and filters
+ * under a name, and reopen, rename, duplicate or delete saved views
+ */
+const SavedViewsMenu = () => {
+  const {
+    views,
+    isLoading,
+    error,
+    isOffline,
+    isSignedIn,
+    isShared,
+    loadViews,
+    saveCurrentView,
+    renameView,
+    duplicateView,
+    deleteView,
+    openView,
+    clearError,
+  } = useSavedViews();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const toggle = () => {
+    // Views are loaded on demand so opening the app does not query the backends for them
+    if (!isOpen) loadViews();
+    setIsOpen(open => !open);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await saveCurrentView(name);
+      setName('');
+    } catch {
+      // Shown below
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleOpen = (view) => {
+    openView(view);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="export-menu saved-views-menu">
+      <button type="button" className="nav-link" onClick={toggle} aria-expanded={isOpen}>
+        Saved Views
+      </button>
+
+      {isOpen && (
+        <div className="export-panel saved-views-panel">
+          <form className="editor-row" onSubmit={handleSave}>
+            <input
+              type="text"
+              className="editor-input"
+              placeholder="Name this view"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              aria-label="New view name"
+            />
+            <button type="submit" className="refresh-button" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save current view'}
+            </button>
+          </form>
+
+          {isOffline && isSignedIn && (
+            <p className="cache-notice">
+              FastAPI is unavailable. Views are saved in this browser and uploaded when it is back.
+            </p>
+          )}
+
+          {isSignedIn && !isShared && (
+            <p className="cache-notice">Views are saved in this browser only.</p>
+          )}
+
+          {!isSignedIn && (
+            <p className="cache-notice">
+              {isOffline
+                ? 'Could not check whether you are signed in. Views are saved in this browser only.'
+                : 'You are not signed in. Views are saved in this browser only.'}
+            </p>
+          )}
+
+          {error && (
+            <ErrorDisplay error={error} onRetry={error.retryable ? () => { clearError(); loadViews(); } : null} showFallback={false} />
+          )}
+
+          {isLoading && views.length === 0 ? (
+            <p className="no-charts">Loading saved views...</p>
+          ) : views.length === 0 ? (
+            <p className="no-charts">No saved views yet. Select charts, pick a display mode and save the view here.</p>
+          ) : (
+            <ul className="saved-view-list">
+              {views.map(view => (
+                <SavedViewItem
+                  key={view.id}
+                  view={view}
+                  onOpen={handleOpen}
+                  onRename={renameView}
+                  onDuplicate={duplicateView}
+                  onDelete={deleteView}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsMenu;
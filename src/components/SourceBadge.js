@@ -0,0 +1,19 @@
+import React from 'react';
+import { getChartSource } from '../services/chartSources';
+
+/**
+ * Small label naming the backend a chart was loaded from
+ * @param {Object} props - Component props
+ * @param {string} props.source - Chart source name ('express', 'fastapi', 'supabase')
+ */
+const SourceBadge = ({ source }) => {
+  const chartSource = getChartSource(source);
+
+  return (
+    <span className={`source-badge source-badge-${source}`}>
+      {chartSource?.label || source}
+    </span>
+  );
+};
+
+export default SourceBadge;
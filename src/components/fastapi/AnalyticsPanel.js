@@ -0,0 +1,72 @@
+// src/components/fastapi/AnalyticsPanel.js
+import React from 'react';
+import { RATIO_METRICS } from '../../utils/financialOverlays';
+
+const WINDOW_OPTIONS = [2, 3, 4, 6, 8, 12];
+
+const OVERLAYS = [
+  { key: 'qoq', label: 'QoQ % change', hint: 'Change against the quarter before (right axis)' },
+  { key: 'yoy', label: 'YoY % change', hint: 'Change against the same quarter a year before (right axis)' },
+  { key: 'movingAverage', label: 'Moving average', hint: 'Trailing average over the chosen number of points' },
+  { key: 'cagr', label: 'CAGR', hint: 'Compound annual growth from the first to the last positive value' },
+  {
+    key: 'ratio',
+    label: `${RATIO_METRICS.numerator}/${RATIO_METRICS.denominator} ratio`,
+    hint: `Per company, for charts with both ${RATIO_METRICS.numerator} and ${RATIO_METRICS.denominator} series`,
+  },
+];
+
+/**
+ * Toggles for the derived series of PlotlyChartViewer. Overlays that do not
+ * apply to the chart (e.g. % change without dates) are disabled.
+ *
+ * @param {Object} props - Component props
+ * @param {import('../../utils/financialOverlays').OverlayOptions} props.options - Selected overlays
+ * @param {Object<string, boolean>} props.availability - Which overlays apply to the chart
+ * @param {Function} props.onChange - Called with the new options
+ */
+const AnalyticsPanel = ({ options, availability, onChange }) => {
+  const toggle = (key, checked) => onChange({ ...options, [key]: checked });
+
+  return (
+    <div className="chart-filters chart-analytics">
+      <div className="filters-header">
+        <h4>Analytics</h4>
+      </div>
+
+      <div className="checkbox-group">
+        {OVERLAYS.map(({ key, label, hint }) => (
+          <label key={key} className="checkbox-label" title={availability[key] ? hint : 'Not available for this chart'}>
+            <input
+              type="checkbox"
+              className="checkbox-input"
+              checked={options[key] && availability[key]}
+              disabled={!availability[key]}
+              onChange={(e) => toggle(key, e.target.checked)}
+            />
+            <span className="checkbox-text">{label}</span>
+            {key === 'movingAverage' && (
+              <select
+                className="analytics-window"
+                value={options.window}
+                disabled={!availability.movingAverage}
+                onChange={(e) => onChange({ ...options, window: Number(e.target.value) })}
+                aria-label="Moving average window"
+              >
+                {WINDOW_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size} points</option>
+                ))}
+              </select>
+            )}
+          </label>
+        ))}
+      </div>
+
+      <p className="filter-summary">
+        <small>Derived series are drawn as dotted and dashed lines; % changes and ratios use the right-hand axes.</small>
+      </p>
+    </div>
+  );
+};
+
+export default AnalyticsPanel;
@@ -0,0 +1,270 @@
+// src/components/fastapi/ChartEditor.js
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import PlotlyChartViewer from './PlotlyChartViewer';
+import ErrorDisplay from '../ErrorDisplay';
+import {
+  AXIS_TYPES,
+  TRACE_MODES,
+  getFieldErrors,
+  getTitleText,
+  getTraceColor,
+  hasTraceMode,
+  isTraceVisible,
+  setTitleText,
+  setTraceColor,
+  updateAxis,
+  updateTrace,
+} from '../../utils/chartEditing';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Field errors shown next to their inputs; anything else goes to the summary
+const INLINE_PATHS = ['title', 'description', 'data', 'layout'];
+
+/**
+ * Editable copy of a chart
+ * @param {Object} chart - Normalized chart
+ * @returns {Object} Draft ({ title, description, data, layout })
+ */
+const toDraft = (chart) => ({
+  title: chart.title || '',
+  description: chart.description || '',
+  data: chart.data || [],
+  layout: chart.layout || {},
+});
+
+/**
+ * Messages under an input
+ */
+const FieldErrors = ({ messages }) => (messages.length > 0 ? (
+  <ul className="field-errors">
+    {messages.map(message => <li key={message}>{message}</li>)}
+  </ul>
+) : null);
+
+/**
+ * Edit a chart's metadata, traces and layout with a live preview
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.chart - Normalized chart with its body loaded
+ * @param {Function} props.onSave - Called with (chartId, { title, description, data, layout }); may reject with a ValidationError
+ * @param {Function} props.onCancel - Close the editor without saving
+ */
+const ChartEditor = ({ chart, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => toDraft(chart));
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  // Start over when another chart is opened; the same chart re-rendered keeps the draft
+  const chartId = chart.id;
+  const chartRef = useRef(chart);
+  chartRef.current = chart;
+  useEffect(() => {
+    setDraft(toDraft(chartRef.current));
+    setSaveError(null);
+  }, [chartId]);
+
+  const previewChart = useMemo(() => ({ ...chart, ...draft }), [chart, draft]);
+
+  const fieldErrors = saveError?.fieldErrors || [];
+  const errorsFor = (path) => getFieldErrors(fieldErrors, path);
+  const otherFieldErrors = fieldErrors.filter(error => (
+    !INLINE_PATHS.some(path => error.path === path || error.path.startsWith(`${path}.`))
+  ));
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const changeTrace = (index, changes) => setDraft(prev => ({ ...prev, data: updateTrace(prev.data, index, changes) }));
+  const changeLayout = (changes) => setDraft(prev => ({ ...prev, layout: { ...prev.layout, ...changes } }));
+  const changeAxis = (axis, changes) => setDraft(prev => ({ ...prev, layout: updateAxis(prev.layout, axis, changes) }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    if (!draft.title.trim()) {
+      setSaveError({ kind: 'validation', message: 'Please fix the highlighted fields.', fieldErrors: [{ path: 'title', message: 'Title is required' }] });
+      return;
+    }
+
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(chart.id, { ...draft, title: draft.title.trim() });
+    } catch (err) {
+      setSaveError(err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="chart-editor" onSubmit={handleSave}>
+      <div className="chart-editor-header">
+        <h3>Edit "{chart.title}"</h3>
+        <div className="chart-editor-actions">
+          <button type="button" className="action-button" onClick={() => setDraft(toDraft(chart))} disabled={isSaving}>
+            Reset
+          </button>
+          <button type="button" className="action-button" onClick={onCancel} disabled={isSaving}>
+            Cancel
+          </button>
+          <button type="submit" className="retry-button" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      {saveError && (saveError.kind !== 'validation' || otherFieldErrors.length > 0) && (
+        <ErrorDisplay
+          error={saveError.kind === 'validation'
+            ? { kind: 'validation', message: saveError.message, requestId: saveError.requestId, fieldErrors: otherFieldErrors }
+            : saveError}
+          showFallback={false}
+        />
+      )}
+
+      <div className="chart-editor-body">
+        <div className="chart-editor-fields">
+          <fieldset className="editor-section">
+            <legend>General</legend>
+            <label className="filter-label">
+              Title
+              <input
+                type="text"
+                className="editor-input"
+                value={draft.title}
+                onChange={(e) => update({ title: e.target.value })}
+              />
+            </label>
+            <FieldErrors messages={errorsFor('title')} />
+
+            <label className="filter-label">
+              Description
+              <textarea
+                className="editor-input"
+                rows={2}
+                value={draft.description}
+                onChange={(e) => update({ description: e.target.value })}
+              />
+            </label>
+            <FieldErrors messages={errorsFor('description')} />
+          </fieldset>
+
+          <fieldset className="editor-section">
+            <legend>Traces</legend>
+            {draft.data.length === 0 && <p className="no-charts">This chart has no traces.</p>}
+            <FieldErrors messages={fieldErrors.filter(error => error.path === 'data').map(error => error.message)} />
+            {draft.data.map((trace, index) => {
+              const color = getTraceColor(trace);
+              return (
+                <div key={index} className="editor-trace">
+                  <div className="editor-row">
+                    <input
+                      type="checkbox"
+                      title="Visible"
+                      checked={isTraceVisible(trace)}
+                      onChange={(e) => changeTrace(index, { visible: e.target.checked ? true : 'legendonly' })}
+                    />
+                    <input
+                      type="text"
+                      className="editor-input"
+                      placeholder={`Trace ${index + 1}`}
+                      value={trace.name || ''}
+                      onChange={(e) => changeTrace(index, { name: e.target.value })}
+                    />
+                    <input
+                      type="color"
+                      title="Color"
+                      value={HEX_COLOR.test(color) ? color : '#636efa'}
+                      onChange={(e) => changeTrace(index, t => setTraceColor(t, e.target.value))}
+                    />
+                    {hasTraceMode(trace) && (
+                      <select
+                        className="editor-input"
+                        value={trace.mode || 'lines+markers'}
+                        onChange={(e) => changeTrace(index, { mode: e.target.value })}
+                      >
+                        {TRACE_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+                      </select>
+                    )}
+                  </div>
+                  <FieldErrors messages={errorsFor(`data.${index}`)} />
+                </div>
+              );
+            })}
+          </fieldset>
+
+          <fieldset className="editor-section">
+            <legend>Layout</legend>
+            <label className="filter-label">
+              Chart title
+              <input
+                type="text"
+                className="editor-input"
+                value={getTitleText(draft.layout.title)}
+                onChange={(e) => changeLayout({ title: setTitleText(draft.layout.title, e.target.value) })}
+              />
+            </label>
+
+            {['xaxis', 'yaxis'].map(axis => (
+              <div key={axis} className="editor-row">
+                <label className="filter-label">
+                  {axis === 'xaxis' ? 'X axis' : 'Y axis'} title
+                  <input
+                    type="text"
+                    className="editor-input"
+                    value={getTitleText(draft.layout[axis]?.title)}
+                    onChange={(e) => changeAxis(axis, { title: e.target.value })}
+                  />
+                </label>
+                <label className="filter-label">
+                  Scale
+                  <select
+                    className="editor-input"
+                    value={draft.layout[axis]?.type || '-'}
+                    onChange={(e) => changeAxis(axis, { type: e.target.value })}
+                  >
+                    {AXIS_TYPES.map(type => (
+                      <option key={type} value={type}>{type === '-' ? 'auto' : type}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            ))}
+
+            <div className="editor-row">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={draft.layout.showlegend !== false}
+                  onChange={(e) => changeLayout({ showlegend: e.target.checked })}
+                />
+                <span className="checkbox-text">Show legend</span>
+              </label>
+              <select
+                className="editor-input"
+                value={draft.layout.legend?.orientation || 'v'}
+                disabled={draft.layout.showlegend === false}
+                onChange={(e) => changeLayout({ legend: { ...draft.layout.legend, orientation: e.target.value } })}
+              >
+                <option value="v">Vertical legend</option>
+                <option value="h">Horizontal legend</option>
+              </select>
+            </div>
+            <FieldErrors messages={errorsFor('layout')} />
+          </fieldset>
+        </div>
+
+        <div className="chart-editor-preview">
+          <PlotlyChartViewer
+            chart={previewChart}
+            showControls={false}
+            enableFilters={false}
+            height={400}
+          />
+        </div>
+      </div>
+    </form>
+  );
+};
+
+export default ChartEditor;
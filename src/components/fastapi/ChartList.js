@@ -1,7 +1,9 @@
 // src/components/fastapi/ChartList.js
-import React, { useState } from 'react';
+import React from 'react';
 import ErrorDisplay from '../ErrorDisplay';
 import Loading from '../Loading';
+import Pagination from '../Pagination';
+import ExportMenu from '../ExportMenu';
 
 /*************  ✨ Windsurf Command ⭐  *************/
 /**
@@ -13,10 +15,13 @@ import Loading from '../Loading';
  * @param {Function} props.onChartDelete - Function to call when a chart is deleted
  * @param {Function} props.onChartEdit - Function to call when a chart is edited
  * @param {Function} props.onRefresh - Function to call when the chart list is refreshed
+ * @param {Function} [props.onCreate] - Opens chart creation; shown as a New Chart button
+ * @param {Array} [props.selectedCharts] - Selected chart objects; enables bulk export
  * @param {Array} props.selectedChartIds - List of currently selected chart IDs
  * @param {boolean} props.isLoading - Whether the component is currently loading
  * @param {Error} props.error - Error to display if the component encounters an error
  * @param {boolean} props.allowMultiSelect - Whether to allow multi-select of charts
+ * @param {Object} [props.pagination] - Paging state and handlers passed to Pagination
  */
 /*******  5621a086-7a7a-4a59-bb40-a1eea9684246  *******/
 const ChartList = ({ 
@@ -25,13 +30,17 @@ const ChartList = ({
   onChartDelete, 
   onChartEdit,
   onRefresh,
+  onCreate,
+  selectedCharts = null,
   selectedChartIds = [],
   isLoading = false,
   error = null,
-  allowMultiSelect = false
+  allowMultiSelect = false,
+  pagination = null
 }) => {
-  const [selectedIds, setSelectedIds] = useState(selectedChartIds);
-
+  // Selection is controlled by the parent so it stays in sync with the hook.
+  // Only ids of charts in this list count, the parent may track other lists too.
+  const selectedIds = selectedChartIds.filter(id => charts.some(chart => chart.id === id));
 
   const handleChartToggle = (chartId) => {
     if (allowMultiSelect) {
@@ -39,22 +48,18 @@ const ChartList = ({
         ? selectedIds.filter(id => id !== chartId)
         : [...selectedIds, chartId];
       
-      setSelectedIds(newSelectedIds);
       onChartSelect?.(newSelectedIds);
     } else {
       const newSelectedIds = selectedIds.includes(chartId) ? [] : [chartId];
-      setSelectedIds(newSelectedIds);
       onChartSelect?.(newSelectedIds);
     }
   };
 
   const handleSelectAll = () => {
     if (selectedIds.length === charts.length) {
-      setSelectedIds([]);
       onChartSelect?.([]);
     } else {
-      const allIds = charts.map(chart => chart.item_id);
-      setSelectedIds(allIds);
+      const allIds = charts.map(chart => chart.id);
       onChartSelect?.(allIds);
     }
   };
@@ -85,7 +90,7 @@ const ChartList = ({
     <div className="chart-list-container">
       <div className="chart-list-header">
         <div className="list-info">
-          <h3>Available Charts ({charts.length})</h3>
+          <h3>Available Charts ({pagination?.total ?? charts.length})</h3>
           {selectedIds.length > 0 && (
             <span className="selection-count">
               {selectedIds.length} selected
@@ -104,6 +109,21 @@ const ChartList = ({
             </button>
           )}
           
+          {selectedCharts && selectedCharts.length > 0 && (
+            <ExportMenu charts={selectedCharts} disabled={isLoading} />
+          )}
+
+          {onCreate && (
+            <button
+              onClick={onCreate}
+              disabled={isLoading}
+              className="refresh-button"
+              title="Create a chart from CSV, JSON or a Plotly document"
+            >
+              New Chart
+            </button>
+          )}
+
           {onRefresh && (
             <button
               onClick={onRefresh}
@@ -122,19 +142,24 @@ const ChartList = ({
       {!isLoading && charts.length === 0 && (
         <div className="no-charts">
           <p>No charts found. Create your first chart to get started!</p>
+          {onCreate && (
+            <button onClick={onCreate} className="retry-button">
+              Create a chart
+            </button>
+          )}
         </div>
       )}
 
       {!isLoading && charts.length > 0 && (
         <div className="chart-list">
           {charts.map((chart) => {
-            const isSelected = selectedIds.includes(chart.item_id);
+            const isSelected = selectedIds.includes(chart.id);
             
             return (
               <div
-                key={chart.item_id}
+                key={chart.id}
                 className={`chart-list-item ${isSelected ? 'selected' : ''}`}
-                onClick={() => handleChartToggle(chart.item_id)}
+                onClick={() => handleChartToggle(chart.id)}
               >
                 <div className="chart-item-content">
                   <div className="chart-item-header">
@@ -142,7 +167,7 @@ const ChartList = ({
                       <input
                         type="checkbox"
                         checked={isSelected}
-                        onChange={() => handleChartToggle(chart.item_id)}
+                        onChange={() => handleChartToggle(chart.id)}
                         onClick={(e) => e.stopPropagation()}
                       />
                     </div>
@@ -155,13 +180,13 @@ const ChartList = ({
                   </div>
                   
                   <div className="chart-metadata">
-                    <span className="chart-id">ID: {chart.item_id}</span>
+                    <span className="chart-id">ID: {chart.sourceId}</span>
                     <span className="chart-date">
-                      Created: {formatDate(chart.created_at)}
+                      Created: {formatDate(chart.createdAt)}
                     </span>
-                    {chart.updated_at && chart.updated_at !== chart.created_at && (
+                    {chart.updatedAt && chart.updatedAt !== chart.createdAt && (
                       <span className="chart-date">
-                        Updated: {formatDate(chart.updated_at)}
+                        Updated: {formatDate(chart.updatedAt)}
                       </span>
                     )}
                   </div>
@@ -185,7 +210,7 @@ const ChartList = ({
                         onClick={(e) => {
                           e.stopPropagation();
                           if (window.confirm(`Delete "${chart.title}"?`)) {
-                            onChartDelete(chart.item_id);
+                            onChartDelete(chart.id);
                           }
                         }}
                         className="action-button delete-action"
@@ -201,6 +226,8 @@ const ChartList = ({
           })}
         </div>
       )}
+
+      {pagination && <Pagination {...pagination} isLoading={isLoading} />}
     </div>
   );
 };
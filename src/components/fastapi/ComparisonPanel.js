@@ -0,0 +1,92 @@
+// src/components/fastapi/ComparisonPanel.js
+import React, { useId } from 'react';
+import { REBASE_VALUE } from '../../utils/comparisonMode';
+
+const SCALES = [
+  { value: 'none', label: 'Actual values' },
+  { value: 'rebase', label: `Rebased to ${REBASE_VALUE}` },
+  { value: 'percentOfMax', label: '% of own max' },
+];
+
+/**
+ * Comparison options of PlotlyChartViewer: a common scale for series of
+ * different sizes, log y axes and one subplot per company.
+ *
+ * @param {Object} props - Component props
+ * @param {import('../../utils/comparisonMode').ComparisonOptions} props.options - Selected options
+ * @param {boolean} props.hasDates - Whether the chart has a date x axis (enables the base date)
+ * @param {string[]} props.skipped - Series left out for lack of a value to scale by
+ * @param {Function} props.onChange - Called with the new options
+ */
+const ComparisonPanel = ({ options, hasDates, skipped, onChange }) => {
+  // Several viewers can be on a page; each radio group needs its own name
+  const scaleName = useId();
+  const update = (changes) => onChange({ ...options, ...changes });
+
+  return (
+    <div className="chart-filters chart-comparison">
+      <div className="filters-header">
+        <h4>Compare</h4>
+      </div>
+
+      <div className="comparison-options">
+        <div className="comparison-scale" role="radiogroup" aria-label="Scale">
+          {SCALES.map(({ value, label }) => (
+            <label key={value} className="checkbox-label">
+              <input
+                type="radio"
+                name={scaleName}
+                className="checkbox-input"
+                value={value}
+                checked={options.scale === value}
+                onChange={() => update({ scale: value })}
+              />
+              <span className="checkbox-text">{label}</span>
+            </label>
+          ))}
+        </div>
+
+        {options.scale === 'rebase' && hasDates && (
+          <div className="date-range-inputs">
+            <span className="filter-label">Base date:</span>
+            <input
+              type="date"
+              className="date-input"
+              value={options.baseDate}
+              onChange={(e) => update({ baseDate: e.target.value })}
+              aria-label="Base date"
+            />
+          </div>
+        )}
+
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            className="checkbox-input"
+            checked={options.logY}
+            onChange={(e) => update({ logY: e.target.checked })}
+          />
+          <span className="checkbox-text">Log y axis</span>
+        </label>
+
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            className="checkbox-input"
+            checked={options.smallMultiples}
+            onChange={(e) => update({ smallMultiples: e.target.checked })}
+          />
+          <span className="checkbox-text">One chart per company</span>
+        </label>
+      </div>
+
+      {skipped.length > 0 && (
+        <p className="filter-summary">
+          <small>Not shown, no value to scale by: {skipped.join(', ')}</small>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPanel;
@@ -3,165 +3,190 @@ import React, { useState, useEffect, useMemo } from 'react';
 import Plot from 'react-plotly.js';
 import ErrorDisplay from '../ErrorDisplay';
 import Loading from '../Loading';
+import DataExportMenu from '../DataExportMenu';
+import { useViewState, useUrlSync } from '../../hooks/useViewState';
+import {
+  EMPTY_FILTERS,
+  activeDimensions,
+  filterTraces,
+  getDimensions,
+  hasFilters,
+  normalizeFilters,
+  pointCount,
+} from '../../utils/chartFilters';
+import { applyHighlight, entitiesOfEvent, getXAxisKind, rangeFromRelayout } from '../../utils/chartLinking';
+import { useChartLink } from '../../hooks/useChartLink';
+import { useAlerts } from '../../hooks/useAlerts';
+import { breachOverlay } from '../../utils/alertRules';
+import { DEFAULT_OVERLAYS, availableOverlays, buildOverlays } from '../../utils/financialOverlays';
+import AnalyticsPanel from './AnalyticsPanel';
+import { DEFAULT_COMPARISON, applyComparison, isComparing, limitOverlays } from '../../utils/comparisonMode';
+import ComparisonPanel from './ComparisonPanel';
+import { summarizeTraces } from '../../utils/seriesStats';
+import StatsPanel from './StatsPanel';
 
 const PlotlyChartViewer = ({ 
   chart, 
   showControls = true,
   enableFilters = true,
+  syncFiltersWithUrl = false,
   className = '',
   width = '100%',
-  height = 400 
+  height
 }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   
-  // Filter states
-  const [dateRange, setDateRange] = useState({ start: '', end: '' });
-  const [selectedCompanies, setSelectedCompanies] = useState([]);
-  const [selectedMetrics, setSelectedMetrics] = useState(['CCP', 'LTD']);
+  // Filter states: selected values and ranges per dimension (see utils/chartFilters)
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [showFilters, setShowFilters] = useState(false);
 
-  // Reset error and filters when chart changes
+  // Derived series (see utils/financialOverlays)
+  const [overlays, setOverlays] = useState(DEFAULT_OVERLAYS);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+
+  // Common scale, log axes and small multiples (see utils/comparisonMode)
+  const [comparison, setComparison] = useState(DEFAULT_COMPARISON);
+  const [showComparison, setShowComparison] = useState(false);
+
+  const [showStats, setShowStats] = useState(false);
+
+  // Reset error and filters when another chart is shown (not when its body loads)
+  const chartId = chart?.id;
   useEffect(() => {
     setError(null);
-    if (chart) {
-      // Reset filters when chart changes
-      setDateRange({ start: '', end: '' });
-      setSelectedCompanies([]);
-      setSelectedMetrics(['CCP', 'LTD']);
+    if (chartId) {
+      setFilters(EMPTY_FILTERS);
+      setOverlays(DEFAULT_OVERLAYS);
+      setComparison(DEFAULT_COMPARISON);
     }
-  }, [chart]);
-
-  // Extract available companies and date range from chart data
-  const { availableCompanies, availableDates, hasTimeSeriesData } = useMemo(() => {
-    if (!chart?.data) return { availableCompanies: [], availableDates: [], hasTimeSeriesData: false };
-    
-    const companies = new Set();
-    const dates = new Set();
-    let hasTimeSeries = false;
-    
-    chart.data.forEach(trace => {
-      // Extract company names from trace names or other identifiers
-      if (trace.name) {
-        companies.add(trace.name);
-      }
-      
-      // Check if data has time series (x-axis with dates)
-      if (trace.x && Array.isArray(trace.x)) {
-        trace.x.forEach(xVal => {
-          const date = new Date(xVal);
-          if (!isNaN(date.getTime())) {
-            dates.add(xVal);
-            hasTimeSeries = true;
-          }
-        });
-      }
-    });
-    
-    return {
-      availableCompanies: Array.from(companies).sort(),
-      availableDates: Array.from(dates).sort(),
-      hasTimeSeriesData: hasTimeSeries
-    };
-  }, [chart]);
-
-  // Initialize selected companies when chart loads
-  useEffect(() => {
-    if (availableCompanies.length > 0 && selectedCompanies.length === 0) {
-      setSelectedCompanies(availableCompanies);
-    }
-  }, [availableCompanies]);
+  }, [chartId]);
+
+  // Filter dimensions found in the trace names, legend groups, meta and customdata
+  const dimensions = useMemo(() => getDimensions(chart?.data), [chart]);
+  const activeFilters = useMemo(() => normalizeFilters(filters, dimensions), [filters, dimensions]);
+
+  // Filters in the URL belong to one chart; null stands for "no filters applied"
+  const { viewState, updateViewState } = useViewState();
+  const linkedFilters = syncFiltersWithUrl && chart && viewState.filters?.chartId === chart.id
+    ? normalizeFilters(viewState.filters, dimensions)
+    : null;
+  const urlFilters = linkedFilters && hasFilters(linkedFilters) ? linkedFilters : null;
+  const currentFilters = syncFiltersWithUrl && hasFilters(activeFilters) ? activeFilters : null;
+
+  useUrlSync(
+    urlFilters,
+    currentFilters,
+    (filters) => setFilters(filters ?? EMPTY_FILTERS),
+    (filters) => updateViewState(
+      { filters: filters && { chartId: chart.id, ...filters } },
+      { replace: true }
+    )
+  );
+
+  // Linked charts (grid view) share zoom, highlights and a date range
+  const link = useChartLink();
+  const xAxisKind = useMemo(() => getXAxisKind(dimensions), [dimensions]);
+  const sharedDateRange = link && xAxisKind === 'date' && (link.dateRange.min || link.dateRange.max)
+    ? link.dateRange
+    : null;
 
   // Filter the chart data based on current filter settings
   const filteredPlotData = useMemo(() => {
     if (!chart?.data) return [];
-    if (!enableFilters) return chart.data;
-    
-    console.log('🔍 Filtering chart:', chart.title);
-    console.log('Original data traces:', chart.data.length);
-    console.log('Has time series:', hasTimeSeriesData);
-    console.log('Date range:', dateRange);
-    
-    const filteredData = chart.data.filter(trace => {
-      console.log('Checking trace:', trace.name);
-      
-      // Company filter
-      if (selectedCompanies.length > 0 && trace.name && !selectedCompanies.includes(trace.name)) {
-        console.log('  ❌ Filtered by company');
-        return false;
-      }
-      
-      // Metric filter (assuming trace names contain CCP or LTD)
-      // Only apply if the chart seems to be about these metrics
-      if (selectedMetrics.length > 0 && selectedMetrics.length < 2 && trace.name) {
-        const hasSelectedMetric = selectedMetrics.some(metric => 
-          trace.name.toUpperCase().includes(metric.toUpperCase())
-        );
-        if (!hasSelectedMetric) {
-          console.log('  ❌ Filtered by metric');
-          return false;
-        }
-      }
-      
-      console.log('  ✅ Passed filters');
-      return true;
-    }).map(trace => {
-      // Date range filter for time series data - only apply if we have valid date data
-      if (hasTimeSeriesData && (dateRange.start || dateRange.end) && trace.x && trace.y && Array.isArray(trace.x)) {
-        const filteredIndices = [];
-        
-        trace.x.forEach((xVal, index) => {
-          const date = new Date(xVal);
-          if (!isNaN(date.getTime())) {
-            const startDate = dateRange.start ? new Date(dateRange.start) : null;
-            const endDate = dateRange.end ? new Date(dateRange.end) : null;
-            
-            if ((!startDate || date >= startDate) && (!endDate || date <= endDate)) {
-              filteredIndices.push(index);
-            }
-          }
-        });
-        
-        // Only apply filtering if we found valid date indices
-        if (filteredIndices.length > 0) {
-          return {
-            ...trace,
-            x: filteredIndices.map(i => trace.x[i]),
-            y: filteredIndices.map(i => trace.y[i])
-          };
-        }
-      }
-      
-      // Return original trace without modification
-      return { ...trace };
+    const filtered = enableFilters ? filterTraces(chart.data, dimensions, activeFilters) : chart.data;
+    return sharedDateRange
+      ? filterTraces(filtered, dimensions, { values: {}, ranges: { x: sharedDateRange } })
+      : filtered;
+  }, [chart, dimensions, activeFilters, enableFilters, sharedDateRange]);
+
+  // Statistics use actual values: after filtering, before comparison and overlays
+  const stats = useMemo(() => (showStats ? summarizeTraces(filteredPlotData) : []), [showStats, filteredPlotData]);
+
+  // Series are compared after filtering, and overlays are computed from the compared series
+  const compared = useMemo(
+    () => applyComparison(filteredPlotData, chart?.layout, comparison),
+    [filteredPlotData, chart, comparison]
+  );
+
+  const overlayAvailability = useMemo(
+    () => limitOverlays(availableOverlays(compared.data), comparison),
+    [compared, comparison]
+  );
+  const analysis = useMemo(() => {
+    const applicable = Object.fromEntries(
+      Object.entries(overlayAvailability).map(([key, available]) => [key, overlays[key] && available])
+    );
+    return buildOverlays(compared.data, compared.layout, { ...overlays, ...applicable });
+  }, [compared, overlays, overlayAvailability]);
+
+  // Alert breaches (see hooks/useAlerts) are marked on the series as drawn
+  const alerts = useAlerts();
+  const breaches = alerts && chart ? alerts.breachesFor(chart.id) : null;
+  const alerted = useMemo(
+    () => breachOverlay(analysis.data, analysis.layout, breaches),
+    [analysis, breaches]
+  );
+
+  const plotData = useMemo(
+    () => applyHighlight(alerted.data, link?.highlight),
+    [alerted, link?.highlight]
+  );
+
+  const handleRelayout = (event) => {
+    if (!link?.syncZoom || !xAxisKind) return;
+    const change = rangeFromRelayout(event);
+    if (change) link.setXRange(change.autorange ? null : { kind: xAxisKind, range: change.range });
+  };
+
+  // Clicking a company again clears the highlight
+  const handleClick = (event) => {
+    if (!link?.highlightEnabled) return;
+    const keys = entitiesOfEvent(event);
+    const isSame = keys.length > 0 && keys.every(key => link.highlight?.includes(key));
+    link.setHighlight(keys.length > 0 && !isSame ? keys : null);
+  };
+
+  const handleSelected = (event) => {
+    if (!link?.highlightEnabled) return;
+    const keys = entitiesOfEvent(event);
+    link.setHighlight(keys.length > 0 ? keys : null);
+  };
+
+  const toggleValue = (dimension, value, checked) => {
+    setFilters(prev => {
+      const selected = prev.values[dimension.key] ?? dimension.values;
+      const next = checked ? [...selected, value] : selected.filter(v => v !== value);
+      return normalizeFilters({ ...prev, values: { ...prev.values, [dimension.key]: next } }, dimensions);
     });
-    
-    console.log('Filtered data traces:', filteredData.length);
-    filteredData.forEach((trace, i) => {
-      console.log(`Trace ${i}: x length=${trace.x?.length}, y length=${trace.y?.length}`);
-      if (trace.x && trace.x.length > 0) {
-        console.log(`  First x value:`, trace.x[0]);
-      }
+  };
+
+  const setBound = (dimension, bound, value) => {
+    setFilters(prev => {
+      const range = { min: '', max: '', ...prev.ranges[dimension.key], [bound]: value };
+      return normalizeFilters({ ...prev, ranges: { ...prev.ranges, [dimension.key]: range } }, dimensions);
     });
-    
-    return filteredData;
-  }, [chart, selectedCompanies, selectedMetrics, dateRange, enableFilters, hasTimeSeriesData]);
+  };
 
   // Reset filters function
   const resetFilters = () => {
-    setDateRange({ start: '', end: '' });
-    setSelectedCompanies(availableCompanies);
-    setSelectedMetrics(['CCP', 'LTD']);
+    setFilters(EMPTY_FILTERS);
   };
 
   if (!chart) {
     return <div className="chart-viewer-empty">No chart data provided</div>;
   }
 
+  const totalPointCount = (chart.data || []).reduce((sum, trace) => sum + pointCount(trace), 0);
+  const filteredPointCount = filteredPlotData.reduce((sum, trace) => sum + pointCount(trace), 0);
+  const activeFilterCount = activeDimensions(dimensions, activeFilters).length;
+
+  const linkedRange = link?.xRange?.kind === xAxisKind ? link.xRange.range : null;
   const plotLayout = {
-    ...chart.layout,
+    ...alerted.layout,
     autosize: true,
-    margin: { l: 50, r: 50, t: 50, b: 50 },
+    margin: { l: 50, r: analysis.hasOverlayAxes ? 90 : 50, t: 50, b: 50 },
+    ...(linkedRange && { xaxis: { ...alerted.layout.xaxis, range: linkedRange, autorange: false } }),
   };
   
   const plotConfig = {
@@ -182,21 +207,45 @@ const PlotlyChartViewer = ({
               <p className="chart-description">{chart.description}</p>
             )}
             <div className="chart-metadata">
-              <span className="chart-id">ID: {chart.item_id}</span>
-              {chart.created_at && (
+              <span className="chart-id">ID: {chart.sourceId}</span>
+              {chart.createdAt && (
                 <span className="chart-date">
-                  Created: {new Date(chart.created_at).toLocaleDateString()}
+                  Created: {new Date(chart.createdAt).toLocaleDateString()}
                 </span>
               )}
-              {chart.updated_at && chart.updated_at !== chart.created_at && (
+              {chart.updatedAt && chart.updatedAt !== chart.createdAt && (
                 <span className="chart-date">
-                  Updated: {new Date(chart.updated_at).toLocaleDateString()}
+                  Updated: {new Date(chart.updatedAt).toLocaleDateString()}
                 </span>
               )}
             </div>
           </div>
           
           <div className="chart-actions">
+            <DataExportMenu chart={chart} traces={filteredPlotData} />
+            <button
+              onClick={() => setShowStats(!showStats)}
+              className="filter-toggle-button"
+              title="Summary statistics of the filtered series"
+            >
+              {showStats ? 'Hide Statistics' : 'Statistics'}
+            </button>
+            <button
+              onClick={() => setShowComparison(!showComparison)}
+              className="filter-toggle-button"
+              title="Compare series on a common scale"
+            >
+              {showComparison ? 'Hide Compare' : 'Compare'}
+              {isComparing(comparison) && ' (on)'}
+            </button>
+            <button
+              onClick={() => setShowAnalytics(!showAnalytics)}
+              className="filter-toggle-button"
+              title="Add derived series"
+            >
+              {showAnalytics ? 'Hide Analytics' : 'Analytics'}
+              {analysis.derivedCount > 0 && ` (${analysis.derivedCount})`}
+            </button>
             {enableFilters && (
               <button
                 onClick={() => setShowFilters(!showFilters)}
@@ -210,6 +259,19 @@ const PlotlyChartViewer = ({
         </div>
       )}
 
+      {showControls && showComparison && (
+        <ComparisonPanel
+          options={comparison}
+          hasDates={xAxisKind === 'date'}
+          skipped={compared.skipped}
+          onChange={setComparison}
+        />
+      )}
+
+      {showControls && showAnalytics && (
+        <AnalyticsPanel options={overlays} availability={overlayAvailability} onChange={setOverlays} />
+      )}
+
       {/* Filter Controls */}
       {enableFilters && showFilters && (
         <div className="chart-filters">
@@ -225,93 +287,60 @@ const PlotlyChartViewer = ({
           </div>
           
           <div className="filters-grid">
-            {/* Date Range Filter */}
-            {hasTimeSeriesData && (
-              <div className="filter-group">
-                <label className="filter-label">Date Range:</label>
-                <div className="date-range-inputs">
-                  <input
-                    type="date"
-                    value={dateRange.start}
-                    onChange={(e) => setDateRange(prev => ({ ...prev, start: e.target.value }))}
-                    className="date-input"
-                    placeholder="Start date"
-                  />
-                  <span className="date-separator">to</span>
-                  <input
-                    type="date"
-                    value={dateRange.end}
-                    onChange={(e) => setDateRange(prev => ({ ...prev, end: e.target.value }))}
-                    className="date-input"
-                    placeholder="End date"
-                  />
-                </div>
-              </div>
-            )}
-            
-            {/* Company Filter */}
-            {availableCompanies.length > 0 && (
-              <div className="filter-group">
-                <label className="filter-label">Companies:</label>
-                <div className="checkbox-group">
-                  {availableCompanies.map(company => (
-                    <label key={company} className="checkbox-label">
-                      <input
-                        type="checkbox"
-                        checked={selectedCompanies.includes(company)}
-                        onChange={(e) => {
-                          if (e.target.checked) {
-                            setSelectedCompanies(prev => [...prev, company]);
-                          } else {
-                            setSelectedCompanies(prev => prev.filter(c => c !== company));
-                          }
-                        }}
-                        className="checkbox-input"
-                      />
-                      <span className="checkbox-text">{company}</span>
-                    </label>
-                  ))}
-                </div>
-              </div>
+            {dimensions.length === 0 && (
+              <p className="filter-empty">This chart has no series, categories or ranges to filter by.</p>
             )}
-            
-            {/* Metrics Filter */}
-            <div className="filter-group">
-              <label className="filter-label">Metrics:</label>
-              <div className="checkbox-group">
-                {['CCP', 'LTD'].map(metric => (
-                  <label key={metric} className="checkbox-label">
-                    <input
-                      type="checkbox"
-                      checked={selectedMetrics.includes(metric)}
-                      onChange={(e) => {
-                        if (e.target.checked) {
-                          setSelectedMetrics(prev => [...prev, metric]);
-                        } else {
-                          setSelectedMetrics(prev => prev.filter(m => m !== metric));
-                        }
-                      }}
-                      className="checkbox-input"
-                    />
-                    <span className="checkbox-text">{metric}</span>
-                  </label>
-                ))}
+
+            {dimensions.map(dimension => (
+              <div key={dimension.key} className="filter-group">
+                <label className="filter-label">{dimension.label}:</label>
+                {dimension.type === 'categorical' ? (
+                  <div className="checkbox-group">
+                    {dimension.values.map(value => (
+                      <label key={value} className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={activeFilters.values[dimension.key]?.includes(value) ?? true}
+                          onChange={(e) => toggleValue(dimension, value, e.target.checked)}
+                          className="checkbox-input"
+                        />
+                        <span className="checkbox-text">{value}</span>
+                      </label>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="date-range-inputs">
+                    {['min', 'max'].map((bound, i) => (
+                      <React.Fragment key={bound}>
+                        {i > 0 && <span className="date-separator">to</span>}
+                        <input
+                          type={dimension.type === 'date' ? 'date' : 'number'}
+                          step={dimension.type === 'number' ? 'any' : undefined}
+                          min={dimension.min}
+                          max={dimension.max}
+                          value={activeFilters.ranges[dimension.key]?.[bound] ?? ''}
+                          onChange={(e) => setBound(dimension, bound, e.target.value)}
+                          className="date-input"
+                          placeholder={String(dimension[bound])}
+                          aria-label={`${dimension.label} ${bound === 'min' ? 'from' : 'to'}`}
+                        />
+                      </React.Fragment>
+                    ))}
+                  </div>
+                )}
               </div>
-            </div>
+            ))}
           </div>
           
           {/* Filter Summary */}
           <div className="filter-summary">
             <small>
               Showing {filteredPlotData.length} of {chart.data.length} data series
-              {selectedCompanies.length !== availableCompanies.length && 
-                ` • ${selectedCompanies.length} companies selected`
-              }
-              {selectedMetrics.length < 2 && 
-                ` • ${selectedMetrics.join(', ')} metrics`
+              {filteredPointCount !== totalPointCount &&
+                ` • ${filteredPointCount} of ${totalPointCount} points`
               }
-              {(dateRange.start || dateRange.end) && 
-                ` • Date filtered`
+              {activeFilterCount > 0 &&
+                ` • ${activeFilterCount} filter${activeFilterCount === 1 ? '' : 's'} active`
               }
             </small>
           </div>
@@ -325,16 +354,21 @@ const PlotlyChartViewer = ({
         />
       )}
 
-      <div className="chart-container" style={{ position: 'relative' }}>
+      {/* Without a height the surrounding layout (page CSS, dashboard tile) sizes the plot */}
+      <div className="chart-container" style={{ position: 'relative', width, height }}>
         {isLoading && <Loading />}
         
         <Plot
-          data={filteredPlotData}
+          data={plotData}
           layout={plotLayout}
           config={plotConfig}
           style={{ width: '100%', height: '100%' }}
           useResizeHandler={true}
           onInitialized={() => setIsLoading(false)}
+          onRelayout={handleRelayout}
+          onClick={handleClick}
+          onSelected={handleSelected}
+          onDeselect={() => link?.highlightEnabled && link.setHighlight(null)}
           onError={(err) => {
             console.error('Plotly error:', err);
             setError('Failed to render chart. Please check the chart data format.');
@@ -343,6 +377,7 @@ const PlotlyChartViewer = ({
         />
       </div>
 
+      {showControls && showStats && <StatsPanel chart={chart} rows={stats} />}
     </div>
   );
 };
@@ -0,0 +1,109 @@
+// src/components/fastapi/StatsPanel.js
+import React, { useState } from 'react';
+import { DATA_EXPORT_FORMATS } from '../../utils/dataExport';
+import { exportStats, statsToTsv } from '../../utils/seriesStats';
+
+const numberFormat = new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 });
+
+const formatNumber = (value) => (value === null ? '–' : numberFormat.format(value));
+const formatChange = (value) => (value === null ? '–' : `${value > 0 ? '+' : ''}${numberFormat.format(value)}`);
+
+/**
+ * Summary statistics of the series PlotlyChartViewer draws, with copy and
+ * download of the table.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.chart - Normalized chart (title is used for file names)
+ * @param {import('../../utils/seriesStats').SeriesStats[]} props.rows - Statistics per series
+ */
+const StatsPanel = ({ chart, rows }) => {
+  const [status, setStatus] = useState(null);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(statsToTsv(rows));
+      setStatus('Copied to the clipboard');
+    } catch (err) {
+      console.error('Copying statistics failed:', err);
+      setStatus('Copying is not available in this browser');
+    }
+  };
+
+  const handleExport = (format) => {
+    try {
+      exportStats(chart, rows, format);
+      setStatus(null);
+    } catch (err) {
+      console.error('Statistics export failed:', err);
+      setStatus(err.message);
+    }
+  };
+
+  return (
+    <div className="chart-filters chart-stats">
+      <div className="filters-header">
+        <h4>Statistics</h4>
+        <div className="chart-stats-actions">
+          <button type="button" className="select-all-button" onClick={handleCopy} disabled={rows.length === 0}>
+            Copy
+          </button>
+          {DATA_EXPORT_FORMATS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className="select-all-button"
+              onClick={() => handleExport(option.value)}
+              disabled={rows.length === 0}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="filter-empty">No series with numeric values to summarize.</p>
+      ) : (
+        <div className="chart-stats-table-wrapper">
+          <table className="chart-stats-table">
+            <thead>
+              <tr>
+                <th scope="col">Series</th>
+                <th scope="col">Latest</th>
+                <th scope="col">Min</th>
+                <th scope="col">Max</th>
+                <th scope="col">Mean</th>
+                <th scope="col">Std dev</th>
+                <th scope="col">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, i) => (
+                <tr key={`${i}-${row.series}`}>
+                  <th scope="row">{row.series}</th>
+                  <td>{formatNumber(row.latest)}<small>{String(row.end)}</small></td>
+                  <td>{formatNumber(row.min)}<small>{String(row.min_at)}</small></td>
+                  <td>{formatNumber(row.max)}<small>{String(row.max_at)}</small></td>
+                  <td>{formatNumber(row.mean)}</td>
+                  <td>{formatNumber(row.std)}</td>
+                  <td className={row.change < 0 ? 'stat-negative' : row.change > 0 ? 'stat-positive' : undefined}>
+                    {formatChange(row.change)}
+                    <small>{row.change_pct === null ? '–' : `${formatChange(row.change_pct)}%`}</small>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="filter-summary">
+        <small>
+          {status || 'From the filtered data; changes run from the first to the last point of each series.'}
+        </small>
+      </p>
+    </div>
+  );
+};
+
+export default StatsPanel;
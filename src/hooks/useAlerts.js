@@ -0,0 +1,124 @@
+// src/hooks/useAlerts.js
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { evaluateRules, normalizeRule, validateRule } from '../utils/alertRules';
+
+const AlertContext = createContext(null);
+
+const RULES_KEY = 'alertRules';
+const DISMISSED_KEY = 'alertDismissed';
+
+// Dismissed breaches remembered, newest kept
+const MAX_DISMISSED = 1000;
+
+const NO_BREACHES = [];
+
+// Rules and dismissed breaches are kept in this browser, shared by every page
+const alertStore = {
+  read(key) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key) || '[]');
+      return Array.isArray(value) ? value : [];
+    } catch {
+      return [];
+    }
+  },
+
+  write(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn('Alerts: could not write to localStorage', error);
+    }
+  },
+};
+
+const readRules = () => alertStore.read(RULES_KEY)
+  .filter(rule => rule?.id && validateRule(rule).length === 0)
+  .map(normalizeRule);
+
+const newRuleId = () => globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Alert rules and their breaches for a set of charts. Rules are evaluated
+ * again whenever the charts change, i.e. when a reload, the auto-refresh of
+ * useChartSource or a fetched chart payload brings in new data.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.charts - Normalized charts to watch
+ * @param {React.ReactNode} props.children - Consumers (AlertsPanel, PlotlyChartViewer)
+ */
+export const AlertProvider = ({ charts, children }) => {
+  const [rules, setRules] = useState(readRules);
+  const [dismissed, setDismissed] = useState(() => alertStore.read(DISMISSED_KEY));
+
+  const updateRules = useCallback((update) => {
+    setRules(prev => {
+      const next = update(prev);
+      alertStore.write(RULES_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const updateDismissed = useCallback((keys) => {
+    setDismissed(prev => {
+      const next = [...prev.filter(key => !keys.includes(key)), ...keys].slice(-MAX_DISMISSED);
+      alertStore.write(DISMISSED_KEY, next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Add a rule
+   * @param {Partial<import('../utils/alertRules').AlertRule>} input - Rule from the form
+   * @returns {Array<{path: string, message: string}>} Field errors; the rule is only added without any
+   */
+  const addRule = useCallback((input) => {
+    const errors = validateRule(input);
+    if (errors.length === 0) {
+      updateRules(prev => [...prev, normalizeRule({ ...input, id: newRuleId() })]);
+    }
+    return errors;
+  }, [updateRules]);
+
+  const removeRule = useCallback((id) => {
+    updateRules(prev => prev.filter(rule => rule.id !== id));
+  }, [updateRules]);
+
+  const toggleRule = useCallback((id, enabled) => {
+    updateRules(prev => prev.map(rule => (rule.id === id ? { ...rule, enabled } : rule)));
+  }, [updateRules]);
+
+  const breaches = useMemo(() => evaluateRules(rules, charts), [rules, charts]);
+
+  const value = useMemo(() => {
+    const byChart = new Map();
+    breaches.forEach(breach => {
+      if (!byChart.has(breach.chartId)) byChart.set(breach.chartId, []);
+      byChart.get(breach.chartId).push(breach);
+    });
+    const dismissedKeys = new Set(dismissed);
+    const notifications = breaches.filter(breach => !dismissedKeys.has(breach.key));
+
+    return {
+      rules,
+      addRule,
+      removeRule,
+      toggleRule,
+      breaches,
+      breachesFor: (chartId) => byChart.get(chartId) || NO_BREACHES,
+      notifications,
+      dismiss: (key) => updateDismissed([key]),
+      dismissAll: () => updateDismissed(notifications.map(breach => breach.key)),
+    };
+  }, [rules, addRule, removeRule, toggleRule, breaches, dismissed, updateDismissed]);
+
+  return <AlertContext.Provider value={value}>{children}</AlertContext.Provider>;
+};
+
+/**
+ * Alerts of the surrounding AlertProvider
+ * @returns {Object|null} Rules, breaches, notifications and actions, null outside a provider
+ */
+export const useAlerts = () => useContext(AlertContext);
+
+export default useAlerts;
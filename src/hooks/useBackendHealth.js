@@ -0,0 +1,20 @@
+// src/hooks/useBackendHealth.js
+import { useState, useEffect } from 'react';
+import healthMonitor from '../services/healthMonitor';
+
+/**
+ * Live health of a chart source backend (status, circuit, latency, last contact).
+ * While any component is subscribed, a backend whose circuit is open is probed
+ * periodically until it recovers.
+ * @param {Object} source - Chart source adapter
+ * @returns {import('../services/healthMonitor').BackendHealth} Health record
+ */
+export const useBackendHealth = (source) => {
+  const [health, setHealth] = useState(() => healthMonitor.getHealth(source));
+
+  useEffect(() => healthMonitor.subscribe(source, setHealth), [source]);
+
+  return health;
+};
+
+export default useBackendHealth;
@@ -0,0 +1,194 @@
+// src/hooks/useChartBodies.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getChartSource } from '../services/chartSources';
+import chartCache, { CHART_TTL } from '../services/chartCache';
+import chartSnapshots from '../services/chartSnapshots';
+import { toApiError } from '../services/apiErrors';
+import { isRequestCanceled } from '../utils/requestDedup';
+
+// In-flight body requests by chart id, shared by every hook instance:
+// { request, controller, callers }
+const pendingBodies = new Map();
+
+/**
+ * Fetch a chart body into the chart cache. Concurrent callers share one
+ * request, which is aborted only once every caller waiting on it has been.
+ * @param {Object} chart - Normalized chart
+ * @param {Object} source - Chart source adapter of the chart
+ * @param {AbortSignal} signal - Aborts this caller's interest in the body
+ * @returns {Promise<void>} Resolves once the body is cached
+ */
+const fetchBody = (chart, source, signal) => {
+  let pending = pendingBodies.get(chart.id);
+  if (!pending) {
+    const controller = new AbortController();
+    const request = (async () => {
+      const fullChart = await source.get(chart.sourceId, { signal: controller.signal });
+      const body = {
+        data: fullChart.data,
+        layout: fullChart.layout,
+        config: fullChart.config,
+        frames: fullChart.frames,
+        updatedAt: fullChart.updatedAt || chart.updatedAt,
+      };
+      await chartCache.set(chartCache.chartKey(chart.id), body, CHART_TTL);
+      // Earlier versions stay available to the chart diff view
+      await chartSnapshots.record(chart.id, body);
+    })();
+    pending = { request, controller, callers: 0 };
+    pendingBodies.set(chart.id, pending);
+
+    const settled = pending;
+    const forget = () => {
+      if (pendingBodies.get(chart.id) === settled) pendingBodies.delete(chart.id);
+    };
+    request.then(forget, forget);
+  }
+
+  const shared = pending;
+  shared.callers += 1;
+  const onAbort = () => {
+    shared.callers -= 1;
+    if (shared.callers > 0) return;
+    // Callers arriving from now on start a new request instead of joining the aborted one
+    if (pendingBodies.get(chart.id) === shared) pendingBodies.delete(chart.id);
+    shared.controller.abort();
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+  const release = () => signal.removeEventListener('abort', onAbort);
+  shared.request.then(release, release);
+
+  return shared.request;
+};
+
+/**
+ * Lazily fetch the plotly payload of charts that were listed without one.
+ * A cached body is only reused while the list entry's updatedAt still matches.
+ */
+export const useChartBodies = () => {
+  const [loadingIds, setLoadingIds] = useState([]);
+  const [bodyErrors, setBodyErrors] = useState({});
+
+  // Bodies this instance fetched, read from IndexedDB or invalidated, as last
+  // seen in the cache (null once invalidated); a change re-renders consumers
+  const [seenBodies, setSeenBodies] = useState({});
+
+  // Charts with their body merged in, by id, so unchanged charts keep their identity
+  const enrichedRef = useRef(new Map());
+
+  // Aborts this instance's body requests on unmount
+  const controllerRef = useRef(new AbortController());
+
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return () => controller.abort();
+  }, []);
+
+  // Fetched bodies live in the shared chart cache, so re-selecting a chart,
+  // revisiting a page or reloading the app does not fetch them again
+  const getCachedBody = useCallback((chart) => {
+    const cached = chartCache.peek(chartCache.chartKey(chart.id));
+    if (!cached) return null;
+    // A newer list entry means the chart changed since its body was fetched
+    if (chart.updatedAt && cached.value.updatedAt) {
+      return chart.updatedAt === cached.value.updatedAt ? cached.value : null;
+    }
+    return cached.isStale ? null : cached.value;
+  }, []);
+
+  const syncBody = useCallback((chartId) => {
+    const value = chartCache.peek(chartCache.chartKey(chartId))?.value ?? null;
+    setSeenBodies(prev => (prev[chartId] === value ? prev : { ...prev, [chartId]: value }));
+  }, []);
+
+  /**
+   * Merge the cached body into a chart, if it has been fetched
+   * @param {Object} chart - Normalized chart
+   * @returns {Object} Chart with its body, or the chart unchanged
+   */
+  const withBody = useCallback((chart) => {
+    if (!chart || chart.bodyLoaded || seenBodies[chart.id] === null) return chart;
+
+    const cached = getCachedBody(chart);
+    if (!cached) return chart;
+
+    const previous = enrichedRef.current.get(chart.id);
+    if (previous?.chart === chart && previous.body === cached) return previous.enriched;
+
+    const enriched = {
+      ...chart,
+      data: cached.data,
+      layout: cached.layout,
+      config: cached.config,
+      frames: cached.frames,
+      bodyLoaded: true,
+    };
+    enrichedRef.current.set(chart.id, { chart, body: cached, enriched });
+    return enriched;
+  }, [getCachedBody, seenBodies]);
+
+  /**
+   * Fetch the body of a chart unless it is loaded, cached or already loading
+   * @param {Object} chart - Normalized chart
+   */
+  const loadChartBody = useCallback(async (chart) => {
+    if (!chart || chart.bodyLoaded) return;
+    // Cached since this instance last looked, e.g. fetched by another page
+    if (getCachedBody(chart)) {
+      syncBody(chart.id);
+      return;
+    }
+    const { signal } = controllerRef.current;
+
+    // Bodies persisted by an earlier session are only in IndexedDB until read once
+    if (await chartCache.get(chartCache.chartKey(chart.id)) && getCachedBody(chart)) {
+      syncBody(chart.id);
+      return;
+    }
+
+    const source = getChartSource(chart.source);
+    if (!source || signal.aborted) return;
+
+    setLoadingIds(prev => (prev.includes(chart.id) ? prev : [...prev, chart.id]));
+    setBodyErrors(prev => {
+      if (!(chart.id in prev)) return prev;
+      const { [chart.id]: _removed, ...rest } = prev;
+      return rest;
+    });
+
+    try {
+      await fetchBody(chart, source, signal);
+      if (!signal.aborted) syncBody(chart.id);
+    } catch (err) {
+      if (isRequestCanceled(err) || signal.aborted) return;
+
+      console.error(`Failed to load chart ${chart.id}:`, err);
+      setBodyErrors(prev => ({ ...prev, [chart.id]: toApiError(err, { backend: chart.source }) }));
+    } finally {
+      setLoadingIds(prev => prev.filter(id => id !== chart.id));
+    }
+  }, [getCachedBody, syncBody]);
+
+  /**
+   * Forget a cached body, e.g. after the chart was updated or deleted
+   */
+  const invalidateChartBody = useCallback(async (chartId) => {
+    await chartCache.delete(chartCache.chartKey(chartId));
+    syncBody(chartId);
+  }, [syncBody]);
+
+  const isBodyLoading = useCallback((chartId) => loadingIds.includes(chartId), [loadingIds]);
+
+  const getBodyError = useCallback((chartId) => bodyErrors[chartId] || null, [bodyErrors]);
+
+  return {
+    withBody,
+    loadChartBody,
+    invalidateChartBody,
+    isBodyLoading,
+    getBodyError,
+  };
+};
+
+export default useChartBodies;
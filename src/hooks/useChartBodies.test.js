@@ -0,0 +1,42 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useChartBodies } from './useChartBodies';
+import chartCache from '../services/chartCache';
+import { createChart } from '../services/chartSources/chartSource';
+
+const source = vi.hoisted(() => ({ name: 'express', get: vi.fn() }));
+
+vi.mock('../services/chartSources', () => ({
+  getChartSource: () => source,
+}));
+
+const listed = createChart('express', { sourceId: 'a', title: 'Listed', bodyLoaded: false });
+
+describe('useChartBodies', () => {
+  beforeEach(async () => {
+    await chartCache.clear();
+    source.get.mockReset();
+  });
+
+  test('fetches again for a caller arriving after every earlier caller aborted', async () => {
+    // The first request only settles a while after it was aborted
+    source.get.mockImplementationOnce((id, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        setTimeout(() => reject(Object.assign(new Error('canceled'), { name: 'CanceledError' })), 50);
+      });
+    }));
+    source.get.mockResolvedValueOnce({ ...listed, data: [{ y: [1] }], bodyLoaded: true });
+
+    const first = renderHook(() => useChartBodies());
+    act(() => { first.result.current.loadChartBody(listed); });
+    await waitFor(() => expect(source.get).toHaveBeenCalledTimes(1));
+    first.unmount();
+
+    const second = renderHook(() => useChartBodies());
+    await act(() => second.result.current.loadChartBody(listed));
+
+    expect(source.get).toHaveBeenCalledTimes(2);
+    expect(second.result.current.withBody(listed)).toMatchObject({ bodyLoaded: true, data: [{ y: [1] }] });
+    expect(second.result.current.getBodyError(listed.id)).toBeNull();
+  });
+});
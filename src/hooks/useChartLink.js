@@ -0,0 +1,56 @@
+// src/hooks/useChartLink.js
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+
+const ChartLinkContext = createContext(null);
+
+const OPEN_RANGE = { min: '', max: '' };
+
+/**
+ * Shared state of linked charts: synchronized x range, highlighted entities
+ * and a date range applied to every chart with a date axis. Linking is
+ * opt-in; while a kind of linking is off, its shared value is cleared.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Charts to link
+ */
+export const ChartLinkProvider = ({ children }) => {
+  const [syncZoom, setSyncZoomState] = useState(false);
+  const [highlightEnabled, setHighlightEnabledState] = useState(false);
+  const [xRange, setXRange] = useState(null); // { kind: 'date'|'number', range: [from, to] }
+  const [highlight, setHighlight] = useState(null); // Entity keys, see utils/chartLinking
+  const [dateRange, setDateRange] = useState(OPEN_RANGE);
+
+  const setSyncZoom = useCallback((enabled) => {
+    setSyncZoomState(enabled);
+    if (!enabled) setXRange(null);
+  }, []);
+
+  const setHighlightEnabled = useCallback((enabled) => {
+    setHighlightEnabledState(enabled);
+    if (!enabled) setHighlight(null);
+  }, []);
+
+  const value = useMemo(() => ({
+    syncZoom,
+    setSyncZoom,
+    highlightEnabled,
+    setHighlightEnabled,
+    xRange: syncZoom ? xRange : null,
+    setXRange,
+    highlight: highlightEnabled ? highlight : null,
+    setHighlight,
+    dateRange,
+    setDateRange,
+    clearDateRange: () => setDateRange(OPEN_RANGE),
+  }), [syncZoom, setSyncZoom, highlightEnabled, setHighlightEnabled, xRange, highlight, dateRange]);
+
+  return <ChartLinkContext.Provider value={value}>{children}</ChartLinkContext.Provider>;
+};
+
+/**
+ * Linking state of the surrounding ChartLinkProvider
+ * @returns {Object|null} Shared state and setters, null outside a provider
+ */
+export const useChartLink = () => useContext(ChartLinkContext);
+
+export default useChartLink;
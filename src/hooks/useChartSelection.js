@@ -0,0 +1,130 @@
+// src/hooks/useChartSelection.js
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+
+/**
+ * Selection state for a list of normalized charts, keyed by chart id.
+ * Charts stay selected (and displayable) when the list moves to another page.
+ * @param {Array} charts - Normalized charts that can currently be selected
+ * @param {Object} [options] - Options
+ * @param {function(string): Promise<Object>} [options.resolveChart] - Fetch a selected chart that
+ *   was never listed (e.g. opened from a shared link); omit until the list has loaded
+ */
+export const useChartSelection = (charts, { resolveChart } = {}) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [knownCharts, setKnownCharts] = useState({});
+  const resolvedIdsRef = useRef(new Set());
+
+  // Remember every chart seen so selections from other pages can still be shown
+  useEffect(() => {
+    if (charts.length === 0) return;
+    setKnownCharts(prev => ({
+      ...prev,
+      ...Object.fromEntries(charts.map(chart => [chart.id, chart])),
+    }));
+  }, [charts]);
+
+  // Selected ids that no list has shown yet are fetched once each
+  useEffect(() => {
+    if (!resolveChart) return;
+
+    const listedIds = new Set(charts.map(chart => chart.id));
+    selectedIds
+      .filter(id => !listedIds.has(id) && !knownCharts[id] && !resolvedIdsRef.current.has(id))
+      .forEach(id => {
+        resolvedIdsRef.current.add(id);
+        resolveChart(id)
+          .then(chart => setKnownCharts(prev => ({ ...prev, [id]: chart })))
+          .catch(err => {
+            console.warn(`Selected chart ${id} could not be loaded:`, err.message);
+            // A chart that no longer exists cannot stay selected
+            if (err.kind === 'not-found') {
+              setSelectedIds(prev => prev.filter(selectedId => selectedId !== id));
+            }
+          });
+      });
+  }, [charts, knownCharts, selectedIds, resolveChart]);
+
+  /**
+   * Select a single chart, or clear the selection if it is the only one selected
+   */
+  const selectChart = useCallback((chartId) => {
+    setSelectedIds(prev => (prev.length === 1 && prev[0] === chartId ? [] : [chartId]));
+  }, []);
+
+  /**
+   * Add or remove a chart from the selection
+   */
+  const toggleChartSelection = useCallback((chartId) => {
+    setSelectedIds(prev => (
+      prev.includes(chartId)
+        ? prev.filter(id => id !== chartId)
+        : [...prev, chartId]
+    ));
+  }, []);
+
+  /**
+   * Remove a chart from the selection
+   */
+  const deselectChart = useCallback((chartId) => {
+    setSelectedIds(prev => prev.filter(id => id !== chartId));
+  }, []);
+
+  /**
+   * Replace the selection
+   */
+  const selectCharts = useCallback((chartIds) => {
+    setSelectedIds(chartIds);
+  }, []);
+
+  const selectAllCharts = useCallback(() => {
+    setSelectedIds(charts.map(chart => chart.id));
+  }, [charts]);
+
+  const deselectAllCharts = useCallback(() => {
+    setSelectedIds([]);
+  }, []);
+
+  /**
+   * Drop selected ids that were in a previous version of a list but are missing
+   * from its reloaded version (e.g. charts deleted on the backend)
+   * @param {Array} previousIds - Ids the list contained before reloading
+   * @param {Array} currentIds - Ids the list contains now
+   */
+  const dropMissing = useCallback((previousIds, currentIds) => {
+    const missing = previousIds.filter(id => !currentIds.includes(id));
+    if (missing.length === 0) return;
+
+    setSelectedIds(prev => {
+      const next = prev.filter(id => !missing.includes(id));
+      return next.length === prev.length ? prev : next;
+    });
+  }, []);
+
+  const isChartSelected = useCallback((chartId) => {
+    return selectedIds.includes(chartId);
+  }, [selectedIds]);
+
+  // Selected charts in selection order; the current list wins over remembered copies
+  const selectedCharts = useMemo(() => {
+    const currentCharts = Object.fromEntries(charts.map(chart => [chart.id, chart]));
+    return selectedIds
+      .map(id => currentCharts[id] || knownCharts[id])
+      .filter(Boolean);
+  }, [charts, knownCharts, selectedIds]);
+
+  return {
+    selectedIds,
+    selectedCharts,
+    selectedCount: selectedIds.length,
+    selectChart,
+    toggleChartSelection,
+    deselectChart,
+    selectCharts,
+    selectAllCharts,
+    deselectAllCharts,
+    dropMissing,
+    isChartSelected,
+  };
+};
+
+export default useChartSelection;
@@ -0,0 +1,417 @@
+// src/hooks/useChartSource.js
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useChartSelection } from './useChartSelection';
+import { useChartBodies } from './useChartBodies';
+import { useBackendHealth } from './useBackendHealth';
+import { DEFAULT_PAGE_SIZE } from '../services/chartSources/chartSource';
+import chartCache from '../services/chartCache';
+import chartSnapshots from '../services/chartSnapshots';
+import healthMonitor, { HEALTH_SETTINGS } from '../services/healthMonitor';
+import { toApiError } from '../services/apiErrors';
+import { isRequestCanceled } from '../utils/requestDedup';
+
+/**
+ * Load, select and manage charts from any chart source adapter
+ * @param {Object} source - Chart source adapter (see services/chartSources)
+ * @param {Object} options - Hook options
+ * @param {boolean} [options.autoLoad=true] - Load charts on mount
+ * @param {boolean} [options.checkConnection=true] - Run the source health check before the initial load
+ * @param {boolean} [options.autoSelectFirst=false] - Select the first chart after the initial load
+ * @param {number} [options.refreshInterval=0] - Reload every N milliseconds (0 disables auto-refresh)
+ * @param {number} [options.pageSize] - Number of charts per page
+ * @param {Object} [options.listOptions] - Extra options passed to source.list()
+ */
+export const useChartSource = (source, options = {}) => {
+  const {
+    autoLoad = true,
+    checkConnection: checkBeforeLoad = true,
+    autoSelectFirst = false,
+    refreshInterval = 0,
+    pageSize: initialPageSize = DEFAULT_PAGE_SIZE,
+    listOptions,
+  } = options;
+
+  const [charts, setCharts] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastFetch, setLastFetch] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null); // Set while showing cached charts the backend has not confirmed
+  const [pagination, setPagination] = useState({
+    page: 1,
+    pageSize: initialPageSize,
+    total: null,
+    hasMore: false,
+  });
+
+  // Shared with every other page using this backend, and kept live by periodic probes
+  const health = useBackendHealth(source);
+  const connectionStatus = health.status; // 'connected', 'disconnected', 'unknown'
+
+  // Charts selected from a link may be on another page; fetch them once the list is in
+  const resolveChart = useCallback((chartId) => source.get(chartId), [source]);
+  const selection = useChartSelection(charts, { resolveChart: lastFetch ? resolveChart : undefined });
+  const { selectCharts, deselectChart, dropMissing } = selection;
+  const { withBody, loadChartBody, invalidateChartBody, isBodyLoading, getBodyError } = useChartBodies();
+
+  // List entries may come without their plotly payload; fill in fetched bodies
+  const selectedCharts = useMemo(() => (
+    selection.selectedCharts.map(withBody)
+  ), [selection.selectedCharts, withBody]);
+
+  const isLoadingRef = useRef(false);
+  const paginationRef = useRef(pagination);
+  paginationRef.current = pagination;
+  const chartsRef = useRef(charts);
+  chartsRef.current = charts;
+  const hasAutoSelectedRef = useRef(false);
+  const selectedIdsRef = useRef(selection.selectedIds);
+  selectedIdsRef.current = selection.selectedIds;
+  const listOptionsRef = useRef(listOptions);
+  listOptionsRef.current = listOptions;
+
+  // Latest list/search request; older ones are aborted and their results ignored
+  const requestRef = useRef({ id: 0, controller: null });
+
+  /**
+   * Abort the running list/search request and register a new one
+   * @returns {{signal: AbortSignal, isCurrent: function(): boolean}} The new request
+   */
+  const startRequest = useCallback(() => {
+    requestRef.current.controller?.abort();
+    const controller = new AbortController();
+    const id = requestRef.current.id + 1;
+    requestRef.current = { id, controller };
+    return { signal: controller.signal, isCurrent: () => requestRef.current.id === id };
+  }, []);
+
+  /**
+   * Check connection to the backend
+   * @param {Object} [checkOptions] - Options passed to healthMonitor.check()
+   * @param {number} [checkOptions.maxAge] - Reuse a probe at most this old (ms)
+   * @returns {Promise<boolean>} Whether the backend is reachable
+   */
+  const checkConnection = useCallback(async (checkOptions) => {
+    const result = await healthMonitor.check(source, checkOptions);
+    if (result.status !== 'connected') {
+      console.warn(`${source.label} connection failed:`, result.message);
+    }
+    return result.status === 'connected';
+  }, [source]);
+
+  /**
+   * Load one page of the chart list. A cached copy of the page is shown right
+   * away and replaced once the backend answers; if the backend fails the
+   * cached copy stays on screen next to the error.
+   * @param {Object} [loadOptions] - Options passed to source.list()
+   * @param {number} [loadOptions.page] - Page to load (defaults to the current page)
+   * @param {number} [loadOptions.pageSize] - Page size (defaults to the current page size)
+   * @param {boolean} [loadOptions.cacheFirst=false] - Skip the request while the cached page is fresh
+   * @returns {Promise<Array|null>} Loaded charts, or null if loading failed
+   */
+  const loadCharts = useCallback(async (loadOptions = {}) => {
+    const { cacheFirst = false, ...listParams } = loadOptions;
+    const page = listParams.page ?? paginationRef.current.page;
+    const pageSize = listParams.pageSize ?? paginationRef.current.pageSize;
+    const previousPage = paginationRef.current.page === page ? chartsRef.current : [];
+    const params = { ...listOptionsRef.current, ...listParams, page, pageSize };
+
+    const showPage = (result) => {
+      setCharts(result.charts);
+      setPagination({
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        hasMore: result.hasMore,
+      });
+    };
+
+    const { signal, isCurrent } = startRequest();
+
+    isLoadingRef.current = true;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const { value: result, fromCache, storedAt, error: fetchError } = await chartCache.revalidate(
+        chartCache.listKey(source.name, params),
+        () => healthMonitor.guard(source, () => source.list({ ...params, signal })),
+        { cacheFirst, onCached: (cached) => isCurrent() && showPage(cached) }
+      );
+
+      // A newer load or search started meanwhile: its result wins
+      if (!isCurrent()) return null;
+
+      // The page we were on disappeared (e.g. after deletes): step back one page
+      if (!fromCache && result.charts.length === 0 && page > 1) {
+        return await loadCharts({ ...loadOptions, page: page - 1, pageSize });
+      }
+
+      showPage(result);
+      setCachedAt(fromCache ? new Date(storedAt) : null);
+      setLastFetch(fromCache ? new Date(storedAt) : new Date());
+
+      if (fetchError) {
+        console.error(`Failed to load charts from ${source.label}, showing cached charts:`, fetchError);
+        setError(toApiError(fetchError, { backend: source.name }));
+      }
+
+      // Clear selected charts if any of them no longer exist on this page
+      dropMissing(previousPage.map(chart => chart.id), result.charts.map(chart => chart.id));
+
+      // Only auto-select on the initial load, not on subsequent fetches or over a restored selection
+      if (autoSelectFirst && !hasAutoSelectedRef.current && result.charts.length > 0 && selectedIdsRef.current.length === 0) {
+        hasAutoSelectedRef.current = true;
+        selectCharts([result.charts[0].id]);
+      }
+
+      // Charts listed with their bodies are never fetched one by one; recorded in the background for the diff view
+      if (!fromCache) chartSnapshots.recordListed(result.charts);
+
+      return result.charts;
+    } catch (err) {
+      if (isRequestCanceled(err) || !isCurrent()) return null;
+
+      console.error(`Failed to load charts from ${source.label}:`, err);
+      setError(toApiError(err, { backend: source.name }));
+      return null;
+    } finally {
+      if (isCurrent()) {
+        isLoadingRef.current = false;
+        setIsLoading(false);
+      }
+    }
+  }, [source, autoSelectFirst, dropMissing, selectCharts, startRequest]);
+
+  /**
+   * Show the cached copy of the current page without contacting the backend
+   * @returns {Promise<boolean>} Whether a cached page was found
+   */
+  const loadCachedCharts = useCallback(async () => {
+    const { isCurrent } = startRequest();
+    const { page, pageSize } = paginationRef.current;
+    const cached = await chartCache.get(
+      chartCache.listKey(source.name, { ...listOptionsRef.current, page, pageSize })
+    );
+    if (!cached || !isCurrent()) return false;
+
+    setCharts(cached.value.charts);
+    setPagination(prev => ({ ...prev, total: cached.value.total, hasMore: cached.value.hasMore }));
+    setCachedAt(new Date(cached.storedAt));
+    setLastFetch(new Date(cached.storedAt));
+    return true;
+  }, [source, startRequest]);
+
+  /**
+   * Load another page of the chart list
+   * @param {number} page - 1-based page number
+   */
+  const goToPage = useCallback((page) => {
+    return loadCharts({ page: Math.max(1, page), cacheFirst: true });
+  }, [loadCharts]);
+
+  /**
+   * Change the page size and go back to the first page
+   * @param {number} pageSize - Charts per page
+   */
+  const setPageSize = useCallback((pageSize) => {
+    return loadCharts({ page: 1, pageSize, cacheFirst: true });
+  }, [loadCharts]);
+
+  /**
+   * Search charts by title or description, replacing the current list
+   */
+  const searchCharts = useCallback(async (searchTerm) => {
+    const { isCurrent } = startRequest();
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const results = await source.search(searchTerm);
+      if (!isCurrent()) return null;
+
+      setCharts(results);
+      setPagination(prev => ({ ...prev, page: 1, total: results.length, hasMore: false }));
+      setCachedAt(null);
+      chartSnapshots.recordListed(results);
+      return results;
+    } catch (err) {
+      if (!isCurrent()) return null;
+
+      console.error(`Failed to search charts in ${source.label}:`, err);
+      setError(toApiError(err, { backend: source.name }));
+      return null;
+    } finally {
+      if (isCurrent()) {
+        setIsLoading(false);
+      }
+    }
+  }, [source, startRequest]);
+
+  /**
+   * Get a specific chart by id (normalized or backend id)
+   */
+  const getChartById = useCallback(async (chartId) => {
+    try {
+      return await source.get(chartId);
+    } catch (err) {
+      console.error(`Failed to get chart ${chartId}:`, err);
+      throw err;
+    }
+  }, [source]);
+
+  const createChart = useCallback(async (chartInput, createOptions) => {
+    try {
+      const chart = await source.create(chartInput, createOptions);
+      await chartCache.invalidateSource(source.name);
+
+      // Refresh the chart list to include new chart
+      await loadCharts();
+
+      return chart;
+    } catch (err) {
+      console.error('Failed to create chart:', err);
+      throw err;
+    }
+  }, [source, loadCharts]);
+
+  const updateChart = useCallback(async (chartId, chartInput) => {
+    try {
+      const chart = await source.update(chartId, chartInput);
+      await chartCache.invalidateSource(source.name);
+      invalidateChartBody(chartId);
+
+      // Refresh the chart list to get updated data
+      await loadCharts();
+
+      return chart;
+    } catch (err) {
+      console.error(`Failed to update chart ${chartId}:`, err);
+      throw err;
+    }
+  }, [source, loadCharts, invalidateChartBody]);
+
+  const deleteChart = useCallback(async (chartId) => {
+    try {
+      await source.delete(chartId);
+      await chartCache.invalidateSource(source.name);
+
+      // Remove from local state
+      setCharts(prev => prev.filter(chart => chart.id !== chartId));
+      deselectChart(chartId);
+      invalidateChartBody(chartId);
+
+      return true;
+    } catch (err) {
+      console.error(`Failed to delete chart ${chartId}:`, err);
+      throw err;
+    }
+  }, [source, deselectChart, invalidateChartBody]);
+
+  /**
+   * Re-check the connection and reload when the backend is reachable again
+   */
+  const retryConnection = useCallback(async () => {
+    const isConnected = await checkConnection();
+    if (isConnected) {
+      await loadCharts();
+    }
+    return isConnected;
+  }, [checkConnection, loadCharts]);
+
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Initial load on mount
+  useEffect(() => {
+    if (!autoLoad) return;
+
+    const initialize = async () => {
+      // A recent probe by another page is good enough
+      if (checkBeforeLoad && !(await checkConnection({ maxAge: HEALTH_SETTINGS.probeInterval }))) {
+        // Backend unreachable: fall back to the last charts seen
+        await loadCachedCharts();
+        return;
+      }
+      await loadCharts({ cacheFirst: true });
+    };
+
+    initialize();
+  }, [autoLoad, checkBeforeLoad, checkConnection, loadCharts, loadCachedCharts]);
+
+  // Abort the running request when the component using the hook unmounts
+  useEffect(() => () => {
+    requestRef.current.controller?.abort();
+    requestRef.current = { id: requestRef.current.id + 1, controller: null };
+  }, []);
+
+  // Reload once a health probe finds the backend again while a failed or cached list is shown
+  const previousStatusRef = useRef(connectionStatus);
+  useEffect(() => {
+    const wasDisconnected = previousStatusRef.current === 'disconnected';
+    previousStatusRef.current = connectionStatus;
+
+    if (autoLoad && wasDisconnected && connectionStatus === 'connected' && (cachedAt || error)) {
+      loadCharts();
+    }
+  }, [autoLoad, connectionStatus, cachedAt, error, loadCharts]);
+
+  // Optional auto-refresh
+  useEffect(() => {
+    if (!refreshInterval) return undefined;
+
+    const interval = setInterval(() => {
+      if (!isLoadingRef.current) {
+        loadCharts();
+      }
+    }, refreshInterval);
+
+    return () => clearInterval(interval);
+  }, [refreshInterval, loadCharts]);
+
+  return {
+    // State
+    source,
+    capabilities: source.capabilities,
+    charts,
+    isLoading,
+    error,
+    connectionStatus,
+    health,
+    lastFetch,
+    cachedAt,
+    isShowingCache: cachedAt !== null,
+    chartCount: charts.length,
+    hasCharts: charts.length > 0,
+    pagination,
+
+    // Paging
+    goToPage,
+    setPageSize,
+
+    // Chart operations
+    loadCharts,
+    searchCharts,
+    getChartById,
+    createChart,
+    updateChart,
+    deleteChart,
+
+    // Selection management
+    ...selection,
+    selectedCharts,
+
+    // Lazily loaded chart bodies
+    loadChartBody,
+    isBodyLoading,
+    getBodyError,
+
+    // Utilities
+    checkConnection,
+    retryConnection,
+    clearError,
+  };
+};
+
+export default useChartSource;
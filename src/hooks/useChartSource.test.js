@@ -0,0 +1,72 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useChartSource } from './useChartSource';
+import chartCache from '../services/chartCache';
+import chartSnapshots from '../services/chartSnapshots';
+import { createChart, createPage } from '../services/chartSources/chartSource';
+import { diffCharts, hasChanges } from '../utils/chartDiff';
+
+const chart = (y, updatedAt) => createChart('fastapi', {
+  sourceId: 1,
+  title: 'Revenue',
+  data: [{ name: 'AAPL', x: ['2024-03-31'], y: [y] }],
+  updatedAt,
+});
+
+// FastAPI-like source: the list comes with the chart bodies
+const createSource = () => ({
+  name: 'fastapi',
+  label: 'FastAPI',
+  isConfigured: () => true,
+  healthCheck: vi.fn(async () => ({ status: 'connected' })),
+  list: vi.fn(),
+  get: vi.fn(),
+  search: vi.fn(),
+});
+
+describe('useChartSource', () => {
+  beforeEach(async () => {
+    await chartCache.clear();
+  });
+
+  test('records charts listed with their bodies, so a refresh with changed data can be diffed', async () => {
+    const source = createSource();
+    source.list
+      .mockResolvedValueOnce(createPage([chart(100, '2024-04-01')], { page: 1, pageSize: 20, total: 1 }))
+      .mockResolvedValueOnce(createPage([chart(120, '2024-04-02')], { page: 1, pageSize: 20, total: 1 }));
+
+    const { result } = renderHook(() => useChartSource(source, { autoLoad: false, checkConnection: false }));
+
+    // Versions are recorded in the background
+    const recordedVersions = async () => (await chartSnapshots.list('fastapi:1')).map(version => version.version);
+
+    await act(() => result.current.loadCharts());
+    await waitFor(async () => expect(await recordedVersions()).toEqual(['2024-04-01']));
+    await act(() => result.current.loadCharts());
+    await waitFor(async () => expect(await recordedVersions()).toEqual(['2024-04-02', '2024-04-01']));
+
+    const current = result.current.charts[0];
+    const [, earlier] = await chartSnapshots.list(current.id);
+
+    const diff = diffCharts(earlier, current);
+    expect(hasChanges(diff)).toBe(true);
+    expect(diff.counts.changed).toBe(1);
+  });
+
+  test('does not fail a list load when recording versions fails', async () => {
+    const source = createSource();
+    source.list.mockResolvedValue(createPage([chart(100, '2024-04-01')], { page: 1, pageSize: 20, total: 1 }));
+    const record = vi.spyOn(chartSnapshots, 'record').mockRejectedValue(new Error('QuotaExceededError'));
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { result } = renderHook(() => useChartSource(source, { autoLoad: false, checkConnection: false }));
+    await act(() => result.current.loadCharts());
+
+    expect(result.current.charts).toHaveLength(1);
+    expect(result.current.error).toBeNull();
+    await waitFor(() => expect(warn).toHaveBeenCalled());
+
+    record.mockRestore();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,241 @@
+// src/hooks/useChartSources.js
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useChartSelection } from './useChartSelection';
+import { useChartBodies } from './useChartBodies';
+import { DEFAULT_PAGE_SIZE } from '../services/chartSources/chartSource';
+import chartCache from '../services/chartCache';
+import chartSnapshots from '../services/chartSnapshots';
+import healthMonitor from '../services/healthMonitor';
+import { toApiError } from '../services/apiErrors';
+import { isRequestCanceled } from '../utils/requestDedup';
+
+const createSection = (source) => ({
+  charts: [],
+  isLoading: false,
+  error: source.isConfigured() ? null : `${source.label} is not configured`,
+  lastFetch: null,
+  cachedAt: null, // Set while the section shows cached charts the backend has not confirmed
+  pagination: { page: 1, pageSize: DEFAULT_PAGE_SIZE, total: null, hasMore: false },
+});
+
+/**
+ * Load charts from several chart sources in parallel and select across them.
+ * Each source has its own section state, so a backend that is down only
+ * affects its own section.
+ * @param {Array} sources - Chart source adapters (must be a stable array)
+ */
+export const useChartSources = (sources) => {
+  const [sections, setSections] = useState(() => (
+    Object.fromEntries(sources.map(source => [source.name, createSection(source)]))
+  ));
+
+  // Backend health comes from the shared health monitor, not from this hook's loads
+  const [health, setHealth] = useState(() => (
+    Object.fromEntries(sources.map(source => [source.name, healthMonitor.getHealth(source)]))
+  ));
+
+  useEffect(() => {
+    const unsubscribes = sources.map(source => healthMonitor.subscribe(source, (sourceHealth) => {
+      setHealth(prev => ({ ...prev, [source.name]: sourceHealth }));
+    }));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [sources]);
+
+  const sectionsRef = useRef(sections);
+  sectionsRef.current = sections;
+
+  // Latest request per source; older ones are aborted and their results ignored
+  const requestsRef = useRef({});
+
+  const updateSection = useCallback((name, changes) => {
+    setSections(prev => ({ ...prev, [name]: { ...prev[name], ...changes } }));
+  }, []);
+
+  // Selection lives here rather than below so loadSource can prune it
+  const [mergedCharts, setMergedCharts] = useState([]);
+  // Charts selected from a link may be on another page of their source
+  const hasLoaded = Object.values(sections).some(section => section.lastFetch);
+  const resolveChart = useCallback((chartId) => {
+    const source = sources.find(s => chartId.startsWith(`${s.name}:`));
+    return source ? source.get(chartId) : Promise.reject(new Error(`Unknown chart source in ${chartId}`));
+  }, [sources]);
+  const selection = useChartSelection(mergedCharts, { resolveChart: hasLoaded ? resolveChart : undefined });
+  const { selectedIds, selectCharts, dropMissing } = selection;
+  const { withBody, loadChartBody, isBodyLoading, getBodyError } = useChartBodies();
+
+  const selectedCharts = useMemo(() => (
+    selection.selectedCharts.map(withBody)
+  ), [selection.selectedCharts, withBody]);
+
+  /**
+   * Load one page of the chart list of a single source, showing its cached
+   * copy first and keeping it if the backend fails
+   * @param {Object} source - Chart source adapter
+   * @param {number} [page] - Page to load (defaults to the section's current page)
+   * @param {Object} [loadOptions] - Options
+   * @param {boolean} [loadOptions.cacheFirst=false] - Skip the request while the cached page is fresh
+   * @returns {Promise<Array|null>} Loaded charts, or null if loading failed
+   */
+  const loadSource = useCallback(async (source, page, { cacheFirst = false } = {}) => {
+    if (!source.isConfigured()) {
+      updateSection(source.name, createSection(source));
+      return null;
+    }
+
+    const section = sectionsRef.current[source.name];
+    const targetPage = page ?? section.pagination.page;
+    const previousPage = section.pagination.page === targetPage ? section.charts : [];
+    const params = { page: targetPage, pageSize: section.pagination.pageSize };
+
+    requestsRef.current[source.name]?.controller.abort();
+    const controller = new AbortController();
+    const request = { controller };
+    requestsRef.current[source.name] = request;
+    const isCurrent = () => requestsRef.current[source.name] === request;
+
+    const toSectionPage = (result) => ({
+      charts: result.charts,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        hasMore: result.hasMore,
+      },
+    });
+
+    updateSection(source.name, { isLoading: true, error: null });
+
+    try {
+      const { value: result, fromCache, storedAt, error: fetchError } = await chartCache.revalidate(
+        chartCache.listKey(source.name, params),
+        () => healthMonitor.guard(source, () => source.list({ ...params, signal: controller.signal })),
+        { cacheFirst, onCached: (cached) => isCurrent() && updateSection(source.name, toSectionPage(cached)) }
+      );
+
+      // A newer load of this source started meanwhile: its result wins
+      if (!isCurrent()) return null;
+
+      updateSection(source.name, {
+        ...toSectionPage(result),
+        isLoading: false,
+        error: fetchError ? toApiError(fetchError, { backend: source.name }) : null,
+        cachedAt: fromCache ? new Date(storedAt) : null,
+        lastFetch: fromCache ? new Date(storedAt) : new Date(),
+      });
+      if (fetchError) {
+        console.error(`Failed to load charts from ${source.label}, showing cached charts:`, fetchError);
+      }
+      dropMissing(previousPage.map(chart => chart.id), result.charts.map(chart => chart.id));
+      // Charts listed with their bodies are never fetched one by one; recorded in the background for the diff view
+      if (!fromCache) chartSnapshots.recordListed(result.charts);
+      return result.charts;
+    } catch (err) {
+      if (isRequestCanceled(err) || !isCurrent()) return null;
+
+      console.error(`Failed to load charts from ${source.label}:`, err);
+      updateSection(source.name, {
+        charts: [],
+        isLoading: false,
+        error: toApiError(err, { backend: source.name }),
+        cachedAt: null,
+      });
+      return null;
+    }
+  }, [updateSection, dropMissing]);
+
+  /**
+   * Load every source in parallel; failures are recorded per section
+   * @param {Object} [loadOptions] - Options passed to loadSource
+   */
+  const loadAll = useCallback((loadOptions) => {
+    return Promise.allSettled(sources.map(source => loadSource(source, undefined, loadOptions)));
+  }, [sources, loadSource]);
+
+  /**
+   * Reload a single source, optionally moving it to another page
+   * @param {string} name - Source name
+   * @param {number} [page] - Page to load
+   */
+  const reloadSource = useCallback((name, page) => {
+    const source = sources.find(s => s.name === name);
+    return source ? loadSource(source, page, { cacheFirst: page !== undefined }) : Promise.resolve(null);
+  }, [sources, loadSource]);
+
+  /**
+   * Create a chart in one source and reload that source's list
+   * @param {string} name - Source name
+   * @param {Object} chartInput - Chart fields ({ title, description, data, layout })
+   * @param {Object} [createOptions] - Options passed to source.create (e.g. idempotencyKey)
+   * @returns {Promise<Object>} Created chart
+   */
+  const createChart = useCallback(async (name, chartInput, createOptions) => {
+    const source = sources.find(s => s.name === name);
+    if (!source) throw new Error(`Unknown chart source: ${name}`);
+
+    const chart = await source.create(chartInput, createOptions);
+    await chartCache.invalidateSource(source.name);
+    await loadSource(source);
+    return chart;
+  }, [sources, loadSource]);
+
+  // Initial load on mount
+  useEffect(() => {
+    loadAll({ cacheFirst: true });
+  }, [loadAll]);
+
+  // Abort running requests on unmount
+  useEffect(() => () => {
+    Object.values(requestsRef.current).forEach(request => request.controller.abort());
+    requestsRef.current = {};
+  }, []);
+
+  // Merged list in source order
+  const charts = useMemo(() => (
+    sources.flatMap(source => sections[source.name].charts)
+  ), [sources, sections]);
+
+  useEffect(() => {
+    setMergedCharts(charts);
+  }, [charts]);
+
+  /**
+   * Replace the selection within one source, keeping the other sources' selections
+   */
+  const selectSourceCharts = useCallback((name, chartIds) => {
+    const sectionIds = sections[name].charts.map(chart => chart.id);
+    selectCharts([
+      ...selectedIds.filter(id => !sectionIds.includes(id)),
+      ...chartIds,
+    ]);
+  }, [sections, selectedIds, selectCharts]);
+
+  // Sections as exposed to pages, with the live backend health merged in
+  const sectionsWithHealth = useMemo(() => (
+    Object.fromEntries(Object.entries(sections).map(([name, section]) => [
+      name,
+      { ...section, health: health[name], connectionStatus: health[name].status },
+    ]))
+  ), [sections, health]);
+
+  return {
+    sources,
+    sections: sectionsWithHealth,
+    charts,
+    isLoading: Object.values(sections).some(section => section.isLoading),
+    chartCount: charts.length,
+
+    loadAll,
+    reloadSource,
+    createChart,
+
+    ...selection,
+    selectedCharts,
+    selectSourceCharts,
+
+    loadChartBody,
+    isBodyLoading,
+    getBodyError,
+  };
+};
+
+export default useChartSources;
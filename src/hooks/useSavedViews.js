@@ -0,0 +1,112 @@
+// src/hooks/useSavedViews.js
+import { useState, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import savedViewService from '../services/savedViewService';
+import { toApiError } from '../services/apiErrors';
+import { applyViewState, parseViewState } from '../utils/viewState';
+
+/**
+ * Saved views of the current user: list, save the current view, rename,
+ * duplicate, delete and open them
+ */
+export const useSavedViews = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const [views, setViews] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isOffline, setIsOffline] = useState(false); // Listing from this device only
+  const [isSignedIn, setIsSignedIn] = useState(true); // Signed-out users keep views in this browser
+  const [isShared, setIsShared] = useState(true); // Views are stored in FastAPI, not only in this browser
+
+  const loadViews = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await savedViewService.list();
+      setViews(result.views);
+      setIsOffline(result.offline);
+      setIsSignedIn(result.signedIn);
+      setIsShared(result.shared);
+    } catch (err) {
+      console.error('Failed to load saved views:', err);
+      setError(toApiError(err, { backend: 'fastapi' }));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Run a change, recording its error; errors are rethrown so forms can show field errors
+   * @param {function(): Promise<*>} change - Service call
+   * @returns {Promise<*>} Result of the call
+   */
+  const runChange = useCallback(async (change) => {
+    setError(null);
+    try {
+      return await change();
+    } catch (err) {
+      const apiError = toApiError(err, { backend: 'fastapi' });
+      setError(apiError);
+      throw apiError;
+    }
+  }, []);
+
+  /**
+   * Save what is on screen (route, selection, display mode, filters) under a name
+   * @param {string} name - View name
+   * @returns {Promise<Object>} Saved view
+   */
+  const saveCurrentView = useCallback((name) => runChange(async () => {
+    const { charts, mode, index, filters } = parseViewState(location.search);
+    const view = await savedViewService.create(name, { path: location.pathname, charts, mode, index, filters });
+    setViews(prev => [view, ...prev]);
+    if (view.storage === 'local' && isSignedIn && isShared) setIsOffline(true);
+    return view;
+  }), [location.pathname, location.search, isSignedIn, isShared, runChange]);
+
+  const renameView = useCallback((view, name) => runChange(async () => {
+    const renamed = await savedViewService.rename(view, name);
+    setViews(prev => prev.map(v => (v.id === view.id ? renamed : v)));
+    return renamed;
+  }), [runChange]);
+
+  const duplicateView = useCallback((view) => runChange(async () => {
+    const copy = await savedViewService.duplicate(view);
+    setViews(prev => [copy, ...prev]);
+    return copy;
+  }), [runChange]);
+
+  const deleteView = useCallback((view) => runChange(async () => {
+    await savedViewService.remove(view);
+    setViews(prev => prev.filter(v => v.id !== view.id));
+  }), [runChange]);
+
+  /**
+   * Navigate to a view; the pages restore it from the URL
+   * @param {Object} view - Saved view
+   */
+  const openView = useCallback((view) => {
+    const search = applyViewState('', view).toString();
+    navigate({ pathname: view.path, search: search ? `?${search}` : '' });
+  }, [navigate]);
+
+  return {
+    views,
+    isLoading,
+    error,
+    isOffline,
+    isSignedIn,
+    isShared,
+    loadViews,
+    saveCurrentView,
+    renameView,
+    duplicateView,
+    deleteView,
+    openView,
+    clearError: () => setError(null),
+  };
+};
+
+export default useSavedViews;
@@ -0,0 +1,128 @@
+// src/hooks/useViewState.js
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { applyViewState, parseViewState } from '../utils/viewState';
+
+/**
+ * View state stored in the current route's query parameters
+ * @returns {{viewState: import('../utils/viewState').ViewState, updateViewState: Function}}
+ *   Parsed state, and a function taking (changes, { replace }) that writes changes to the URL
+ */
+export const useViewState = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const viewState = useMemo(() => parseViewState(location.search), [location.search]);
+
+  const updateViewState = useCallback((changes, { replace = false } = {}) => {
+    // Read the live URL so several updates in one render build on each other
+    const current = window.location.search;
+    const search = applyViewState(current, changes).toString();
+    if (search === new URLSearchParams(current).toString()) return;
+
+    navigate({ search: search ? `?${search}` : '' }, { replace });
+  }, [navigate]);
+
+  return { viewState, updateViewState };
+};
+
+/**
+ * Keep one piece of component state and its URL value in sync. URL changes
+ * (initial load, back and forward) are applied to the state; state changes are
+ * written to the URL. Values are compared by their JSON form, so the state
+ * must be passed as null when it is at its default, like an absent parameter.
+ * @param {*} urlValue - Value parsed from the URL, null when absent
+ * @param {*} value - Current state in the same shape, null for the default
+ * @param {function(*): void} applyUrlValue - Apply a URL value (null means reset to the default)
+ * @param {function(*): void} writeUrlValue - Write the state to the URL
+ */
+export const useUrlSync = (urlValue, value, applyUrlValue, writeUrlValue) => {
+  const urlKey = JSON.stringify(urlValue);
+  const valueKey = JSON.stringify(value);
+
+  // Nothing to restore when the page opens without the parameter
+  const lastUrlKeyRef = useRef(urlValue === null ? urlKey : undefined);
+  const lastValueKeyRef = useRef(valueKey);
+
+  const applyRef = useRef(applyUrlValue);
+  applyRef.current = applyUrlValue;
+  const writeRef = useRef(writeUrlValue);
+  writeRef.current = writeUrlValue;
+  const urlValueRef = useRef(urlValue);
+  urlValueRef.current = urlValue;
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  // Only URL changes run this effect; state changes are handled below
+  useEffect(() => {
+    if (urlKey === lastUrlKeyRef.current) return;
+    lastUrlKeyRef.current = urlKey;
+    if (urlKey !== valueKey) applyRef.current(urlValueRef.current);
+  }, [urlKey]);
+
+  useEffect(() => {
+    if (valueKey === lastValueKeyRef.current) return;
+    lastValueKeyRef.current = valueKey;
+    if (valueKey !== urlKey) writeRef.current(valueRef.current);
+  }, [valueKey]);
+};
+
+/**
+ * Mirror a chart selection in the `chart` query parameters
+ * @param {string[]} selectedIds - Selected chart ids
+ * @param {function(string[]): void} selectCharts - Replace the selection
+ */
+export const useSelectionInUrl = (selectedIds, selectCharts) => {
+  const { viewState, updateViewState } = useViewState();
+
+  useUrlSync(
+    viewState.charts,
+    selectedIds.length > 0 ? selectedIds : null,
+    (chartIds) => selectCharts(chartIds || []),
+    (chartIds) => updateViewState({ charts: chartIds })
+  );
+};
+
+/**
+ * Display mode and current chart of a chart display, stored in the URL
+ * @param {string[]} chartIds - Ids of the displayed charts, in order
+ * @param {'single'|'grid'|'diff'} defaultMode - Mode used when the URL has none
+ * @returns {{displayMode: string, setDisplayMode: Function, currentChartIndex: number, setCurrentChartIndex: Function}}
+ */
+export const useDisplayState = (chartIds, defaultMode) => {
+  const { viewState, updateViewState } = useViewState();
+  const [displayMode, setDisplayMode] = useState(viewState.mode ?? defaultMode);
+  const [currentChartIndex, setCurrentChartIndex] = useState(viewState.index ?? 0);
+
+  const viewStateRef = useRef(viewState);
+  viewStateRef.current = viewState;
+
+  // Back to the first chart when the selection changes, except while the
+  // linked charts are still arriving (they may load one by one)
+  const selectionKey = chartIds.join(',');
+  useEffect(() => {
+    if (!selectionKey) return;
+    const { charts: linkedIds, index } = viewStateRef.current;
+    const isLinked = index !== null && selectionKey.split(',').every(id => linkedIds?.includes(id));
+    setCurrentChartIndex(isLinked ? index : 0);
+  }, [selectionKey]);
+
+  useUrlSync(
+    viewState.mode,
+    displayMode === defaultMode ? null : displayMode,
+    (mode) => setDisplayMode(mode ?? defaultMode),
+    (mode) => updateViewState({ mode })
+  );
+
+  // Stepping through charts replaces the history entry instead of adding one per click
+  useUrlSync(
+    viewState.index,
+    currentChartIndex > 0 ? currentChartIndex : null,
+    (index) => setCurrentChartIndex(index ?? 0),
+    (index) => updateViewState({ index }, { replace: true })
+  );
+
+  return { displayMode, setDisplayMode, currentChartIndex, setCurrentChartIndex };
+};
+
+export default useViewState;
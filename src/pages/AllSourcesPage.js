@@ -0,0 +1,153 @@
+// src/pages/AllSourcesPage.js
+import React, { useState } from 'react';
+import { useChartSources } from '../hooks/useChartSources';
+import { useSelectionInUrl } from '../hooks/useViewState';
+import { chartSources } from '../services/chartSources';
+import ChartList from '../components/fastapi/ChartList';
+import ChartDisplay from '../components/ChartDisplay';
+import ChartWizard from '../components/ChartWizard';
+import ExportMenu from '../components/ExportMenu';
+import SourceBadge from '../components/SourceBadge';
+import ErrorDisplay from '../components/ErrorDisplay';
+import ConnectionStatus from '../components/ConnectionStatus';
+
+const AllSourcesPage = () => {
+  const {
+    sections,
+    selectedIds,
+    selectedCharts,
+    isLoading,
+    chartCount,
+    loadAll,
+    reloadSource,
+    createChart,
+    selectCharts,
+    selectSourceCharts,
+    deselectAllCharts,
+    loadChartBody,
+    isBodyLoading,
+    getBodyError,
+  } = useChartSources(chartSources);
+
+  // Selections across backends are part of the URL, so a shared link opens the same comparison
+  useSelectionInUrl(selectedIds, selectCharts);
+
+  // Backend preselected in the create wizard, or null while it is closed
+  const [createTarget, setCreateTarget] = useState(null);
+  const creatableSources = chartSources.filter(source => source.capabilities.create && source.isConfigured());
+
+  // One section per backend; a failing backend only affects its own section
+  const renderSection = (source) => {
+    const section = sections[source.name];
+    const isUnavailable = section.connectionStatus === 'disconnected' && !section.isLoading && section.charts.length === 0;
+
+    return (
+      <div key={source.name} className="source-section">
+        <div className="source-section-header">
+          <SourceBadge source={source.name} />
+          <ConnectionStatus health={section.health} isLoading={section.isLoading} />
+        </div>
+
+        {section.cachedAt && (
+          <p className="cache-notice">
+            Showing cached charts from {section.cachedAt.toLocaleString()}
+          </p>
+        )}
+
+        {/* Any failed load is shown, also over cached charts or with the backend up (auth, not found) */}
+        {(section.error || isUnavailable) && (
+          <ErrorDisplay
+            error={section.error || `${source.label} is unavailable`}
+            onRetry={source.isConfigured() ? () => reloadSource(source.name) : null}
+            showFallback={section.charts.length > 0}
+          />
+        )}
+
+        {!isUnavailable && (
+          <ChartList
+            charts={section.charts}
+            onChartSelect={(chartIds) => selectSourceCharts(source.name, chartIds)}
+            onRefresh={() => reloadSource(source.name)}
+            onCreate={creatableSources.includes(source) ? () => setCreateTarget(source.name) : undefined}
+            selectedChartIds={selectedIds}
+            isLoading={section.isLoading}
+            allowMultiSelect={true}
+            pagination={{
+              ...section.pagination,
+              onPageChange: (page) => reloadSource(source.name, page),
+            }}
+          />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="fastapi-page all-sources-page">
+      <div className="page-header">
+        <h1>All Sources Dashboard</h1>
+        <p>Charts from every configured backend side by side. Select charts from any source to compare them in one view.</p>
+        <div className="list-controls">
+          <button
+            onClick={() => loadAll()}
+            disabled={isLoading}
+            className="refresh-button"
+          >
+            {isLoading ? 'Loading...' : 'Refresh All'}
+          </button>
+          {creatableSources.length > 0 && (
+            <button
+              onClick={() => setCreateTarget(creatableSources[0].name)}
+              className="refresh-button"
+            >
+              New Chart
+            </button>
+          )}
+          {selectedIds.length > 0 && (
+            <button
+              onClick={deselectAllCharts}
+              className="select-all-button"
+            >
+              Clear Selection ({selectedIds.length})
+            </button>
+          )}
+          {selectedCharts.length > 0 && (
+            <ExportMenu charts={selectedCharts} disabled={isLoading} />
+          )}
+        </div>
+      </div>
+
+      {createTarget && (
+        <ChartWizard
+          key={createTarget}
+          targets={creatableSources}
+          defaultTarget={createTarget}
+          onCreate={createChart}
+          onClose={() => setCreateTarget(null)}
+        />
+      )}
+
+      <div className="source-sections">
+        {chartSources.map(renderSection)}
+      </div>
+
+      <ChartDisplay
+        charts={selectedCharts}
+        defaultMode="grid"
+        gridHeight={350}
+        layoutKey="all-sources"
+        singleHeight={500}
+        showSourceBadge={true}
+        isLoading={isLoading}
+        onLoadChartBody={loadChartBody}
+        isBodyLoading={isBodyLoading}
+        getBodyError={getBodyError}
+        emptyMessage={!isLoading && chartCount === 0 && (
+          <p>No charts could be loaded from any backend.</p>
+        )}
+      />
+    </div>
+  );
+};
+
+export default AllSourcesPage;
@@ -1,44 +1,45 @@
 // src/pages/FastAPIPage.js
-import React, { useState, useCallback } from 'react';
-import { useFastAPICharts } from '../hooks/useFastAPICharts';
+import React, { useCallback, useState } from 'react';
+import { useChartSource } from '../hooks/useChartSource';
+import { useSelectionInUrl } from '../hooks/useViewState';
+import { fastApiChartSource } from '../services/chartSources';
 import ChartList from '../components/fastapi/ChartList';
-import PlotlyChartViewer from '../components/fastapi/PlotlyChartViewer';
+import ChartDisplay from '../components/ChartDisplay';
+import ChartEditor from '../components/fastapi/ChartEditor';
+import ChartWizard from '../components/ChartWizard';
 import ErrorDisplay from '../components/ErrorDisplay';
+import ConnectionStatus from '../components/ConnectionStatus';
 import Loading from '../components/Loading';
 
 const FastAPIPage = () => {
   const {
     charts,
-    selectedCharts,
+    selectedIds,
+    selectedCharts: selectedChartObjects,
     isLoading,
     error,
     connectionStatus,
     loadCharts,
+    getChartById,
+    createChart,
+    updateChart,
     deleteChart,
-    selectChart,
     selectCharts,
-    selectAllCharts,
-    deselectAllCharts,
-    getSelectedCharts,
-    getChartCount,
-    getSelectedCount,
+    chartCount,
     retryConnection,
-    clearError,
-  } = useFastAPICharts();
+    health,
+    cachedAt,
+    pagination,
+    goToPage,
+    setPageSize,
+  } = useChartSource(fastApiChartSource);
 
-  const [displayMode, setDisplayMode] = useState('single'); // 'single', 'grid'
-  const [currentChartIndex, setCurrentChartIndex] = useState(0);
+  // Selected charts are part of the URL, so a refresh or shared link restores them
+  useSelectionInUrl(selectedIds, selectCharts);
 
-  // Get selected chart objects
-  const selectedChartObjects = getSelectedCharts();
-
-  // Handle chart selection from list
-  const handleChartSelect = useCallback((chartIds) => {
-    selectCharts(chartIds);
-    if (chartIds.length > 0) {
-      setCurrentChartIndex(0); // Reset to first chart when selection changes
-    }
-  }, [selectCharts]);
+  const [editingChart, setEditingChart] = useState(null);
+  const [editError, setEditError] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
 
   // Handle chart deletion
   const handleChartDelete = useCallback(async (chartId) => {
@@ -50,54 +51,38 @@ const FastAPIPage = () => {
     }
   }, [deleteChart]);
 
-  // Handle chart editing (placeholder for future implementation)
-  const handleChartEdit = useCallback((chart) => {
-    console.log('Edit chart:', chart);
-    // TODO: Implement edit functionality
-    alert(`Edit functionality for "${chart.title}" will be implemented later.`);
-  }, []);
-
-  // Navigation between selected charts in single mode
-  const navigateChart = useCallback((direction) => {
-    if (selectedChartObjects.length === 0) return;
-    
-    if (direction === 'next') {
-      setCurrentChartIndex(prev => 
-        prev >= selectedChartObjects.length - 1 ? 0 : prev + 1
-      );
-    } else {
-      setCurrentChartIndex(prev => 
-        prev <= 0 ? selectedChartObjects.length - 1 : prev - 1
-      );
+  // Open the editor with the chart's full payload
+  const handleChartEdit = useCallback(async (chart) => {
+    setEditError(null);
+    try {
+      setEditingChart(chart.bodyLoaded ? chart : await getChartById(chart.id));
+    } catch (err) {
+      setEditError(err);
     }
-  }, [selectedChartObjects.length]);
-
-  // Connection status indicator
-  const renderConnectionStatus = () => {
-    const statusConfig = {
-      connected: { color: '#28a745', text: 'Connected to FastAPI backend' },
-      disconnected: { color: '#dc3545', text: 'FastAPI backend unavailable' },
-      unknown: { color: '#6c757d', text: 'Checking connection...' }
-    };
-    
-    const config = statusConfig[connectionStatus];
-    
-    return (
-      <div className="connection-status" style={{ color: config.color }}>
-        <span className="status-indicator">●</span>
-        <span className="status-text">{config.text}</span>
-        {connectionStatus === 'disconnected' && (
-          <button 
-            onClick={retryConnection}
-            className="retry-button"
-            disabled={isLoading}
-          >
-            Retry
-          </button>
-        )}
-      </div>
-    );
-  };
+  }, [getChartById]);
+
+  const handleChartSave = useCallback(async (chartId, changes) => {
+    // Errors are shown by the editor
+    await updateChart(chartId, changes);
+    setEditingChart(null);
+  }, [updateChart]);
+
+  const handleChartCreate = useCallback((sourceName, chartInput, createOptions) => (
+    createChart(chartInput, createOptions)
+  ), [createChart]);
+
+  // Connection status indicator, kept live by the health monitor
+  const renderConnectionStatus = () => (
+    <ConnectionStatus
+      health={health}
+      labels={{
+        connected: 'Connected to FastAPI backend',
+        disconnected: 'FastAPI backend unavailable'
+      }}
+      onRetry={retryConnection}
+      isLoading={isLoading}
+    />
+  );
 
   return (
     <div className="fastapi-page">
@@ -107,118 +92,78 @@ const FastAPIPage = () => {
         {renderConnectionStatus()}
       </div>
 
-      {/* Connection Error */}
-      {connectionStatus === 'disconnected' && !isLoading && (
+      {/* Connection Error: the failed load, else what the health monitor last saw */}
+      {connectionStatus === 'disconnected' && !isLoading && !cachedAt && (
         <div className="connection-error">
           <ErrorDisplay 
-            error="FastAPI backend is currently unavailable on Vercel (serverless limitations). All chart data is available through the JSON Express API on the main page."
-            onRetry={null}
+            error={error || health.error}
+            onRetry={fastApiChartSource.isConfigured() ? retryConnection : null}
+            showFallback={false}
           />
         </div>
       )}
 
-      {/* Main Content - only show if connected */}
-      {connectionStatus === 'connected' && (
+      {cachedAt && (
+        <p className="cache-notice">
+          Showing cached charts from {cachedAt.toLocaleString()}
+        </p>
+      )}
+
+      {/* Main Content - shown while connected, or with cached charts while offline */}
+      {(connectionStatus === 'connected' || cachedAt) && (
         <>
           {/* Chart List Section */}
           <div className="chart-list-section">
             <ChartList
               charts={charts}
-              onChartSelect={handleChartSelect}
+              onChartSelect={selectCharts}
               onChartDelete={handleChartDelete}
               onChartEdit={handleChartEdit}
-              onRefresh={loadCharts}
-              selectedChartIds={selectedCharts}
+              onRefresh={() => loadCharts()}
+              onCreate={connectionStatus === 'connected' ? () => setIsCreating(true) : undefined}
+              selectedCharts={selectedChartObjects}
+              selectedChartIds={selectedIds}
               isLoading={isLoading}
-              error={error}
+              error={cachedAt ? null : error}
               allowMultiSelect={true}
+              pagination={{ ...pagination, onPageChange: goToPage, onPageSizeChange: setPageSize }}
             />
           </div>
 
-          {/* Display Mode Controls */}
-          {selectedChartObjects.length > 0 && (
-            <div className="display-mode-controls">
-              <h3>Display Mode</h3>
-              <div className="mode-buttons">
-                <button
-                  onClick={() => setDisplayMode('single')}
-                  className={`mode-button ${displayMode === 'single' ? 'active' : ''}`}
-                >
-                  Single Chart View
-                </button>
-                <button
-                  onClick={() => setDisplayMode('grid')}
-                  className={`mode-button ${displayMode === 'grid' ? 'active' : ''}`}
-                >
-                  Grid View ({selectedChartObjects.length} charts)
-                </button>
-              </div>
-            </div>
+          {editError && (
+            <ErrorDisplay
+              error={editError}
+              onRetry={() => setEditError(null)}
+              showFallback={false}
+            />
           )}
 
-          {/* Chart Display Section */}
-          <div className="chart-display-section">
-            {selectedChartObjects.length === 0 && !isLoading && (
-              <div className="no-selection-message">
-                <p>Select one or more charts from the list above to view them here.</p>
-                {getChartCount() === 0 && (
-                  <p>No charts found in the FastAPI backend. Upload some chart data to get started!</p>
-                )}
-              </div>
-            )}
+          {isCreating && (
+            <ChartWizard
+              targets={[fastApiChartSource]}
+              onCreate={handleChartCreate}
+              onClose={() => setIsCreating(false)}
+            />
+          )}
 
-            {/* Single Chart Mode */}
-            {selectedChartObjects.length > 0 && displayMode === 'single' && (
-              <div className="single-chart-display">
-                {selectedChartObjects.length > 1 && (
-                  <div className="chart-navigation">
-                    <button 
-                      onClick={() => navigateChart('prev')}
-                      className="nav-button"
-                    >
-                      ← Previous
-                    </button>
-                    <span className="chart-counter">
-                      {currentChartIndex + 1} of {selectedChartObjects.length}
-                    </span>
-                    <button 
-                      onClick={() => navigateChart('next')}
-                      className="nav-button"
-                    >
-                      Next →
-                    </button>
-                  </div>
-                )}
-                
-                <PlotlyChartViewer
-                  chart={selectedChartObjects[currentChartIndex]}
-                  showControls={true}
-                  enableFilters={true}
-                  className="single-chart-viewer"
-                  width="100%"
-                  height={500}
-                />
-              </div>
-            )}
+          {editingChart && (
+            <ChartEditor
+              chart={editingChart}
+              onSave={handleChartSave}
+              onCancel={() => setEditingChart(null)}
+            />
+          )}
 
-            {/* Grid Mode */}
-            {selectedChartObjects.length > 0 && displayMode === 'grid' && (
-              <div className="charts-grid-display">
-                {selectedChartObjects.map((chart, index) => (
-                  <div key={chart.item_id} className="grid-chart-item">
-                    <PlotlyChartViewer
-                      chart={chart}
-                      showControls={false}
-                      enableFilters={false}
-                      className="grid-chart-viewer"
-                      width="100%"
-                      height={350}
-                    />
-                  </div>
-                ))}
-              </div>
+          <ChartDisplay
+            charts={selectedChartObjects}
+            singleHeight={500}
+            gridHeight={350}
+            layoutKey="fastapi"
+            isLoading={isLoading}
+            emptyMessage={chartCount === 0 && (
+              <p>No charts found in the FastAPI backend. Upload some chart data to get started!</p>
             )}
-          </div>
+          />
         </>
       )}
 
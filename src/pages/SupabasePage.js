@@ -1,85 +1,48 @@
 // src/pages/SupabasePage.js
-import React, { useState, useCallback } from 'react';
-import { useSupabaseCharts } from '../hooks/useSupabaseCharts';
+import React from 'react';
+import { useChartSource } from '../hooks/useChartSource';
+import { useSelectionInUrl } from '../hooks/useViewState';
+import { supabaseChartSource } from '../services/chartSources';
 import ChartList from '../components/fastapi/ChartList';
-import PlotlyChartViewer from '../components/fastapi/PlotlyChartViewer';
+import ChartDisplay from '../components/ChartDisplay';
 import ErrorDisplay from '../components/ErrorDisplay';
+import ConnectionStatus from '../components/ConnectionStatus';
 import Loading from '../components/Loading';
 
 const SupabasePage = () => {
   const {
     charts,
-    selectedCharts,
+    selectedIds,
+    selectedCharts: selectedChartObjects,
     isLoading,
     error,
     connectionStatus,
     loadCharts,
-    selectChart,
     selectCharts,
-    selectAllCharts,
-    deselectAllCharts,
-    getSelectedCharts,
-    getChartCount,
-    getSelectedCount,
+    chartCount,
     retryConnection,
-    clearError,
-  } = useSupabaseCharts();
+    health,
+    cachedAt,
+    pagination,
+    goToPage,
+    setPageSize,
+  } = useChartSource(supabaseChartSource);
 
-  const [displayMode, setDisplayMode] = useState('single'); // 'single', 'grid'
-  const [currentChartIndex, setCurrentChartIndex] = useState(0);
+  // Selected charts are part of the URL, so a refresh or shared link restores them
+  useSelectionInUrl(selectedIds, selectCharts);
 
-  // Get selected chart objects
-  const selectedChartObjects = getSelectedCharts();
-
-  // Handle chart selection from list
-  const handleChartSelect = useCallback((chartIds) => {
-    selectCharts(chartIds);
-    if (chartIds.length > 0) {
-      setCurrentChartIndex(0); // Reset to first chart when selection changes
-    }
-  }, [selectCharts]);
-
-  // Navigation between selected charts in single mode
-  const navigateChart = useCallback((direction) => {
-    if (selectedChartObjects.length === 0) return;
-    
-    if (direction === 'next') {
-      setCurrentChartIndex(prev => 
-        prev >= selectedChartObjects.length - 1 ? 0 : prev + 1
-      );
-    } else {
-      setCurrentChartIndex(prev => 
-        prev <= 0 ? selectedChartObjects.length - 1 : prev - 1
-      );
-    }
-  }, [selectedChartObjects.length]);
-
-  // Connection status indicator
-  const renderConnectionStatus = () => {
-    const statusConfig = {
-      connected: { color: '#28a745', text: 'Connected to Supabase' },
-      disconnected: { color: '#dc3545', text: 'Supabase not configured or unavailable' },
-      unknown: { color: '#6c757d', text: 'Checking connection...' }
-    };
-    
-    const config = statusConfig[connectionStatus];
-    
-    return (
-      <div className="connection-status" style={{ color: config.color }}>
-        <span className="status-indicator">●</span>
-        <span className="status-text">{config.text}</span>
-        {connectionStatus === 'disconnected' && (
-          <button 
-            onClick={retryConnection}
-            className="retry-button"
-            disabled={isLoading}
-          >
-            Retry
-          </button>
-        )}
-      </div>
-    );
-  };
+  // Connection status indicator, kept live by the health monitor
+  const renderConnectionStatus = () => (
+    <ConnectionStatus
+      health={health}
+      labels={{
+        connected: 'Connected to Supabase',
+        disconnected: 'Supabase not configured or unavailable'
+      }}
+      onRetry={retryConnection}
+      isLoading={isLoading}
+    />
+  );
 
   return (
     <div className="fastapi-page">
@@ -89,119 +52,52 @@ const SupabasePage = () => {
         {renderConnectionStatus()}
       </div>
 
-      {/* Connection Error */}
-      {connectionStatus === 'disconnected' && !isLoading && (
+      {/* Connection Error: the failed load, else what the health monitor last saw */}
+      {connectionStatus === 'disconnected' && !isLoading && !cachedAt && (
         <div className="connection-error">
           <ErrorDisplay 
-            error="Supabase is not configured. Please add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to your .env file."
-            onRetry={null}
+            error={error || health.error}
+            onRetry={supabaseChartSource.isConfigured() ? retryConnection : null}
+            showFallback={false}
           />
         </div>
       )}
 
-      {/* Main Content - only show if connected */}
-      {connectionStatus === 'connected' && (
+      {cachedAt && (
+        <p className="cache-notice">
+          Showing cached charts from {cachedAt.toLocaleString()}
+        </p>
+      )}
+
+      {/* Main Content - shown while connected, or with cached charts while offline */}
+      {(connectionStatus === 'connected' || cachedAt) && (
         <>
           {/* Chart List Section */}
           <div className="chart-list-section">
             <ChartList
               charts={charts}
-              onChartSelect={handleChartSelect}
+              onChartSelect={selectCharts}
               onChartDelete={null} // Read-only for Supabase
               onChartEdit={null}   // Read-only for Supabase
-              onRefresh={loadCharts}
-              selectedChartIds={selectedCharts}
+              onRefresh={() => loadCharts()}
+              selectedCharts={selectedChartObjects}
+              selectedChartIds={selectedIds}
               isLoading={isLoading}
-              error={error}
+              error={cachedAt ? null : error}
               allowMultiSelect={true}
+              pagination={{ ...pagination, onPageChange: goToPage, onPageSizeChange: setPageSize }}
             />
           </div>
 
-          {/* Display Mode Controls */}
-          {selectedChartObjects.length > 0 && (
-            <div className="display-mode-controls">
-              <h3>Display Mode</h3>
-              <div className="mode-buttons">
-                <button
-                  onClick={() => setDisplayMode('single')}
-                  className={`mode-button ${displayMode === 'single' ? 'active' : ''}`}
-                >
-                  Single Chart View
-                </button>
-                <button
-                  onClick={() => setDisplayMode('grid')}
-                  className={`mode-button ${displayMode === 'grid' ? 'active' : ''}`}
-                >
-                  Grid View ({selectedChartObjects.length} charts)
-                </button>
-              </div>
-            </div>
-          )}
-
-          {/* Chart Display Section */}
-          <div className="chart-display-section">
-            {selectedChartObjects.length === 0 && !isLoading && (
-              <div className="no-selection-message">
-                <p>Select one or more charts from the list above to view them here.</p>
-                {getChartCount() === 0 && (
-                  <p>No charts found in Supabase. Ask Nataly to upload some chart data!</p>
-                )}
-              </div>
-            )}
-
-            {/* Single Chart Mode */}
-            {selectedChartObjects.length > 0 && displayMode === 'single' && (
-              <div className="single-chart-display">
-                {selectedChartObjects.length > 1 && (
-                  <div className="chart-navigation">
-                    <button 
-                      onClick={() => navigateChart('prev')}
-                      className="nav-button"
-                    >
-                      ← Previous
-                    </button>
-                    <span className="chart-counter">
-                      {currentChartIndex + 1} of {selectedChartObjects.length}
-                    </span>
-                    <button 
-                      onClick={() => navigateChart('next')}
-                      className="nav-button"
-                    >
-                      Next →
-                    </button>
-                  </div>
-                )}
-                
-                <PlotlyChartViewer
-                  key={`single-${selectedChartObjects[currentChartIndex]?.item_id}`}
-                  chart={selectedChartObjects[currentChartIndex]}
-                  showControls={true}
-                  enableFilters={true}
-                  className="single-chart-viewer"
-                  width="100%"
-                  height={350}
-                />
-              </div>
+          <ChartDisplay
+            charts={selectedChartObjects}
+            singleHeight={350}
+            layoutKey="supabase"
+            isLoading={isLoading}
+            emptyMessage={chartCount === 0 && (
+              <p>No charts found in Supabase. Ask Nataly to upload some chart data!</p>
             )}
-
-            {/* Grid Mode */}
-            {selectedChartObjects.length > 0 && displayMode === 'grid' && (
-              <div className="charts-grid-display">
-                {selectedChartObjects.map((chart, index) => (
-                  <div key={chart.item_id} className="grid-chart-item">
-                    <PlotlyChartViewer
-                      key={`grid-${chart.item_id}`}
-                      chart={chart}
-                      showControls={false}
-                      enableFilters={false}
-                      className="grid-chart-viewer"
-                      width="100%"
-                    />
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
+          />
         </>
       )}
 
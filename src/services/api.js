@@ -1,5 +1,8 @@
 import axios from 'axios';
 import { getCSRFToken, requiresCSRFProtection } from '../utils/csrfToken';
+import { dedupeGets, isRequestCanceled } from '../utils/requestDedup';
+import { attachRetryPolicy } from '../utils/retryPolicy';
+import { toApiError } from './apiErrors';
 
 // Use environment variable or fallback to localhost for development
 const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
@@ -45,10 +48,19 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Retry 429/502/503/504 and network failures of idempotent requests (e.g. cold starts).
+// Registered first so it sees the original axios error.
+attachRetryPolicy(api);
+
 // Response interceptor for error handling and authentication
 api.interceptors.response.use(
   (response) => response,
   (error) => {
+    // Aborted requests are expected (superseded fetches, unmounted hooks)
+    if (isRequestCanceled(error)) {
+      return Promise.reject(error);
+    }
+
     // Log errors in development only
     if (import.meta.env.DEV) {
       console.error('API Error:', error);
@@ -65,8 +77,11 @@ api.interceptors.response.use(
       }));
     }
     
-    return Promise.reject(error);
+    return Promise.reject(toApiError(error, { backend: 'express' }));
   }
 );
 
+// Identical in-flight GETs share one request
+dedupeGets(api);
+
 export default api;
\ No newline at end of file
@@ -0,0 +1,183 @@
+// src/services/apiErrors.js
+import { isRequestCanceled } from '../utils/requestDedup';
+import { parseRetryAfter, readHeader } from '../utils/retryPolicy';
+
+/**
+ * Typed API errors
+ *
+ * Every service turns backend failures into one of these classes, so hooks and
+ * components can decide what to show from `kind`, `status` and `retryable`
+ * instead of matching on message text. Cancellations are not converted: they
+ * stay recognizable with `isRequestCanceled`.
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} [info] - Error details
+   * @param {string} [info.kind='unknown'] - 'network', 'timeout', 'auth', 'validation', 'not-found', 'rate-limited', 'server', 'unavailable' or 'unknown'
+   * @param {number|null} [info.status] - HTTP status, if the backend answered
+   * @param {string|null} [info.backend] - Backend name ('express', 'fastapi', 'supabase')
+   * @param {string|null} [info.requestId] - Request id reported by the backend, for support
+   * @param {boolean} [info.retryable=false] - Whether trying again may succeed
+   * @param {*} [info.cause] - Original error
+   */
+  constructor(message, { kind = 'unknown', status = null, backend = null, requestId = null, retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.backend = backend;
+    this.requestId = requestId;
+    this.retryable = retryable;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message = 'Could not reach the server. Check your connection or whether the backend is running.', info = {}) {
+    super(message, { ...info, kind: 'network', retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message = 'The server took too long to respond.', info = {}) {
+    super(message, { ...info, kind: 'timeout', retryable: true });
+    this.name = 'TimeoutError';
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message = 'Your session has expired. Please sign in again.', info = {}) {
+    super(message, { ...info, kind: 'auth', retryable: false });
+    this.name = 'AuthError';
+  }
+}
+
+export class ValidationError extends ApiError {
+  /**
+   * @param {string} message - Summary message
+   * @param {Object} [info] - Error details, plus `fieldErrors`: [{ path, message }]
+   */
+  constructor(message = 'The server rejected the submitted data.', { fieldErrors = [], ...info } = {}) {
+    super(message, { ...info, kind: 'validation', retryable: false });
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message = 'The requested resource was not found.', info = {}) {
+    super(message, { ...info, kind: 'not-found', retryable: false });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class RateLimitedError extends ApiError {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} [info] - Error details, plus `retryAfter` in milliseconds
+   */
+  constructor(message = 'Too many requests. Please wait a moment and try again.', { retryAfter = null, ...info } = {}) {
+    super(message, { ...info, kind: 'rate-limited', retryable: true });
+    this.name = 'RateLimitedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message = 'The server is temporarily unavailable. Please try again later.', info = {}) {
+    super(message, { ...info, kind: 'server', retryable: (info.status ?? 500) >= 502 || info.retryable === true });
+    this.name = 'ServerError';
+  }
+}
+
+const REQUEST_ID_HEADERS = ['x-request-id', 'x-correlation-id', 'cf-ray', 'x-vercel-id'];
+
+/**
+ * FastAPI 422 responses list problems as [{ loc: ['body', 'title'], msg }]
+ * @param {*} detail - Response detail
+ * @returns {Array<{path: string, message: string}>} Field errors
+ */
+const toFieldErrors = (detail) => {
+  if (!Array.isArray(detail)) return [];
+  return detail.map(problem => ({
+    path: (problem.loc || []).filter(part => part !== 'body').join('.'),
+    message: problem.msg || String(problem),
+  }));
+};
+
+/**
+ * Best message the backend gave us, if any
+ * @param {*} data - Response body
+ * @returns {string|null} Message
+ */
+const readServerMessage = (data) => {
+  if (!data) return null;
+  if (typeof data === 'string') return data.length < 300 ? data : null;
+  if (typeof data.detail === 'string') return data.detail;
+  if (typeof data.error === 'string') return data.error;
+  if (typeof data.message === 'string') return data.message;
+  return null;
+};
+
+/**
+ * Build the typed error for an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string|null} message - Message from the backend
+ * @param {Object} info - Shared error details
+ * @param {Object} [extra] - fieldErrors / retryAfter
+ * @returns {ApiError} Typed error
+ */
+const fromStatus = (status, message, info, { fieldErrors = [], retryAfter = null } = {}) => {
+  const text = message || undefined;
+  if (status === 401 || status === 403) return new AuthError(text, info);
+  if (status === 404) return new NotFoundError(text, info);
+  if (status === 408) return new TimeoutError(text, info);
+  if (status === 400 || status === 422) return new ValidationError(text, { ...info, fieldErrors });
+  if (status === 429) return new RateLimitedError(undefined, { ...info, retryAfter });
+  if (status >= 500) return new ServerError(undefined, info);
+  return new ApiError(text || `Request failed with status ${status}`, info);
+};
+
+/**
+ * Convert any failure into an ApiError (cancellations are returned unchanged)
+ * @param {*} error - Axios error, Supabase/PostgREST error, ApiError or plain Error
+ * @param {Object} [context] - Context
+ * @param {string} [context.backend] - Backend name to attach
+ * @returns {ApiError|Error} Typed error
+ */
+export const toApiError = (error, { backend = null } = {}) => {
+  if (error instanceof ApiError) {
+    if (backend && !error.backend) error.backend = backend;
+    return error;
+  }
+  if (isRequestCanceled(error)) return error;
+
+  // Axios errors
+  if (error?.isAxiosError || error?.config) {
+    const { response } = error;
+    const requestId = REQUEST_ID_HEADERS.map(name => readHeader(response?.headers, name)).find(Boolean) || null;
+    const info = { backend, requestId, status: response?.status ?? null, cause: error };
+
+    if (!response) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return new TimeoutError(undefined, info);
+      return new NetworkError(undefined, info);
+    }
+
+    return fromStatus(response.status, readServerMessage(response.data), info, {
+      fieldErrors: toFieldErrors(response.data?.detail),
+      retryAfter: parseRetryAfter(readHeader(response.headers, 'retry-after')),
+    });
+  }
+
+  // Supabase/PostgREST errors carry the HTTP status next to the message
+  if (typeof error?.status === 'number') {
+    const info = { backend, status: error.status || null, cause: error };
+    if (error.status === 0) return new NetworkError(undefined, info);
+    return fromStatus(error.status, error.message, info);
+  }
+
+  return new ApiError(error?.message || 'An unknown error occurred', { backend, cause: error });
+};
@@ -0,0 +1,87 @@
+import { describe, test, expect } from 'vitest';
+import {
+  ApiError,
+  AuthError,
+  NetworkError,
+  NotFoundError,
+  RateLimitedError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+  toApiError,
+} from './apiErrors';
+
+/**
+ * Axios-like error with an optional response
+ */
+const axiosError = (response, code) => Object.assign(new Error('Request failed'), {
+  isAxiosError: true,
+  config: { url: '/charts' },
+  code,
+  response,
+});
+
+describe('API errors', () => {
+  test('maps HTTP statuses to error classes', () => {
+    expect(toApiError(axiosError({ status: 401, data: {} }))).toBeInstanceOf(AuthError);
+    expect(toApiError(axiosError({ status: 404, data: { detail: 'Chart 7 not found' } })))
+      .toMatchObject({ kind: 'not-found', message: 'Chart 7 not found', retryable: false });
+    expect(toApiError(axiosError({ status: 503, data: {} })))
+      .toMatchObject({ kind: 'server', status: 503, retryable: true });
+    expect(toApiError(axiosError({ status: 500, data: {} })).retryable).toBe(false);
+    expect(toApiError(axiosError({ status: 418, data: {} }))).toMatchObject({ kind: 'unknown', status: 418 });
+  });
+
+  test('tells network failures from timeouts', () => {
+    expect(toApiError(axiosError(undefined, 'ERR_NETWORK'))).toBeInstanceOf(NetworkError);
+    expect(toApiError(axiosError(undefined, 'ECONNABORTED'))).toBeInstanceOf(TimeoutError);
+  });
+
+  test('keeps backend, request id and the original error', () => {
+    const original = axiosError({ status: 502, data: {}, headers: { 'x-request-id': 'req-42' } });
+    const error = toApiError(original, { backend: 'express' });
+
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error).toMatchObject({ backend: 'express', requestId: 'req-42' });
+    expect(error.cause).toBe(original);
+  });
+
+  test('reads field errors from FastAPI validation responses', () => {
+    const error = toApiError(axiosError({
+      status: 422,
+      data: { detail: [{ loc: ['body', 'layout', 'title'], msg: 'field required' }] },
+    }));
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fieldErrors).toEqual([{ path: 'layout.title', message: 'field required' }]);
+  });
+
+  test('reads Retry-After from rate-limited responses', () => {
+    const error = toApiError(axiosError({ status: 429, data: {}, headers: { 'retry-after': '12' } }));
+
+    expect(error).toBeInstanceOf(RateLimitedError);
+    expect(error).toMatchObject({ retryable: true, retryAfter: 12000 });
+  });
+
+  test('maps Supabase results by status', () => {
+    expect(toApiError({ message: 'JWT expired', status: 401 }, { backend: 'supabase' }))
+      .toMatchObject({ kind: 'auth', backend: 'supabase', message: 'JWT expired' });
+    expect(toApiError({ message: 'Failed to fetch', status: 0 })).toBeInstanceOf(NetworkError);
+  });
+
+  test('leaves typed errors and cancellations unchanged', () => {
+    const typed = new NotFoundError('gone');
+    const canceled = new DOMException('The request was aborted', 'AbortError');
+
+    expect(toApiError(typed, { backend: 'fastapi' })).toBe(typed);
+    expect(typed.backend).toBe('fastapi');
+    expect(toApiError(canceled)).toBe(canceled);
+  });
+
+  test('wraps plain errors without losing the message', () => {
+    const error = toApiError(new Error('Invalid response format'));
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ kind: 'unknown', message: 'Invalid response format', retryable: false });
+  });
+});
@@ -1,4 +1,5 @@
 import api from './api';
+import { ApiError } from './apiErrors';
 import { refreshCSRFToken, clearCSRFToken } from '../utils/csrfToken';
 
 const authService = {
@@ -28,15 +29,15 @@ const authService = {
     } catch (error) {
       console.error('Login failed:', error);
       
-      // Handle specific error cases
-      if (error.response?.status === 401) {
+      // Handle specific error cases (api rejects with ApiError)
+      if (error.status === 401) {
         throw new Error('Invalid email or password');
-      } else if (error.response?.status === 400) {
+      } else if (error.status === 400) {
         throw new Error('Please provide valid email and password');
-      } else if (error.response?.status >= 500) {
+      } else if (error.status >= 500) {
         throw new Error('Server error. Please try again later.');
       } else {
-        throw new Error(error.response?.data?.error || 'Login failed. Please try again.');
+        throw new Error(error instanceof ApiError ? error.message : 'Login failed. Please try again.');
       }
     }
   },
@@ -65,7 +66,7 @@ const authService = {
       // Clear CSRF token even on logout failure
       clearCSRFToken();
       
-      if (error.response?.status >= 500) {
+      if (error.status >= 500) {
         throw new Error('Server error during logout');
       } else {
         throw new Error('Logout failed');
@@ -87,7 +88,7 @@ const authService = {
         throw new Error('Invalid user data received');
       }
     } catch (error) {
-      if (error.response?.status === 401) {
+      if (error.status === 401) {
         // User is not authenticated
         return null;
       }
@@ -144,7 +145,7 @@ const authService = {
     } catch (error) {
       console.error('Token refresh failed:', error);
       
-      if (error.response?.status === 401) {
+      if (error.status === 401) {
         // Token is invalid, user needs to login again
         throw new Error('Session expired. Please login again.');
       } else {
@@ -156,11 +157,12 @@ const authService = {
   /**
    * Handle API response for authentication errors
    * This function should be called by axios response interceptor
-   * @param {Object} error - Axios error object
+   * @param {Object} error - Axios error object, or the ApiError wrapping it
    * @returns {Promise} Rejected promise with error
    */
   handleAuthError: (error) => {
-    if (error.response?.status === 401 && error.response?.data?.action === 'login_required') {
+    const response = error.response ?? error.cause?.response;
+    if (response?.status === 401 && response?.data?.action === 'login_required') {
       // Token expired, trigger logout/login flow
       console.log('Session expired, please login again');
       
@@ -170,7 +172,7 @@ const authService = {
       
       // Or emit a custom event that components can listen to
       window.dispatchEvent(new CustomEvent('auth:session-expired', {
-        detail: { message: error.response.data.error }
+        detail: { message: response.data.error }
       }));
     }
     
@@ -0,0 +1,42 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import authService from './authService';
+import api from './api';
+import { AuthError, ServerError, ValidationError } from './apiErrors';
+
+vi.mock('./api', () => ({
+  default: { get: vi.fn(), post: vi.fn() },
+}));
+
+vi.mock('../utils/csrfToken', () => ({
+  refreshCSRFToken: vi.fn(),
+  clearCSRFToken: vi.fn(),
+}));
+
+describe('Auth service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('reports rejected credentials from the typed 401 error', async () => {
+    api.post.mockRejectedValue(new AuthError(undefined, { status: 401, backend: 'express' }));
+    await expect(authService.login('ana@example.com', 'wrong')).rejects.toThrow('Invalid email or password');
+
+    api.post.mockRejectedValue(new ValidationError(undefined, { status: 400 }));
+    await expect(authService.login('ana@example.com', '')).rejects.toThrow('Please provide valid email and password');
+
+    api.post.mockRejectedValue(new ServerError(undefined, { status: 503 }));
+    await expect(authService.login('ana@example.com', 'secret')).rejects.toThrow('Server error');
+  });
+
+  test('treats a 401 as signed out and an expired session', async () => {
+    api.get.mockRejectedValue(new AuthError(undefined, { status: 401 }));
+    await expect(authService.getCurrentUser()).resolves.toBeNull();
+
+    api.post.mockRejectedValue(new AuthError(undefined, { status: 401 }));
+    await expect(authService.refreshToken()).rejects.toThrow('Session expired. Please login again.');
+
+    api.get.mockRejectedValue(new ServerError(undefined, { status: 500 }));
+    await expect(authService.getCurrentUser()).rejects.toThrow('Failed to get user information');
+  });
+});
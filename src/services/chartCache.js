@@ -0,0 +1,226 @@
+// src/services/chartCache.js
+
+/**
+ * Shared client-side chart cache
+ *
+ * Chart lists and chart bodies are kept in memory and mirrored to IndexedDB,
+ * so remounting a page or reloading the app shows the last known charts
+ * immediately while fresh data is fetched in the background
+ * (stale-while-revalidate). Without IndexedDB (private mode, tests) the
+ * cache silently falls back to memory only.
+ */
+
+const DB_NAME = 'chart-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// How long an entry is served without revalidating
+export const LIST_TTL = 60 * 1000;
+export const CHART_TTL = 60 * 60 * 1000;
+
+// Entries older than this are dropped instead of being shown as stale data
+export const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+const memory = new Map();
+let dbPromise = null;
+
+/**
+ * Open (once) the IndexedDB database backing the cache
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Chart cache: IndexedDB unavailable, using memory only', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('Chart cache: IndexedDB unavailable, using memory only', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against the cache object store
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} operation - Request to run
+ * @returns {Promise<*>} Request result, or undefined if IndexedDB is unavailable or fails
+ */
+const runInStore = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return undefined;
+
+  return new Promise((resolve) => {
+    try {
+      const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Chart cache: IndexedDB request failed', request.error);
+        resolve(undefined);
+      };
+    } catch (error) {
+      console.warn('Chart cache: IndexedDB request failed', error);
+      resolve(undefined);
+    }
+  });
+};
+
+/**
+ * Describe a stored entry relative to now
+ * @param {Object} entry - Stored entry ({ key, value, storedAt, ttl })
+ * @returns {{value: *, storedAt: number, isStale: boolean}|null} Cache hit, or null if expired
+ */
+const toHit = (entry) => {
+  const age = Date.now() - entry.storedAt;
+  if (age > MAX_AGE) return null;
+  return { value: entry.value, storedAt: entry.storedAt, isStale: age > entry.ttl };
+};
+
+const chartCache = {
+  /**
+   * Cache key of one page of a source's chart list
+   * @param {string} source - Chart source name
+   * @param {Object} params - Paging and list options that identify the page
+   * @returns {string} Cache key
+   */
+  listKey: (source, params = {}) => {
+    const query = Object.keys(params)
+      .sort()
+      .filter(name => params[name] !== undefined)
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+    return `list:${source}?${query}`;
+  },
+
+  /**
+   * Cache key of a single chart body
+   * @param {string} chartId - Normalized chart id (`source:sourceId`)
+   * @returns {string} Cache key
+   */
+  chartKey: (chartId) => `chart:${chartId}`,
+
+  /**
+   * Read an entry from memory only (synchronous, for render-time lookups)
+   * @param {string} key - Cache key
+   * @returns {{value: *, storedAt: number, isStale: boolean}|null} Cache hit
+   */
+  peek: (key) => {
+    const entry = memory.get(key);
+    return entry ? toHit(entry) : null;
+  },
+
+  /**
+   * Read an entry from memory, falling back to IndexedDB
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: *, storedAt: number, isStale: boolean}|null>} Cache hit
+   */
+  get: async (key) => {
+    let entry = memory.get(key);
+
+    if (!entry) {
+      entry = await runInStore('readonly', store => store.get(key));
+      if (entry) memory.set(key, entry);
+    }
+
+    if (!entry) return null;
+
+    const hit = toHit(entry);
+    if (!hit) await chartCache.delete(key);
+    return hit;
+  },
+
+  /**
+   * Store an entry in memory and IndexedDB
+   * @param {string} key - Cache key
+   * @param {*} value - Structured-cloneable value
+   * @param {number} [ttl=LIST_TTL] - Milliseconds the entry counts as fresh
+   */
+  set: async (key, value, ttl = LIST_TTL) => {
+    const entry = { key, value, storedAt: Date.now(), ttl };
+    memory.set(key, entry);
+    await runInStore('readwrite', store => store.put(entry));
+  },
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   */
+  delete: async (key) => {
+    memory.delete(key);
+    await runInStore('readwrite', store => store.delete(key));
+  },
+
+  /**
+   * Remove every cached list page of a source (after creates, updates and deletes)
+   * @param {string} source - Chart source name
+   */
+  invalidateSource: async (source) => {
+    const prefix = `list:${source}?`;
+    const keys = new Set([...memory.keys()].filter(key => key.startsWith(prefix)));
+
+    const storedKeys = await runInStore('readonly', store => store.getAllKeys());
+    (storedKeys || []).filter(key => key.startsWith(prefix)).forEach(key => keys.add(key));
+
+    await Promise.all([...keys].map(key => chartCache.delete(key)));
+  },
+
+  /**
+   * Remove everything from the cache
+   */
+  clear: async () => {
+    memory.clear();
+    await runInStore('readwrite', store => store.clear());
+  },
+
+  /**
+   * Stale-while-revalidate read: report any cached value right away, then fetch.
+   * Fresh entries are returned without fetching when cacheFirst is set; if the
+   * fetch fails the cached value is returned together with the error.
+   * @param {string} key - Cache key
+   * @param {function(): Promise<*>} fetcher - Loads the current value
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.cacheFirst=false] - Skip the fetch while the entry is fresh
+   * @param {number} [options.ttl=LIST_TTL] - Freshness of the stored value
+   * @param {function(*, Object): void} [options.onCached] - Called with a cached value before fetching
+   * @returns {Promise<{value: *, fromCache: boolean, storedAt: number|null, error?: Error}>}
+   */
+  revalidate: async (key, fetcher, { cacheFirst = false, ttl = LIST_TTL, onCached } = {}) => {
+    const cached = await chartCache.get(key);
+
+    if (cached) {
+      onCached?.(cached.value, cached);
+      if (cacheFirst && !cached.isStale) {
+        return { value: cached.value, fromCache: true, storedAt: cached.storedAt };
+      }
+    }
+
+    try {
+      const value = await fetcher();
+      await chartCache.set(key, value, ttl);
+      return { value, fromCache: false, storedAt: null };
+    } catch (error) {
+      if (cached) {
+        return { value: cached.value, fromCache: true, storedAt: cached.storedAt, error };
+      }
+      throw error;
+    }
+  },
+};
+
+export default chartCache;
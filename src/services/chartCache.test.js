@@ -0,0 +1,81 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import chartCache, { LIST_TTL, MAX_AGE } from './chartCache';
+
+describe('Chart cache', () => {
+  beforeEach(async () => {
+    await chartCache.clear();
+    vi.spyOn(Date, 'now').mockReturnValue(1_000_000);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('builds list keys independent of parameter order', () => {
+    expect(chartCache.listKey('express', { pageSize: 20, page: 2 }))
+      .toBe(chartCache.listKey('express', { page: 2, pageSize: 20, search: undefined }));
+    expect(chartCache.listKey('express', { page: 1 })).not.toBe(chartCache.listKey('fastapi', { page: 1 }));
+  });
+
+  test('marks entries stale after their TTL and drops them after MAX_AGE', async () => {
+    await chartCache.set('list:express?page=1', ['a']);
+
+    expect(await chartCache.get('list:express?page=1')).toMatchObject({ value: ['a'], isStale: false });
+
+    Date.now.mockReturnValue(1_000_000 + LIST_TTL + 1);
+    expect(await chartCache.get('list:express?page=1')).toMatchObject({ isStale: true });
+
+    Date.now.mockReturnValue(1_000_000 + MAX_AGE + 1);
+    expect(await chartCache.get('list:express?page=1')).toBeNull();
+    expect(chartCache.peek('list:express?page=1')).toBeNull();
+  });
+
+  test('invalidates only the list pages of one source', async () => {
+    await chartCache.set(chartCache.listKey('express', { page: 1 }), []);
+    await chartCache.set(chartCache.listKey('fastapi', { page: 1 }), []);
+    await chartCache.set(chartCache.chartKey('express:1'), {});
+
+    await chartCache.invalidateSource('express');
+
+    expect(chartCache.peek(chartCache.listKey('express', { page: 1 }))).toBeNull();
+    expect(chartCache.peek(chartCache.listKey('fastapi', { page: 1 }))).not.toBeNull();
+    expect(chartCache.peek(chartCache.chartKey('express:1'))).not.toBeNull();
+  });
+
+  describe('revalidate', () => {
+    test('reports the cached value and then returns the fetched one', async () => {
+      await chartCache.set('key', 'old');
+      const onCached = vi.fn();
+
+      const result = await chartCache.revalidate('key', async () => 'new', { onCached });
+
+      expect(onCached).toHaveBeenCalledWith('old', expect.objectContaining({ isStale: false }));
+      expect(result).toMatchObject({ value: 'new', fromCache: false });
+      expect(chartCache.peek('key').value).toBe('new');
+    });
+
+    test('skips the fetch for fresh entries when cacheFirst is set', async () => {
+      await chartCache.set('key', 'cached');
+      const fetcher = vi.fn();
+
+      const result = await chartCache.revalidate('key', fetcher, { cacheFirst: true });
+
+      expect(fetcher).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ value: 'cached', fromCache: true });
+    });
+
+    test('falls back to the cached value when the fetch fails', async () => {
+      await chartCache.set('key', 'cached');
+      const error = new Error('offline');
+
+      const result = await chartCache.revalidate('key', () => Promise.reject(error));
+
+      expect(result).toMatchObject({ value: 'cached', fromCache: true, storedAt: 1_000_000, error });
+    });
+
+    test('rethrows when nothing is cached', async () => {
+      await expect(chartCache.revalidate('missing', () => Promise.reject(new Error('offline'))))
+        .rejects.toThrow('offline');
+    });
+  });
+});
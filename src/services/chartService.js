@@ -1,4 +1,27 @@
 import api from './api';
+import { IDEMPOTENCY_KEY_HEADER } from '../utils/retryPolicy';
+import { toApiError, ValidationError } from './apiErrors';
+import { validateFigure, toFieldErrors } from '../utils/plotlyValidator';
+
+/**
+ * Reject a plotlyData figure that Plotly cannot draw before it is uploaded
+ * @param {Object} [plotlyData] - Figure ({ data, layout }) of the chart configuration
+ * @throws {ValidationError} With one field error per problem
+ */
+const assertValidFigure = (plotlyData) => {
+  if (!plotlyData) return;
+  const { valid, problems } = validateFigure(plotlyData);
+  if (!valid) {
+    throw new ValidationError('The chart is not a valid Plotly figure.', { backend: 'express', fieldErrors: toFieldErrors(problems) });
+  }
+};
+
+/**
+ * Typed error for a failed request; cancellations are passed through unchanged
+ * @param {*} error - Failure
+ * @returns {Error} ApiError to throw, or the cancellation
+ */
+const toExpressError = (error) => toApiError(error, { backend: 'express' });
 
 const chartService = {
   /**
@@ -24,24 +47,25 @@ const chartService = {
         throw new Error('Invalid response format');
       }
     } catch (error) {
-      console.error('Error fetching chart data:', error);
-      throw new Error('Failed to fetch chart data from server');
+      throw toExpressError(error);
     }
   },
 
   /**
    * Fetch a specific chart by ID with full plotly data
    * @param {string} chartId - Chart ID to fetch
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
    * @returns {Promise} Promise that resolves to complete chart data
    */
-  getChartById: async (chartId) => {
+  getChartById: async (chartId, { signal } = {}) => {
     // Input validation
     if (!chartId || typeof chartId !== 'string' || chartId.trim() === '') {
       throw new Error('Invalid chart ID provided');
     }
 
     try {
-      const response = await api.get(`/charts/${chartId}`);
+      const response = await api.get(`/charts/${chartId}`, { signal });
       
       if (response.data.success && response.data.data && response.data.data.chart) {
         return response.data.data.chart;
@@ -49,83 +73,39 @@ const chartService = {
         throw new Error('Invalid response format');
       }
     } catch (error) {
-      // Don't log sensitive information in production
-      if (import.meta.env.DEV) {
-        console.error('Error fetching chart by ID:', error);
-      }
-      
-      // Provide user-friendly error messages
-      if (error.response?.status === 404) {
-        throw new Error('Chart not found');
-      } else if (error.response?.status === 400) {
-        throw new Error('Invalid chart ID format');
-      } else {
-        throw new Error('Failed to fetch chart data from server');
-      }
+      throw toExpressError(error);
     }
   },
 
   /**
-   * Get all available charts with their metadata and plotly data
-   * @returns {Promise} Promise that resolves to array of all charts with metadata
+   * Get one page of chart metadata from the list endpoint.
+   * List entries usually have no plotlyData; fetch it with getChartById when needed.
+   * @param {Object} options - Paging options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Number of charts per page
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise} Promise that resolves to { charts, pagination } (charts empty if none exist)
    */
-  getAllCharts: async () => {
+  getAllCharts: async ({ page = 1, limit = 20, signal } = {}) => {
     try {
-      // First get the list of all charts
       const chartsResponse = await api.get('/charts', {
-        params: { page: 1, limit: 100 } // Get up to 100 charts
+        params: { page, limit },
+        signal
       });
       
       // Handle the API response structure
       if (chartsResponse.data.success && 
           chartsResponse.data.data && 
-          chartsResponse.data.data.charts && 
-          chartsResponse.data.data.charts.length > 0) {
-        
-        // Fetch full data for each chart
-        const chartPromises = chartsResponse.data.data.charts.map(async (chart) => {
-          try {
-            const chartResponse = await api.get(`/charts/${chart._id}`);
-            
-            if (chartResponse.data.success && 
-                chartResponse.data.data && 
-                chartResponse.data.data.chart) {
-              return {
-                id: chart._id,
-                title: chart.chartTitle || chartResponse.data.data.chart.chartTitle || 'Untitled Chart',
-                description: chart.description || chartResponse.data.data.chart.description || '',
-                plotlyData: chartResponse.data.data.chart.plotlyData,
-                metadata: {
-                  createdAt: chart.createdAt || chartResponse.data.data.chart.createdAt,
-                  updatedAt: chart.updatedAt || chartResponse.data.data.chart.updatedAt
-                }
-              };
-            }
-            return null;
-          } catch (err) {
-            console.warn(`Failed to fetch chart ${chart._id}:`, err.message);
-            return null;
-          }
-        });
-        
-        const allCharts = await Promise.all(chartPromises);
-        return allCharts.filter(chart => chart !== null);
+          chartsResponse.data.data.charts) {
+        return {
+          charts: chartsResponse.data.data.charts,
+          pagination: chartsResponse.data.data.pagination || null
+        };
       }
       
-      throw new Error('No charts available');
+      throw new Error('Invalid response format');
     } catch (error) {
-      console.error('Error fetching all charts:', error);
-      
-      // Provide more detailed error information
-      if (error.response) {
-        console.error('API Response:', error.response.status, error.response.data);
-        throw new Error(`API Error ${error.response.status}: ${error.response.data?.error || 'Unknown error'}`);
-      } else if (error.request) {
-        console.error('No response received:', error.request);
-        throw new Error('No response from server. Please check if the API server is running.');
-      } else {
-        throw new Error('Failed to fetch chart data from server');
-      }
+      throw toExpressError(error);
     }
   },
 
@@ -161,33 +141,26 @@ const chartService = {
       
       throw new Error('No charts available');
     } catch (error) {
-      console.error('Error fetching first chart:', error);
-      
-      // Provide more detailed error information
-      if (error.response) {
-        console.error('API Response:', error.response.status, error.response.data);
-        throw new Error(`API Error ${error.response.status}: ${error.response.data?.error || 'Unknown error'}`);
-      } else if (error.request) {
-        console.error('No response received:', error.request);
-        throw new Error('No response from server. Please check if the API server is running.');
-      } else {
-        throw new Error('Failed to fetch chart data from server');
-      }
+      throw toExpressError(error);
     }
   },
 
   /**
    * Post new chart configuration to the server
    * @param {Object} chartConfig - Chart configuration object
+   * @param {Object} [options] - Request options
+   * @param {string} [options.idempotencyKey] - Lets the request be retried safely on transient failures
    * @returns {Promise} Promise that resolves to created chart data
    */
-  createChart: async (chartConfig) => {
+  createChart: async (chartConfig, { idempotencyKey } = {}) => {
     try {
-      const response = await api.post('/charts', chartConfig);
+      assertValidFigure(chartConfig.plotlyData);
+      const response = await api.post('/charts', chartConfig, {
+        headers: idempotencyKey ? { [IDEMPOTENCY_KEY_HEADER]: idempotencyKey } : {}
+      });
       return response.data;
     } catch (error) {
-      console.error('Error creating chart:', error);
-      throw new Error('Failed to create chart on server');
+      throw toExpressError(error);
     }
   },
 
@@ -199,11 +172,11 @@ const chartService = {
    */
   updateChart: async (chartId, chartConfig) => {
     try {
+      assertValidFigure(chartConfig.plotlyData);
       const response = await api.put(`/charts/${chartId}`, chartConfig);
       return response.data;
     } catch (error) {
-      console.error('Error updating chart:', error);
-      throw new Error('Failed to update chart on server');
+      throw toExpressError(error);
     }
   },
 
@@ -217,8 +190,7 @@ const chartService = {
       const response = await api.delete(`/charts/${chartId}`);
       return response.data;
     } catch (error) {
-      console.error('Error deleting chart:', error);
-      throw new Error('Failed to delete chart from server');
+      throw toExpressError(error);
     }
   }
 };
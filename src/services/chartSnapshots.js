@@ -0,0 +1,77 @@
+// src/services/chartSnapshots.js
+import chartCache, { MAX_AGE } from './chartCache';
+
+/**
+ * Earlier versions of chart bodies, for the chart diff view
+ *
+ * The backends only keep the latest version of a chart. Each time a body is
+ * fetched, or a chart list arrives with the bodies (FastAPI, Supabase), it is
+ * recorded here if its content differs from the last recorded version, so an
+ * updated chart can be compared
+ * with what this browser saw before. Versions live in the chart cache (memory
+ * and IndexedDB) and expire with it, a week after the last recording.
+ *
+ * @typedef {Object} ChartSnapshot
+ * @property {string} version - The chart's updatedAt, or when the version was recorded
+ * @property {string} recordedAt - ISO timestamp of the recording
+ * @property {Object[]} data - Plotly traces
+ * @property {Object} layout - Plotly layout
+ */
+
+// Versions kept per chart, newest first
+export const SNAPSHOT_LIMIT = 5;
+
+const snapshotKey = (chartId) => `snapshots:${chartId}`;
+
+const contentOf = (body) => JSON.stringify({ data: body.data ?? [], layout: body.layout ?? {} });
+
+export const chartSnapshots = {
+  /**
+   * Recorded versions of a chart
+   * @param {string} chartId - Normalized chart id
+   * @returns {Promise<ChartSnapshot[]>} Versions, newest first
+   */
+  async list(chartId) {
+    const hit = await chartCache.get(snapshotKey(chartId));
+    return Array.isArray(hit?.value) ? hit.value : [];
+  },
+
+  /**
+   * Record a chart body unless it matches the newest recorded version
+   * @param {string} chartId - Normalized chart id
+   * @param {{data: Object[], layout: Object, updatedAt?: string}} body - Chart body
+   * @returns {Promise<boolean>} True when a new version was recorded
+   */
+  async record(chartId, body) {
+    if (!Array.isArray(body?.data)) return false;
+
+    const snapshots = await chartSnapshots.list(chartId);
+    if (snapshots[0] && contentOf(snapshots[0]) === contentOf(body)) return false;
+
+    const recordedAt = new Date().toISOString();
+    const snapshot = {
+      version: body.updatedAt || recordedAt,
+      recordedAt,
+      data: body.data,
+      layout: body.layout ?? {},
+    };
+    await chartCache.set(snapshotKey(chartId), [snapshot, ...snapshots].slice(0, SNAPSHOT_LIMIT), MAX_AGE);
+    return true;
+  },
+
+  /**
+   * Record the charts of a list page that came with their bodies. Meant to run
+   * in the background: failures are logged, never thrown.
+   * @param {Object[]} charts - Normalized charts
+   * @returns {Promise<void>} Resolves once every chart is recorded
+   */
+  async recordListed(charts) {
+    try {
+      await Promise.all(charts.filter(chart => chart.bodyLoaded).map(chart => chartSnapshots.record(chart.id, chart)));
+    } catch (error) {
+      console.warn('Chart snapshots: could not record listed charts', error);
+    }
+  },
+};
+
+export default chartSnapshots;
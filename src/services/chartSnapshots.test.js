@@ -0,0 +1,41 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import chartCache from './chartCache';
+import chartSnapshots, { SNAPSHOT_LIMIT } from './chartSnapshots';
+
+const body = (y, updatedAt) => ({ data: [{ x: [1], y: [y] }], layout: {}, updatedAt });
+
+describe('Chart snapshots', () => {
+  beforeEach(async () => {
+    await chartCache.clear();
+  });
+
+  test('records changed versions only, newest first', async () => {
+    expect(await chartSnapshots.record('express:1', body(1, '2024-01-01'))).toBe(true);
+    expect(await chartSnapshots.record('express:1', body(1, '2024-01-02'))).toBe(false);
+    expect(await chartSnapshots.record('express:1', body(2, '2024-01-03'))).toBe(true);
+    expect(await chartSnapshots.record('express:1', { title: 'no body' })).toBe(false);
+
+    const versions = await chartSnapshots.list('express:1');
+    expect(versions.map(version => version.version)).toEqual(['2024-01-03', '2024-01-01']);
+    expect(versions[0].data[0].y).toEqual([2]);
+    expect(await chartSnapshots.list('express:2')).toEqual([]);
+  });
+
+  test('records listed charts that came with their bodies', async () => {
+    await chartSnapshots.recordListed([
+      { id: 'fastapi:1', bodyLoaded: true, ...body(1, '2024-01-01') },
+      { id: 'express:1', bodyLoaded: false, data: [], layout: {} },
+    ]);
+    expect(await chartSnapshots.list('fastapi:1')).toHaveLength(1);
+    expect(await chartSnapshots.list('express:1')).toEqual([]);
+  });
+
+  test(`keeps the last ${SNAPSHOT_LIMIT} versions`, async () => {
+    for (let y = 0; y < SNAPSHOT_LIMIT + 2; y++) {
+      await chartSnapshots.record('express:1', body(y));
+    }
+    const versions = await chartSnapshots.list('express:1');
+    expect(versions).toHaveLength(SNAPSHOT_LIMIT);
+    expect(versions[0].data[0].y).toEqual([SNAPSHOT_LIMIT + 1]);
+  });
+});
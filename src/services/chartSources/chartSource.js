@@ -0,0 +1,176 @@
+// src/services/chartSources/chartSource.js
+
+/**
+ * Chart Source contract
+ *
+ * Every chart backend (JSON Express API, FastAPI, Supabase) is exposed through
+ * an adapter with the same methods and the same normalized chart model, so
+ * hooks, pages and components never need to know which backend a chart came from.
+ *
+ * @typedef {Object} Chart
+ * @property {string} id - Globally unique id in the form `${source}:${sourceId}`
+ * @property {string|number} sourceId - Id of the chart as known by its backend
+ * @property {string} source - Name of the adapter the chart came from
+ * @property {string} title - Chart title
+ * @property {string} description - Chart description (may be empty)
+ * @property {Array} data - Plotly traces
+ * @property {Object} layout - Plotly layout
+ * @property {Object} config - Plotly config
+ * @property {Array} frames - Plotly frames
+ * @property {string|null} createdAt - ISO creation timestamp
+ * @property {string|null} updatedAt - ISO update timestamp
+ * @property {boolean} bodyLoaded - False for list entries whose plotly payload
+ *   (data, layout, config, frames) still has to be fetched with `get`
+ *
+ * @typedef {Object} ChartInput
+ * @property {string} title - Chart title
+ * @property {string} [description] - Chart description
+ * @property {Array} data - Plotly traces
+ * @property {Object} layout - Plotly layout
+ * @property {Object} [config] - Plotly config
+ * @property {Array} [frames] - Plotly frames
+ *
+ * @typedef {Object} ChartPage
+ * @property {Chart[]} charts - Charts on this page
+ * @property {number} page - 1-based page number
+ * @property {number} pageSize - Requested page size
+ * @property {number|null} total - Total number of charts, or null if the backend cannot tell
+ * @property {boolean} hasMore - Whether a next page exists
+ *
+ * @typedef {Object} ChartSourceCapabilities
+ * @property {boolean} list
+ * @property {boolean} get
+ * @property {boolean} search
+ * @property {boolean} count
+ * @property {boolean} create
+ * @property {boolean} update
+ * @property {boolean} delete
+ *
+ * @typedef {Object} ChartSource
+ * @property {string} name - Short machine name, also used as the id prefix
+ * @property {string} label - Human readable backend name
+ * @property {ChartSourceCapabilities} capabilities - Operations the backend supports
+ * @property {function(): boolean} isConfigured - Whether the backend has the settings it needs
+ * @property {function(): Promise<{success: boolean, message: string}>} healthCheck
+ * @property {function({page?: number, pageSize?: number, signal?: AbortSignal}=): Promise<ChartPage>} list
+ * @property {function(string|number, {signal?: AbortSignal}=): Promise<Chart>} get
+ * @property {function(string): Promise<Chart[]>} search
+ * @property {function(): Promise<number>} count
+ * @property {function(ChartInput, {idempotencyKey?: string}=): Promise<Chart>} create - An idempotency key makes the write safe to retry
+ * @property {function(string|number, Partial<ChartInput>): Promise<Chart|null>} update
+ * @property {function(string|number): Promise<void>} delete
+ */
+
+const ID_SEPARATOR = ':';
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+// Upper bound for collectAllCharts so a misbehaving backend cannot loop forever
+const MAX_COLLECTED_PAGES = 50;
+
+/**
+ * Build the globally unique chart id used for selection and React keys
+ * @param {string} source - Adapter name
+ * @param {string|number} sourceId - Backend id
+ * @returns {string} Normalized chart id
+ */
+export const toChartId = (source, sourceId) => `${source}${ID_SEPARATOR}${sourceId}`;
+
+/**
+ * Extract the backend id from a normalized chart id.
+ * Backend ids passed in directly are returned unchanged.
+ * @param {string|number} chartId - Normalized or backend chart id
+ * @param {string} source - Adapter name expected as prefix
+ * @returns {string|number} Backend id
+ */
+export const toSourceId = (chartId, source) => {
+  const prefix = `${source}${ID_SEPARATOR}`;
+  if (typeof chartId === 'string' && chartId.startsWith(prefix)) {
+    return chartId.slice(prefix.length);
+  }
+  return chartId;
+};
+
+/**
+ * Build a normalized chart object, filling defaults for missing fields
+ * @param {string} source - Adapter name
+ * @param {Object} fields - Chart fields already mapped from the backend shape
+ * @returns {Chart} Normalized chart
+ */
+export const createChart = (source, fields) => ({
+  id: toChartId(source, fields.sourceId),
+  sourceId: fields.sourceId,
+  source,
+  title: fields.title || 'Untitled Chart',
+  description: fields.description || '',
+  data: fields.data || [],
+  layout: fields.layout || {},
+  config: fields.config || {},
+  frames: fields.frames || [],
+  createdAt: fields.createdAt || null,
+  updatedAt: fields.updatedAt || null,
+  bodyLoaded: fields.bodyLoaded ?? true,
+});
+
+/**
+ * Build a page result, deriving hasMore from the total when the backend does not say
+ * @param {Chart[]} charts - Charts on the page
+ * @param {Object} info - Paging information
+ * @param {number} info.page - 1-based page number
+ * @param {number} info.pageSize - Requested page size
+ * @param {number|null} [info.total] - Total number of charts, if known
+ * @param {boolean} [info.hasMore] - Whether a next page exists, if known
+ * @returns {ChartPage} Page result
+ */
+export const createPage = (charts, { page, pageSize, total = null, hasMore }) => ({
+  charts,
+  page,
+  pageSize,
+  total,
+  hasMore: hasMore ?? (total !== null ? page * pageSize < total : charts.length === pageSize),
+});
+
+/**
+ * Fetch every page of a source, for operations that need the whole library
+ * (client-side search and counting on backends without those endpoints)
+ * @param {ChartSource} source - Adapter
+ * @param {number} [pageSize=100] - Page size used while collecting
+ * @returns {Promise<Chart[]>} All charts
+ */
+export const collectAllCharts = async (source, pageSize = 100) => {
+  const charts = [];
+
+  for (let page = 1; page <= MAX_COLLECTED_PAGES; page++) {
+    const result = await source.list({ page, pageSize });
+    charts.push(...result.charts);
+    if (!result.hasMore) break;
+  }
+
+  return charts;
+};
+
+/**
+ * Case-insensitive title/description match used by adapters whose backend
+ * has no search endpoint
+ * @param {Chart[]} charts - Charts to filter
+ * @param {string} searchTerm - Search term
+ * @returns {Chart[]} Matching charts
+ */
+export const matchCharts = (charts, searchTerm) => {
+  const term = (searchTerm || '').trim().toLowerCase();
+  if (!term) return charts;
+
+  return charts.filter(chart =>
+    chart.title.toLowerCase().includes(term) ||
+    chart.description.toLowerCase().includes(term)
+  );
+};
+
+/**
+ * Error thrown when an operation is called on a backend that does not support it
+ * @param {ChartSource} source - Adapter
+ * @param {string} operation - Operation name
+ * @returns {Error} Error to throw
+ */
+export const unsupportedOperation = (source, operation) =>
+  new Error(`${source.label} does not support ${operation}`);
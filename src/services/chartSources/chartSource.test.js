@@ -0,0 +1,91 @@
+import { describe, test, expect } from 'vitest';
+import {
+  toChartId,
+  toSourceId,
+  createChart,
+  createPage,
+  collectAllCharts,
+  matchCharts,
+} from './chartSource';
+
+describe('Chart Source model', () => {
+  describe('toChartId / toSourceId', () => {
+    test('prefixes backend ids with the source name', () => {
+      expect(toChartId('express', '64f1c2')).toBe('express:64f1c2');
+      expect(toChartId('fastapi', 12)).toBe('fastapi:12');
+    });
+
+    test('strips the matching prefix', () => {
+      expect(toSourceId('express:64f1c2', 'express')).toBe('64f1c2');
+    });
+
+    test('returns backend ids unchanged', () => {
+      expect(toSourceId(12, 'fastapi')).toBe(12);
+      expect(toSourceId('supabase:3', 'fastapi')).toBe('supabase:3');
+    });
+  });
+
+  describe('createChart', () => {
+    test('fills defaults for missing fields', () => {
+      const chart = createChart('supabase', { sourceId: 7 });
+
+      expect(chart).toEqual({
+        id: 'supabase:7',
+        sourceId: 7,
+        source: 'supabase',
+        title: 'Untitled Chart',
+        description: '',
+        data: [],
+        layout: {},
+        config: {},
+        frames: [],
+        createdAt: null,
+        updatedAt: null,
+        bodyLoaded: true,
+      });
+    });
+  });
+
+  describe('matchCharts', () => {
+    const charts = [
+      createChart('express', { sourceId: 'a', title: 'Apple CCP', description: 'Quarterly cash' }),
+      createChart('express', { sourceId: 'b', title: 'Long-Term Debt' }),
+    ];
+
+    test('matches title and description case-insensitively', () => {
+      expect(matchCharts(charts, 'apple').map(c => c.sourceId)).toEqual(['a']);
+      expect(matchCharts(charts, 'QUARTERLY').map(c => c.sourceId)).toEqual(['a']);
+    });
+
+    test('returns all charts for an empty term', () => {
+      expect(matchCharts(charts, '  ')).toHaveLength(2);
+    });
+  });
+
+  describe('createPage', () => {
+    test('derives hasMore from the total when known', () => {
+      expect(createPage([], { page: 2, pageSize: 10, total: 25 }).hasMore).toBe(true);
+      expect(createPage([], { page: 3, pageSize: 10, total: 25 }).hasMore).toBe(false);
+    });
+
+    test('assumes a next page when a full page came back without a total', () => {
+      const charts = [createChart('fastapi', { sourceId: 1 }), createChart('fastapi', { sourceId: 2 })];
+      expect(createPage(charts, { page: 1, pageSize: 2 })).toMatchObject({ total: null, hasMore: true });
+      expect(createPage(charts.slice(1), { page: 1, pageSize: 2 }).hasMore).toBe(false);
+    });
+  });
+
+  describe('collectAllCharts', () => {
+    test('follows pages until hasMore is false', async () => {
+      const source = {
+        list: async ({ page, pageSize }) => createPage(
+          page < 3 ? [createChart('express', { sourceId: page })] : [],
+          { page, pageSize, hasMore: page < 3 }
+        ),
+      };
+
+      const charts = await collectAllCharts(source, 1);
+      expect(charts.map(c => c.sourceId)).toEqual([1, 2]);
+    });
+  });
+});
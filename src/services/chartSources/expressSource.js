@@ -0,0 +1,144 @@
+// src/services/chartSources/expressSource.js
+import chartService from '../chartService';
+import {
+  createChart,
+  createPage,
+  collectAllCharts,
+  matchCharts,
+  toSourceId,
+  DEFAULT_PAGE_SIZE,
+} from './chartSource';
+
+const SOURCE = 'express';
+
+/**
+ * Map a MongoDB chart document from the JSON Express API to the normalized model
+ * @param {Object} doc - Chart document ({ _id, chartTitle, description, plotlyData, ... })
+ * @returns {import('./chartSource').Chart} Normalized chart
+ */
+const fromExpressChart = (doc) => createChart(SOURCE, {
+  sourceId: doc._id,
+  title: doc.chartTitle,
+  description: doc.description,
+  data: doc.plotlyData?.data,
+  layout: doc.plotlyData?.layout,
+  config: doc.plotlyData?.config,
+  frames: doc.plotlyData?.frames,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+  // GET /charts returns metadata only, GET /charts/:id includes plotlyData
+  bodyLoaded: Boolean(doc.plotlyData),
+});
+
+/**
+ * Read the total chart count from the Express pagination block
+ * @param {Object|null} pagination - Pagination info returned by GET /charts
+ * @returns {number|null} Total count, or null if not reported
+ */
+const readTotal = (pagination) => {
+  const total = pagination?.total ?? pagination?.totalCount ?? pagination?.totalCharts;
+  return typeof total === 'number' ? total : null;
+};
+
+/**
+ * Map a normalized chart input to the JSON Express API payload
+ * @param {Partial<import('./chartSource').ChartInput>} input - Chart fields
+ * @returns {Object} Express chart payload
+ */
+const toExpressPayload = (input) => {
+  const payload = {};
+  if (input.title !== undefined) payload.chartTitle = input.title;
+  if (input.description !== undefined) payload.description = input.description;
+  if (input.data !== undefined || input.layout !== undefined) {
+    payload.plotlyData = {
+      data: input.data || [],
+      layout: input.layout || {},
+      ...(input.config && { config: input.config }),
+      ...(input.frames && { frames: input.frames }),
+    };
+  }
+  return payload;
+};
+
+/**
+ * Extract the chart document from an Express write response
+ * @param {Object} response - Response body ({ success, data: { chart } })
+ * @returns {import('./chartSource').Chart|null} Normalized chart, if the API returned one
+ */
+const fromWriteResponse = (response) => {
+  const doc = response?.data?.chart;
+  return doc ? fromExpressChart(doc) : null;
+};
+
+/**
+ * Chart source adapter for the JSON Express API (MongoDB)
+ * @type {import('./chartSource').ChartSource}
+ */
+export const expressChartSource = {
+  name: SOURCE,
+  label: 'JSON Express API',
+  capabilities: {
+    list: true,
+    get: true,
+    search: true,
+    count: true,
+    create: true,
+    update: true,
+    delete: true,
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  async healthCheck() {
+    try {
+      await chartService.getChartsData({ page: 1, limit: 1 });
+      return { success: true, message: 'Connected to JSON Express API' };
+    } catch (error) {
+      return { success: false, message: error.message || 'Unknown error' };
+    }
+  },
+
+  async list({ page = 1, pageSize = DEFAULT_PAGE_SIZE, signal } = {}) {
+    const { charts, pagination } = await chartService.getAllCharts({ page, limit: pageSize, signal });
+    const total = readTotal(pagination);
+    const pages = pagination?.pages ?? pagination?.totalPages;
+
+    return createPage(charts.map(fromExpressChart), {
+      page,
+      pageSize,
+      total,
+      hasMore: pagination?.hasNextPage ?? (typeof pages === 'number' ? page < pages : undefined),
+    });
+  },
+
+  async get(chartId, { signal } = {}) {
+    const doc = await chartService.getChartById(String(toSourceId(chartId, SOURCE)), { signal });
+    return fromExpressChart(doc);
+  },
+
+  async search(searchTerm) {
+    return matchCharts(await collectAllCharts(this), searchTerm);
+  },
+
+  async count() {
+    const data = await chartService.getChartsData({ page: 1, limit: 1 });
+    return readTotal(data.pagination) ?? (await collectAllCharts(this)).length;
+  },
+
+  async create(input, { idempotencyKey } = {}) {
+    return fromWriteResponse(await chartService.createChart(toExpressPayload(input), { idempotencyKey }));
+  },
+
+  async update(chartId, input) {
+    const response = await chartService.updateChart(toSourceId(chartId, SOURCE), toExpressPayload(input));
+    return fromWriteResponse(response);
+  },
+
+  async delete(chartId) {
+    await chartService.deleteChart(toSourceId(chartId, SOURCE));
+  },
+};
+
+export default expressChartSource;
@@ -0,0 +1,123 @@
+// src/services/chartSources/fastApiSource.js
+import { fastApiService } from '../fastApiService';
+import {
+  createChart,
+  createPage,
+  collectAllCharts,
+  matchCharts,
+  toSourceId,
+  DEFAULT_PAGE_SIZE,
+} from './chartSource';
+
+const SOURCE = 'fastapi';
+
+/**
+ * Map a FastAPI Plotly chart item to the normalized model
+ * @param {Object} item - FastAPI chart ({ item_id, title, data, layout, ... })
+ * @returns {import('./chartSource').Chart} Normalized chart
+ */
+const fromFastApiChart = (item) => createChart(SOURCE, {
+  sourceId: item.item_id,
+  title: item.title,
+  description: item.description,
+  data: item.data,
+  layout: item.layout,
+  config: item.config,
+  frames: item.frames,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at,
+});
+
+/**
+ * Whether a list page starts with the first chart of the list, i.e. skip was ignored
+ * @param {Object[]} items - FastAPI chart items of a page past the first
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<boolean>} True when the page repeats page 1
+ */
+const startsLikeFirstPage = async (items, signal) => {
+  if (items.length === 0) return false;
+  const [first] = await fastApiService.plotly.getAllCharts({ skip: 0, limit: 1, signal });
+  return first?.item_id === items[0].item_id;
+};
+
+/**
+ * Chart source adapter for the FastAPI backend
+ * @type {import('./chartSource').ChartSource}
+ */
+export const fastApiChartSource = {
+  name: SOURCE,
+  label: 'FastAPI',
+  capabilities: {
+    list: true,
+    get: true,
+    search: true,
+    count: true,
+    create: true,
+    update: true,
+    delete: true,
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  async healthCheck() {
+    try {
+      await fastApiService.healthCheck();
+      return { success: true, message: 'Connected to FastAPI backend' };
+    } catch (error) {
+      return { success: false, message: error.message || 'Unknown error' };
+    }
+  },
+
+  async list({ page = 1, pageSize = DEFAULT_PAGE_SIZE, signal } = {}) {
+    const skip = (page - 1) * pageSize;
+
+    // FastAPI reports no total, so ask for one extra item to know whether a next page exists
+    const items = await fastApiService.plotly.getAllCharts({ skip, limit: pageSize + 1, signal });
+
+    // Older backends ignore skip/limit and return everything: page on the client instead.
+    // Seen as more items than asked for, or, past page 1, as a page starting like page 1
+    if (items.length > pageSize + 1 || (skip > 0 && await startsLikeFirstPage(items, signal))) {
+      return createPage(items.slice(skip, skip + pageSize).map(fromFastApiChart), {
+        page,
+        pageSize,
+        total: items.length,
+      });
+    }
+
+    return createPage(items.slice(0, pageSize).map(fromFastApiChart), {
+      page,
+      pageSize,
+      hasMore: items.length > pageSize,
+    });
+  },
+
+  async get(chartId, { signal } = {}) {
+    const item = await fastApiService.plotly.getChartById(toSourceId(chartId, SOURCE), { signal });
+    return fromFastApiChart(item);
+  },
+
+  async search(searchTerm) {
+    return matchCharts(await collectAllCharts(this), searchTerm);
+  },
+
+  async count() {
+    return (await collectAllCharts(this)).length;
+  },
+
+  async create(input, { idempotencyKey } = {}) {
+    return fromFastApiChart(await fastApiService.plotly.createChart(input, { idempotencyKey }));
+  },
+
+  async update(chartId, input) {
+    const item = await fastApiService.plotly.updateChart(toSourceId(chartId, SOURCE), input);
+    return item?.item_id !== undefined ? fromFastApiChart(item) : null;
+  },
+
+  async delete(chartId) {
+    await fastApiService.plotly.deleteChart(toSourceId(chartId, SOURCE));
+  },
+};
+
+export default fastApiChartSource;
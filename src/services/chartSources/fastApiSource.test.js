@@ -0,0 +1,56 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { fastApiService } from '../fastApiService';
+import { fastApiChartSource } from './fastApiSource';
+
+vi.mock('../fastApiService', () => ({
+  fastApiService: { plotly: { getAllCharts: vi.fn() } },
+}));
+
+const { getAllCharts } = fastApiService.plotly;
+
+const items = (count) => Array.from({ length: count }, (_, i) => ({ item_id: i + 1, title: `Chart ${i + 1}`, data: [] }));
+
+// Backend that ignores skip and limit
+const unpaged = (all) => getAllCharts.mockImplementation(async () => all);
+
+// Backend that honors skip and limit
+const paged = (all) => getAllCharts.mockImplementation(async ({ skip = 0, limit }) => all.slice(skip, skip + limit));
+
+describe('FastAPI chart source', () => {
+  beforeEach(() => {
+    getAllCharts.mockReset();
+  });
+
+  test('pages with skip and limit, asking one extra item to know about a next page', async () => {
+    paged(items(5));
+
+    const first = await fastApiChartSource.list({ page: 1, pageSize: 2 });
+    const last = await fastApiChartSource.list({ page: 3, pageSize: 2 });
+
+    expect(first.charts.map(chart => chart.sourceId)).toEqual([1, 2]);
+    expect(first.hasMore).toBe(true);
+    expect(last.charts.map(chart => chart.sourceId)).toEqual([5]);
+    expect(last.hasMore).toBe(false);
+  });
+
+  test('pages on the client when the backend returns everything', async () => {
+    unpaged(items(5));
+
+    const second = await fastApiChartSource.list({ page: 2, pageSize: 2 });
+
+    expect(second.charts.map(chart => chart.sourceId)).toEqual([3, 4]);
+    expect(second).toMatchObject({ total: 5, hasMore: true });
+  });
+
+  test('detects an unpaged backend with at most one page and an extra item', async () => {
+    unpaged(items(3));
+
+    const first = await fastApiChartSource.list({ page: 1, pageSize: 2 });
+    const second = await fastApiChartSource.list({ page: 2, pageSize: 2 });
+
+    expect(first.charts.map(chart => chart.sourceId)).toEqual([1, 2]);
+    expect(first.hasMore).toBe(true);
+    expect(second.charts.map(chart => chart.sourceId)).toEqual([3]);
+    expect(second).toMatchObject({ total: 3, hasMore: false });
+  });
+});
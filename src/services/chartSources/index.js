@@ -0,0 +1,25 @@
+// src/services/chartSources/index.js
+import { expressChartSource } from './expressSource';
+import { fastApiChartSource } from './fastApiSource';
+import { supabaseChartSource } from './supabaseSource';
+
+export { expressChartSource, fastApiChartSource, supabaseChartSource };
+export { toChartId, toSourceId } from './chartSource';
+
+/**
+ * All registered chart sources, in navigation order
+ */
+export const chartSources = [
+  expressChartSource,
+  fastApiChartSource,
+  supabaseChartSource,
+];
+
+/**
+ * Look up a chart source by name
+ * @param {string} name - Adapter name ('express', 'fastapi', 'supabase')
+ * @returns {import('./chartSource').ChartSource|undefined} Adapter
+ */
+export const getChartSource = (name) => chartSources.find(source => source.name === name);
+
+export default chartSources;
@@ -0,0 +1,91 @@
+// src/services/chartSources/supabaseSource.js
+import { supabaseService } from '../supabaseService';
+import {
+  createChart,
+  createPage,
+  toSourceId,
+  unsupportedOperation,
+  DEFAULT_PAGE_SIZE,
+} from './chartSource';
+
+const SOURCE = 'supabase';
+
+/**
+ * Map a Supabase chart (as transformed by supabaseService) to the normalized model
+ * @param {Object} item - Supabase chart ({ item_id, title, data, layout, ... })
+ * @returns {import('./chartSource').Chart} Normalized chart
+ */
+const fromSupabaseChart = (item) => createChart(SOURCE, {
+  sourceId: item.item_id,
+  title: item.title,
+  description: item.description,
+  data: item.data,
+  layout: item.layout,
+  config: item.config,
+  frames: item.frames,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at,
+});
+
+/**
+ * Chart source adapter for Supabase (read-only, charts are written by the Python backend)
+ * @type {import('./chartSource').ChartSource}
+ */
+export const supabaseChartSource = {
+  name: SOURCE,
+  label: 'Supabase',
+  capabilities: {
+    list: true,
+    get: true,
+    search: true,
+    count: true,
+    create: false,
+    update: false,
+    delete: false,
+  },
+
+  isConfigured() {
+    return supabaseService.isConfigured();
+  },
+
+  async healthCheck() {
+    return supabaseService.testConnection();
+  },
+
+  async list({ page = 1, pageSize = DEFAULT_PAGE_SIZE, signal } = {}) {
+    const [items, total] = await Promise.all([
+      supabaseService.getAllCharts({ limit: pageSize, offset: (page - 1) * pageSize, signal }),
+      supabaseService.getChartCount(),
+    ]);
+
+    return createPage(items.map(fromSupabaseChart), { page, pageSize, total });
+  },
+
+  async get(chartId, { signal } = {}) {
+    const item = await supabaseService.getChartById(toSourceId(chartId, SOURCE), { signal });
+    return fromSupabaseChart(item);
+  },
+
+  async search(searchTerm) {
+    const items = await supabaseService.searchCharts(searchTerm);
+    return items.map(fromSupabaseChart);
+  },
+
+  async count() {
+    return supabaseService.getChartCount();
+  },
+
+  async create() {
+    throw unsupportedOperation(this, 'creating charts');
+  },
+
+  async update() {
+    throw unsupportedOperation(this, 'updating charts');
+  },
+
+  async delete() {
+    throw unsupportedOperation(this, 'deleting charts');
+  },
+};
+
+export default supabaseChartSource;
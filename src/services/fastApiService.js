@@ -1,6 +1,10 @@
 // src/services/fastApiService.js
 import axios from 'axios';
 import { getCSRFToken, requiresCSRFProtection } from '../utils/csrfToken';
+import { dedupeGets, isRequestCanceled } from '../utils/requestDedup';
+import { attachRetryPolicy, IDEMPOTENCY_KEY_HEADER } from '../utils/retryPolicy';
+import { toApiError, ValidationError } from './apiErrors';
+import { validateFigure, toFieldErrors } from '../utils/plotlyValidator';
 
 const FASTAPI_BASE_URL = import.meta.env.VITE_FASTAPI_URL || 'http://localhost:8000';
 
@@ -37,6 +41,10 @@ fastApiClient.interceptors.request.use(
   }
 );
 
+// Retry transient failures of idempotent requests. Registered before the
+// error handler below, which replaces the axios error with an ApiError.
+attachRetryPolicy(fastApiClient);
+
 // Response interceptor for error handling
 fastApiClient.interceptors.response.use(
   (response) => {
@@ -44,28 +52,24 @@ fastApiClient.interceptors.response.use(
     return response;
   },
   (error) => {
-    console.error('FastAPI Response Error:', error.response?.data || error.message);
-    
-    if (error.response?.status === 404) {
-      throw new Error(`Resource not found: ${error.response.data?.detail || 'Unknown resource'}`);
-    }
-    
-    if (error.response?.status === 422) {
-      throw new Error(`Validation error: ${error.response.data?.detail || 'Invalid data'}`);
-    }
-    
-    if (error.response?.status >= 500) {
-      throw new Error(`Server error: ${error.response.data?.detail || 'Internal server error'}`);
+    // Keep cancellations recognizable instead of wrapping them below
+    if (isRequestCanceled(error)) {
+      return Promise.reject(error);
     }
-    
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error('FastAPI server is not running. Please start the backend server.');
+
+    console.error('FastAPI Response Error:', error.response?.data || error.message);
+
+    const apiError = toApiError(error, { backend: 'fastapi' });
+    if (apiError.kind === 'network') {
+      apiError.message = 'FastAPI server is not reachable. Please start the backend server.';
     }
-    
-    throw new Error(error.response?.data?.detail || error.message || 'An unknown error occurred');
+    throw apiError;
   }
 );
 
+// Identical in-flight GETs share one request
+dedupeGets(fastApiClient);
+
 /**
  * FastAPI Service for Plotly Chart Operations
  */
@@ -101,13 +105,25 @@ export const fastApiService = {
    */
   plotly: {
     /**
-     * Get all Plotly charts
+     * Get Plotly charts with pagination
+     * @param {Object} options - Query options
+     * @param {number} [options.limit] - Maximum results to return
+     * @param {number} [options.skip] - Number of results to skip
+     * @param {AbortSignal} [options.signal] - Aborts the request
      */
-    async getAllCharts() {
+    async getAllCharts(options = {}) {
       try {
-        const response = await fastApiClient.get('/plotly/');
+        const params = new URLSearchParams();
+        if (options.limit) params.append('limit', options.limit);
+        if (options.skip) params.append('skip', options.skip);
+
+        const query = params.toString();
+        const response = await fastApiClient.get(`/plotly/${query ? `?${query}` : ''}`, {
+          signal: options.signal
+        });
         return response.data;
       } catch (error) {
+        if (isRequestCanceled(error)) throw error;
         console.error('Failed to fetch Plotly charts:', error);
         throw error;
       }
@@ -116,12 +132,15 @@ export const fastApiService = {
     /**
      * Get a specific Plotly chart by ID
      * @param {number} itemId - The chart ID
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request
      */
-    async getChartById(itemId) {
+    async getChartById(itemId, options = {}) {
       try {
-        const response = await fastApiClient.get(`/plotly/${itemId}`);
+        const response = await fastApiClient.get(`/plotly/${itemId}`, { signal: options.signal });
         return response.data;
       } catch (error) {
+        if (isRequestCanceled(error)) throw error;
         console.error(`Failed to fetch chart ${itemId}:`, error);
         throw error;
       }
@@ -136,18 +155,21 @@ export const fastApiService = {
      * @param {Object} chartData.layout - Plotly layout object
      * @param {Object} [chartData.config] - Plotly config object (optional)
      * @param {Array} [chartData.frames] - Plotly frames array (optional)
+     * @param {Object} [options] - Request options
+     * @param {string} [options.idempotencyKey] - Lets the request be retried safely on transient failures
      */
-    async createChart(chartData) {
+    async createChart(chartData, { idempotencyKey } = {}) {
       try {
-        // Validate required fields
+        // Validate required fields and the figure itself before uploading
+        const fieldErrors = toFieldErrors(validateFigure(chartData).problems);
         if (!chartData.title) {
-          throw new Error('Chart title is required');
-        }
-        if (!chartData.data) {
-          throw new Error('Chart data is required');
+          fieldErrors.unshift({ path: 'title', message: 'Chart title is required' });
         }
         if (!chartData.layout) {
-          throw new Error('Chart layout is required');
+          fieldErrors.push({ path: 'layout', message: 'Chart layout is required' });
+        }
+        if (fieldErrors.length > 0) {
+          throw new ValidationError('The chart is not a valid Plotly figure.', { backend: 'fastapi', fieldErrors });
         }
 
         const response = await fastApiClient.post('/plotly/', {
@@ -157,6 +179,8 @@ export const fastApiService = {
           layout: chartData.layout,
           config: chartData.config || {},
           frames: chartData.frames || []
+        }, {
+          headers: idempotencyKey ? { [IDEMPOTENCY_KEY_HEADER]: idempotencyKey } : {}
         });
         
         return response.data;
@@ -173,6 +197,13 @@ export const fastApiService = {
      */
     async updateChart(itemId, updateData) {
       try {
+        if (updateData.data !== undefined || updateData.layout !== undefined) {
+          const { valid, problems } = validateFigure({ data: updateData.data ?? [], layout: updateData.layout });
+          if (!valid) {
+            throw new ValidationError('The chart is not a valid Plotly figure.', { backend: 'fastapi', fieldErrors: toFieldErrors(problems) });
+          }
+        }
+
         const response = await fastApiClient.put(`/plotly/${itemId}`, updateData);
         return response.data;
       } catch (error) {
@@ -205,12 +236,14 @@ export const fastApiService = {
      * @param {Object} options - Query options
      * @param {number} [options.limit=100] - Maximum results to return
      * @param {number} [options.skip=0] - Number of results to skip
+     * @param {Object<string, string>} [options.filters] - Field values the items must have, e.g. { kind, owner }
      */
     async getAllData(options = {}) {
       try {
         const params = new URLSearchParams();
         if (options.limit) params.append('limit', options.limit);
         if (options.skip) params.append('skip', options.skip);
+        Object.entries(options.filters || {}).forEach(([field, value]) => params.append(field, value));
         
         const response = await fastApiClient.get(`/data/?${params}`);
         return response.data;
@@ -0,0 +1,268 @@
+// src/services/healthMonitor.js
+import { isRequestCanceled } from '../utils/requestDedup';
+import { ApiError, toApiError } from './apiErrors';
+
+/**
+ * Health monitor and circuit breaker for chart sources
+ *
+ * Each backend gets one shared health record, kept up to date by the outcome
+ * of real requests. Only while the circuit is open or half-open and a page is
+ * subscribed is the backend probed periodically, to notice recovery. After
+ * `failureThreshold` consecutive failures the circuit opens and requests fail
+ * fast until `openDuration` has passed, then one trial request (or probe) is
+ * let through: success closes the circuit, failure opens it again. Only
+ * network errors, timeouts and 5xx responses are failures; any other answer
+ * (e.g. a 4xx for invalid input) shows the backend is reachable.
+ *
+ * @typedef {Object} BackendHealth
+ * @property {string} source - Chart source name
+ * @property {'unknown'|'connected'|'disconnected'} status - Last known reachability
+ * @property {'closed'|'open'|'half-open'} circuit - Circuit breaker state
+ * @property {number|null} latency - Duration of the last successful probe in milliseconds
+ * @property {Date|null} lastSuccessAt - Last successful contact (probe or request)
+ * @property {Date|null} lastCheckedAt - Last probe or request, successful or not
+ * @property {Date|null} retryAt - When an open circuit lets the next trial through
+ * @property {number} consecutiveFailures - Failures since the last success
+ * @property {string|null} message - Reason for the current status
+ * @property {ApiError|null} error - Typed error behind a disconnected status
+ */
+
+export const HEALTH_SETTINGS = {
+  failureThreshold: 3,
+  openDuration: 30 * 1000,
+  probeInterval: 60 * 1000,
+};
+
+export class CircuitOpenError extends ApiError {
+  constructor(source, retryAt) {
+    super(`${source.label} is unavailable after repeated failures. Retrying after ${retryAt.toLocaleTimeString()}.`, {
+      kind: 'unavailable',
+      backend: source.name,
+      retryable: true,
+    });
+    this.name = 'CircuitOpenError';
+    this.source = source.name;
+    this.retryAt = retryAt;
+  }
+}
+
+const entries = new Map();
+
+// Failures that say the backend is down rather than that the request was wrong
+const BACKEND_FAILURE_KINDS = ['network', 'timeout', 'server'];
+
+const isBackendFailure = (error) => BACKEND_FAILURE_KINDS.includes(error?.kind) || error?.status >= 500;
+
+/**
+ * Health record and subscribers of a source, created on first use
+ * @param {Object} source - Chart source adapter
+ * @returns {Object} Entry ({ source, health, listeners, timer })
+ */
+const getEntry = (source) => {
+  let entry = entries.get(source.name);
+  if (!entry) {
+    entry = {
+      source,
+      listeners: new Set(),
+      timer: null,
+      health: {
+        source: source.name,
+        status: source.isConfigured() ? 'unknown' : 'disconnected',
+        circuit: 'closed',
+        latency: null,
+        lastSuccessAt: null,
+        lastCheckedAt: null,
+        retryAt: null,
+        consecutiveFailures: 0,
+        message: source.isConfigured() ? null : `${source.label} is not configured`,
+        error: source.isConfigured()
+          ? null
+          : new ApiError(`${source.label} is not configured`, { kind: 'unavailable', backend: source.name }),
+      },
+    };
+    entries.set(source.name, entry);
+  }
+  return entry;
+};
+
+/**
+ * Start or stop the recovery probe: it only runs while the circuit is not
+ * closed and someone is subscribed
+ * @param {Object} entry - Health entry
+ */
+const syncProbe = (entry) => {
+  const needsProbe = entry.listeners.size > 0
+    && entry.health.circuit !== 'closed'
+    && entry.source.isConfigured();
+
+  if (needsProbe && !entry.timer) {
+    entry.timer = setInterval(() => {
+      healthMonitor.check(entry.source);
+    }, HEALTH_SETTINGS.probeInterval);
+  } else if (!needsProbe && entry.timer) {
+    clearInterval(entry.timer);
+    entry.timer = null;
+  }
+};
+
+const update = (entry, changes) => {
+  entry.health = { ...entry.health, ...changes };
+  syncProbe(entry);
+  entry.listeners.forEach(listener => listener(entry.health));
+};
+
+const recordSuccess = (entry, latency) => {
+  const now = new Date();
+  update(entry, {
+    status: 'connected',
+    circuit: 'closed',
+    latency: latency ?? entry.health.latency,
+    lastSuccessAt: now,
+    lastCheckedAt: now,
+    retryAt: null,
+    consecutiveFailures: 0,
+    message: null,
+    error: null,
+  });
+};
+
+/**
+ * Record a failed probe or request
+ * @param {Object} entry - Health entry
+ * @param {Error|string} [failure] - Error thrown, or the message of a failed probe
+ */
+const recordFailure = (entry, failure) => {
+  const { source } = entry;
+  const error = failure instanceof Error
+    ? toApiError(failure, { backend: source.name })
+    : new ApiError(failure || `${source.label} is unavailable`, { kind: 'unavailable', backend: source.name, retryable: true });
+  const failures = entry.health.consecutiveFailures + 1;
+  const opens = entry.health.circuit === 'half-open' || failures >= HEALTH_SETTINGS.failureThreshold;
+
+  update(entry, {
+    status: 'disconnected',
+    circuit: opens ? 'open' : 'closed',
+    lastCheckedAt: new Date(),
+    retryAt: opens ? new Date(Date.now() + HEALTH_SETTINGS.openDuration) : null,
+    consecutiveFailures: failures,
+    message: error.message,
+    error,
+  });
+};
+
+export const healthMonitor = {
+  /**
+   * Current health of a source
+   * @param {Object} source - Chart source adapter
+   * @returns {BackendHealth} Health record
+   */
+  getHealth(source) {
+    return getEntry(source).health;
+  },
+
+  /**
+   * Probe a source now, unless it was checked less than maxAge ago
+   * @param {Object} source - Chart source adapter
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxAge=0] - Reuse a result at most this old (ms)
+   * @returns {Promise<BackendHealth>} Updated health record
+   */
+  async check(source, { maxAge = 0 } = {}) {
+    const entry = getEntry(source);
+    if (!source.isConfigured()) return entry.health;
+
+    const { lastCheckedAt } = entry.health;
+    if (maxAge > 0 && lastCheckedAt && Date.now() - lastCheckedAt.getTime() < maxAge) {
+      return entry.health;
+    }
+
+    // Concurrent callers share one probe
+    if (!entry.probe) {
+      entry.probe = (async () => {
+        const startedAt = performance.now();
+        try {
+          const result = await source.healthCheck();
+          if (result.success) {
+            recordSuccess(entry, Math.round(performance.now() - startedAt));
+          } else {
+            recordFailure(entry, result.message);
+          }
+        } catch (error) {
+          recordFailure(entry, error);
+        } finally {
+          entry.probe = null;
+        }
+      })();
+    }
+
+    await entry.probe;
+    return entry.health;
+  },
+
+  /**
+   * Run a request through the circuit breaker: fail fast while the circuit is
+   * open or its one trial request is running, and record the outcome
+   * (cancellations are not counted, client errors count as contact)
+   * @param {Object} source - Chart source adapter
+   * @param {function(): Promise<*>} request - Request to run
+   * @returns {Promise<*>} Request result
+   */
+  async guard(source, request) {
+    const entry = getEntry(source);
+    const { circuit, retryAt } = entry.health;
+    const isTrial = circuit !== 'closed';
+
+    if (isTrial) {
+      if ((circuit === 'open' && retryAt && Date.now() < retryAt.getTime()) || entry.trial) {
+        throw new CircuitOpenError(source, retryAt || new Date());
+      }
+      entry.trial = true;
+      update(entry, { circuit: 'half-open' });
+    }
+
+    try {
+      const result = await request();
+      recordSuccess(entry);
+      return result;
+    } catch (error) {
+      if (isBackendFailure(error)) {
+        recordFailure(entry, error);
+      } else if (!isRequestCanceled(error)) {
+        recordSuccess(entry);
+      }
+      throw error;
+    } finally {
+      if (isTrial) entry.trial = false;
+    }
+  },
+
+  /**
+   * Listen to health changes of a source. The listener is called right away
+   * with the current record; while it has subscribers and its circuit is open
+   * or half-open, the source is probed periodically.
+   * @param {Object} source - Chart source adapter
+   * @param {function(BackendHealth): void} listener - Called on every change
+   * @returns {function(): void} Unsubscribe
+   */
+  subscribe(source, listener) {
+    const entry = getEntry(source);
+    entry.listeners.add(listener);
+    listener(entry.health);
+    syncProbe(entry);
+
+    return () => {
+      entry.listeners.delete(listener);
+      syncProbe(entry);
+    };
+  },
+
+  /**
+   * Forget all health records and stop probing (for tests)
+   */
+  reset() {
+    entries.forEach(entry => entry.timer && clearInterval(entry.timer));
+    entries.clear();
+  },
+};
+
+export default healthMonitor;
@@ -0,0 +1,171 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import healthMonitor, { HEALTH_SETTINGS, CircuitOpenError } from './healthMonitor';
+import { ServerError, ValidationError } from './apiErrors';
+
+const createSource = (healthCheck = async () => ({ success: true, message: 'ok' })) => ({
+  name: 'test',
+  label: 'Test API',
+  isConfigured: () => true,
+  healthCheck: vi.fn(healthCheck),
+});
+
+const failingRequest = () => Promise.reject(new ServerError('Server error: 503', { status: 503 }));
+
+describe('Health monitor', () => {
+  beforeEach(() => {
+    healthMonitor.reset();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('records status, latency and last contact from probes', async () => {
+    const source = createSource();
+
+    const health = await healthMonitor.check(source);
+
+    expect(health).toMatchObject({ status: 'connected', circuit: 'closed', consecutiveFailures: 0 });
+    expect(health.latency).toEqual(expect.any(Number));
+    expect(health.lastSuccessAt).toBeInstanceOf(Date);
+  });
+
+  test('keeps the typed error behind a disconnected status', async () => {
+    const source = createSource(async () => ({ success: false, message: 'Test API is down' }));
+
+    const probed = await healthMonitor.check(source);
+    expect(probed.error).toMatchObject({ kind: 'unavailable', backend: 'test', message: 'Test API is down' });
+
+    await healthMonitor.guard(source, failingRequest).catch(() => {});
+    expect(healthMonitor.getHealth(source).error).toBeInstanceOf(ServerError);
+
+    await healthMonitor.guard(source, async () => 'ok');
+    expect(healthMonitor.getHealth(source).error).toBeNull();
+
+    const unconfigured = { ...createSource(), name: 'unconfigured', isConfigured: () => false };
+    expect(healthMonitor.getHealth(unconfigured).error).toMatchObject({ kind: 'unavailable', message: 'Test API is not configured' });
+  });
+
+  test('reuses a recent probe when maxAge allows it', async () => {
+    const source = createSource();
+
+    await healthMonitor.check(source);
+    await healthMonitor.check(source, { maxAge: 60000 });
+
+    expect(source.healthCheck).toHaveBeenCalledTimes(1);
+  });
+
+  test('opens the circuit after repeated failures and fails fast', async () => {
+    const source = createSource();
+    const request = vi.fn(failingRequest);
+
+    for (let i = 0; i < HEALTH_SETTINGS.failureThreshold; i++) {
+      await expect(healthMonitor.guard(source, request)).rejects.toThrow('Server error');
+    }
+
+    expect(healthMonitor.getHealth(source)).toMatchObject({ status: 'disconnected', circuit: 'open' });
+    await expect(healthMonitor.guard(source, request)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(request).toHaveBeenCalledTimes(HEALTH_SETTINGS.failureThreshold);
+  });
+
+  test('lets a trial request through after the open period and closes on success', async () => {
+    vi.useFakeTimers();
+    const source = createSource();
+
+    for (let i = 0; i < HEALTH_SETTINGS.failureThreshold; i++) {
+      await healthMonitor.guard(source, failingRequest).catch(() => {});
+    }
+
+    vi.advanceTimersByTime(HEALTH_SETTINGS.openDuration + 1);
+    await expect(healthMonitor.guard(source, async () => 'charts')).resolves.toBe('charts');
+    expect(healthMonitor.getHealth(source)).toMatchObject({ status: 'connected', circuit: 'closed' });
+  });
+
+  test('lets only one trial request through while half-open', async () => {
+    vi.useFakeTimers();
+    const source = createSource();
+
+    for (let i = 0; i < HEALTH_SETTINGS.failureThreshold; i++) {
+      await healthMonitor.guard(source, failingRequest).catch(() => {});
+    }
+    vi.advanceTimersByTime(HEALTH_SETTINGS.openDuration + 1);
+
+    let finishTrial;
+    const trial = healthMonitor.guard(source, () => new Promise(resolve => { finishTrial = resolve; }));
+    const concurrent = vi.fn(async () => 'charts');
+    await expect(healthMonitor.guard(source, concurrent)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(concurrent).not.toHaveBeenCalled();
+
+    finishTrial('charts');
+    await expect(trial).resolves.toBe('charts');
+    await expect(healthMonitor.guard(source, concurrent)).resolves.toBe('charts');
+  });
+
+  test('does not count client errors as backend failures', async () => {
+    const source = createSource();
+    const invalid = () => Promise.reject(new ValidationError(undefined, { status: 422 }));
+
+    for (let i = 0; i < HEALTH_SETTINGS.failureThreshold + 1; i++) {
+      await expect(healthMonitor.guard(source, invalid)).rejects.toBeInstanceOf(ValidationError);
+    }
+
+    expect(healthMonitor.getHealth(source)).toMatchObject({ status: 'connected', circuit: 'closed', consecutiveFailures: 0 });
+  });
+
+  test('does not count cancelled requests as failures', async () => {
+    const source = createSource();
+    const cancelled = () => Promise.reject(Object.assign(new Error('canceled'), { name: 'CanceledError' }));
+
+    await healthMonitor.guard(source, cancelled).catch(() => {});
+
+    expect(healthMonitor.getHealth(source).consecutiveFailures).toBe(0);
+  });
+
+  test('notifies subscribers and does not probe a healthy backend', async () => {
+    vi.useFakeTimers();
+    const source = createSource();
+    const listener = vi.fn();
+
+    const unsubscribe = healthMonitor.subscribe(source, listener);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ status: 'unknown' }));
+
+    await healthMonitor.guard(source, async () => 'charts');
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'connected' }));
+
+    await vi.advanceTimersByTimeAsync(HEALTH_SETTINGS.probeInterval * 2);
+    expect(source.healthCheck).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  test('probes periodically while the circuit is open until the backend recovers', async () => {
+    vi.useFakeTimers();
+    const source = createSource();
+    const unsubscribe = healthMonitor.subscribe(source, vi.fn());
+
+    for (let i = 0; i < HEALTH_SETTINGS.failureThreshold; i++) {
+      await healthMonitor.guard(source, failingRequest).catch(() => {});
+    }
+
+    await vi.advanceTimersByTimeAsync(HEALTH_SETTINGS.probeInterval);
+    expect(source.healthCheck).toHaveBeenCalledTimes(1);
+    expect(healthMonitor.getHealth(source)).toMatchObject({ status: 'connected', circuit: 'closed' });
+
+    await vi.advanceTimersByTimeAsync(HEALTH_SETTINGS.probeInterval);
+    expect(source.healthCheck).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+
+  test('stops probing when the last subscriber leaves', async () => {
+    vi.useFakeTimers();
+    const source = createSource();
+    const unsubscribe = healthMonitor.subscribe(source, vi.fn());
+
+    for (let i = 0; i < HEALTH_SETTINGS.failureThreshold; i++) {
+      await healthMonitor.guard(source, failingRequest).catch(() => {});
+    }
+
+    unsubscribe();
+    await vi.advanceTimersByTimeAsync(HEALTH_SETTINGS.probeInterval);
+    expect(source.healthCheck).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,396 @@
+// src/services/savedViewService.js
+import fastApiService from './fastApiService';
+import authService from './authService';
+import healthMonitor from './healthMonitor';
+import { fastApiChartSource } from './chartSources';
+import { NotFoundError, ValidationError } from './apiErrors';
+
+/**
+ * Saved views (named dashboards)
+ *
+ * A saved view is a route plus the view state that useViewState keeps in the
+ * URL: chart ids in display order (from any backend), display mode, current
+ * chart and filters. Views of a signed-in user are stored as records of the
+ * FastAPI generic `data` endpoints, listed with the user and record kind as
+ * query filters, once VITE_SAVED_VIEWS_REMOTE is 'true'. Only set it when the
+ * endpoints scope records by owner: listed records are not filtered again
+ * here, and every record the endpoints return is shown. Until then views are
+ * kept in this browser, per user. Records are checked to belong to the user
+ * before they are renamed or deleted. While FastAPI is down views are kept in localStorage and uploaded the next
+ * time the list loads with FastAPI back, once: the upload is shared by
+ * concurrent lists and each record carries the local id, so a view whose
+ * upload answer was lost is not uploaded twice. Signed-out users, and anyone while
+ * the auth backend cannot be reached, keep their views in this browser only.
+ *
+ * @typedef {Object} SavedView
+ * @property {string} id - Record id ('local-…' for views kept on this device)
+ * @property {string} name - View name
+ * @property {string} path - Route the view opens on, e.g. '/all-charts'
+ * @property {string[]} charts - Chart ids in display order
+ * @property {'single'|'grid'|'diff'|null} mode - Display mode
+ * @property {number|null} index - Chart shown in single view
+ * @property {import('../utils/viewState').FilterState|null} filters - Viewer filters
+ * @property {'remote'|'local'} storage - Where the view is stored
+ * @property {string|null} clientId - Id the view had on this device before it was uploaded
+ * @property {string|null} createdAt - ISO creation timestamp
+ * @property {string|null} updatedAt - ISO update timestamp
+ */
+
+// Marks our records among everything else stored through the data endpoints
+const RECORD_KIND = 'saved-view';
+const LOCAL_PREFIX = 'local-';
+const STORAGE_KEY_PREFIX = 'savedViews:';
+// Views of signed-out users, never uploaded
+const DEVICE_STORAGE_KEY = 'savedViews';
+const MAX_NAME_LENGTH = 100;
+const PAGE_SIZE = 100;
+
+// Errors after which the view is kept locally instead
+const OFFLINE_KINDS = ['network', 'timeout', 'unavailable', 'server'];
+
+// Whether the data endpoints scope saved views by owner (see above)
+const isRemoteEnabled = () => import.meta.env.VITE_SAVED_VIEWS_REMOTE === 'true';
+
+let ownerPromise = null;
+
+// Running uploads of local views by owner, shared by concurrent lists
+const uploads = new Map();
+
+// The next sign-in after an expired session may be someone else
+if (typeof window !== 'undefined') {
+  window.addEventListener('auth:session-expired', () => { ownerPromise = null; });
+}
+
+/**
+ * Owner of the views: the signed-in user, or null when signed out
+ * @returns {Promise<string|null>} Owner key
+ * @throws {Error} When the auth backend cannot be asked
+ */
+const getOwner = () => {
+  if (!ownerPromise) {
+    ownerPromise = authService.getCurrentUser()
+      .then(user => {
+        const id = user?.id ?? user?._id ?? user?.email;
+        // Signed out is not cached either, so signing in is picked up
+        if (id == null) ownerPromise = null;
+        return id == null ? null : String(id);
+      })
+      .catch(error => {
+        // Not cached, so the owner is looked up again once the auth backend answers
+        ownerPromise = null;
+        throw error;
+      });
+  }
+  return ownerPromise;
+};
+
+/**
+ * Owner, or null (views stay on this device) when the auth backend cannot be asked
+ * @returns {Promise<{owner: string|null, error: Error|null}>} Owner and the auth check error
+ */
+const resolveOwner = async () => {
+  try {
+    return { owner: await getOwner(), error: null };
+  } catch (error) {
+    console.warn('Saved views: could not check who is signed in, keeping views in this browser', error);
+    return { owner: null, error };
+  }
+};
+
+const isOwnRecord = (owner) => (record) => (
+  owner !== null && record?.kind === RECORD_KIND && String(record.owner) === owner
+);
+
+const isOffline = (error) => OFFLINE_KINDS.includes(error?.kind);
+
+const newLocalId = () => (
+  `${LOCAL_PREFIX}${globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`}`
+);
+
+/**
+ * View fields that are stored, in a fixed shape
+ * @param {Partial<SavedView>} view - View
+ * @returns {Object} Stored fields
+ */
+const toViewFields = (view) => ({
+  path: view.path || '/',
+  charts: Array.isArray(view.charts) ? view.charts : [],
+  mode: view.mode ?? null,
+  index: view.index ?? null,
+  filters: view.filters ?? null,
+});
+
+/**
+ * Check a view name
+ * @param {string} name - Name
+ * @returns {string} Trimmed name
+ * @throws {ValidationError} When the name is empty or too long
+ */
+const validateName = (name) => {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) {
+    throw new ValidationError('Please enter a name for the view.', { fieldErrors: [{ path: 'name', message: 'Name is required' }] });
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new ValidationError('The view name is too long.', {
+      fieldErrors: [{ path: 'name', message: `At most ${MAX_NAME_LENGTH} characters` }],
+    });
+  }
+  return trimmed;
+};
+
+/**
+ * Saved view from a FastAPI data record
+ * @param {Object} record - Record as returned by the data endpoints
+ * @returns {SavedView} View
+ */
+const fromRecord = (record) => ({
+  id: String(record.id ?? record._id),
+  name: record.name,
+  ...toViewFields(record.view || {}),
+  storage: 'remote',
+  clientId: record.client_id ?? null,
+  createdAt: record.created_at || null,
+  updatedAt: record.updated_at || null,
+});
+
+const storageKey = (owner) => (owner === null ? DEVICE_STORAGE_KEY : STORAGE_KEY_PREFIX + owner);
+
+// localStorage, per owner; views are lost with the browser data, as users are told in the UI
+const localStore = {
+  read(owner) {
+    try {
+      const views = JSON.parse(localStorage.getItem(storageKey(owner)) || '[]');
+      return Array.isArray(views) ? views : [];
+    } catch {
+      return [];
+    }
+  },
+
+  write(owner, views) {
+    try {
+      localStorage.setItem(storageKey(owner), JSON.stringify(views));
+    } catch (error) {
+      console.warn('Saved views: could not write to localStorage', error);
+    }
+  },
+};
+
+/**
+ * Create a view in FastAPI, guarded by its circuit breaker
+ * @param {string} owner - Owner key
+ * @param {string} name - View name
+ * @param {Object} fields - View fields
+ * @param {Object} [local] - Local view being uploaded
+ * @param {string} [local.id] - Its id, stored as the record's client_id
+ * @param {string} [local.createdAt] - Creation time to keep
+ * @returns {Promise<SavedView>} Stored view
+ */
+const createRemote = async (owner, name, fields, { id: clientId, createdAt } = {}) => {
+  const now = new Date().toISOString();
+  const record = await healthMonitor.guard(fastApiChartSource, () => fastApiService.data.createData({
+    kind: RECORD_KIND,
+    owner,
+    name,
+    view: fields,
+    ...(clientId && { client_id: clientId }),
+    created_at: createdAt || now,
+    updated_at: now,
+  }));
+  return fromRecord(record);
+};
+
+/**
+ * Views of a user stored in FastAPI, page by page
+ * @param {string} owner - Owner key
+ * @returns {Promise<SavedView[]>} Views
+ */
+const listRemote = async (owner) => {
+  const records = new Map();
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await healthMonitor.guard(fastApiChartSource, () => fastApiService.data.getAllData({
+      limit: PAGE_SIZE,
+      skip,
+      filters: { kind: RECORD_KIND, owner },
+    }));
+    const items = Array.isArray(page) ? page : [];
+    const before = records.size;
+    items.forEach(record => records.set(String(record?.id ?? record?._id), record));
+    // A short page ends the list; so does a page with nothing new (skip ignored)
+    if (items.length < PAGE_SIZE || records.size === before) break;
+  }
+  return [...records.values()].map(fromRecord);
+};
+
+/**
+ * Stored record of one of the user's views
+ * @param {string|null} owner - Owner key
+ * @param {SavedView} view - View
+ * @returns {Promise<Object>} Record
+ * @throws {NotFoundError} When the record is gone or belongs to someone else
+ */
+const getOwnRecord = async (owner, view) => {
+  const record = owner === null
+    ? null
+    : await healthMonitor.guard(fastApiChartSource, () => fastApiService.data.getDataById(view.id));
+  if (!isOwnRecord(owner)(record)) throw new NotFoundError(`View "${view.name}" no longer exists.`);
+  return record;
+};
+
+/**
+ * Upload views that were saved locally while FastAPI was down. Views already
+ * among the remote ones (their upload answer was lost) are only dropped locally.
+ * @param {string} owner - Owner key
+ * @param {SavedView[]} remote - Views stored in FastAPI
+ * @returns {Promise<SavedView[]>} Uploaded views
+ */
+const uploadLocalViews = (owner, remote) => {
+  if (!uploads.has(owner)) {
+    const upload = (async () => {
+      const uploadedIds = new Set(remote.map(view => view.clientId).filter(Boolean));
+      const uploaded = [];
+      for (const view of localStore.read(owner)) {
+        try {
+          if (!uploadedIds.has(view.id)) {
+            uploaded.push(await createRemote(owner, view.name, toViewFields(view), view));
+          }
+          localStore.write(owner, localStore.read(owner).filter(local => local.id !== view.id));
+        } catch (error) {
+          console.warn(`Saved views: could not upload "${view.name}", keeping it locally`, error);
+          break;
+        }
+      }
+      return uploaded;
+    })().finally(() => uploads.delete(owner));
+    uploads.set(owner, upload);
+  }
+  return uploads.get(owner);
+};
+
+export const savedViewService = {
+  /**
+   * Views of the current user, newest first. Falls back to the views on this
+   * device when FastAPI or the auth backend cannot be reached.
+   * @returns {Promise<{views: SavedView[], offline: boolean, signedIn: boolean, shared: boolean, error: Error|null}>}
+   *   Views, whether they come from this device only because a backend is down, whether a user is signed in
+   *   and whether views are stored in FastAPI at all
+   */
+  async list() {
+    const { owner, error: authError } = await resolveOwner();
+    const byNewest = (a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt));
+    const shared = isRemoteEnabled();
+
+    if (owner === null || !shared) {
+      return {
+        views: localStore.read(owner).sort(byNewest),
+        offline: authError !== null,
+        signedIn: owner !== null,
+        shared,
+        error: authError,
+      };
+    }
+
+    try {
+      const remote = await listRemote(owner);
+      const uploaded = await uploadLocalViews(owner, remote);
+      // A concurrent list may have uploaded views this one listed already
+      const remoteIds = new Set(remote.map(view => view.id));
+
+      return {
+        views: [...remote, ...uploaded.filter(view => !remoteIds.has(view.id)), ...localStore.read(owner)].sort(byNewest),
+        offline: false,
+        signedIn: true,
+        shared,
+        error: null,
+      };
+    } catch (error) {
+      if (!isOffline(error)) throw error;
+      return { views: localStore.read(owner).sort(byNewest), offline: true, signedIn: true, shared, error };
+    }
+  },
+
+  /**
+   * Save a view under a name
+   * @param {string} name - View name
+   * @param {Partial<SavedView>} view - Route and view state
+   * @returns {Promise<SavedView>} Saved view (storage tells where it ended up)
+   */
+  async create(name, view) {
+    const validName = validateName(name);
+    const { owner } = await resolveOwner();
+    const fields = toViewFields(view);
+
+    if (owner !== null && isRemoteEnabled()) {
+      try {
+        return await createRemote(owner, validName, fields);
+      } catch (error) {
+        if (!isOffline(error)) throw error;
+      }
+    }
+
+    const now = new Date().toISOString();
+    const local = { id: newLocalId(), name: validName, ...fields, storage: 'local', createdAt: now, updatedAt: now };
+    localStore.write(owner, [...localStore.read(owner), local]);
+    return local;
+  },
+
+  /**
+   * Rename a view
+   * @param {SavedView} view - View to rename
+   * @param {string} name - New name
+   * @returns {Promise<SavedView>} Renamed view
+   */
+  async rename(view, name) {
+    const validName = validateName(name);
+    const updatedAt = new Date().toISOString();
+
+    if (view.storage === 'local') {
+      const { owner } = await resolveOwner();
+      const views = localStore.read(owner);
+      if (!views.some(local => local.id === view.id)) throw new NotFoundError(`View "${view.name}" no longer exists.`);
+      const renamed = { ...view, name: validName, updatedAt };
+      localStore.write(owner, views.map(local => (local.id === view.id ? renamed : local)));
+      return renamed;
+    }
+
+    const owner = await getOwner();
+    const stored = await getOwnRecord(owner, view);
+    const record = await healthMonitor.guard(fastApiChartSource, () => fastApiService.data.updateData(view.id, {
+      kind: RECORD_KIND,
+      owner,
+      name: validName,
+      view: toViewFields(stored.view || view),
+      ...(stored.client_id && { client_id: stored.client_id }),
+      created_at: stored.created_at ?? view.createdAt,
+      updated_at: updatedAt,
+    }));
+    return record ? fromRecord(record) : { ...view, name: validName, updatedAt };
+  },
+
+  /**
+   * Copy a view under a new name
+   * @param {SavedView} view - View to copy
+   * @param {string} [name] - Name of the copy, "<name> (copy)" by default
+   * @returns {Promise<SavedView>} The copy
+   */
+  async duplicate(view, name = `${view.name} (copy)`) {
+    return savedViewService.create(name, view);
+  },
+
+  /**
+   * Delete a view
+   * @param {SavedView} view - View to delete
+   * @returns {Promise<void>}
+   */
+  async remove(view) {
+    if (view.storage === 'local') {
+      const { owner } = await resolveOwner();
+      localStore.write(owner, localStore.read(owner).filter(local => local.id !== view.id));
+      return;
+    }
+    await getOwnRecord(await getOwner(), view);
+    await healthMonitor.guard(fastApiChartSource, () => fastApiService.data.deleteData(view.id));
+  },
+};
+
+export default savedViewService;
@@ -0,0 +1,192 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import savedViewService from './savedViewService';
+import fastApiService from './fastApiService';
+import healthMonitor from './healthMonitor';
+import authService from './authService';
+import { NetworkError } from './apiErrors';
+
+vi.mock('./authService', () => ({
+  default: { getCurrentUser: vi.fn(async () => ({ id: 'u1', email: 'ana@example.com' })) },
+}));
+
+vi.mock('./fastApiService', () => ({
+  default: {
+    data: {
+      getAllData: vi.fn(),
+      createData: vi.fn(),
+      updateData: vi.fn(),
+      deleteData: vi.fn(),
+      getDataById: vi.fn(),
+    },
+  },
+}));
+
+const { data } = fastApiService;
+
+const view = {
+  path: '/all-charts',
+  charts: ['fastapi:12', 'supabase:7'],
+  mode: 'grid',
+  index: null,
+  filters: null,
+};
+
+describe('Saved views', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    healthMonitor.reset();
+    localStorage.clear();
+    vi.stubEnv('VITE_SAVED_VIEWS_REMOTE', 'true');
+    authService.getCurrentUser.mockResolvedValue({ id: 'u1', email: 'ana@example.com' });
+    data.createData.mockImplementation(async (record) => ({ id: 41, ...record }));
+  });
+
+  test('stores views as records of the FastAPI data endpoints', async () => {
+    const saved = await savedViewService.create('  Quarterly review ', view);
+
+    expect(data.createData).toHaveBeenCalledWith(expect.objectContaining({
+      kind: 'saved-view',
+      owner: 'u1',
+      name: 'Quarterly review',
+      view,
+    }));
+    expect(saved).toMatchObject({ id: '41', name: 'Quarterly review', storage: 'remote', ...view });
+  });
+
+  test('lists the current user\'s views, filtered by the backend', async () => {
+    data.getAllData.mockResolvedValue([
+      { id: 1, kind: 'saved-view', owner: 'u1', name: 'Mine', view, updated_at: '2024-01-02T00:00:00Z' },
+    ]);
+
+    const { views, offline, shared } = await savedViewService.list();
+
+    expect(data.getAllData).toHaveBeenCalledWith({ limit: 100, skip: 0, filters: { kind: 'saved-view', owner: 'u1' } });
+    expect(offline).toBe(false);
+    expect(shared).toBe(true);
+    expect(views.map(v => v.name)).toEqual(['Mine']);
+  });
+
+  test('keeps views in this browser until the backend scopes them by owner', async () => {
+    vi.stubEnv('VITE_SAVED_VIEWS_REMOTE', '');
+
+    const saved = await savedViewService.create('Mine', view);
+    const { views, shared, signedIn, offline } = await savedViewService.list();
+
+    expect(saved.storage).toBe('local');
+    expect({ shared, signedIn, offline }).toEqual({ shared: false, signedIn: true, offline: false });
+    expect(views.map(v => v.name)).toEqual(['Mine']);
+    expect(JSON.parse(localStorage.getItem('savedViews:u1')).map(v => v.name)).toEqual(['Mine']);
+    expect(data.getAllData).not.toHaveBeenCalled();
+    expect(data.createData).not.toHaveBeenCalled();
+  });
+
+  test('pages through the user\'s views', async () => {
+    const record = (id) => ({ id, kind: 'saved-view', owner: 'u1', name: `View ${id}`, view });
+    data.getAllData
+      .mockResolvedValueOnce(Array.from({ length: 100 }, (_, i) => record(i)))
+      .mockResolvedValueOnce([record(100), record(101)]);
+
+    const { views } = await savedViewService.list();
+
+    expect(views).toHaveLength(102);
+    expect(data.getAllData).toHaveBeenLastCalledWith(expect.objectContaining({ skip: 100 }));
+  });
+
+  test('does not rename or delete views of other users', async () => {
+    data.getDataById.mockResolvedValue({ id: 2, kind: 'saved-view', owner: 'u2', name: 'Theirs', view });
+    const theirs = { id: '2', name: 'Theirs', storage: 'remote', ...view };
+
+    await expect(savedViewService.rename(theirs, 'Mine now')).rejects.toMatchObject({ kind: 'not-found' });
+    await expect(savedViewService.remove(theirs)).rejects.toMatchObject({ kind: 'not-found' });
+    expect(data.updateData).not.toHaveBeenCalled();
+    expect(data.deleteData).not.toHaveBeenCalled();
+  });
+
+  test('keeps views of signed-out users in this browser only', async () => {
+    window.dispatchEvent(new CustomEvent('auth:session-expired'));
+    authService.getCurrentUser.mockResolvedValue(null);
+
+    const saved = await savedViewService.create('Scratch', view);
+    const { views, signedIn, offline } = await savedViewService.list();
+
+    expect(saved.storage).toBe('local');
+    expect(signedIn).toBe(false);
+    expect(offline).toBe(false);
+    expect(views.map(v => v.name)).toEqual(['Scratch']);
+    expect(data.createData).not.toHaveBeenCalled();
+    expect(data.getAllData).not.toHaveBeenCalled();
+    expect(localStorage.getItem('savedViews:guest')).toBeNull();
+  });
+
+  test('keeps views locally while FastAPI is down and uploads them later', async () => {
+    data.createData.mockRejectedValueOnce(new NetworkError());
+    data.getAllData.mockRejectedValueOnce(new NetworkError());
+
+    const local = await savedViewService.create('Offline view', view);
+    expect(local.storage).toBe('local');
+    expect(local.id).toMatch(/^local-/);
+
+    const offlineList = await savedViewService.list();
+    expect(offlineList.offline).toBe(true);
+    expect(offlineList.views.map(v => v.name)).toEqual(['Offline view']);
+
+    data.getAllData.mockResolvedValueOnce([]);
+    const onlineList = await savedViewService.list();
+    expect(onlineList.views).toEqual([expect.objectContaining({ name: 'Offline view', storage: 'remote' })]);
+    expect(localStorage.getItem('savedViews:u1')).toBe('[]');
+  });
+
+  test('uploads local views once, also when two lists run at the same time', async () => {
+    data.createData.mockRejectedValueOnce(new NetworkError());
+    const local = await savedViewService.create('Offline view', view);
+
+    data.getAllData.mockResolvedValue([]);
+    const [first, second] = await Promise.all([savedViewService.list(), savedViewService.list()]);
+
+    expect(data.createData).toHaveBeenCalledTimes(2);
+    expect(data.createData).toHaveBeenLastCalledWith(expect.objectContaining({ client_id: local.id }));
+    expect(first.views.map(v => v.name)).toEqual(['Offline view']);
+    expect(second.views.map(v => v.name)).toEqual(['Offline view']);
+  });
+
+  test('does not upload a local view again when its record already exists', async () => {
+    data.createData.mockRejectedValueOnce(new NetworkError());
+    const local = await savedViewService.create('Offline view', view);
+
+    // The upload went through but its answer was lost
+    data.getAllData.mockResolvedValue([
+      { id: 41, kind: 'saved-view', owner: 'u1', name: 'Offline view', view, client_id: local.id },
+    ]);
+    const { views } = await savedViewService.list();
+
+    expect(data.createData).toHaveBeenCalledTimes(1);
+    expect(views).toEqual([expect.objectContaining({ id: '41', storage: 'remote', clientId: local.id })]);
+    expect(localStorage.getItem('savedViews:u1')).toBe('[]');
+  });
+
+  test('renames, duplicates and deletes local views', async () => {
+    data.createData.mockRejectedValue(new NetworkError());
+    const local = await savedViewService.create('Draft', view);
+
+    const renamed = await savedViewService.rename(local, 'Final');
+    expect(renamed.name).toBe('Final');
+
+    const copy = await savedViewService.duplicate(renamed);
+    expect(copy.name).toBe('Final (copy)');
+
+    await savedViewService.remove(renamed);
+    expect(JSON.parse(localStorage.getItem('savedViews:u1')).map(v => v.name)).toEqual(['Final (copy)']);
+  });
+
+  test('rejects empty names', async () => {
+    await expect(savedViewService.create('   ', view)).rejects.toMatchObject({
+      kind: 'validation',
+      fieldErrors: [{ path: 'name', message: 'Name is required' }],
+    });
+    expect(data.createData).not.toHaveBeenCalled();
+  });
+});
@@ -1,5 +1,8 @@
 // src/services/supabaseService.js
 import { createClient } from '@supabase/supabase-js';
+import { isRequestCanceled } from '../utils/requestDedup';
+import { retryAsync, isTransientError } from '../utils/retryPolicy';
+import { ApiError, NotFoundError, toApiError } from './apiErrors';
 
 // Initialize Supabase client
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
@@ -9,7 +12,95 @@ if (!supabaseUrl || !supabaseAnonKey) {
   console.warn('Supabase credentials not configured. Please add VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY to your .env file.');
 }
 
-const supabase = createClient(supabaseUrl || '', supabaseAnonKey || '');
+// Only create the client when credentials exist: createClient throws on an empty URL,
+// which would otherwise take down every page that imports this module
+const supabase = supabaseUrl && supabaseAnonKey
+  ? createClient(supabaseUrl, supabaseAnonKey)
+  : null;
+
+/**
+ * Transform a Visualizations row into the chart format used by the app.
+ * Nataly's structure stores {data, layout, config, frames} in chart_json;
+ * older rows used separate plot_* columns.
+ * @param {Object} row - Raw Supabase row
+ * @returns {Object} Transformed chart
+ */
+const transformChart = (row) => {
+  const chartJson = row.chart_json || {};
+
+  // Parse if it's a string
+  let parsedJson = chartJson;
+  if (typeof chartJson === 'string') {
+    try {
+      parsedJson = JSON.parse(chartJson);
+    } catch (e) {
+      console.error('Failed to parse chart_json:', e);
+      parsedJson = {};
+    }
+  }
+
+  return {
+    id: row.id,
+    item_id: row.id,
+    title: row.chart_name || row.title || 'Untitled Chart',
+    description: row.description || '',
+    data: parsedJson.data || row.plot_data || row.data || [],
+    layout: parsedJson.layout || row.plot_layout || row.layout || {},
+    config: parsedJson.config || row.plot_config || row.config || {},
+    frames: parsedJson.frames || row.plot_frames || row.frames || [],
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    source: 'supabase'
+  };
+};
+
+/**
+ * Supabase reports aborted queries as ordinary errors; rethrow them as AbortError
+ * so callers can tell a cancellation from a failure
+ * @param {AbortSignal} [signal] - Signal passed to the query
+ */
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new DOMException('The request was aborted', 'AbortError');
+  }
+};
+
+/**
+ * Run a Supabase query, retrying transient failures (429, gateway errors,
+ * network errors). Supabase resolves failed queries with { error, status }
+ * instead of rejecting, so transient results are thrown for the retry loop
+ * and handed back as a normal result once retries are exhausted.
+ * @param {function(): PromiseLike<Object>} buildQuery - Builds a fresh query for every attempt
+ * @param {AbortSignal} [signal] - Aborts the query and stops retrying
+ * @returns {Promise<Object>} Query result ({ data, error, count, status })
+ */
+const runQuery = async (buildQuery, signal) => {
+  try {
+    return await retryAsync(async () => {
+      const result = await buildQuery();
+      throwIfAborted(signal);
+
+      if (result.error && isTransientError({ status: result.status })) {
+        throw Object.assign(new Error(result.error.message), { status: result.status, result });
+      }
+      return result;
+    }, { signal });
+  } catch (error) {
+    if (error.result) return error.result;
+    throw error;
+  }
+};
+
+/**
+ * Typed error for a failed query result
+ * @param {Object} error - PostgREST error ({ message, code, details, hint })
+ * @param {number} status - HTTP status of the result (0 when the request never got a response)
+ * @returns {ApiError} Typed error
+ */
+const toSupabaseError = (error, status) => toApiError(
+  { message: error.message, code: error.code, details: error.details, status: status ?? 500 },
+  { backend: 'supabase' }
+);
 
 /**
  * Supabase Service for Plotly Chart Operations
@@ -36,10 +127,10 @@ export const supabaseService = {
       }
 
       // Try to fetch from the table to test connection
-      const { error } = await supabase
+      const { error } = await runQuery(() => supabase
         .from('Visualizations')
         .select('count')
-        .limit(1);
+        .limit(1));
 
       if (error) {
         console.error('Supabase connection test failed:', error);
@@ -69,31 +160,34 @@ export const supabaseService = {
    * @param {number} [options.offset] - Number of results to skip
    * @param {string} [options.orderBy='created_at'] - Column to order by
    * @param {boolean} [options.ascending=false] - Sort order
+   * @param {AbortSignal} [options.signal] - Aborts the request
    */
   async getAllCharts(options = {}) {
     try {
       if (!this.isConfigured()) {
-        throw new Error('Supabase not configured. Please add credentials to .env file.');
+        throw new ApiError('Supabase not configured. Please add credentials to .env file.', { kind: 'unavailable', backend: 'supabase' });
       }
 
       const {
         limit = 100,
         offset = 0,
         orderBy = 'id',
-        ascending = true
+        ascending = true,
+        signal
       } = options;
 
-      let query = supabase
-        .from('Visualizations')
-        .select('*')
-        .order(orderBy, { ascending })
-        .range(offset, offset + limit - 1);
-
-      const { data, error } = await query;
+      const { data, error, status } = await runQuery(() => {
+        const query = supabase
+          .from('Visualizations')
+          .select('*')
+          .order(orderBy, { ascending })
+          .range(offset, offset + limit - 1);
+        return signal ? query.abortSignal(signal) : query;
+      }, signal);
 
       if (error) {
         console.error('Failed to fetch charts from Supabase:', error);
-        throw new Error(error.message);
+        throw toSupabaseError(error, status);
       }
 
       // Debug logging
@@ -105,39 +199,14 @@ export const supabaseService = {
 
       // Transform data to match expected format
       return data.map(chart => {
-        // Nataly's structure: chart_json contains {data, layout, config, frames}
-        const chartJson = chart.chart_json || {};
-        
-        // Parse if it's a string
-        let parsedJson = chartJson;
-        if (typeof chartJson === 'string') {
-          try {
-            parsedJson = JSON.parse(chartJson);
-          } catch (e) {
-            console.error('Failed to parse chart_json:', e);
-            parsedJson = {};
-          }
-        }
-
-        const transformed = {
-          id: chart.id,
-          item_id: chart.id,
-          title: chart.chart_name || chart.title || 'Untitled Chart',
-          description: chart.description || '',
-          data: parsedJson.data || [],
-          layout: parsedJson.layout || {},
-          config: parsedJson.config || {},
-          frames: parsedJson.frames || [],
-          created_at: chart.created_at,
-          updated_at: chart.updated_at,
-          source: 'supabase'
-        };
-        
+        const transformed = transformChart(chart);
         console.log('✅ Transformed chart:', transformed.title, '- data points:', transformed.data?.length);
         return transformed;
       });
     } catch (error) {
-      console.error('Supabase getAllCharts error:', error);
+      if (!isRequestCanceled(error)) {
+        console.error('Supabase getAllCharts error:', error);
+      }
       throw error;
     }
   },
@@ -145,44 +214,42 @@ export const supabaseService = {
   /**
    * Get a specific chart by ID
    * @param {string|number} chartId - The chart ID
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
    */
-  async getChartById(chartId) {
+  async getChartById(chartId, { signal } = {}) {
     try {
       if (!this.isConfigured()) {
-        throw new Error('Supabase not configured. Please add credentials to .env file.');
+        throw new ApiError('Supabase not configured. Please add credentials to .env file.', { kind: 'unavailable', backend: 'supabase' });
       }
 
-      const { data, error } = await supabase
-        .from('Visualizations')
-        .select('*')
-        .eq('id', chartId)
-        .single();
+      const { data, error, status } = await runQuery(() => {
+        const query = supabase
+          .from('Visualizations')
+          .select('*')
+          .eq('id', chartId);
+        return (signal ? query.abortSignal(signal) : query).single();
+      }, signal);
 
       if (error) {
         console.error(`Failed to fetch chart ${chartId} from Supabase:`, error);
-        throw new Error(error.message);
+        // .single() reports a missing row as PGRST116
+        if (error.code === 'PGRST116') {
+          throw new NotFoundError(`Chart ${chartId} not found`, { backend: 'supabase', status: 404 });
+        }
+        throw toSupabaseError(error, status);
       }
 
       if (!data) {
-        throw new Error(`Chart ${chartId} not found`);
+        throw new NotFoundError(`Chart ${chartId} not found`, { backend: 'supabase', status: 404 });
       }
 
       // Transform data to match expected format
-      return {
-        id: data.id,
-        item_id: data.id,
-        title: data.title || 'Untitled Chart',
-        description: data.description || '',
-        data: data.plot_data || data.data || [],
-        layout: data.plot_layout || data.layout || {},
-        config: data.plot_config || data.config || {},
-        frames: data.plot_frames || data.frames || [],
-        created_at: data.created_at,
-        updated_at: data.updated_at,
-        source: 'supabase'
-      };
+      return transformChart(data);
     } catch (error) {
-      console.error('Supabase getChartById error:', error);
+      if (!isRequestCanceled(error)) {
+        console.error('Supabase getChartById error:', error);
+      }
       throw error;
     }
   },
@@ -194,33 +261,21 @@ export const supabaseService = {
   async searchCharts(searchTerm) {
     try {
       if (!this.isConfigured()) {
-        throw new Error('Supabase not configured. Please add credentials to .env file.');
+        throw new ApiError('Supabase not configured. Please add credentials to .env file.', { kind: 'unavailable', backend: 'supabase' });
       }
 
-      const { data, error } = await supabase
+      const { data, error, status } = await runQuery(() => supabase
         .from('Visualizations')
         .select('*')
-        .or(`title.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%`);
+        .or(`title.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%`));
 
       if (error) {
         console.error('Failed to search charts in Supabase:', error);
-        throw new Error(error.message);
+        throw toSupabaseError(error, status);
       }
 
       // Transform data to match expected format
-      return data.map(chart => ({
-        id: chart.id,
-        item_id: chart.id,
-        title: chart.title || 'Untitled Chart',
-        description: chart.description || '',
-        data: chart.plot_data || chart.data || [],
-        layout: chart.plot_layout || chart.layout || {},
-        config: chart.plot_config || chart.config || {},
-        frames: chart.plot_frames || chart.frames || [],
-        created_at: chart.created_at,
-        updated_at: chart.updated_at,
-        source: 'supabase'
-      }));
+      return data.map(transformChart);
     } catch (error) {
       console.error('Supabase searchCharts error:', error);
       throw error;
@@ -236,9 +291,9 @@ export const supabaseService = {
         return 0;
       }
 
-      const { count, error } = await supabase
+      const { count, error } = await runQuery(() => supabase
         .from('Visualizations')
-        .select('*', { count: 'exact', head: true });
+        .select('*', { count: 'exact', head: true }));
 
       if (error) {
         console.error('Failed to get chart count from Supabase:', error);
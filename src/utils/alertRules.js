@@ -0,0 +1,267 @@
+// src/utils/alertRules.js
+import { percentChange } from './financialOverlays';
+import { entityKey } from './chartLinking';
+import { isNumber, toTime } from './chartFilters';
+
+/**
+ * Threshold and change alerts on chart series
+ *
+ * A rule watches the series of one chart (or of every chart) that match its
+ * series filter: a full trace name (`AAPL_CCP`), a company (`AAPL`) or a
+ * metric (`CCP`). Threshold rules fire on each point above or below a value;
+ * change rules fire on each point that moved more than a % against the point
+ * a quarter or a year before (see financialOverlays.percentChange).
+ *
+ * @typedef {Object} AlertRule
+ * @property {string} id - Rule id
+ * @property {string|null} chartId - Normalized chart id, null for every chart
+ * @property {string} series - Trace name, company or metric; '' for every series
+ * @property {'above'|'below'|'drop'|'rise'} condition - What to watch for
+ * @property {number} value - Threshold, or % for drop and rise
+ * @property {'qoq'|'yoy'} period - Period of drop and rise rules
+ * @property {boolean} enabled - Whether the rule is evaluated
+ *
+ * @typedef {Object} Breach
+ * @property {string} key - Stable id of the breach (rule, chart, series and x)
+ * @property {string} ruleId - Rule that fired
+ * @property {string} chartId - Chart of the series
+ * @property {string} chartTitle - Title of the chart
+ * @property {string} series - Trace name
+ * @property {*} x - X value of the point
+ * @property {number} y - Y value of the point
+ * @property {number|null} change - % change for drop and rise rules
+ * @property {string} message - Short description, e.g. "AAPL_CCP -18.2% QoQ"
+ */
+
+export const ALERT_CONDITIONS = [
+  { value: 'above', label: 'exceeds' },
+  { value: 'below', label: 'falls below' },
+  { value: 'drop', label: 'drops more than' },
+  { value: 'rise', label: 'rises more than' },
+];
+
+export const ALERT_PERIODS = [
+  { value: 'qoq', label: 'QoQ', months: 3 },
+  { value: 'yoy', label: 'YoY', months: 12 },
+];
+
+export const EMPTY_RULE = {
+  chartId: null,
+  series: '',
+  condition: 'above',
+  value: '',
+  period: 'qoq',
+  enabled: true,
+};
+
+// Annotations per chart; every breach still gets a marker
+const MAX_ANNOTATIONS = 8;
+
+const ALERT_COLOR = '#dc3545';
+
+const isChange = (condition) => condition === 'drop' || condition === 'rise';
+
+const numberFormat = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+// Order of x values: numbers and dates by value, anything else last
+const xOrder = (x) => {
+  const order = isNumber(x) ? x : toTime(x);
+  return Number.isNaN(order) ? -Infinity : order;
+};
+
+/**
+ * Problems with a rule, shaped as ValidationError field errors
+ * @param {Partial<AlertRule>} rule - Rule to check
+ * @returns {Array<{path: string, message: string}>} Field errors, empty when the rule is valid
+ */
+export const validateRule = (rule) => {
+  const errors = [];
+  if (!ALERT_CONDITIONS.some(condition => condition.value === rule.condition)) {
+    errors.push({ path: 'condition', message: 'Choose a condition' });
+  }
+  if (rule.value === '' || rule.value === null || !Number.isFinite(Number(rule.value))) {
+    errors.push({ path: 'value', message: 'Enter a number' });
+  } else if (isChange(rule.condition) && Number(rule.value) <= 0) {
+    errors.push({ path: 'value', message: 'Enter a % greater than 0' });
+  }
+  if (isChange(rule.condition) && !ALERT_PERIODS.some(period => period.value === rule.period)) {
+    errors.push({ path: 'period', message: 'Choose QoQ or YoY' });
+  }
+  return errors;
+};
+
+/**
+ * Rule in its stored shape
+ * @param {Partial<AlertRule>} rule - Rule from the form or storage
+ * @returns {AlertRule} Rule
+ */
+export const normalizeRule = (rule) => ({
+  id: String(rule.id),
+  chartId: rule.chartId || null,
+  series: String(rule.series ?? '').trim(),
+  condition: rule.condition,
+  value: Number(rule.value),
+  period: isChange(rule.condition) ? rule.period : 'qoq',
+  enabled: rule.enabled !== false,
+});
+
+/**
+ * Readable rule, e.g. "CCP drops more than 15% QoQ"
+ * @param {AlertRule} rule - Rule
+ * @returns {string} Description
+ */
+export const describeRule = (rule) => {
+  const condition = ALERT_CONDITIONS.find(option => option.value === rule.condition)?.label ?? rule.condition;
+  const subject = rule.series || 'Any series';
+  if (isChange(rule.condition)) {
+    const period = ALERT_PERIODS.find(option => option.value === rule.period)?.label ?? '';
+    return `${subject} ${condition} ${numberFormat.format(rule.value)}% ${period}`;
+  }
+  return `${subject} ${condition} ${numberFormat.format(rule.value)}`;
+};
+
+/**
+ * Whether a trace is watched by a rule's series filter
+ * @param {AlertRule} rule - Rule
+ * @param {Object} trace - Plotly trace
+ * @returns {boolean} True when the series matches
+ */
+export const matchesSeries = (rule, trace) => {
+  if (!rule.series) return true;
+  const name = typeof trace?.name === 'string' ? trace.name : '';
+  const wanted = rule.series.toUpperCase();
+  if (name.toUpperCase() === wanted) return true;
+  // Company (first part, as in linked highlights) or metric (last part) of COMPANY_METRIC
+  const parts = name.split('_');
+  return parts.length > 1 && (entityKey(trace)?.toUpperCase() === wanted || parts[parts.length - 1].toUpperCase() === wanted);
+};
+
+/**
+ * Breaches of one rule in one trace
+ * @param {AlertRule} rule - Rule
+ * @param {Object} trace - x/y trace
+ * @returns {Array<{x: *, y: number, change: number|null}>} Breaching points
+ */
+export const evaluateTrace = (rule, trace) => {
+  if (!Array.isArray(trace?.x) || !Array.isArray(trace?.y)) return [];
+
+  if (isChange(rule.condition)) {
+    const months = ALERT_PERIODS.find(period => period.value === rule.period)?.months ?? 3;
+    const changes = percentChange(trace, months);
+    const values = new Map(trace.x.map((x, i) => [String(x), trace.y[i]]));
+    return changes.x
+      .map((x, i) => ({ x, y: values.get(String(x)), change: changes.y[i] }))
+      .filter(point => (rule.condition === 'drop' ? point.change <= -rule.value : point.change >= rule.value));
+  }
+
+  return trace.x
+    .map((x, i) => ({ x, y: trace.y[i], change: null }))
+    .filter(point => isNumber(point.y) && (rule.condition === 'above' ? point.y > rule.value : point.y < rule.value));
+};
+
+/**
+ * Evaluate the enabled rules against charts whose payload is loaded
+ * @param {AlertRule[]} rules - Rules
+ * @param {Object[]} charts - Normalized charts
+ * @returns {Breach[]} Breaches, latest x first
+ */
+export const evaluateRules = (rules, charts) => {
+  const breaches = [];
+
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    charts
+      .filter(chart => chart?.bodyLoaded && Array.isArray(chart.data) && (!rule.chartId || rule.chartId === chart.id))
+      .forEach(chart => {
+        chart.data.filter(trace => matchesSeries(rule, trace)).forEach(trace => {
+          const series = trace.name || 'Series';
+          evaluateTrace(rule, trace).forEach(point => {
+            const period = ALERT_PERIODS.find(option => option.value === rule.period)?.label;
+            breaches.push({
+              key: `${rule.id}|${chart.id}|${series}|${point.x}`,
+              ruleId: rule.id,
+              chartId: chart.id,
+              chartTitle: chart.title,
+              series,
+              x: point.x,
+              y: point.y,
+              change: point.change,
+              message: point.change === null
+                ? `${series} ${numberFormat.format(point.y)}`
+                : `${series} ${formatPercent(point.change)} ${period}`,
+            });
+          });
+        });
+      });
+  });
+
+  return breaches.sort((a, b) => xOrder(b.x) - xOrder(a.x));
+};
+
+/**
+ * Markers and annotations for the breaches of a chart, placed on the traces
+ * as drawn (so they follow filters, comparison scaling and subplots). Breaches
+ * whose point is filtered out are not drawn.
+ * @param {Object[]} traces - Traces to draw
+ * @param {Object} layout - Layout to draw
+ * @param {Breach[]} breaches - Breaches of the chart
+ * @returns {{data: Object[], layout: Object}} Traces and layout with the alerts
+ */
+export const breachOverlay = (traces, layout, breaches) => {
+  if (!breaches?.length) return { data: traces, layout };
+
+  const markers = new Map(); // One marker trace per subplot
+  const annotations = [];
+
+  breaches.forEach(breach => {
+    const trace = traces.find(candidate => candidate.name === breach.series && !candidate.meta?.derived);
+    const index = trace && Array.isArray(trace.x) ? trace.x.findIndex(x => String(x) === String(breach.x)) : -1;
+    if (index < 0 || !isNumber(trace.y?.[index])) return;
+
+    const xaxis = trace.xaxis || 'x';
+    const yaxis = trace.yaxis || 'y';
+    const key = `${xaxis}|${yaxis}`;
+    if (!markers.has(key)) markers.set(key, { xaxis, yaxis, x: [], y: [], text: [] });
+    const marker = markers.get(key);
+    marker.x.push(breach.x);
+    marker.y.push(trace.y[index]);
+    marker.text.push(breach.message);
+
+    // Breaches come latest first, so the most recent ones are annotated
+    if (annotations.length < MAX_ANNOTATIONS) {
+      annotations.push({
+        x: breach.x,
+        y: trace.y[index],
+        xref: xaxis,
+        yref: yaxis,
+        text: breach.message,
+        showarrow: true,
+        arrowhead: 2,
+        arrowcolor: ALERT_COLOR,
+        ax: 0,
+        ay: -35,
+        font: { size: 10, color: ALERT_COLOR },
+        bgcolor: 'rgba(255, 255, 255, 0.85)',
+      });
+    }
+  });
+
+  if (markers.size === 0) return { data: traces, layout };
+
+  const alertTraces = [...markers.values()].map((marker, i) => ({
+    type: 'scatter',
+    mode: 'markers',
+    name: 'Alerts',
+    legendgroup: 'alerts',
+    showlegend: i === 0,
+    ...marker,
+    hovertemplate: '%{text}<extra>Alert</extra>',
+    marker: { symbol: 'circle-open', size: 14, color: ALERT_COLOR, line: { width: 2 } },
+    meta: { derived: 'alert' },
+  }));
+
+  return {
+    data: [...traces, ...alertTraces],
+    layout: { ...layout, annotations: [...(layout?.annotations || []), ...annotations] },
+  };
+};
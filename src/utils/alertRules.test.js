@@ -0,0 +1,83 @@
+import { describe, test, expect } from 'vitest';
+import {
+  breachOverlay,
+  describeRule,
+  evaluateRules,
+  matchesSeries,
+  normalizeRule,
+  validateRule,
+} from './alertRules';
+
+const quarters = ['2020-03-31', '2020-06-30', '2020-09-30', '2020-12-31'];
+const chart = {
+  id: 'fastapi:1',
+  title: 'Cash',
+  bodyLoaded: true,
+  data: [
+    { name: 'AAPL_CCP', x: quarters, y: [100, 80, 90, 60] },
+    { name: 'AAPL_LTD', x: quarters, y: [40, 50, 70, 65] },
+    { name: 'MSFT_CCP', x: quarters, y: [10, 11, 12, 13] },
+  ],
+};
+
+const rule = (fields) => normalizeRule({ id: 'r1', condition: 'above', value: 0, ...fields });
+
+describe('Alert rules', () => {
+  test('validates and describes rules', () => {
+    expect(validateRule({ condition: 'above', value: '' }).map(error => error.path)).toEqual(['value']);
+    expect(validateRule({ condition: 'drop', value: '-5', period: 'qoq' })[0].message).toMatch(/greater than 0/);
+    expect(validateRule({ condition: 'rise', value: '5', period: 'monthly' }).map(error => error.path)).toEqual(['period']);
+    expect(validateRule({ condition: 'below', value: '0' })).toEqual([]);
+
+    expect(describeRule(rule({ series: 'CCP', condition: 'drop', value: '15', period: 'qoq' })))
+      .toBe('CCP drops more than 15% QoQ');
+    expect(describeRule(rule({ series: '', value: 2500000 }))).toBe('Any series exceeds 2,500,000');
+  });
+
+  test('matches full series names, companies and metrics', () => {
+    const [aaplCcp, aaplLtd] = chart.data;
+    expect(matchesSeries(rule({ series: 'aapl_ccp' }), aaplCcp)).toBe(true);
+    expect(matchesSeries(rule({ series: 'AAPL' }), aaplLtd)).toBe(true);
+    expect(matchesSeries(rule({ series: 'CCP' }), aaplLtd)).toBe(false);
+    expect(matchesSeries(rule({ series: 'Revenue' }), { name: 'Revenue' })).toBe(true);
+    expect(matchesSeries(rule({ series: '' }), {})).toBe(true);
+  });
+
+  test('finds threshold and QoQ change breaches, latest first', () => {
+    const rules = [
+      rule({ id: 'drop', series: 'CCP', condition: 'drop', value: 15, period: 'qoq' }),
+      rule({ id: 'ltd', series: 'LTD', condition: 'above', value: 60 }),
+      rule({ id: 'off', condition: 'above', value: 0, enabled: false }),
+      rule({ id: 'other', chartId: 'fastapi:2', condition: 'above', value: 0 }),
+    ];
+    const breaches = evaluateRules(rules, [chart, { id: 'fastapi:3', bodyLoaded: false }]);
+
+    expect(breaches.map(breach => [breach.ruleId, breach.series, breach.x])).toEqual([
+      ['drop', 'AAPL_CCP', '2020-12-31'],
+      ['ltd', 'AAPL_LTD', '2020-12-31'],
+      ['ltd', 'AAPL_LTD', '2020-09-30'],
+      ['drop', 'AAPL_CCP', '2020-06-30'],
+    ]);
+    expect(breaches[0]).toMatchObject({
+      key: 'drop|fastapi:1|AAPL_CCP|2020-12-31',
+      chartTitle: 'Cash',
+      y: 60,
+      message: 'AAPL_CCP -33.3% QoQ',
+    });
+    expect(breaches[1].message).toBe('AAPL_LTD 65');
+  });
+
+  test('draws markers and annotations on the series as drawn', () => {
+    const breaches = evaluateRules([rule({ series: 'AAPL_CCP', condition: 'below', value: 85 })], [chart]);
+    // The series is rebased and its first breach filtered out
+    const drawn = [{ ...chart.data[0], x: quarters.slice(2), y: [90, 60], yaxis: 'y2' }];
+    const { data, layout } = breachOverlay(drawn, { annotations: [{ text: 'note' }] }, breaches);
+
+    expect(data).toHaveLength(2);
+    expect(data[1]).toMatchObject({ mode: 'markers', name: 'Alerts', x: ['2020-12-31'], y: [60], xaxis: 'x', yaxis: 'y2' });
+    expect(layout.annotations.map(annotation => annotation.text)).toEqual(['note', 'AAPL_CCP 60']);
+
+    const unchanged = { data: drawn, layout: {} };
+    expect(breachOverlay(drawn, {}, [])).toEqual(unchanged);
+  });
+});
@@ -0,0 +1,191 @@
+// src/utils/chartBuilder.js
+import { parseCsv } from './csv';
+
+/**
+ * Build Plotly figures from tabular input
+ *
+ * Input is read into either a table ({ columns, rows }) or, for raw Plotly
+ * documents, a ready figure ({ data, layout }). Tables are turned into a
+ * figure by mapping columns to x, y and an optional series column that
+ * splits the rows into one trace per value.
+ */
+
+export const INPUT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON rows' },
+  { value: 'plotly', label: 'Plotly document' },
+];
+
+export const CHART_TYPES = [
+  { value: 'line', label: 'Line' },
+  { value: 'bar', label: 'Bar' },
+  { value: 'scatter', label: 'Scatter' },
+  { value: 'area', label: 'Area' },
+  { value: 'pie', label: 'Pie' },
+];
+
+/**
+ * Column names of JSON rows, in first-seen order
+ * @param {Object[]} rows - Row objects
+ * @returns {string[]} Columns
+ */
+const collectColumns = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+/**
+ * Read CSV text, JSON rows or a Plotly document
+ * @param {string} text - Pasted or uploaded content
+ * @param {string} format - 'csv', 'json' or 'plotly'
+ * @returns {{kind: 'table', columns: string[], rows: Object[]}|{kind: 'figure', data: Array, layout: Object}} Parsed input
+ * @throws {Error} With a user-facing message when the input cannot be used
+ */
+export const parseChartInput = (text, format) => {
+  if (!text || !text.trim()) {
+    throw new Error('No data provided');
+  }
+
+  if (format === 'csv') {
+    const { columns, rows } = parseCsv(text);
+    if (rows.length === 0) throw new Error('The CSV needs a header row and at least one data row');
+    return { kind: 'table', columns, rows };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (format === 'plotly') {
+    const figure = Array.isArray(parsed) ? { data: parsed } : parsed;
+    if (!Array.isArray(figure?.data)) throw new Error('A Plotly document needs a "data" array of traces');
+    return { kind: 'figure', data: figure.data, layout: figure.layout || {} };
+  }
+
+  // JSON rows: [{ ... }, ...], { rows: [...] } or columns of equal length ({ date: [...], close: [...] })
+  let rows = Array.isArray(parsed) ? parsed : parsed?.rows || parsed?.data;
+  if (!Array.isArray(rows) && parsed && typeof parsed === 'object' && Object.values(parsed).every(Array.isArray)) {
+    const columns = Object.keys(parsed);
+    const length = Math.max(0, ...columns.map(column => parsed[column].length));
+    rows = Array.from({ length }, (_, i) => Object.fromEntries(columns.map(column => [column, parsed[column][i]])));
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0 || !rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+    throw new Error('Expected an array of row objects');
+  }
+  return { kind: 'table', columns: collectColumns(rows), rows };
+};
+
+/**
+ * Number for numeric-looking values ("1,234.5" and "12%" included), otherwise null
+ * @param {*} value - Cell value
+ * @returns {number|null} Number
+ */
+export const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const number = Number(value.trim().replace(/,/g, '').replace(/%$/, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+const isDateLike = (value) => (
+  typeof value === 'string' && /^\d{4}-\d{1,2}(-\d{1,2})?([ T].*)?$|^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(value.trim())
+  && !Number.isNaN(Date.parse(value))
+);
+
+/**
+ * Type of each column from its non-empty values
+ * @param {Object[]} rows - Rows
+ * @param {string[]} columns - Columns
+ * @returns {Object<string, 'number'|'date'|'text'>} Column types
+ */
+export const inferColumnTypes = (rows, columns) => Object.fromEntries(columns.map(column => {
+  const values = rows.map(row => row[column]).filter(value => value !== '' && value !== null && value !== undefined);
+  if (values.length > 0 && values.every(value => toNumber(value) !== null)) return [column, 'number'];
+  if (values.length > 0 && values.every(isDateLike)) return [column, 'date'];
+  return [column, 'text'];
+}));
+
+/**
+ * Reasonable first mapping: a date or text column on x, the first numeric column on y
+ * @param {string[]} columns - Columns
+ * @param {Object<string, string>} types - Column types from inferColumnTypes
+ * @returns {{x: string, y: string[], series: string}} Mapping
+ */
+export const suggestMapping = (columns, types) => {
+  const x = columns.find(column => types[column] === 'date')
+    || columns.find(column => types[column] === 'text')
+    || columns[0]
+    || '';
+  const y = columns.find(column => column !== x && types[column] === 'number');
+  return { x, y: y ? [y] : [], series: '' };
+};
+
+/**
+ * Trace properties for a chart type
+ * @param {string} type - Chart type from CHART_TYPES
+ * @returns {Object} Plotly trace properties
+ */
+const traceStyle = (type) => {
+  switch (type) {
+    case 'bar': return { type: 'bar' };
+    case 'scatter': return { type: 'scatter', mode: 'markers' };
+    case 'area': return { type: 'scatter', mode: 'lines', fill: 'tozeroy' };
+    default: return { type: 'scatter', mode: 'lines+markers' };
+  }
+};
+
+/**
+ * Build a Plotly figure from rows and a column mapping
+ * @param {Object[]} rows - Rows
+ * @param {Object} options - Figure options
+ * @param {string} options.type - Chart type from CHART_TYPES
+ * @param {string} options.x - Column for x values (labels for pie charts)
+ * @param {string[]} options.y - Columns for y values (the first one for pie charts)
+ * @param {string} [options.series] - Column whose values split rows into separate traces
+ * @param {string} [options.title] - Chart title
+ * @param {Object<string, string>} [options.types] - Column types, to keep numeric strings numeric
+ * @returns {{data: Array, layout: Object}} Plotly figure
+ */
+export const buildFigure = (rows, { type = 'line', x, y = [], series = '', title = '', types = {} }) => {
+  const readY = (row, column) => toNumber(row[column]);
+  const readX = (row) => (types[x] === 'number' ? toNumber(row[x]) : row[x]);
+
+  if (type === 'pie') {
+    return {
+      data: [{ type: 'pie', labels: rows.map(row => row[x]), values: rows.map(row => readY(row, y[0])) }],
+      layout: { title: { text: title } },
+    };
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = series ? String(row[series] ?? '') : '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  const data = [];
+  groups.forEach((groupRows, key) => {
+    y.forEach(column => {
+      const name = [key, y.length > 1 || !key ? column : ''].filter(Boolean).join(' ');
+      data.push({
+        ...traceStyle(type),
+        name,
+        x: groupRows.map(readX),
+        y: groupRows.map(row => readY(row, column)),
+      });
+    });
+  });
+
+  return {
+    data,
+    layout: {
+      title: { text: title },
+      xaxis: { title: { text: x }, ...(types[x] === 'date' ? { type: 'date' } : {}) },
+      yaxis: { title: { text: y.length === 1 ? y[0] : '' } },
+      ...(type === 'bar' && data.length > 1 ? { barmode: 'group' } : {}),
+      showlegend: data.length > 1,
+    },
+  };
+};
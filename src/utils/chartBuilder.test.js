@@ -0,0 +1,51 @@
+import { describe, test, expect } from 'vitest';
+import { buildFigure, inferColumnTypes, parseChartInput, suggestMapping, toNumber } from './chartBuilder';
+
+const rows = [
+  { date: '2024-01-02', ticker: 'AAPL', close: '185.6', volume: '1,200' },
+  { date: '2024-01-02', ticker: 'MSFT', close: '370.9', volume: '900' },
+  { date: '2024-01-03', ticker: 'AAPL', close: '184.2', volume: '1,050' },
+];
+
+describe('Chart builder', () => {
+  test('reads CSV, JSON rows, columnar JSON and Plotly documents', () => {
+    expect(parseChartInput('a,b\n1,2', 'csv')).toEqual({ kind: 'table', columns: ['a', 'b'], rows: [{ a: '1', b: '2' }] });
+    expect(parseChartInput('[{"a":1},{"a":2,"b":3}]', 'json').columns).toEqual(['a', 'b']);
+    expect(parseChartInput('{"a":[1,2],"b":[3,4]}', 'json').rows).toEqual([{ a: 1, b: 3 }, { a: 2, b: 4 }]);
+    expect(parseChartInput('{"data":[{"y":[1]}]}', 'plotly')).toEqual({ kind: 'figure', data: [{ y: [1] }], layout: {} });
+  });
+
+  test('rejects input it cannot chart', () => {
+    expect(() => parseChartInput('  ', 'csv')).toThrow('No data provided');
+    expect(() => parseChartInput('{oops', 'json')).toThrow(/Invalid JSON/);
+    expect(() => parseChartInput('[1, 2]', 'json')).toThrow('Expected an array of row objects');
+    expect(() => parseChartInput('{"layout":{}}', 'plotly')).toThrow(/"data" array/);
+  });
+
+  test('infers column types and suggests a mapping', () => {
+    const types = inferColumnTypes(rows, ['date', 'ticker', 'close', 'volume']);
+    expect(types).toEqual({ date: 'date', ticker: 'text', close: 'number', volume: 'number' });
+    expect(suggestMapping(['date', 'ticker', 'close', 'volume'], types)).toEqual({ x: 'date', y: ['close'], series: '' });
+    expect(toNumber('12%')).toBe(12);
+    expect(toNumber('n/a')).toBeNull();
+  });
+
+  test('splits rows into one trace per series value', () => {
+    const figure = buildFigure(rows, { type: 'line', x: 'date', y: ['close'], series: 'ticker', types: { date: 'date' } });
+
+    expect(figure.data.map(trace => trace.name)).toEqual(['AAPL', 'MSFT']);
+    expect(figure.data[0]).toMatchObject({ type: 'scatter', x: ['2024-01-02', '2024-01-03'], y: [185.6, 184.2] });
+    expect(figure.layout.xaxis.type).toBe('date');
+    expect(figure.layout.showlegend).toBe(true);
+  });
+
+  test('builds grouped bars and pies', () => {
+    const bars = buildFigure(rows, { type: 'bar', x: 'ticker', y: ['close', 'volume'] });
+    expect(bars.data.map(trace => trace.name)).toEqual(['close', 'volume']);
+    expect(bars.data[1].y).toEqual([1200, 900, 1050]);
+    expect(bars.layout.barmode).toBe('group');
+
+    const pie = buildFigure(rows.slice(0, 2), { type: 'pie', x: 'ticker', y: ['volume'], title: 'Volume' });
+    expect(pie.data).toEqual([{ type: 'pie', labels: ['AAPL', 'MSFT'], values: [1200, 900] }]);
+  });
+});
@@ -0,0 +1,267 @@
+// src/utils/chartDiff.js
+
+/**
+ * Differences between two charts, or two versions of one chart
+ *
+ * Traces are matched by name (`trace N` when unnamed, `name #2` for repeated
+ * names). Points of matched traces are compared by x (labels for pie-like
+ * traces, position when there is no x), other trace properties and the
+ * layout are compared path by path. Arrays other than point data are compared
+ * as whole values.
+ *
+ * @typedef {Object} ValueChange
+ * @property {string} path - Property path, e.g. 'title.text' or 'marker.color'
+ * @property {'added'|'removed'|'changed'} kind - Kind of change
+ * @property {*} before - Value before (undefined when added)
+ * @property {*} after - Value after (undefined when removed)
+ *
+ * @typedef {Object} PointChange
+ * @property {*} key - X value, label or index of the point
+ * @property {'added'|'removed'|'changed'} kind - Kind of change
+ * @property {*} before - Value before
+ * @property {*} after - Value after
+ *
+ * @typedef {Object} TraceDiff
+ * @property {string} name - Trace key
+ * @property {'added'|'removed'|'changed'|'unchanged'} status - What happened to the trace
+ * @property {PointChange[]} points - Point changes of matched traces
+ * @property {ValueChange[]} properties - Other property changes of matched traces
+ *
+ * @typedef {Object} ChartDiff
+ * @property {TraceDiff[]} traces - Every trace of either chart
+ * @property {ValueChange[]} layout - Layout changes
+ * @property {{added: number, removed: number, changed: number, unchanged: number, points: number, layout: number}} counts
+ */
+
+const REMOVED_COLOR = '#dc3545';
+const BEFORE_COLOR = '#6c757d';
+const CHANGED_COLOR = '#fd7e14';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const sameValue = (a, b) => Object.is(a, b) || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Path-by-path differences of two values
+ * @param {*} before - Value before
+ * @param {*} after - Value after
+ * @param {string} [path=''] - Path of the values
+ * @returns {ValueChange[]} Changes, in path order
+ */
+export const diffValues = (before, after, path = '') => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  if (sameValue(before, after)) return [];
+  if (before === undefined) return [{ path, kind: 'added', before, after }];
+  if (after === undefined) return [{ path, kind: 'removed', before, after }];
+  return [{ path, kind: 'changed', before, after }];
+};
+
+/**
+ * Traces by matching key
+ * @param {Object[]} traces - Plotly traces
+ * @returns {Map<string, Object>} Traces in order, by key
+ */
+const keyedTraces = (traces = []) => {
+  const keyed = new Map();
+  traces.forEach((trace, index) => {
+    const base = typeof trace?.name === 'string' && trace.name !== '' ? trace.name : `trace ${index}`;
+    let key = base;
+    for (let n = 2; keyed.has(key); n++) key = `${base} #${n}`;
+    keyed.set(key, trace);
+  });
+  return keyed;
+};
+
+/**
+ * Point values of a trace and the properties they come from
+ * @param {Object} trace - Plotly trace
+ * @returns {{fields: string[], points: Map<string, {key: *, value: *}>}} Point fields and points by key
+ */
+const pointsOf = (trace) => {
+  const points = new Map();
+  if (Array.isArray(trace.labels) && Array.isArray(trace.values)) {
+    trace.labels.forEach((label, i) => points.set(String(label), { key: label, value: trace.values[i] }));
+    return { fields: ['labels', 'values'], points };
+  }
+  if (Array.isArray(trace.y)) {
+    const xs = Array.isArray(trace.x) ? trace.x : null;
+    trace.y.forEach((y, i) => {
+      const key = xs ? xs[i] : i;
+      points.set(String(key), { key, value: y });
+    });
+    return { fields: xs ? ['x', 'y'] : ['y'], points };
+  }
+  return { fields: [], points };
+};
+
+/**
+ * Point changes between two versions of a trace
+ * @param {Object} before - Trace before
+ * @param {Object} after - Trace after
+ * @returns {{fields: string[], changes: PointChange[]}} Compared fields and point changes
+ */
+const diffPoints = (before, after) => {
+  const old = pointsOf(before);
+  const next = pointsOf(after);
+  // Traces whose point data changed shape (e.g. x/y to labels/values) are compared as properties
+  if (old.fields.join() !== next.fields.join()) return { fields: [], changes: [] };
+
+  const changes = [];
+  next.points.forEach((point, id) => {
+    const previous = old.points.get(id);
+    if (!previous) changes.push({ key: point.key, kind: 'added', before: undefined, after: point.value });
+    else if (!sameValue(previous.value, point.value)) {
+      changes.push({ key: point.key, kind: 'changed', before: previous.value, after: point.value });
+    }
+  });
+  old.points.forEach((point, id) => {
+    if (!next.points.has(id)) changes.push({ key: point.key, kind: 'removed', before: point.value, after: undefined });
+  });
+  return { fields: next.fields, changes };
+};
+
+const without = (object, fields) => Object.fromEntries(Object.entries(object || {}).filter(([key]) => !fields.includes(key)));
+
+/**
+ * Differences between two charts
+ * @param {{data: Object[], layout: Object}} before - Chart or snapshot before
+ * @param {{data: Object[], layout: Object}} after - Chart or snapshot after
+ * @returns {ChartDiff} Differences
+ */
+export const diffCharts = (before, after) => {
+  const oldTraces = keyedTraces(before?.data);
+  const newTraces = keyedTraces(after?.data);
+  const traces = [];
+
+  newTraces.forEach((trace, name) => {
+    const previous = oldTraces.get(name);
+    if (!previous) {
+      traces.push({ name, status: 'added', points: [], properties: [] });
+      return;
+    }
+    const { fields, changes } = diffPoints(previous, trace);
+    const properties = diffValues(without(previous, fields), without(trace, fields));
+    const status = changes.length > 0 || properties.length > 0 ? 'changed' : 'unchanged';
+    traces.push({ name, status, points: changes, properties });
+  });
+  oldTraces.forEach((trace, name) => {
+    if (!newTraces.has(name)) traces.push({ name, status: 'removed', points: [], properties: [] });
+  });
+
+  const layout = diffValues(before?.layout || {}, after?.layout || {});
+  const count = (status) => traces.filter(trace => trace.status === status).length;
+
+  return {
+    traces,
+    layout,
+    counts: {
+      added: count('added'),
+      removed: count('removed'),
+      changed: count('changed'),
+      unchanged: count('unchanged'),
+      points: traces.reduce((sum, trace) => sum + trace.points.length, 0),
+      layout: layout.length,
+    },
+  };
+};
+
+/**
+ * Whether a diff found any difference
+ * @param {ChartDiff} diff - Differences
+ * @returns {boolean} True when something changed
+ */
+export const hasChanges = (diff) => (
+  diff.counts.added + diff.counts.removed + diff.counts.changed + diff.counts.layout > 0
+);
+
+/**
+ * Changes only, for the JSON view and download
+ * @param {ChartDiff} diff - Differences
+ * @returns {Object} Counts, changed traces and layout changes
+ */
+export const toJsonDiff = (diff) => ({
+  counts: diff.counts,
+  traces: diff.traces.filter(trace => trace.status !== 'unchanged'),
+  layout: diff.layout,
+});
+
+const isXY = (trace) => Array.isArray(trace?.y) && !Array.isArray(trace?.labels);
+
+/**
+ * Overlay plot of a diff: the later chart as drawn, earlier versions of
+ * changed traces as grey dashes, removed traces as red dots and changed or
+ * added points circled. Pie-like traces are shown as they are.
+ * @param {ChartDiff} diff - Differences
+ * @param {{data: Object[], layout: Object}} before - Chart or snapshot before
+ * @param {{data: Object[], layout: Object}} after - Chart or snapshot after
+ * @returns {{data: Object[], layout: Object}} Figure to draw
+ */
+export const diffOverlay = (diff, before, after) => {
+  const oldTraces = keyedTraces(before?.data);
+  const newTraces = keyedTraces(after?.data);
+  const data = [...newTraces.values()];
+  const marked = new Map(); // Changed points per subplot
+
+  diff.traces.forEach(traceDiff => {
+    const previous = oldTraces.get(traceDiff.name);
+    const current = newTraces.get(traceDiff.name);
+
+    if (traceDiff.status === 'changed' && isXY(previous)) {
+      data.push({
+        ...previous,
+        name: `${traceDiff.name} (before)`,
+        type: previous.type === 'bar' ? 'scatter' : previous.type,
+        mode: 'lines',
+        line: { dash: 'dash', color: BEFORE_COLOR, width: 1.5 },
+        marker: undefined,
+        opacity: 0.8,
+        meta: { derived: 'diff-before' },
+      });
+    }
+    if (traceDiff.status === 'removed' && isXY(previous)) {
+      data.push({
+        ...previous,
+        name: `${traceDiff.name} (removed)`,
+        type: previous.type === 'bar' ? 'scatter' : previous.type,
+        mode: 'lines+markers',
+        line: { dash: 'dot', color: REMOVED_COLOR, width: 1.5 },
+        marker: { color: REMOVED_COLOR, size: 5 },
+        meta: { derived: 'diff-removed' },
+      });
+    }
+    if (isXY(current) && Array.isArray(current.x)) {
+      const xaxis = current.xaxis || 'x';
+      const yaxis = current.yaxis || 'y';
+      const axes = `${xaxis}|${yaxis}`;
+      traceDiff.points
+        .filter(point => point.kind !== 'removed')
+        .forEach(point => {
+          if (!marked.has(axes)) marked.set(axes, { xaxis, yaxis, x: [], y: [], text: [] });
+          const markers = marked.get(axes);
+          markers.x.push(point.key);
+          markers.y.push(point.after);
+          markers.text.push(point.kind === 'added'
+            ? `${traceDiff.name}: added ${point.after}`
+            : `${traceDiff.name}: ${point.before} → ${point.after}`);
+        });
+    }
+  });
+
+  [...marked.values()].forEach((markers, i) => {
+    data.push({
+      type: 'scatter',
+      mode: 'markers',
+      name: 'Changed points',
+      legendgroup: 'diff-points',
+      showlegend: i === 0,
+      ...markers,
+      hovertemplate: '%{text}<extra></extra>',
+      marker: { symbol: 'circle-open', size: 12, color: CHANGED_COLOR, line: { width: 2 } },
+      meta: { derived: 'diff-points' },
+    });
+  });
+
+  return { data, layout: { ...after?.layout, showlegend: true } };
+};
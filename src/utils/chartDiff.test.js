@@ -0,0 +1,82 @@
+import { describe, test, expect } from 'vitest';
+import { diffCharts, diffOverlay, diffValues, hasChanges, toJsonDiff } from './chartDiff';
+
+const before = {
+  data: [
+    { name: 'AAPL_CCP', x: ['2020', '2021', '2022'], y: [1, 2, 3], line: { color: 'blue' } },
+    { name: 'MSFT_CCP', x: ['2020', '2021'], y: [5, 6] },
+    { x: ['2020'], y: [9] },
+  ],
+  layout: { title: { text: 'Cash' }, yaxis: { type: 'linear' } },
+};
+
+const after = {
+  data: [
+    { name: 'AAPL_CCP', x: ['2021', '2022', '2023'], y: [2, 4, 5], line: { color: 'red' } },
+    { name: 'GOOG_CCP', x: ['2020'], y: [7] },
+    { x: ['2020'], y: [9] },
+  ],
+  layout: { title: { text: 'Cash position' }, yaxis: { type: 'log' } },
+};
+
+describe('Chart diff', () => {
+  test('diffs nested values path by path', () => {
+    expect(diffValues({ a: { b: 1, c: [1, 2] } }, { a: { b: 2, c: [1, 2], d: 'x' } })).toEqual([
+      { path: 'a.b', kind: 'changed', before: 1, after: 2 },
+      { path: 'a.d', kind: 'added', before: undefined, after: 'x' },
+    ]);
+    expect(diffValues({ a: 1 }, {})).toEqual([{ path: 'a', kind: 'removed', before: 1, after: undefined }]);
+    expect(diffValues({ a: [1] }, { a: [1] })).toEqual([]);
+  });
+
+  test('finds added, removed and changed traces, points and layout changes', () => {
+    const diff = diffCharts(before, after);
+
+    expect(diff.traces.map(trace => [trace.name, trace.status])).toEqual([
+      ['AAPL_CCP', 'changed'],
+      ['GOOG_CCP', 'added'],
+      ['trace 2', 'unchanged'],
+      ['MSFT_CCP', 'removed'],
+    ]);
+    expect(diff.traces[0].points).toEqual([
+      { key: '2022', kind: 'changed', before: 3, after: 4 },
+      { key: '2023', kind: 'added', before: undefined, after: 5 },
+      { key: '2020', kind: 'removed', before: 1, after: undefined },
+    ]);
+    expect(diff.traces[0].properties).toEqual([
+      { path: 'line.color', kind: 'changed', before: 'blue', after: 'red' },
+    ]);
+    expect(diff.layout.map(change => change.path)).toEqual(['title.text', 'yaxis.type']);
+    expect(diff.counts).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1, points: 3, layout: 2 });
+
+    expect(hasChanges(diff)).toBe(true);
+    expect(hasChanges(diffCharts(before, before))).toBe(false);
+    expect(toJsonDiff(diff).traces.map(trace => trace.name)).not.toContain('trace 2');
+  });
+
+  test('compares pie-like traces by label', () => {
+    const diff = diffCharts(
+      { data: [{ type: 'pie', labels: ['A', 'B'], values: [1, 2] }] },
+      { data: [{ type: 'pie', labels: ['B', 'A'], values: [3, 1] }] }
+    );
+    expect(diff.traces[0].points).toEqual([{ key: 'B', kind: 'changed', before: 2, after: 3 }]);
+  });
+
+  test('overlays earlier versions, removed traces and changed points', () => {
+    const diff = diffCharts(before, after);
+    const { data, layout } = diffOverlay(diff, before, after);
+
+    expect(data.map(trace => trace.name)).toEqual([
+      'AAPL_CCP',
+      'GOOG_CCP',
+      undefined,
+      'AAPL_CCP (before)',
+      'MSFT_CCP (removed)',
+      'Changed points',
+    ]);
+    expect(data[3]).toMatchObject({ x: before.data[0].x, line: { dash: 'dash' } });
+    // Removed points are drawn by the earlier version of the trace
+    expect(data[5]).toMatchObject({ mode: 'markers', x: ['2022', '2023'], y: [4, 5], xaxis: 'x', yaxis: 'y' });
+    expect(layout).toMatchObject({ title: { text: 'Cash position' }, showlegend: true });
+  });
+});
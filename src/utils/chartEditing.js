@@ -0,0 +1,115 @@
+// src/utils/chartEditing.js
+
+/**
+ * Immutable helpers for editing Plotly figures
+ *
+ * Plotly accepts several shapes for the same setting (a title can be a string
+ * or `{ text }`, a trace color lives in `marker.color` or `line.color`), so
+ * the editor reads and writes them through these helpers instead of touching
+ * the figure directly.
+ */
+
+export const TRACE_MODES = ['lines', 'markers', 'lines+markers'];
+export const AXIS_TYPES = ['-', 'linear', 'log', 'date', 'category'];
+
+// Trace types whose color is drawn by the line rather than the markers
+const LINE_TRACE_TYPES = ['scatter', 'scattergl'];
+
+/**
+ * Text of a Plotly title (string or { text })
+ * @param {string|Object} [title] - Layout or axis title
+ * @returns {string} Title text
+ */
+export const getTitleText = (title) => (typeof title === 'string' ? title : title?.text || '');
+
+/**
+ * Replace the text of a Plotly title, keeping its font and position
+ * @param {string|Object} [title] - Current title
+ * @param {string} text - New text
+ * @returns {Object} Title object
+ */
+export const setTitleText = (title, text) => (
+  typeof title === 'object' && title !== null ? { ...title, text } : { text }
+);
+
+/**
+ * Whether a trace is drawn with lines (and so has a mode setting)
+ * @param {Object} trace - Plotly trace
+ * @returns {boolean} True for scatter traces
+ */
+export const hasTraceMode = (trace) => LINE_TRACE_TYPES.includes(trace.type || 'scatter');
+
+/**
+ * Single color of a trace, if it has one (per-point color arrays are ignored)
+ * @param {Object} trace - Plotly trace
+ * @returns {string} Color, or an empty string
+ */
+export const getTraceColor = (trace) => {
+  const color = hasTraceMode(trace) && trace.mode !== 'markers'
+    ? trace.line?.color ?? trace.marker?.color
+    : trace.marker?.color ?? trace.line?.color;
+  return typeof color === 'string' ? color : '';
+};
+
+/**
+ * Set the color of a trace's lines and markers
+ * @param {Object} trace - Plotly trace
+ * @param {string} color - CSS color
+ * @returns {Object} Updated trace
+ */
+export const setTraceColor = (trace, color) => {
+  const updated = { ...trace, marker: { ...trace.marker, color } };
+  if (hasTraceMode(trace)) {
+    updated.line = { ...trace.line, color };
+  }
+  return updated;
+};
+
+/**
+ * Whether a trace is shown ('legendonly' counts as hidden)
+ * @param {Object} trace - Plotly trace
+ * @returns {boolean} Visibility
+ */
+export const isTraceVisible = (trace) => trace.visible === undefined || trace.visible === true;
+
+/**
+ * Update one trace of a figure
+ * @param {Array} data - Plotly traces
+ * @param {number} index - Trace index
+ * @param {Object|function(Object): Object} changes - Properties to merge, or an updater
+ * @returns {Array} Updated traces
+ */
+export const updateTrace = (data, index, changes) => data.map((trace, i) => {
+  if (i !== index) return trace;
+  return typeof changes === 'function' ? changes(trace) : { ...trace, ...changes };
+});
+
+/**
+ * Update one axis of a layout
+ * @param {Object} layout - Plotly layout
+ * @param {string} axis - Axis key ('xaxis', 'yaxis')
+ * @param {Object} changes - Properties to merge; `title` is given as text
+ * @returns {Object} Updated layout
+ */
+export const updateAxis = (layout, axis, changes) => {
+  const { title, ...rest } = changes;
+  const current = layout[axis] || {};
+  return {
+    ...layout,
+    [axis]: {
+      ...current,
+      ...rest,
+      ...(title !== undefined ? { title: setTitleText(current.title, title) } : {}),
+    },
+  };
+};
+
+/**
+ * Field errors that belong to a path or anything below it
+ * @param {Array<{path: string, message: string}>} fieldErrors - Errors from a ValidationError
+ * @param {string} path - Dotted path ('title', 'data.0', 'layout')
+ * @returns {string[]} Messages
+ */
+export const getFieldErrors = (fieldErrors, path) => fieldErrors
+  .filter(error => error.path === path || error.path.startsWith(`${path}.`))
+  .map(error => error.message);
@@ -0,0 +1,65 @@
+import { describe, test, expect } from 'vitest';
+import {
+  getFieldErrors,
+  getTitleText,
+  getTraceColor,
+  isTraceVisible,
+  setTitleText,
+  setTraceColor,
+  updateAxis,
+  updateTrace,
+} from './chartEditing';
+
+describe('Chart editing helpers', () => {
+  test('reads and writes titles in both Plotly shapes', () => {
+    expect(getTitleText('Revenue')).toBe('Revenue');
+    expect(getTitleText({ text: 'Revenue', x: 0.5 })).toBe('Revenue');
+    expect(getTitleText(undefined)).toBe('');
+
+    expect(setTitleText('Old', 'New')).toEqual({ text: 'New' });
+    expect(setTitleText({ text: 'Old', font: { size: 18 } }, 'New')).toEqual({ text: 'New', font: { size: 18 } });
+  });
+
+  test('reads the color that is actually drawn', () => {
+    expect(getTraceColor({ type: 'scatter', mode: 'lines', line: { color: '#ff0000' }, marker: { color: '#00ff00' } })).toBe('#ff0000');
+    expect(getTraceColor({ type: 'scatter', mode: 'markers', marker: { color: '#00ff00' } })).toBe('#00ff00');
+    expect(getTraceColor({ type: 'bar', marker: { color: ['#f00', '#0f0'] } })).toBe('');
+  });
+
+  test('sets line color only for traces that have lines', () => {
+    expect(setTraceColor({ type: 'scatter', line: { width: 2 } }, '#123456'))
+      .toEqual({ type: 'scatter', line: { width: 2, color: '#123456' }, marker: { color: '#123456' } });
+    expect(setTraceColor({ type: 'bar' }, '#123456')).toEqual({ type: 'bar', marker: { color: '#123456' } });
+  });
+
+  test('treats legend-only traces as hidden', () => {
+    expect(isTraceVisible({})).toBe(true);
+    expect(isTraceVisible({ visible: 'legendonly' })).toBe(false);
+  });
+
+  test('updates one trace or axis without touching the rest', () => {
+    const data = [{ name: 'A' }, { name: 'B' }];
+    const updated = updateTrace(data, 1, { name: 'C' });
+
+    expect(updated).toEqual([{ name: 'A' }, { name: 'C' }]);
+    expect(updated[0]).toBe(data[0]);
+
+    const layout = { xaxis: { title: { text: 'Date', standoff: 10 } }, yaxis: { type: 'linear' } };
+    expect(updateAxis(layout, 'xaxis', { title: 'Day', type: 'date' })).toEqual({
+      xaxis: { title: { text: 'Day', standoff: 10 }, type: 'date' },
+      yaxis: { type: 'linear' },
+    });
+  });
+
+  test('selects field errors below a path', () => {
+    const fieldErrors = [
+      { path: 'title', message: 'field required' },
+      { path: 'data.0.name', message: 'too long' },
+      { path: 'data.10', message: 'invalid trace' },
+    ];
+
+    expect(getFieldErrors(fieldErrors, 'title')).toEqual(['field required']);
+    expect(getFieldErrors(fieldErrors, 'data.0')).toEqual(['too long']);
+    expect(getFieldErrors(fieldErrors, 'layout')).toEqual([]);
+  });
+});
@@ -0,0 +1,218 @@
+// src/utils/chartExport.js
+import { createZip } from './zip';
+
+/**
+ * Bulk chart export
+ *
+ * Images are rendered off-screen with Plotly.toImage, so charts do not need
+ * to be visible. Several images are bundled into one ZIP download. The HTML
+ * report embeds an SVG snapshot of every chart (readable offline) plus the
+ * figure JSON, which becomes interactive when plotly.js can be loaded.
+ */
+
+export const EXPORT_FORMATS = [
+  { value: 'png', label: 'PNG images' },
+  { value: 'svg', label: 'SVG images' },
+  { value: 'html', label: 'HTML report' },
+  { value: 'pdf', label: 'Print / Save as PDF' },
+];
+
+export const EXPORT_SIZES = [
+  { value: '800x500', label: '800 × 500', width: 800, height: 500 },
+  { value: '1200x750', label: '1200 × 750', width: 1200, height: 750 },
+  { value: '1920x1080', label: '1920 × 1080', width: 1920, height: 1080 },
+];
+
+const PLOTLY_CDN_URL = 'https://cdn.plot.ly/plotly-3.1.1.min.js';
+
+/**
+ * Safe, unique file name for a chart
+ * @param {string} title - Chart title
+ * @param {string} extension - File extension without the dot
+ * @param {Set<string>} [used] - Names already taken; the new name is added
+ * @returns {string} File name
+ */
+export const toFileName = (title, extension, used = new Set()) => {
+  const base = (title || 'chart')
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 80) || 'chart';
+
+  let name = `${base}.${extension}`;
+  for (let i = 2; used.has(name); i++) {
+    name = `${base}-${i}.${extension}`;
+  }
+  used.add(name);
+  return name;
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Bytes of a data URL (base64 or URL-encoded, as Plotly returns for SVG)
+ * @param {string} dataUrl - Data URL
+ * @returns {Uint8Array} Bytes
+ */
+export const dataUrlToBytes = (dataUrl) => {
+  const [header, payload = ''] = dataUrl.split(',', 2);
+  if (header.endsWith(';base64')) {
+    return Uint8Array.from(atob(payload), char => char.charCodeAt(0));
+  }
+  return new TextEncoder().encode(decodeURIComponent(payload));
+};
+
+/**
+ * Render a chart to an image without mounting it
+ * @param {Object} chart - Normalized chart with its body loaded
+ * @param {Object} options - Image options
+ * @param {'png'|'svg'} options.format - Image format
+ * @param {number} options.width - Width in CSS pixels
+ * @param {number} options.height - Height in CSS pixels
+ * @param {number} [options.scale=1] - Pixel ratio for PNG output
+ * @returns {Promise<string>} Data URL
+ */
+export const renderChartImage = async (chart, { format, width, height, scale = 1 }) => {
+  const { default: Plotly } = await import('plotly.js/dist/plotly');
+  return Plotly.toImage(
+    { data: chart.data, layout: { ...chart.layout, width, height }, config: { ...chart.config, staticPlot: true } },
+    { format, width, height, scale }
+  );
+};
+
+/**
+ * Offer bytes or text as a file download
+ * @param {BlobPart} content - File content
+ * @param {string} fileName - File name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Standalone HTML report of several charts
+ * @param {Array<{chart: Object, svg: string}>} entries - Charts with their SVG snapshots
+ * @param {Object} [options] - Options
+ * @param {string} [options.title='Chart export'] - Document title
+ * @param {Date} [options.generatedAt=new Date()] - Export time shown in the header
+ * @param {boolean} [options.interactive=true] - Load plotly.js to make the charts interactive when online
+ * @returns {string} HTML document
+ */
+export const buildHtmlReport = (entries, { title = 'Chart export', generatedAt = new Date(), interactive = true } = {}) => {
+  const sections = entries.map(({ chart, svg }, index) => `
+    <section class="chart">
+      <h2>${escapeHtml(chart.title)}</h2>
+      <div class="figure" id="chart-${index}">${svg}</div>
+      ${chart.description ? `<p class="description">${escapeHtml(chart.description)}</p>` : ''}
+    </section>`).join('\n');
+
+  // "</" would end the script element early
+  const figures = JSON.stringify(entries.map(({ chart }) => ({ data: chart.data, layout: chart.layout, config: chart.config })))
+    .replace(/</g, '\\u003c');
+
+  const script = interactive ? `
+  <script type="application/json" id="figures">${figures}</script>
+  <script src="${PLOTLY_CDN_URL}" async onload="
+    JSON.parse(document.getElementById('figures').textContent).forEach(function (figure, i) {
+      var el = document.getElementById('chart-' + i);
+      el.innerHTML = '';
+      Plotly.newPlot(el, figure.data, Object.assign({}, figure.layout, { autosize: true }), Object.assign({ displaylogo: false }, figure.config, { responsive: true }));
+    });
+  "></script>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2rem auto; max-width: 1100px; color: #333; }
+    header { border-bottom: 1px solid #dee2e6; margin-bottom: 1.5rem; }
+    .chart { margin-bottom: 2.5rem; page-break-inside: avoid; break-inside: avoid; }
+    .figure svg { max-width: 100%; height: auto; }
+    .description { color: #555; line-height: 1.5; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${entries.length} chart${entries.length === 1 ? '' : 's'}, exported ${escapeHtml(generatedAt.toLocaleString())}</p>
+  </header>
+${sections}
+${script}
+</body>
+</html>
+`;
+};
+
+/**
+ * Export charts in one of EXPORT_FORMATS
+ * @param {Object[]} charts - Normalized charts with their bodies loaded
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'png', 'svg', 'html' or 'pdf'
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {number} [options.scale=1] - PNG pixel ratio
+ * @param {Window} [options.printWindow] - Window opened for PDF export (must be opened during the click)
+ * @param {function(number, number): void} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<void>} Resolves once the download (or print dialog) was started
+ */
+export const exportCharts = async (charts, { format, width, height, scale = 1, printWindow, onProgress }) => {
+  const imageFormat = format === 'png' ? 'png' : 'svg';
+  const images = [];
+
+  // One at a time: Plotly renders each image in a hidden DOM node
+  for (const chart of charts) {
+    images.push(await renderChartImage(chart, { format: imageFormat, width, height, scale }));
+    onProgress?.(images.length, charts.length);
+  }
+
+  if (format === 'png' || format === 'svg') {
+    const used = new Set();
+    const files = charts.map((chart, i) => ({ name: toFileName(chart.title, format, used), data: dataUrlToBytes(images[i]) }));
+
+    if (files.length === 1) {
+      downloadFile(files[0].data, files[0].name, format === 'png' ? 'image/png' : 'image/svg+xml');
+    } else {
+      downloadFile(createZip(files), `charts-${format}.zip`, 'application/zip');
+    }
+    return;
+  }
+
+  const decoder = new TextDecoder();
+  const entries = charts.map((chart, i) => ({ chart, svg: decoder.decode(dataUrlToBytes(images[i])) }));
+
+  if (format === 'html') {
+    downloadFile(buildHtmlReport(entries), 'charts.html', 'text/html');
+    return;
+  }
+
+  // PDF: static report in a new window, saved through the browser's print dialog
+  const target = printWindow || window.open('', '_blank');
+  if (!target) throw new Error('Allow pop-ups for this site to export PDF');
+  target.document.open();
+  target.document.write(buildHtmlReport(entries, { interactive: false }));
+  target.document.close();
+  target.focus();
+  target.print();
+};
@@ -0,0 +1,59 @@
+import { describe, test, expect, vi } from 'vitest';
+import { buildHtmlReport, dataUrlToBytes, escapeHtml, renderChartImage, toFileName } from './chartExport';
+
+const toImage = vi.hoisted(() => vi.fn(async () => 'data:image/png;base64,AQID'));
+
+vi.mock('plotly.js/dist/plotly', () => ({ default: { toImage } }));
+
+describe('Chart export helpers', () => {
+  test('builds safe, unique file names', () => {
+    const used = new Set();
+    expect(toFileName('Revenue / Q1 (2024)', 'png', used)).toBe('Revenue-Q1-2024.png');
+    expect(toFileName('Revenue / Q1 (2024)', 'png', used)).toBe('Revenue-Q1-2024-2.png');
+    expect(toFileName('', 'svg', used)).toBe('chart.svg');
+  });
+
+  test('escapes HTML special characters', () => {
+    expect(escapeHtml('<b>"Tom" & \'Jerry\'</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+
+  test('decodes base64 and URL-encoded data URLs', () => {
+    expect(Array.from(dataUrlToBytes('data:image/png;base64,AQID'))).toEqual([1, 2, 3]);
+    const svg = dataUrlToBytes('data:image/svg+xml,%3Csvg%3E%3C%2Fsvg%3E');
+    expect(new TextDecoder().decode(svg)).toBe('<svg></svg>');
+  });
+
+  test('escapes titles and figure data in the HTML report', () => {
+    const chart = {
+      title: '<script>alert(1)</script>',
+      description: 'A & B',
+      data: [{ type: 'bar', x: ['</script>'], y: [1] }],
+      layout: {},
+    };
+    const html = buildHtmlReport([{ chart, svg: '<svg></svg>' }], { generatedAt: new Date(2024, 0, 2) });
+
+    expect(html).toContain('<h2>&lt;script&gt;alert(1)&lt;/script&gt;</h2>');
+    expect(html).toContain('A &amp; B');
+    expect(html).not.toContain('["</script>"]');
+    expect(html).toContain('cdn.plot.ly');
+
+    const staticHtml = buildHtmlReport([{ chart, svg: '<svg></svg>' }], { interactive: false });
+    expect(staticHtml).not.toContain('cdn.plot.ly');
+  });
+
+  test('renders images with the chart config', async () => {
+    const chart = { data: [{ y: [1, 2] }], layout: { title: 'Revenue' }, config: { locale: 'de', displayModeBar: false } };
+
+    await renderChartImage(chart, { format: 'png', width: 800, height: 500 });
+
+    expect(toImage).toHaveBeenCalledWith(
+      {
+        data: chart.data,
+        layout: { title: 'Revenue', width: 800, height: 500 },
+        config: { locale: 'de', displayModeBar: false, staticPlot: true },
+      },
+      { format: 'png', width: 800, height: 500, scale: 1 }
+    );
+  });
+});
@@ -0,0 +1,365 @@
+// src/utils/chartFilters.js
+
+/**
+ * Data-driven chart filters
+ *
+ * Filter dimensions are derived from the traces themselves instead of a naming
+ * convention:
+ *
+ *   - trace level (hide whole traces): `name`, the parts of `name` split on
+ *     underscores (`AAPL_CCP` → `name.0` = AAPL, `name.1` = CCP),
+ *     `legendgroup` and the fields of `meta`
+ *   - point level (hide points): `x`, `y`, `labels`, `values` and the fields
+ *     of `customdata` (objects, arrays or plain values)
+ *
+ * Each dimension is categorical, a number range or a date range, depending on
+ * its values. When points are removed every per-point array of the trace
+ * (`text`, `hovertext`, `customdata`, `marker.color`, error bars, ...) is
+ * sliced with them so they stay aligned.
+ *
+ * @typedef {Object} Dimension
+ * @property {string} key - Dimension key, e.g. 'name.1' or 'customdata.sector'
+ * @property {string} label - Label shown in the filter panel
+ * @property {'categorical'|'number'|'date'} type - Kind of filter
+ * @property {'trace'|'point'} scope - Whether it hides traces or points
+ * @property {string[]} [values] - Sorted distinct values (categorical)
+ * @property {number|string} [min] - Smallest value (number and date)
+ * @property {number|string} [max] - Largest value (number and date)
+ *
+ * @typedef {Object} Filters
+ * @property {Object<string, string[]>} values - Selected values per categorical
+ *   dimension; a missing key selects everything
+ * @property {Object<string, {min: string, max: string}>} ranges - Bounds per
+ *   number or date dimension, '' for an open end
+ */
+
+export const EMPTY_FILTERS = { values: {}, ranges: {} };
+
+// Categorical dimensions with more values than this would not fit in a checkbox list
+const MAX_CATEGORIES = 50;
+
+const NAME_SEPARATOR = '_';
+
+// Point coordinates that can be filtered
+const POINT_KEYS = ['x', 'y', 'labels', 'values'];
+
+// Arrays that hold one entry per point, sliced together when points are removed
+const PER_POINT_PATHS = [
+  ['x'], ['y'], ['z'], ['labels'], ['values'], ['ids'], ['text'], ['hovertext'], ['customdata'],
+  ['open'], ['high'], ['low'], ['close'], ['width'], ['base'],
+  ['marker', 'color'], ['marker', 'size'], ['marker', 'symbol'], ['marker', 'opacity'],
+  ['marker', 'line', 'color'], ['marker', 'line', 'width'],
+  ['error_x', 'array'], ['error_x', 'arrayminus'], ['error_y', 'array'], ['error_y', 'arrayminus'],
+];
+
+// 'YYYY-MM', 'YYYY-MM-DD' and ISO date-times; the one date format of every chart feature
+export const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isPresent = (value) => value !== null && value !== undefined && value !== '';
+export const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+export const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value);
+
+/**
+ * Timestamp of a date x value
+ * @param {*} value - X value
+ * @returns {number} Milliseconds, NaN when the value is not a date
+ */
+export const toTime = (value) => (isDate(value) ? Date.parse(value) : NaN);
+
+// 'YYYY-MM' and 'YYYY-MM-DD hh:mm' compare as their day, 'YYYY-MM-DD'
+const toDay = (value) => {
+  const day = String(value).slice(0, 10);
+  return day.length === 7 ? `${day}-01` : day;
+};
+
+/**
+ * Scalar fields of a value: objects and arrays by key, plain values under ''
+ * @param {*} value - Value
+ * @returns {Array<[string, *]>} [field, value] pairs
+ */
+const fieldsOf = (value) => {
+  if (value === null || value === undefined) return [];
+  if (typeof value !== 'object') return [['', value]];
+  return Object.entries(value).filter(([, field]) => field === null || typeof field !== 'object');
+};
+
+const joinKey = (base, field) => (field === '' ? base : `${base}.${field}`);
+
+/**
+ * Parts of a trace name, when the name follows the PART_PART convention
+ * @param {Object} trace - Trace
+ * @returns {string[]} Name parts
+ */
+const nameParts = (trace) => (typeof trace.name === 'string' ? trace.name.split(NAME_SEPARATOR) : []);
+
+/**
+ * Trace-level values of a trace, by dimension key
+ * @param {Object} trace - Trace
+ * @param {number} partCount - Number of name parts shared by every named trace (0 when they differ)
+ * @returns {Object<string, *>} Values
+ */
+const traceValues = (trace, partCount) => {
+  const values = {};
+  if (isPresent(trace.name)) values.name = String(trace.name);
+  if (partCount > 1) {
+    nameParts(trace).forEach((part, i) => { values[`name.${i}`] = part; });
+  }
+  if (isPresent(trace.legendgroup)) values.legendgroup = String(trace.legendgroup);
+  fieldsOf(trace.meta).forEach(([field, value]) => { values[joinKey('meta', field)] = value; });
+  return values;
+};
+
+/**
+ * Number of points of a trace
+ * @param {Object} trace - Trace
+ * @returns {number} Point count (0 when the trace has no point arrays)
+ */
+export const pointCount = (trace) => {
+  const key = POINT_KEYS.find(k => Array.isArray(trace[k]));
+  return key ? trace[key].length : 0;
+};
+
+/**
+ * Point-level values of one point, by dimension key
+ * @param {Object} trace - Trace
+ * @param {number} index - Point index
+ * @returns {Object<string, *>} Values
+ */
+const pointValues = (trace, index) => {
+  const values = {};
+  POINT_KEYS.forEach(key => {
+    if (Array.isArray(trace[key])) values[key] = trace[key][index];
+  });
+  if (Array.isArray(trace.customdata)) {
+    fieldsOf(trace.customdata[index]).forEach(([field, value]) => { values[joinKey('customdata', field)] = value; });
+  }
+  return values;
+};
+
+const DEFAULT_LABELS = {
+  name: 'Series',
+  legendgroup: 'Legend group',
+  meta: 'Meta',
+  x: 'X',
+  y: 'Y',
+  labels: 'Labels',
+  values: 'Values',
+  customdata: 'Custom data',
+};
+
+const labelFor = (key) => {
+  if (DEFAULT_LABELS[key]) return DEFAULT_LABELS[key];
+  const [base, ...rest] = key.split('.');
+  const field = rest.join('.');
+  if (base === 'name') return `Name part ${Number(field) + 1}`;
+  if (base === 'customdata' && /^\d+$/.test(field)) return `Custom data ${Number(field) + 1}`;
+  return field;
+};
+
+/**
+ * Dimension for a set of observed values, or null when it cannot filter anything
+ * @param {string} key - Dimension key
+ * @param {'trace'|'point'} scope - Scope
+ * @param {Array} observed - Present values
+ * @returns {Dimension|null} Dimension
+ */
+const toDimension = (key, scope, observed) => {
+  if (observed.length === 0) return null;
+  const base = { key, label: labelFor(key), scope };
+
+  if (observed.every(isNumber)) {
+    // reduce rather than Math.min(...): traces can have more points than the argument limit
+    const min = observed.reduce((a, b) => Math.min(a, b));
+    const max = observed.reduce((a, b) => Math.max(a, b));
+    return min < max ? { ...base, type: 'number', min, max } : null;
+  }
+
+  if (observed.every(isDate)) {
+    const days = observed.map(toDay).sort();
+    const min = days[0];
+    const max = days[days.length - 1];
+    return min < max ? { ...base, type: 'date', min, max } : null;
+  }
+
+  const values = [...new Set(observed.map(String))].sort();
+  return values.length > 1 && values.length <= MAX_CATEGORIES ? { ...base, type: 'categorical', values } : null;
+};
+
+const sharedPartCount = (traces) => {
+  const counts = new Set(traces.filter(trace => isPresent(trace?.name)).map(trace => nameParts(trace).length));
+  return counts.size === 1 ? [...counts][0] : 0;
+};
+
+/**
+ * Filter dimensions of a set of traces, trace-level ones first
+ * @param {Object[]} traces - Plotly traces
+ * @returns {Dimension[]} Dimensions that split the data
+ */
+export const getDimensions = (traces) => {
+  if (!Array.isArray(traces)) return [];
+  const partCount = sharedPartCount(traces);
+  const traceObserved = new Map();
+  const pointObserved = new Map();
+
+  const observe = (map, values) => {
+    Object.entries(values).forEach(([key, value]) => {
+      if (!isPresent(value)) return;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(value);
+    });
+  };
+
+  traces.forEach(trace => {
+    if (!trace) return;
+    observe(traceObserved, traceValues(trace, partCount));
+    for (let i = 0; i < pointCount(trace); i++) {
+      observe(pointObserved, pointValues(trace, i));
+    }
+  });
+
+  const dimensions = [
+    ...[...traceObserved].map(([key, observed]) => toDimension(key, 'trace', observed)),
+    ...[...pointObserved].map(([key, observed]) => toDimension(key, 'point', observed)),
+  ];
+  return dimensions.filter(Boolean);
+};
+
+/**
+ * Whether a value passes a dimension's filter; values a trace or point does
+ * not have are not filtered
+ * @param {Dimension} dimension - Dimension
+ * @param {*} value - Value
+ * @param {Filters} filters - Filters
+ * @returns {boolean} True when the value is kept
+ */
+const passes = (dimension, value, filters) => {
+  if (!isPresent(value)) return true;
+
+  if (dimension.type === 'categorical') {
+    const selected = filters.values?.[dimension.key];
+    return !selected || selected.includes(String(value));
+  }
+
+  const range = filters.ranges?.[dimension.key];
+  if (!range) return true;
+
+  if (dimension.type === 'number') {
+    const number = Number(value);
+    return (range.min === '' || number >= Number(range.min)) && (range.max === '' || number <= Number(range.max));
+  }
+
+  const day = toDay(value);
+  return (!range.min || day >= range.min) && (!range.max || day <= range.max);
+};
+
+/**
+ * Dimensions with an active filter
+ * @param {Dimension[]} dimensions - Dimensions
+ * @param {Filters} filters - Filters
+ * @returns {Dimension[]} Filtered dimensions
+ */
+export const activeDimensions = (dimensions, filters) => dimensions.filter(dimension => (
+  dimension.type === 'categorical'
+    ? Boolean(filters.values?.[dimension.key])
+    : Boolean(filters.ranges?.[dimension.key])
+));
+
+/**
+ * Copy of a trace with only the given points; every per-point array is sliced
+ * @param {Object} trace - Trace
+ * @param {number[]} indices - Indices of the points to keep, in order
+ * @returns {Object} New trace
+ */
+export const slicePoints = (trace, indices) => {
+  const count = pointCount(trace);
+  const sliced = { ...trace };
+
+  PER_POINT_PATHS.forEach(path => {
+    const parentPath = path.slice(0, -1);
+    const leaf = path[path.length - 1];
+    const source = parentPath.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), trace);
+    if (!Array.isArray(source?.[leaf]) || source[leaf].length !== count) return;
+
+    // Copy the nested objects on the way down so the original trace is untouched
+    let target = sliced;
+    parentPath.forEach(key => {
+      target[key] = { ...target[key] };
+      target = target[key];
+    });
+    target[leaf] = indices.map(i => source[leaf][i]);
+  });
+
+  return sliced;
+};
+
+/**
+ * Apply filters to traces. Traces failing a trace-level filter are removed;
+ * points failing a point-level filter are removed together with their
+ * per-point data, and traces left without points are removed.
+ * @param {Object[]} traces - Plotly traces
+ * @param {Dimension[]} dimensions - Dimensions of the traces (from getDimensions)
+ * @param {Filters} filters - Filters
+ * @returns {Object[]} Filtered traces
+ */
+export const filterTraces = (traces, dimensions, filters) => {
+  if (!Array.isArray(traces)) return [];
+  const active = activeDimensions(dimensions, filters);
+  if (active.length === 0) return traces;
+
+  const traceFilters = active.filter(dimension => dimension.scope === 'trace');
+  const pointFilters = active.filter(dimension => dimension.scope === 'point');
+  const partCount = sharedPartCount(traces);
+
+  return traces.flatMap(trace => {
+    const values = traceValues(trace, partCount);
+    if (!traceFilters.every(dimension => passes(dimension, values[dimension.key], filters))) return [];
+    if (pointFilters.length === 0) return [trace];
+
+    const count = pointCount(trace);
+    const kept = [];
+    for (let i = 0; i < count; i++) {
+      const point = pointValues(trace, i);
+      if (pointFilters.every(dimension => passes(dimension, point[dimension.key], filters))) kept.push(i);
+    }
+
+    if (kept.length === count) return [trace];
+    return kept.length > 0 ? [slicePoints(trace, kept)] : [];
+  });
+};
+
+/**
+ * Filters without no-op entries (open ranges, selections of every value), with
+ * keys sorted, so equal filters serialize the same way
+ * @param {Filters} filters - Filters
+ * @param {Dimension[]} [dimensions] - Dimensions, to drop selections of every value
+ * @returns {Filters} Normalized filters
+ */
+export const normalizeFilters = (filters, dimensions = []) => {
+  const byKey = new Map(dimensions.map(dimension => [dimension.key, dimension]));
+  const values = {};
+  const ranges = {};
+
+  Object.keys(filters?.values || {}).sort().forEach(key => {
+    const selected = filters.values[key];
+    const all = byKey.get(key)?.values;
+    if (!Array.isArray(selected)) return;
+    if (all && all.length === selected.length && all.every(value => selected.includes(value))) return;
+    values[key] = [...selected].sort();
+  });
+
+  Object.keys(filters?.ranges || {}).sort().forEach(key => {
+    const { min = '', max = '' } = filters.ranges[key] || {};
+    if (min !== '' || max !== '') ranges[key] = { min: String(min), max: String(max) };
+  });
+
+  return { values, ranges };
+};
+
+/**
+ * Whether filters change anything
+ * @param {Filters} filters - Normalized filters
+ * @returns {boolean} True when at least one filter is set
+ */
+export const hasFilters = (filters) => (
+  Object.keys(filters?.values || {}).length > 0 || Object.keys(filters?.ranges || {}).length > 0
+);
@@ -0,0 +1,115 @@
+import { describe, test, expect } from 'vitest';
+import { filterTraces, getDimensions, hasFilters, isDate, normalizeFilters, slicePoints, toTime } from './chartFilters';
+
+const traces = [
+  {
+    name: 'AAPL_CCP',
+    legendgroup: 'tech',
+    meta: { region: 'US' },
+    x: ['2020-01-01', '2021-01-01', '2022-01-01'],
+    y: [1, 2, 3],
+    text: ['a1', 'a2', 'a3'],
+    hovertext: ['h1', 'h2', 'h3'],
+    customdata: [{ sector: 'Hardware', score: 0.2 }, { sector: 'Services', score: 0.5 }, { sector: 'Services', score: 0.9 }],
+    marker: { color: ['red', 'green', 'blue'], line: { width: 2 } },
+  },
+  {
+    name: 'MSFT_LTD',
+    legendgroup: 'tech',
+    meta: { region: 'EU' },
+    x: ['2020-01-01', '2021-01-01', '2022-01-01'],
+    y: [4, 5, 6],
+  },
+  {
+    name: 'XOM_CCP',
+    legendgroup: 'energy',
+    meta: { region: 'US' },
+    x: ['2020-01-01', '2021-01-01', '2022-01-01'],
+    y: [7, 8, 9],
+  },
+];
+
+const byKey = (dimensions) => Object.fromEntries(dimensions.map(d => [d.key, d]));
+
+describe('Chart filters', () => {
+  test('derives dimensions from names, legend groups, meta, customdata and coordinates', () => {
+    const dimensions = byKey(getDimensions(traces));
+
+    expect(dimensions.name).toMatchObject({ type: 'categorical', scope: 'trace', values: ['AAPL_CCP', 'MSFT_LTD', 'XOM_CCP'] });
+    expect(dimensions['name.0']).toMatchObject({ label: 'Name part 1', values: ['AAPL', 'MSFT', 'XOM'] });
+    expect(dimensions['name.1']).toMatchObject({ values: ['CCP', 'LTD'] });
+    expect(dimensions.legendgroup).toMatchObject({ values: ['energy', 'tech'] });
+    expect(dimensions['meta.region']).toMatchObject({ label: 'region', values: ['EU', 'US'] });
+    expect(dimensions.x).toMatchObject({ type: 'date', scope: 'point', min: '2020-01-01', max: '2022-01-01' });
+    expect(dimensions.y).toMatchObject({ type: 'number', min: 1, max: 9 });
+    expect(dimensions['customdata.sector']).toMatchObject({ type: 'categorical', scope: 'point', values: ['Hardware', 'Services'] });
+    expect(dimensions['customdata.score']).toMatchObject({ type: 'number', min: 0.2, max: 0.9 });
+
+    // Names without a shared PART_PART shape only give the series dimension
+    expect(byKey(getDimensions([{ name: 'Apple', y: [1] }, { name: 'Big_Co_Inc', y: [2] }]))).not.toHaveProperty('name.0');
+    expect(getDimensions([{ y: [1, 1] }])).toEqual([]);
+  });
+
+  test('filters whole traces by trace-level dimensions', () => {
+    const dimensions = getDimensions(traces);
+    const names = (filters) => filterTraces(traces, dimensions, filters).map(trace => trace.name);
+
+    expect(names({ values: { 'name.1': ['CCP'] }, ranges: {} })).toEqual(['AAPL_CCP', 'XOM_CCP']);
+    expect(names({ values: { legendgroup: ['tech'], 'meta.region': ['US'] }, ranges: {} })).toEqual(['AAPL_CCP']);
+    expect(names({ values: { name: [] }, ranges: {} })).toEqual([]);
+    expect(filterTraces(traces, dimensions, { values: {}, ranges: {} })).toBe(traces);
+  });
+
+  test('keeps every per-point array aligned when points are filtered', () => {
+    const dimensions = getDimensions(traces);
+    const [apple, ...others] = filterTraces(traces, dimensions, {
+      values: { 'customdata.sector': ['Services'] },
+      ranges: { x: { min: '', max: '2021-06-30' } },
+    });
+
+    expect(apple).toMatchObject({
+      x: ['2021-01-01'],
+      y: [2],
+      text: ['a2'],
+      hovertext: ['h2'],
+      customdata: [{ sector: 'Services', score: 0.5 }],
+      marker: { color: ['green'], line: { width: 2 } },
+    });
+    // Traces without customdata are only limited by the date range
+    expect(others.map(trace => trace.y)).toEqual([[4, 5], [7, 8]]);
+    // The source traces are untouched
+    expect(traces[0].marker.color).toEqual(['red', 'green', 'blue']);
+
+    const ranged = filterTraces(traces, dimensions, { values: {}, ranges: { y: { min: '5', max: '' } } });
+    expect(ranged.map(trace => trace.name)).toEqual(['MSFT_LTD', 'XOM_CCP']);
+  });
+
+  test('slices nested per-point arrays of the same length only', () => {
+    const trace = { x: [1, 2, 3], y: [3, 2, 1], error_y: { array: [0.1, 0.2, 0.3] }, marker: { color: 'red', size: [1, 2] } };
+    expect(slicePoints(trace, [0, 2])).toEqual({
+      x: [1, 3],
+      y: [3, 1],
+      error_y: { array: [0.1, 0.3] },
+      marker: { color: 'red', size: [1, 2] },
+    });
+  });
+
+  test('normalizes filters so defaults compare equal', () => {
+    const dimensions = getDimensions(traces);
+    const filters = normalizeFilters({
+      values: { 'name.1': ['LTD', 'CCP'], legendgroup: ['tech'] },
+      ranges: { x: { min: '', max: '' }, y: { min: 2, max: '' } },
+    }, dimensions);
+
+    expect(filters).toEqual({ values: { legendgroup: ['tech'] }, ranges: { y: { min: '2', max: '' } } });
+    expect(hasFilters(filters)).toBe(true);
+    expect(hasFilters(normalizeFilters({ values: {}, ranges: { x: { min: '', max: '' } } }))).toBe(false);
+  });
+
+  test('recognizes the date x values shared by every chart feature', () => {
+    expect(['2020-03', '2020-03-31', '2020-03-31 12:00', '2020-03-31T12:00:00.000Z'].every(isDate)).toBe(true);
+    expect(['2020', '2020-03-31 note', 'Q1 2020', 20200331].some(isDate)).toBe(false);
+    expect(toTime('2020-03-31')).toBe(Date.UTC(2020, 2, 31));
+    expect(toTime('Q1')).toBeNaN();
+  });
+});
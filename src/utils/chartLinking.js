@@ -0,0 +1,75 @@
+// src/utils/chartLinking.js
+
+/**
+ * Linking between charts shown side by side
+ *
+ * Zoom is shared between charts whose x axes have the same kind (dates or
+ * numbers), taken from Plotly relayout events. Highlights are shared by
+ * entity: the company of a trace, i.e. the first part of a PART_PART trace
+ * name (`AAPL_CCP` → AAPL), otherwise its name or legend group.
+ */
+
+// Opacity of the traces that are not highlighted
+export const DIMMED_OPACITY = 0.2;
+
+/**
+ * Kind of x axis a chart has, from its filter dimensions
+ * @param {import('./chartFilters').Dimension[]} dimensions - Dimensions of the chart's traces
+ * @returns {'date'|'number'|null} Axis kind, null when the x values are categories or missing
+ */
+export const getXAxisKind = (dimensions) => {
+  const x = dimensions.find(dimension => dimension.key === 'x');
+  return x && (x.type === 'date' || x.type === 'number') ? x.type : null;
+};
+
+/**
+ * X range change described by a Plotly relayout event
+ * @param {Object} event - plotly_relayout event data
+ * @returns {{range: Array}|{autorange: true}|null} New range, a reset, or null when x did not change
+ */
+export const rangeFromRelayout = (event) => {
+  if (!event) return null;
+  if (event['xaxis.autorange'] === true) return { autorange: true };
+
+  const range = Array.isArray(event['xaxis.range'])
+    ? event['xaxis.range']
+    : [event['xaxis.range[0]'], event['xaxis.range[1]']];
+  return range.length === 2 && range.every(bound => bound !== undefined && bound !== null)
+    ? { range: [...range] }
+    : null;
+};
+
+/**
+ * Entity a trace belongs to, shared by traces of the same company across charts
+ * @param {Object} trace - Plotly trace
+ * @returns {string|null} Entity key
+ */
+export const entityKey = (trace) => {
+  if (typeof trace?.name === 'string' && trace.name !== '') {
+    return trace.name.split('_')[0];
+  }
+  if (trace?.legendgroup !== undefined && trace.legendgroup !== '') return String(trace.legendgroup);
+  return null;
+};
+
+/**
+ * Dim the traces whose entity is not highlighted. Charts without any of the
+ * highlighted entities are left as they are.
+ * @param {Object[]} traces - Plotly traces
+ * @param {string[]} keys - Highlighted entity keys
+ * @returns {Object[]} Traces to draw
+ */
+export const applyHighlight = (traces, keys) => {
+  if (!keys?.length || !traces.some(trace => keys.includes(entityKey(trace)))) return traces;
+  return traces.map(trace => (keys.includes(entityKey(trace)) ? trace : { ...trace, opacity: DIMMED_OPACITY }));
+};
+
+/**
+ * Entities of the points in a click or selection event
+ * @param {Object} event - plotly_click or plotly_selected event data
+ * @returns {string[]} Distinct entity keys
+ */
+export const entitiesOfEvent = (event) => {
+  const keys = (event?.points || []).map(point => entityKey(point.data)).filter(Boolean);
+  return [...new Set(keys)];
+};
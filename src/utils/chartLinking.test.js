@@ -0,0 +1,48 @@
+import { describe, test, expect } from 'vitest';
+import { getDimensions } from './chartFilters';
+import {
+  DIMMED_OPACITY,
+  applyHighlight,
+  entitiesOfEvent,
+  entityKey,
+  getXAxisKind,
+  rangeFromRelayout,
+} from './chartLinking';
+
+describe('Chart linking', () => {
+  test('reads the x axis kind from the trace values', () => {
+    expect(getXAxisKind(getDimensions([{ x: ['2020-01-01', '2021-01-01'], y: [1, 2] }]))).toBe('date');
+    expect(getXAxisKind(getDimensions([{ x: [1, 2, 3], y: [1, 2, 3] }]))).toBe('number');
+    expect(getXAxisKind(getDimensions([{ x: ['Q1', 'Q2'], y: [1, 2] }]))).toBeNull();
+  });
+
+  test('turns relayout events into x range changes', () => {
+    expect(rangeFromRelayout({ 'xaxis.range[0]': '2020-01-01', 'xaxis.range[1]': '2021-06-30' }))
+      .toEqual({ range: ['2020-01-01', '2021-06-30'] });
+    expect(rangeFromRelayout({ 'xaxis.range': [1, 5] })).toEqual({ range: [1, 5] });
+    expect(rangeFromRelayout({ 'xaxis.autorange': true, 'yaxis.autorange': true })).toEqual({ autorange: true });
+    // Changes to other axes or the legend do not move linked charts
+    expect(rangeFromRelayout({ 'yaxis.range[0]': 0, 'yaxis.range[1]': 3 })).toBeNull();
+    expect(rangeFromRelayout({ dragmode: 'select' })).toBeNull();
+  });
+
+  test('groups traces of the same company across naming styles', () => {
+    expect(entityKey({ name: 'AAPL_CCP' })).toBe('AAPL');
+    expect(entityKey({ name: 'AAPL' })).toBe('AAPL');
+    expect(entityKey({ legendgroup: 'energy' })).toBe('energy');
+    expect(entityKey({})).toBeNull();
+    expect(entitiesOfEvent({ points: [{ data: { name: 'AAPL_CCP' } }, { data: { name: 'AAPL_LTD' } }, { data: { name: 'MSFT_LTD' } }] }))
+      .toEqual(['AAPL', 'MSFT']);
+  });
+
+  test('dims the other companies only in charts that show a highlighted one', () => {
+    const traces = [{ name: 'AAPL_CCP', y: [1] }, { name: 'MSFT_CCP', y: [2] }];
+
+    expect(applyHighlight(traces, ['AAPL'])).toEqual([
+      { name: 'AAPL_CCP', y: [1] },
+      { name: 'MSFT_CCP', y: [2], opacity: DIMMED_OPACITY },
+    ]);
+    expect(applyHighlight(traces, ['XOM'])).toBe(traces);
+    expect(applyHighlight(traces, null)).toBe(traces);
+  });
+});
@@ -0,0 +1,206 @@
+// src/utils/comparisonMode.js
+
+import { entityKey } from './chartLinking';
+import { isNumber, toTime } from './chartFilters';
+
+/**
+ * Company comparison mode
+ *
+ * Puts series of very different sizes on a common scale: rebased to 100 at a
+ * start date, or as a % of each series' own maximum. Optionally switches the
+ * y axes to log and splits the chart into one small-multiple subplot per
+ * company (the entity of chartLinking: `AAPL_CCP` → AAPL). Only y values
+ * change, so per-point arrays (text, customdata, markers) stay aligned.
+ *
+ * @typedef {Object} ComparisonOptions
+ * @property {'none'|'rebase'|'percentOfMax'} scale - How to normalize the series
+ * @property {string} baseDate - Rebase date (YYYY-MM-DD), '' for each series' first point
+ * @property {boolean} logY - Logarithmic y axes
+ * @property {boolean} smallMultiples - One subplot per company
+ */
+
+export const DEFAULT_COMPARISON = {
+  scale: 'none',
+  baseDate: '',
+  logY: false,
+  smallMultiples: false,
+};
+
+// Value of every series at its base point when rebasing
+export const REBASE_VALUE = 100;
+
+const isSeries = (trace) => (
+  (!trace.type || ['scatter', 'scattergl', 'bar'].includes(trace.type))
+  && Array.isArray(trace.x) && Array.isArray(trace.y)
+);
+
+/**
+ * Whether any comparison option changes the chart
+ * @param {ComparisonOptions} options - Comparison options
+ * @returns {boolean} True when the chart is transformed
+ */
+export const isComparing = (options) => (
+  options.scale !== 'none' || options.logY || options.smallMultiples
+);
+
+/**
+ * Overlays (see financialOverlays) that still apply in comparison mode. A
+ * ratio of normalized series means nothing, and % change and ratio axes
+ * overlay a single plot, so they are left out of small multiples.
+ * @param {Object<string, boolean>} availability - Overlays that apply to the chart
+ * @param {ComparisonOptions} options - Comparison options
+ * @returns {Object<string, boolean>} Availability in comparison mode
+ */
+export const limitOverlays = (availability, options) => ({
+  ...availability,
+  qoq: availability.qoq && !options.smallMultiples,
+  yoy: availability.yoy && !options.smallMultiples,
+  ratio: availability.ratio && !options.smallMultiples && options.scale === 'none',
+});
+
+/**
+ * Index of the point a series is rebased on: the earliest point on or after
+ * the base date with a positive value. Without a base date, or when x is not
+ * a date, the earliest positive point.
+ * @param {Object} trace - x/y trace
+ * @param {string} [baseDate] - Base date (YYYY-MM-DD)
+ * @returns {number} Point index, -1 when the series has no such point
+ */
+export const findBaseIndex = (trace, baseDate = '') => {
+  const from = toTime(baseDate);
+  let best = -1;
+  let bestKey = Infinity;
+
+  trace.x.forEach((x, i) => {
+    if (!isNumber(trace.y[i]) || trace.y[i] <= 0) return;
+    const time = toTime(x);
+    if (!Number.isNaN(from) && (Number.isNaN(time) || time < from)) return;
+    // Dates and numbers are ordered by value, categories by position
+    const key = !Number.isNaN(time) ? time : isNumber(x) ? x : i;
+    if (key < bestKey) {
+      best = i;
+      bestKey = key;
+    }
+  });
+  return best;
+};
+
+/**
+ * Normalized copy of a series
+ * @param {Object} trace - x/y trace
+ * @param {ComparisonOptions} options - Comparison options
+ * @returns {Object|null} Trace with scaled y values, null when the series has no base
+ */
+export const scaleTrace = (trace, options) => {
+  let factor;
+  if (options.scale === 'rebase') {
+    const base = findBaseIndex(trace, options.baseDate);
+    if (base < 0) return null;
+    factor = REBASE_VALUE / trace.y[base];
+  } else if (options.scale === 'percentOfMax') {
+    const max = Math.max(0, ...trace.y.filter(isNumber).map(Math.abs));
+    if (max === 0) return null;
+    factor = 100 / max;
+  } else {
+    return trace;
+  }
+
+  return { ...trace, y: trace.y.map(value => (isNumber(value) ? value * factor : value)) };
+};
+
+const scaleTitle = (options) => {
+  if (options.scale === 'rebase') {
+    return `Index (${REBASE_VALUE} = ${options.baseDate || 'first value'})`;
+  }
+  if (options.scale === 'percentOfMax') return '% of own max';
+  return null;
+};
+
+const axisKeys = (layout, letter) => Object.keys(layout).filter(key => new RegExp(`^${letter}axis\\d+$`).test(key));
+
+/**
+ * Split traces into one subplot per company, laid out on a grid. Subplots
+ * share the x range (zooming one zooms all) and get the company as title.
+ * @param {Object[]} traces - Plotly traces
+ * @param {Object} layout - Chart layout
+ * @returns {{data: Object[], layout: Object, panels: string[]}} Traces, layout and the company of each subplot
+ */
+export const splitByEntity = (traces, layout = {}) => {
+  const panels = [];
+  traces.forEach(trace => {
+    const key = entityKey(trace) ?? 'Other';
+    if (!panels.includes(key)) panels.push(key);
+  });
+
+  const nextLayout = { ...layout };
+  // The chart's own extra axes would collide with the subplot axes
+  [...axisKeys(layout, 'x'), ...axisKeys(layout, 'y')].forEach(key => delete nextLayout[key]);
+
+  const columns = Math.ceil(Math.sqrt(panels.length));
+  const rows = Math.ceil(panels.length / columns);
+  nextLayout.grid = { rows, columns, pattern: 'independent', roworder: 'top to bottom' };
+
+  panels.forEach((panel, i) => {
+    if (i === 0) return;
+    nextLayout[`xaxis${i + 1}`] = { ...layout.xaxis, matches: 'x', title: undefined };
+    nextLayout[`yaxis${i + 1}`] = { ...layout.yaxis, title: undefined };
+  });
+
+  const titles = panels.map((panel, i) => ({
+    text: `<b>${panel}</b>`,
+    xref: `x${i === 0 ? '' : i + 1} domain`,
+    yref: `y${i === 0 ? '' : i + 1} domain`,
+    x: 0.5,
+    y: 1,
+    xanchor: 'center',
+    yanchor: 'bottom',
+    showarrow: false,
+    font: { size: 12 },
+  }));
+  nextLayout.annotations = [...(layout.annotations || []), ...titles];
+
+  const data = traces.map(trace => {
+    const i = panels.indexOf(entityKey(trace) ?? 'Other');
+    return { ...trace, xaxis: i === 0 ? 'x' : `x${i + 1}`, yaxis: i === 0 ? 'y' : `y${i + 1}` };
+  });
+
+  return { data, layout: nextLayout, panels };
+};
+
+/**
+ * Apply comparison mode to the (filtered) traces of a chart
+ * @param {Object[]} traces - Plotly traces
+ * @param {Object} layout - Chart layout
+ * @param {ComparisonOptions} options - Comparison options
+ * @returns {{data: Object[], layout: Object, skipped: string[]}} Traces and layout to draw, and the
+ *   names of series left out because they have no base value
+ */
+export const applyComparison = (traces, layout = {}, options = DEFAULT_COMPARISON) => {
+  if (!isComparing(options)) return { data: traces, layout, skipped: [] };
+
+  const skipped = [];
+  let data = traces.flatMap(trace => {
+    if (!isSeries(trace)) return [trace];
+    const scaled = scaleTrace(trace, options);
+    if (!scaled) skipped.push(trace.name || 'Series');
+    return scaled ? [scaled] : [];
+  });
+
+  let nextLayout = { ...layout };
+  const title = scaleTitle(options);
+  if (title) {
+    nextLayout.yaxis = { ...layout.yaxis, title: { text: title } };
+  }
+
+  if (options.smallMultiples && data.length > 0) {
+    ({ data, layout: nextLayout } = splitByEntity(data, nextLayout));
+  }
+
+  if (options.logY) {
+    ['yaxis', ...axisKeys(nextLayout, 'y')].forEach(key => {
+      nextLayout[key] = { ...nextLayout[key], type: 'log' };
+    });
+  }
+
+  return { data, layout: nextLayout, skipped };
+};
@@ -0,0 +1,70 @@
+import { describe, test, expect } from 'vitest';
+import {
+  DEFAULT_COMPARISON,
+  applyComparison,
+  findBaseIndex,
+  limitOverlays,
+  scaleTrace,
+  splitByEntity,
+} from './comparisonMode';
+
+const quarters = ['2020-03-31', '2020-06-30', '2020-09-30', '2020-12-31'];
+const aapl = { name: 'AAPL_CCP', x: quarters, y: [200000, 220000, 250000, 300000], text: ['a', 'b', 'c', 'd'] };
+const tiny = { name: 'TINY_CCP', x: quarters, y: [-5, 20, 30, 40] };
+
+describe('Comparison mode', () => {
+  test('rebases to 100 at the first positive point on or after the base date', () => {
+    expect(findBaseIndex(tiny)).toBe(1);
+    expect(findBaseIndex(aapl, '2020-07-01')).toBe(2);
+    expect(findBaseIndex(aapl, '2021-01-01')).toBe(-1);
+    // Unsorted x values are ordered by date, not position
+    expect(findBaseIndex({ x: ['2020-06-30', '2020-03-31'], y: [4, 2] })).toBe(1);
+
+    const rebased = scaleTrace(aapl, { ...DEFAULT_COMPARISON, scale: 'rebase', baseDate: '2020-06-30' });
+    expect(rebased.y).toEqual([200000 / 2200, 100, 250000 / 2200, 300000 / 2200]);
+    expect(rebased.text).toBe(aapl.text);
+    expect(scaleTrace(tiny, { ...DEFAULT_COMPARISON, scale: 'rebase' }).y).toEqual([-25, 100, 150, 200]);
+  });
+
+  test('scales to % of each series\' own max and reports series it cannot scale', () => {
+    const { data, layout, skipped } = applyComparison(
+      [aapl, { name: 'ZERO_CCP', x: quarters, y: [0, 0, 0, 0] }, { type: 'pie', values: [1, 2] }],
+      { yaxis: { title: { text: 'USD' } } },
+      { ...DEFAULT_COMPARISON, scale: 'percentOfMax' }
+    );
+    expect(data.map(trace => trace.name ?? trace.type)).toEqual(['AAPL_CCP', 'pie']);
+    expect(data[0].y.map(v => Math.round(v))).toEqual([67, 73, 83, 100]);
+    expect(skipped).toEqual(['ZERO_CCP']);
+    expect(layout.yaxis.title.text).toBe('% of own max');
+  });
+
+  test('splits companies into small multiples with log axes', () => {
+    const aaplLtd = { name: 'AAPL_LTD', x: quarters, y: [1, 2, 3, 4], yaxis: 'y2' };
+    const { data, layout } = applyComparison(
+      [aapl, tiny, aaplLtd],
+      { yaxis2: { overlaying: 'y' }, annotations: [{ text: 'note' }] },
+      { ...DEFAULT_COMPARISON, logY: true, smallMultiples: true }
+    );
+
+    expect(data.map(trace => [trace.xaxis, trace.yaxis])).toEqual([['x', 'y'], ['x2', 'y2'], ['x', 'y']]);
+    expect(layout.grid).toMatchObject({ rows: 1, columns: 2, pattern: 'independent' });
+    expect(layout.xaxis2.matches).toBe('x');
+    expect(layout.yaxis2).toEqual({ type: 'log', title: undefined });
+    expect(layout.yaxis.type).toBe('log');
+    expect(layout.annotations.map(annotation => annotation.text)).toEqual(['note', '<b>AAPL</b>', '<b>TINY</b>']);
+    expect(layout.annotations[2]).toMatchObject({ xref: 'x2 domain', yref: 'y2 domain' });
+
+    expect(splitByEntity([aapl, tiny, { name: 'MSFT_CCP' }]).layout.grid).toMatchObject({ rows: 2, columns: 2 });
+  });
+
+  test('leaves the chart as it is when nothing is selected and limits overlays', () => {
+    const traces = [aapl];
+    const layout = { title: 'CCP' };
+    expect(applyComparison(traces, layout)).toEqual({ data: traces, layout, skipped: [] });
+
+    const all = { qoq: true, yoy: true, movingAverage: true, cagr: true, ratio: true };
+    expect(limitOverlays(all, { ...DEFAULT_COMPARISON, scale: 'rebase' })).toEqual({ ...all, ratio: false });
+    expect(limitOverlays(all, { ...DEFAULT_COMPARISON, smallMultiples: true }))
+      .toEqual({ qoq: false, yoy: false, movingAverage: true, cagr: true, ratio: false });
+  });
+});
@@ -0,0 +1,89 @@
+// src/utils/csv.js
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the header line
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter (',' when nothing else fits better)
+ */
+export const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0] || '';
+  return DELIMITERS.reduce((best, delimiter) => (
+    header.split(delimiter).length > header.split(best).length ? delimiter : best
+  ), ',');
+};
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may contain
+ * delimiters, line breaks and doubled quotes)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]} Records
+ */
+const splitRecords = (text, delimiter) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are not records
+  return records.filter(r => r.length > 1 || r[0].trim() !== '');
+};
+
+/**
+ * Parse CSV with a header row into row objects
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Options
+ * @param {string} [options.delimiter] - Field delimiter (detected from the header if omitted)
+ * @returns {{columns: string[], rows: Object[]}} Column names and rows keyed by column
+ */
+export const parseCsv = (text, { delimiter = detectDelimiter(text) } = {}) => {
+  const [header = [], ...records] = splitRecords(text.replace(/^\uFEFF/, ''), delimiter);
+
+  // Unique, non-empty column names
+  const columns = header.map((name, index) => {
+    const base = name.trim() || `Column ${index + 1}`;
+    const duplicates = name.trim() ? header.slice(0, index).filter(other => other.trim() === name.trim()).length : 0;
+    return duplicates > 0 ? `${base} (${duplicates + 1})` : base;
+  });
+
+  const rows = records.map(record => Object.fromEntries(
+    columns.map((column, index) => [column, (record[index] ?? '').trim()])
+  ));
+
+  return { columns, rows };
+};
@@ -0,0 +1,32 @@
+import { describe, test, expect } from 'vitest';
+import { detectDelimiter, parseCsv } from './csv';
+
+describe('CSV parsing', () => {
+  test('parses a header row into row objects', () => {
+    expect(parseCsv('date,close\n2024-01-02,101.5\n2024-01-03,99\n')).toEqual({
+      columns: ['date', 'close'],
+      rows: [
+        { date: '2024-01-02', close: '101.5' },
+        { date: '2024-01-03', close: '99' },
+      ],
+    });
+  });
+
+  test('handles quoted fields, doubled quotes and CRLF line endings', () => {
+    const { rows } = parseCsv('name,note\r\n"Acme, Inc.","said ""hi""\nthen left"\r\n');
+    expect(rows).toEqual([{ name: 'Acme, Inc.', note: 'said "hi"\nthen left' }]);
+  });
+
+  test('detects semicolon and tab delimiters', () => {
+    expect(detectDelimiter('a;b;c\n1;2;3')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(parseCsv('a;b\n1,5;2').rows).toEqual([{ a: '1,5', b: '2' }]);
+  });
+
+  test('names blank and duplicate columns and skips blank lines', () => {
+    const { columns, rows } = parseCsv('price,,price\n1,2,3\n\n4,5\n');
+    expect(columns).toEqual(['price', 'Column 2', 'price (2)']);
+    expect(rows).toHaveLength(2);
+    expect(rows[1]).toEqual({ price: '4', 'Column 2': '5', 'price (2)': '' });
+  });
+});
@@ -0,0 +1,213 @@
+// src/utils/dashboardLayout.js
+
+/**
+ * Dashboard layout engine
+ *
+ * Tiles are placed on a column grid in whole cells: `x` and `w` count columns,
+ * `y` and `h` count rows. Every breakpoint has its own column count and its
+ * own layout. Layouts are kept compact: tiles float up until they touch
+ * another tile, and a moved or resized tile pushes the tiles it overlaps down.
+ *
+ * @typedef {Object} LayoutItem
+ * @property {string} id - Chart id
+ * @property {number} x - Column of the left edge
+ * @property {number} y - Row of the top edge
+ * @property {number} w - Width in columns
+ * @property {number} h - Height in rows
+ */
+
+// Widest first; the first breakpoint the container is at least as wide as wins
+export const BREAKPOINTS = [
+  { name: 'lg', minWidth: 996, cols: 12 },
+  { name: 'md', minWidth: 600, cols: 6 },
+  { name: 'sm', minWidth: 0, cols: 1 },
+];
+
+export const ROW_HEIGHT = 20;
+export const GRID_GAP = 16;
+export const MIN_ROWS = 8;
+
+/**
+ * Breakpoint for a container width
+ * @param {number} width - Container width in pixels
+ * @returns {{name: string, minWidth: number, cols: number}} Breakpoint
+ */
+export const getBreakpoint = (width) => (
+  BREAKPOINTS.find(breakpoint => width >= breakpoint.minWidth) || BREAKPOINTS[BREAKPOINTS.length - 1]
+);
+
+/**
+ * Rows needed for a pixel height
+ * @param {number} height - Height in pixels
+ * @returns {number} Rows
+ */
+export const rowsForHeight = (height) => Math.max(MIN_ROWS, Math.round((height + GRID_GAP) / (ROW_HEIGHT + GRID_GAP)));
+
+/**
+ * Pixel box of a layout item
+ * @param {LayoutItem} item - Item
+ * @param {number} colWidth - Width of one column in pixels
+ * @returns {{left: number, top: number, width: number, height: number}} Box
+ */
+export const toPixels = (item, colWidth) => ({
+  left: item.x * (colWidth + GRID_GAP),
+  top: item.y * (ROW_HEIGHT + GRID_GAP),
+  width: item.w * colWidth + (item.w - 1) * GRID_GAP,
+  height: item.h * ROW_HEIGHT + (item.h - 1) * GRID_GAP,
+});
+
+/**
+ * Whether two items overlap
+ * @param {LayoutItem} a - Item
+ * @param {LayoutItem} b - Item
+ * @returns {boolean} True when they share a cell
+ */
+export const collides = (a, b) => (
+  a.id !== b.id && a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h
+);
+
+/**
+ * Row below the lowest item
+ * @param {LayoutItem[]} layout - Layout
+ * @returns {number} Bottom row
+ */
+export const layoutBottom = (layout) => layout.reduce((bottom, item) => Math.max(bottom, item.y + item.h), 0);
+
+const byPosition = (a, b) => a.y - b.y || a.x - b.x;
+
+/**
+ * Float every item up as far as it goes, top to bottom
+ * @param {LayoutItem[]} layout - Layout
+ * @returns {LayoutItem[]} Compacted layout, in the original item order
+ */
+export const compactLayout = (layout) => {
+  const placed = [];
+  [...layout].sort(byPosition).forEach(item => {
+    let y = item.y;
+    while (y > 0 && !placed.some(other => collides({ ...item, y: y - 1 }, other))) {
+      y -= 1;
+    }
+    // Overlapping input (e.g. hand-edited storage) is pushed below its collider
+    while (placed.some(other => collides({ ...item, y }, other))) {
+      y += 1;
+    }
+    placed.push({ ...item, y });
+  });
+  return layout.map(item => placed.find(p => p.id === item.id));
+};
+
+/**
+ * Keep one item where it is and move the items it overlaps out of the way,
+ * then compact. An overlapped item goes above the fixed one when it fits
+ * there (so dragging a tile down swaps it with the tile below), otherwise it
+ * is pushed down.
+ * @param {LayoutItem[]} layout - Layout containing the item
+ * @param {string} id - Item that keeps its position
+ * @returns {LayoutItem[]} Layout without overlaps
+ */
+const settleAround = (layout, id) => {
+  const fixed = layout.find(item => item.id === id);
+  const placed = [fixed];
+  const isFree = (item) => !placed.some(other => collides(item, other));
+
+  layout.filter(item => item.id !== id).sort(byPosition).forEach(item => {
+    if (isFree(item)) {
+      placed.push(item);
+      return;
+    }
+
+    const above = { ...item, y: fixed.y - item.h };
+    if (above.y >= 0 && collides(item, fixed) && isFree(above)) {
+      placed.push(above);
+      return;
+    }
+
+    let y = item.y;
+    let blockers = placed.filter(other => collides({ ...item, y }, other));
+    while (blockers.length > 0) {
+      y = Math.max(...blockers.map(other => other.y + other.h));
+      blockers = placed.filter(other => collides({ ...item, y }, other));
+    }
+    placed.push({ ...item, y });
+  });
+
+  const compacted = compactLayout(placed);
+  return layout.map(item => compacted.find(p => p.id === item.id));
+};
+
+/**
+ * First free spot for a new item, scanning rows top to bottom
+ * @param {LayoutItem[]} layout - Layout
+ * @param {{id: string, w: number, h: number}} item - Item to place
+ * @param {number} cols - Column count
+ * @returns {LayoutItem} Placed item
+ */
+export const placeItem = (layout, item, cols) => {
+  const w = Math.min(item.w, cols);
+  for (let y = 0; ; y++) {
+    for (let x = 0; x + w <= cols; x++) {
+      const candidate = { ...item, x, y, w };
+      if (!layout.some(other => collides(candidate, other))) return candidate;
+    }
+  }
+};
+
+/**
+ * Layout for exactly the given ids: stored items are kept (clamped to the
+ * column count), missing ones are placed in the first free spot, in order
+ * @param {LayoutItem[]} layout - Stored layout (may be empty or stale)
+ * @param {string[]} ids - Ids to lay out, in display order
+ * @param {number} cols - Column count
+ * @param {{w: number, h: number}} size - Size of new items
+ * @returns {LayoutItem[]} Layout in id order
+ */
+export const syncLayout = (layout, ids, cols, size) => {
+  const stored = new Map((layout || []).map(item => [item.id, item]));
+  const result = [];
+
+  ids.forEach(id => {
+    const item = stored.get(id);
+    if (item) {
+      const w = Math.max(1, Math.min(item.w, cols));
+      result.push({ id, w, h: Math.max(1, item.h), x: Math.max(0, Math.min(item.x, cols - w)), y: Math.max(0, item.y) });
+    }
+  });
+  ids.forEach(id => {
+    if (!stored.has(id)) {
+      result.push(placeItem(result, { id, w: size.w, h: size.h }, cols));
+    }
+  });
+
+  const compacted = compactLayout(result);
+  return ids.map(id => compacted.find(item => item.id === id));
+};
+
+/**
+ * Move an item to a cell, pushing overlapped items down
+ * @param {LayoutItem[]} layout - Layout
+ * @param {string} id - Item to move
+ * @param {{x: number, y: number}} position - Target cell
+ * @param {number} cols - Column count
+ * @returns {LayoutItem[]} New layout
+ */
+export const moveItem = (layout, id, { x, y }, cols) => {
+  const moved = layout.map(item => (item.id === id
+    ? { ...item, x: Math.max(0, Math.min(x, cols - item.w)), y: Math.max(0, y) }
+    : item));
+  return settleAround(moved, id);
+};
+
+/**
+ * Resize an item, pushing overlapped items down
+ * @param {LayoutItem[]} layout - Layout
+ * @param {string} id - Item to resize
+ * @param {{w: number, h: number}} size - New size in cells
+ * @param {number} cols - Column count
+ * @returns {LayoutItem[]} New layout
+ */
+export const resizeItem = (layout, id, { w, h }, cols) => {
+  const resized = layout.map(item => (item.id === id
+    ? { ...item, w: Math.max(1, Math.min(w, cols - item.x)), h: Math.max(MIN_ROWS, h) }
+    : item));
+  return settleAround(resized, id);
+};
@@ -0,0 +1,85 @@
+import { describe, test, expect } from 'vitest';
+import {
+  collides,
+  compactLayout,
+  getBreakpoint,
+  moveItem,
+  resizeItem,
+  syncLayout,
+  toPixels,
+} from './dashboardLayout';
+
+const hasOverlaps = (layout) => layout.some(a => layout.some(b => collides(a, b)));
+
+describe('Dashboard layout', () => {
+  test('picks the column count from the container width', () => {
+    expect(getBreakpoint(1200)).toMatchObject({ name: 'lg', cols: 12 });
+    expect(getBreakpoint(700)).toMatchObject({ name: 'md', cols: 6 });
+    expect(getBreakpoint(320)).toMatchObject({ name: 'sm', cols: 1 });
+    expect(toPixels({ x: 1, y: 1, w: 2, h: 2 }, 50)).toEqual({ left: 66, top: 36, width: 116, height: 56 });
+  });
+
+  test('places new charts side by side and drops removed ones', () => {
+    const layout = syncLayout([], ['a', 'b', 'c'], 12, { w: 6, h: 10 });
+    expect(layout).toEqual([
+      { id: 'a', x: 0, y: 0, w: 6, h: 10 },
+      { id: 'b', x: 6, y: 0, w: 6, h: 10 },
+      { id: 'c', x: 0, y: 10, w: 6, h: 10 },
+    ]);
+
+    // Stored items keep their spot; unknown ones are dropped and too-wide ones clamped
+    const synced = syncLayout(
+      [{ id: 'b', x: 6, y: 0, w: 6, h: 10 }, { id: 'gone', x: 0, y: 0, w: 6, h: 10 }],
+      ['b', 'd'],
+      6,
+      { w: 3, h: 10 }
+    );
+    expect(synced).toEqual([
+      { id: 'b', x: 0, y: 0, w: 6, h: 10 },
+      { id: 'd', x: 0, y: 10, w: 3, h: 10 },
+    ]);
+  });
+
+  test('compacts gaps and separates overlapping items', () => {
+    const layout = compactLayout([
+      { id: 'a', x: 0, y: 4, w: 6, h: 10 },
+      { id: 'b', x: 0, y: 6, w: 6, h: 10 },
+    ]);
+    expect(layout).toEqual([
+      { id: 'a', x: 0, y: 0, w: 6, h: 10 },
+      { id: 'b', x: 0, y: 10, w: 6, h: 10 },
+    ]);
+  });
+
+  test('moving a tile onto another swaps or pushes it', () => {
+    const layout = syncLayout([], ['a', 'b', 'c'], 12, { w: 6, h: 10 });
+
+    // c moves up into a's spot, a goes below it
+    const up = moveItem(layout, 'c', { x: 0, y: 0 }, 12);
+    expect(up.find(item => item.id === 'c')).toMatchObject({ x: 0, y: 0 });
+    expect(up.find(item => item.id === 'a')).toMatchObject({ x: 0, y: 10 });
+
+    // a moves down a whole tile and trades places with c
+    const down = moveItem(layout, 'a', { x: 0, y: 10 }, 12);
+    expect(down.find(item => item.id === 'c')).toMatchObject({ x: 0, y: 0 });
+    expect(down.find(item => item.id === 'a')).toMatchObject({ x: 0, y: 10 });
+
+    // Positions past the right edge are clamped
+    expect(moveItem(layout, 'c', { x: 20, y: 10 }, 12).find(item => item.id === 'c').x).toBe(6);
+    expect(hasOverlaps(up) || hasOverlaps(down)).toBe(false);
+  });
+
+  test('resizing pushes the tiles below and respects the limits', () => {
+    const layout = syncLayout([], ['a', 'b', 'c'], 12, { w: 6, h: 10 });
+
+    const wide = resizeItem(layout, 'a', { w: 12, h: 10 }, 12);
+    expect(wide).toEqual([
+      { id: 'a', x: 0, y: 0, w: 12, h: 10 },
+      { id: 'b', x: 6, y: 10, w: 6, h: 10 },
+      { id: 'c', x: 0, y: 10, w: 6, h: 10 },
+    ]);
+
+    const clamped = resizeItem(layout, 'b', { w: 10, h: 1 }, 12).find(item => item.id === 'b');
+    expect(clamped).toMatchObject({ x: 6, w: 6, h: 8 });
+  });
+});
@@ -0,0 +1,209 @@
+// src/utils/dataExport.js
+import { createZip } from './zip';
+import { downloadFile, toFileName } from './chartExport';
+
+/**
+ * Chart data export
+ *
+ * Flattens Plotly traces into a tidy table, one row per point, and writes it
+ * as CSV, XLSX or JSON. Callers pass the traces currently drawn, so whatever
+ * filters the viewer applied are reflected in the file.
+ *
+ * @typedef {Object} DataRow
+ * @property {string} series - Trace name
+ * @property {*} x - X value (or label for pie-like traces)
+ * @property {*} y - Y value (or value for pie-like traces)
+ * @property {*} hovertext - Hover text of the point, if any
+ * @property {*} customdata - Custom data of the point, if any
+ */
+
+export const DATA_EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'json', label: 'JSON' },
+];
+
+export const DATA_COLUMNS = ['series', 'x', 'y', 'hovertext', 'customdata'];
+
+/**
+ * Value of a per-point attribute, which Plotly allows to be one value for all points
+ * @param {*} value - Array or scalar attribute
+ * @param {number} index - Point index
+ * @returns {*} Value for the point
+ */
+const pointValue = (value, index) => (Array.isArray(value) ? value[index] : value);
+
+/**
+ * Flatten traces into one row per point
+ * @param {Object[]} traces - Plotly traces
+ * @returns {DataRow[]} Rows
+ */
+export const tracesToRows = (traces) => {
+  const rows = [];
+
+  traces.forEach((trace, traceIndex) => {
+    const series = trace.name || `Trace ${traceIndex + 1}`;
+    const xs = Array.isArray(trace.labels) ? trace.labels : trace.x;
+    const ys = Array.isArray(trace.values) ? trace.values : trace.y;
+    const length = Math.max(Array.isArray(xs) ? xs.length : 0, Array.isArray(ys) ? ys.length : 0);
+
+    for (let i = 0; i < length; i++) {
+      rows.push({
+        series,
+        // Traces given only y are plotted against the point index
+        x: Array.isArray(xs) ? xs[i] ?? null : i,
+        y: Array.isArray(ys) ? ys[i] ?? null : null,
+        hovertext: pointValue(trace.hovertext ?? trace.text, i) ?? null,
+        customdata: pointValue(trace.customdata, i) ?? null,
+      });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Cell text for flat formats; nested custom data is written as JSON
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * CSV text (RFC 4180 quoting, CRLF line endings)
+ * @param {Object[]} rows - Rows
+ * @param {string[]} [columns=DATA_COLUMNS] - Column order
+ * @returns {string} CSV
+ */
+export const toCsv = (rows, columns = DATA_COLUMNS) => {
+  const escape = (value) => {
+    const text = cellText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+const escapeXml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters other than tab and newlines are not allowed in XML
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Worksheet cell; finite numbers stay numeric, everything else is an inline string
+ * @param {*} value - Cell value
+ * @param {string} ref - Cell reference, e.g. B2
+ * @returns {string} Cell XML
+ */
+const xlsxCell = (value, ref) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  const text = cellText(value);
+  if (!text) return '';
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+/**
+ * Single-sheet XLSX workbook
+ * @param {Object[]} rows - Rows
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.columns=DATA_COLUMNS] - Column order
+ * @param {string} [options.sheetName='Data'] - Worksheet name
+ * @returns {Uint8Array} Workbook bytes
+ */
+export const toXlsx = (rows, { columns = DATA_COLUMNS, sheetName = 'Data' } = {}) => {
+  // Excel rejects sheet names over 31 characters or containing []:*?/\
+  const safeSheetName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31) || 'Data');
+
+  const sheetRows = [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map((cells, r) => `<row r="${r + 1}">${cells.map((value, c) => xlsxCell(value, `${columnName(c)}${r + 1}`)).join('')}</row>`)
+    .join('');
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+        + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>',
+    },
+  ];
+
+  return createZip(files);
+};
+
+/**
+ * Download the data behind a chart
+ * @param {Object} chart - Normalized chart (title is used for the file name)
+ * @param {Object[]} traces - Traces to export, typically the filtered ones on screen
+ * @param {string} format - 'csv', 'xlsx' or 'json'
+ * @returns {number} Number of exported rows
+ */
+export const exportChartData = (chart, traces, format) => {
+  const rows = tracesToRows(traces);
+  const fileName = toFileName(chart.title, format);
+
+  if (format === 'csv') {
+    downloadFile(toCsv(rows), fileName, 'text/csv;charset=utf-8');
+  } else if (format === 'xlsx') {
+    downloadFile(
+      toXlsx(rows, { sheetName: chart.title || 'Data' }),
+      fileName,
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+  } else if (format === 'json') {
+    downloadFile(JSON.stringify({ title: chart.title, columns: DATA_COLUMNS, rows }, null, 2), fileName, 'application/json');
+  } else {
+    throw new Error(`Unsupported data export format "${format}"`);
+  }
+
+  return rows.length;
+};
@@ -0,0 +1,53 @@
+import { describe, test, expect } from 'vitest';
+import { toCsv, toXlsx, tracesToRows } from './dataExport';
+
+const traces = [
+  {
+    name: 'AAPL_CCP',
+    x: ['2023-03-31', '2023-06-30'],
+    y: [55872, 62482],
+    hovertext: ['Q1', 'Q2'],
+    customdata: [{ unit: 'USD m' }, { unit: 'USD m' }],
+  },
+  { y: [1, 2], text: 'same for all' },
+];
+
+describe('Chart data export', () => {
+  test('flattens traces into one row per point', () => {
+    const rows = tracesToRows(traces);
+
+    expect(rows).toHaveLength(4);
+    expect(rows[1]).toEqual({
+      series: 'AAPL_CCP',
+      x: '2023-06-30',
+      y: 62482,
+      hovertext: 'Q2',
+      customdata: { unit: 'USD m' },
+    });
+    expect(rows[2]).toEqual({ series: 'Trace 2', x: 0, y: 1, hovertext: 'same for all', customdata: null });
+  });
+
+  test('uses labels and values of pie traces', () => {
+    const rows = tracesToRows([{ type: 'pie', labels: ['Cash', 'Debt'], values: [3, 1] }]);
+    expect(rows.map(row => [row.x, row.y])).toEqual([['Cash', 3], ['Debt', 1]]);
+  });
+
+  test('writes quoted CSV with JSON custom data', () => {
+    const csv = toCsv(tracesToRows(traces.slice(0, 1)));
+    const lines = csv.trim().split('\r\n');
+
+    expect(lines[0]).toBe('series,x,y,hovertext,customdata');
+    expect(lines[1]).toBe('AAPL_CCP,2023-03-31,55872,Q1,"{""unit"":""USD m""}"');
+    expect(toCsv([{ series: 'a,b', x: 'say "hi"' }], ['series', 'x'])).toBe('series,x\r\n"a,b","say ""hi"""\r\n');
+  });
+
+  test('builds an XLSX workbook with numeric and text cells', () => {
+    const xlsx = new TextDecoder().decode(toXlsx(tracesToRows(traces.slice(0, 1)), { sheetName: 'Cash / Debt: 2023' }));
+
+    expect(xlsx).toContain('[Content_Types].xml');
+    expect(xlsx).toContain('<sheet name="Cash Debt 2023"');
+    expect(xlsx).toContain('<c r="C2"><v>55872</v></c>');
+    expect(xlsx).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">AAPL_CCP</t></is></c>');
+    expect(xlsx).toContain('{&quot;unit&quot;:&quot;USD m&quot;}');
+  });
+});
@@ -0,0 +1,321 @@
+// src/utils/financialOverlays.js
+import { isNumber, toTime } from './chartFilters';
+
+/**
+ * Financial analytics overlays
+ *
+ * Derived series computed from the x/y traces of a chart: quarter-over-quarter
+ * and year-over-year % change, trailing moving averages, CAGR annotations and
+ * per-company ratios such as LTD/CCP (traces named COMPANY_METRIC). Derived
+ * traces are dotted or dashed lines on their own right-hand axes, so they
+ * never rescale the source data.
+ *
+ * @typedef {Object} OverlayOptions
+ * @property {boolean} qoq - Quarter-over-quarter % change
+ * @property {boolean} yoy - Year-over-year % change
+ * @property {boolean} movingAverage - Trailing moving average
+ * @property {number} window - Points in the moving average
+ * @property {boolean} cagr - CAGR annotation at the end of each series
+ * @property {boolean} ratio - Numerator/denominator ratio per company
+ */
+
+export const DEFAULT_OVERLAYS = {
+  qoq: false,
+  yoy: false,
+  movingAverage: false,
+  window: 4,
+  cagr: false,
+  ratio: false,
+};
+
+// Metrics of the ratio overlay, matched against the second part of trace names
+export const RATIO_METRICS = { numerator: 'LTD', denominator: 'CCP' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// A period's comparison point may be this far from the exact date (month ends differ)
+const PERIOD_TOLERANCE_MS = 16 * DAY_MS;
+
+const STYLES = {
+  qoq: { dash: 'dot', suffix: ' QoQ %' },
+  yoy: { dash: 'dashdot', suffix: ' YoY %' },
+  movingAverage: { dash: 'dash', suffix: ' MA' },
+  ratio: { dash: 'longdash', suffix: '' },
+};
+
+/**
+ * Points of an x/y trace with numeric y, sorted by date or number x; other
+ * (categorical) x values keep the trace's order
+ * @param {Object} trace - Plotly trace
+ * @returns {Array<{x: *, y: number, time: number}>} Points (time is NaN for non-date x)
+ */
+const pointsOf = (trace) => {
+  if (!Array.isArray(trace?.x) || !Array.isArray(trace?.y)) return [];
+  const points = trace.x
+    .map((x, i) => ({ x, y: trace.y[i], time: toTime(x) }))
+    .filter(point => isNumber(point.y));
+  if (points.every(point => !Number.isNaN(point.time))) return points.sort((a, b) => a.time - b.time);
+  if (points.every(point => isNumber(point.x))) return points.sort((a, b) => a.x - b.x);
+  return points;
+};
+
+/**
+ * Whether a trace has dated x values and numeric y values
+ * @param {Object} trace - Plotly trace
+ * @returns {boolean} True for time series
+ */
+export const isTimeSeries = (trace) => {
+  const points = pointsOf(trace);
+  return points.length > 1 && points.every(point => !Number.isNaN(point.time));
+};
+
+const isSeries = (trace) => (!trace.type || ['scatter', 'scattergl', 'bar'].includes(trace.type)) && pointsOf(trace).length > 1;
+
+const minusMonths = (time, months) => {
+  const date = new Date(time);
+  date.setUTCMonth(date.getUTCMonth() - months);
+  return date.getTime();
+};
+
+/**
+ * % change of each point against the point `months` earlier (nearest within
+ * about half a month). Points without a comparison point or with a zero base
+ * are left out.
+ * @param {Object} trace - Time series trace
+ * @param {number} months - Period length, 3 for QoQ and 12 for YoY
+ * @returns {{x: Array, y: number[]}} Change series, in %
+ */
+export const percentChange = (trace, months) => {
+  const points = pointsOf(trace);
+  const x = [];
+  const y = [];
+
+  points.forEach(point => {
+    const target = minusMonths(point.time, months);
+    let base = null;
+    points.forEach(candidate => {
+      const distance = Math.abs(candidate.time - target);
+      if (distance <= PERIOD_TOLERANCE_MS && (!base || distance < Math.abs(base.time - target))) base = candidate;
+    });
+    if (!base || base.y === 0) return;
+
+    x.push(point.x);
+    // Against the size of the base, so a smaller negative position reads as an improvement
+    y.push(((point.y - base.y) / Math.abs(base.y)) * 100);
+  });
+
+  return { x, y };
+};
+
+/**
+ * Trailing moving average over a number of points
+ * @param {Object} trace - x/y trace
+ * @param {number} window - Points per average
+ * @returns {{x: Array, y: number[]}} Average series, starting at the first full window
+ */
+export const movingAverage = (trace, window) => {
+  const points = pointsOf(trace);
+  const size = Math.max(2, Math.round(window));
+  const x = [];
+  const y = [];
+
+  for (let i = size - 1; i < points.length; i++) {
+    const slice = points.slice(i - size + 1, i + 1);
+    x.push(points[i].x);
+    y.push(slice.reduce((sum, point) => sum + point.y, 0) / size);
+  }
+  return { x, y };
+};
+
+/**
+ * Compound annual growth rate between the first and last positive values
+ * @param {Object} trace - Time series trace
+ * @returns {{rate: number, years: number, x: *, y: number}|null} Rate (0.1 = 10 %) and the
+ *   end point, or null when the series spans less than a year or has no positive values
+ */
+export const cagr = (trace) => {
+  const points = pointsOf(trace).filter(point => !Number.isNaN(point.time) && point.y > 0);
+  if (points.length < 2) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const years = (last.time - first.time) / YEAR_MS;
+  if (years < 1) return null;
+
+  return { rate: (last.y / first.y) ** (1 / years) - 1, years, x: last.x, y: last.y };
+};
+
+/**
+ * Companies that have both ratio metrics, e.g. AAPL_LTD and AAPL_CCP
+ * @param {Object[]} traces - Plotly traces
+ * @param {{numerator: string, denominator: string}} [metrics] - Metrics to divide
+ * @returns {Array<{company: string, numerator: Object, denominator: Object}>} Pairs, by company
+ */
+export const findRatioPairs = (traces, metrics = RATIO_METRICS) => {
+  const byCompany = new Map();
+  traces.forEach(trace => {
+    const parts = typeof trace?.name === 'string' ? trace.name.split('_') : [];
+    if (parts.length !== 2) return;
+    const [company, metric] = parts;
+    if (!byCompany.has(company)) byCompany.set(company, {});
+    byCompany.get(company)[metric.toUpperCase()] = trace;
+  });
+
+  return [...byCompany]
+    .filter(([, found]) => found[metrics.numerator] && found[metrics.denominator])
+    .map(([company, found]) => ({ company, numerator: found[metrics.numerator], denominator: found[metrics.denominator] }))
+    .sort((a, b) => a.company.localeCompare(b.company));
+};
+
+/**
+ * Point-by-point ratio of two traces, on the x values they share
+ * @param {Object} numerator - Numerator trace
+ * @param {Object} denominator - Denominator trace
+ * @returns {{x: Array, y: number[]}} Ratio series (points with a zero denominator are left out)
+ */
+export const ratioSeries = (numerator, denominator) => {
+  const denominators = new Map(pointsOf(denominator).map(point => [String(point.x), point.y]));
+  const x = [];
+  const y = [];
+  pointsOf(numerator).forEach(point => {
+    const base = denominators.get(String(point.x));
+    if (base === undefined || base === 0) return;
+    x.push(point.x);
+    y.push(point.y / base);
+  });
+  return { x, y };
+};
+
+/**
+ * Which overlays make sense for a set of traces
+ * @param {Object[]} traces - Plotly traces
+ * @returns {{qoq: boolean, yoy: boolean, movingAverage: boolean, cagr: boolean, ratio: boolean}} Availability
+ */
+export const availableOverlays = (traces) => {
+  const timeSeries = traces.some(isTimeSeries);
+  return {
+    qoq: timeSeries,
+    yoy: timeSeries,
+    movingAverage: traces.some(isSeries),
+    cagr: timeSeries,
+    ratio: findRatioPairs(traces).length > 0,
+  };
+};
+
+const derivedTrace = (kind, name, series, yaxis, valueFormat, xaxis = 'x') => ({
+  type: 'scatter',
+  mode: 'lines',
+  name,
+  x: series.x,
+  y: series.y,
+  xaxis,
+  yaxis,
+  line: { dash: STYLES[kind].dash, width: 1.5 },
+  opacity: 0.85,
+  hovertemplate: `%{x}<br>%{y:${valueFormat}}<extra>${name}</extra>`,
+  meta: { derived: kind },
+});
+
+// Highest yaxis number in use, so overlay axes never replace the chart's own
+const lastAxisNumber = (traces, layout) => {
+  const numbers = [
+    ...traces.map(trace => trace.yaxis),
+    ...Object.keys(layout || {}).filter(key => /^yaxis\d*$/.test(key)).map(key => key.replace('axis', '')),
+  ].map(axis => Number(String(axis || 'y').slice(1) || 1));
+  return Math.max(1, ...numbers);
+};
+
+const formatPercent = (rate) => `${rate >= 0 ? '+' : ''}${(rate * 100).toFixed(1)}%`;
+
+/**
+ * Add the selected overlays to a chart
+ * @param {Object[]} traces - Chart traces (already filtered)
+ * @param {Object} layout - Chart layout
+ * @param {OverlayOptions} options - Selected overlays
+ * @returns {{data: Object[], layout: Object, derivedCount: number, hasOverlayAxes: boolean}} Traces
+ *   and layout to draw
+ */
+export const buildOverlays = (traces, layout, options) => {
+  const derived = [];
+  const annotations = [];
+  const axisNumber = lastAxisNumber(traces, layout);
+  const percentAxis = `y${axisNumber + 1}`;
+  const ratioAxis = `y${axisNumber + 2}`;
+  const ratioLabel = `${RATIO_METRICS.numerator}/${RATIO_METRICS.denominator}`;
+
+  traces.filter(isSeries).forEach(trace => {
+    const name = trace.name || 'Series';
+    const timeSeries = isTimeSeries(trace);
+
+    if (options.movingAverage) {
+      // Same axes as the source: an average is in the source's units (and subplot)
+      const average = derivedTrace('movingAverage', `${name}${STYLES.movingAverage.suffix}(${options.window})`,
+        movingAverage(trace, options.window), trace.yaxis || 'y', ',.2f', trace.xaxis || 'x');
+      if (average.x.length > 0) derived.push(average);
+    }
+    if (timeSeries && options.qoq) {
+      derived.push(derivedTrace('qoq', `${name}${STYLES.qoq.suffix}`, percentChange(trace, 3), percentAxis, '+.1f'));
+    }
+    if (timeSeries && options.yoy) {
+      derived.push(derivedTrace('yoy', `${name}${STYLES.yoy.suffix}`, percentChange(trace, 12), percentAxis, '+.1f'));
+    }
+    if (timeSeries && options.cagr) {
+      const growth = cagr(trace);
+      if (growth) {
+        annotations.push({
+          x: growth.x,
+          y: growth.y,
+          xref: trace.xaxis || 'x',
+          yref: trace.yaxis || 'y',
+          text: `${name} CAGR ${formatPercent(growth.rate)} (${growth.years.toFixed(1)}y)`,
+          showarrow: true,
+          arrowhead: 2,
+          ax: -40,
+          ay: -30,
+          font: { size: 11 },
+          bgcolor: 'rgba(255, 255, 255, 0.85)',
+        });
+      }
+    }
+  });
+
+  if (options.ratio) {
+    findRatioPairs(traces).forEach(({ company, numerator, denominator }) => {
+      const series = ratioSeries(numerator, denominator);
+      // COMPANY_RATIO naming keeps the company recognisable to the filters and linked highlights
+      if (series.x.length > 0) derived.push(derivedTrace('ratio', `${company}_${ratioLabel}`, series, ratioAxis, '.2f'));
+    });
+  }
+
+  const usesPercent = derived.some(trace => trace.yaxis === percentAxis && trace.y.length > 0);
+  const usesRatio = derived.some(trace => trace.yaxis === ratioAxis);
+  const nextLayout = { ...layout };
+  const rightAxis = { overlaying: 'y', side: 'right', showgrid: false, zeroline: false };
+
+  if (usesPercent) {
+    nextLayout[`yaxis${axisNumber + 1}`] = { ...rightAxis, anchor: 'x', ticksuffix: '%', title: { text: '% change' } };
+  }
+  if (usesRatio) {
+    nextLayout[`yaxis${axisNumber + 2}`] = {
+      ...rightAxis,
+      ...(usesPercent ? { anchor: 'free', position: 1 } : { anchor: 'x' }),
+      title: { text: ratioLabel },
+    };
+  }
+  if (usesPercent && usesRatio) {
+    // Room for the second right-hand axis
+    nextLayout.xaxis = { ...layout?.xaxis, domain: [0, 0.9] };
+  }
+  if (annotations.length > 0) {
+    nextLayout.annotations = [...(layout?.annotations || []), ...annotations];
+  }
+
+  const data = [...traces, ...derived.filter(trace => trace.y.length > 0)];
+  return {
+    data,
+    layout: nextLayout,
+    derivedCount: data.length - traces.length,
+    hasOverlayAxes: usesPercent || usesRatio,
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest';
+import {
+  DEFAULT_OVERLAYS,
+  availableOverlays,
+  buildOverlays,
+  cagr,
+  findRatioPairs,
+  movingAverage,
+  percentChange,
+  ratioSeries,
+} from './financialOverlays';
+
+const quarters = ['2020-03-31', '2020-06-30', '2020-09-30', '2020-12-31', '2021-03-31', '2021-06-30'];
+const ccp = { name: 'AAPL_CCP', x: quarters, y: [100, 110, 121, 100, 120, 132] };
+const ltd = { name: 'AAPL_LTD', x: quarters, y: [50, 55, 60, 50, 60, 66] };
+
+describe('Financial overlays', () => {
+  test('computes QoQ and YoY % change against the matching earlier quarter', () => {
+    const qoq = percentChange(ccp, 3);
+    expect(qoq.x).toEqual(quarters.slice(1));
+    expect(qoq.y.map(v => Number(v.toFixed(2)))).toEqual([10, 10, -17.36, 20, 10]);
+
+    const yoy = percentChange(ccp, 12);
+    expect(yoy).toEqual({ x: ['2021-03-31', '2021-06-30'], y: [20, 20] });
+
+    // A negative base shrinking towards zero is an improvement
+    expect(percentChange({ x: ['2020-03-31', '2020-06-30'], y: [-100, -50] }, 3).y).toEqual([50]);
+  });
+
+  test('averages trailing windows of points', () => {
+    expect(movingAverage({ x: [3, 1, 2, 4], y: [30, 10, 20, 40] }, 2)).toEqual({ x: [2, 3, 4], y: [15, 25, 35] });
+    expect(movingAverage(ccp, 10)).toEqual({ x: [], y: [] });
+    // Categorical x keeps the trace's order
+    expect(movingAverage({ x: ['b', 2, 1, 'a'], y: [4, 2, 1, 3] }, 2)).toEqual({ x: [2, 1, 'a'], y: [3, 1.5, 2] });
+  });
+
+  test('computes CAGR over at least a year of positive values', () => {
+    const growth = cagr({ x: ['2018-01-01', '2020-01-01'], y: [100, 121] });
+    expect(growth.rate).toBeCloseTo(0.1, 2);
+    expect(growth).toMatchObject({ x: '2020-01-01', y: 121 });
+    expect(cagr({ x: ['2020-01-01', '2020-06-01'], y: [1, 2] })).toBeNull();
+    expect(cagr({ x: ['2018-01-01', '2020-01-01'], y: [-5, -1] })).toBeNull();
+  });
+
+  test('pairs LTD and CCP series per company and divides them on shared dates', () => {
+    const msft = { name: 'MSFT_CCP', x: quarters, y: quarters.map(() => 1) };
+    const pairs = findRatioPairs([ccp, msft, ltd]);
+    expect(pairs).toEqual([{ company: 'AAPL', numerator: ltd, denominator: ccp }]);
+
+    expect(ratioSeries(ltd, { x: ['2020-03-31', '2020-06-30'], y: [100, 0] })).toEqual({ x: ['2020-03-31'], y: [0.5] });
+    expect(availableOverlays([ccp, msft])).toEqual({ qoq: true, yoy: true, movingAverage: true, cagr: true, ratio: false });
+    expect(availableOverlays([{ type: 'pie', labels: ['a', 'b'], values: [1, 2] }]))
+      .toEqual({ qoq: false, yoy: false, movingAverage: false, cagr: false, ratio: false });
+  });
+
+  test('adds distinct derived traces, right-hand axes and annotations', () => {
+    const layout = { title: { text: 'Cash' }, yaxis2: { overlaying: 'y' } };
+    const result = buildOverlays([ccp, ltd], layout, { ...DEFAULT_OVERLAYS, qoq: true, ratio: true, cagr: true, movingAverage: true });
+
+    const derived = result.data.slice(2);
+    expect(derived.map(trace => trace.name)).toEqual([
+      'AAPL_CCP MA(4)', 'AAPL_CCP QoQ %', 'AAPL_LTD MA(4)', 'AAPL_LTD QoQ %', 'AAPL_LTD/CCP',
+    ]);
+    expect(derived.every(trace => trace.line.dash && trace.meta.derived)).toBe(true);
+    // The chart's own second axis is kept; overlays go on new ones
+    expect(derived.find(trace => trace.meta.derived === 'qoq').yaxis).toBe('y3');
+    expect(derived.find(trace => trace.meta.derived === 'ratio').yaxis).toBe('y4');
+    expect(result.layout.yaxis2).toEqual({ overlaying: 'y' });
+    expect(result.layout.yaxis3).toMatchObject({ side: 'right', ticksuffix: '%' });
+    expect(result.layout.yaxis4).toMatchObject({ anchor: 'free', position: 1 });
+    expect(result.layout.xaxis.domain).toEqual([0, 0.9]);
+    expect(result.layout.annotations.map(annotation => annotation.text)).toEqual([
+      'AAPL_CCP CAGR +24.9% (1.2y)',
+      'AAPL_LTD CAGR +24.9% (1.2y)',
+    ]);
+    expect(result.derivedCount).toBe(5);
+  });
+});
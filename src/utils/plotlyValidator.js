@@ -0,0 +1,187 @@
+// src/utils/plotlyValidator.js
+
+/**
+ * Plotly figure validation
+ *
+ * Catches figures that Plotly would fail to draw (unknown trace types,
+ * non-array data, x/y arrays of different lengths) before they are uploaded
+ * or rendered. Problems are reported per path, e.g. `data.2.y` or
+ * `layout.xaxis7`, in the same shape as ValidationError field errors.
+ * Things Plotly silently ignores, such as unknown layout keys, are warnings.
+ *
+ * @typedef {Object} FigureProblem
+ * @property {string} path - Dotted path of the offending value
+ * @property {string} message - What is wrong
+ * @property {'error'|'warning'} severity - Errors stop rendering, warnings do not
+ */
+
+export const TRACE_TYPES = [
+  'bar', 'barpolar', 'box', 'candlestick', 'carpet', 'choropleth', 'choroplethmap',
+  'choroplethmapbox', 'cone', 'contour', 'contourcarpet', 'densitymap', 'densitymapbox',
+  'funnel', 'funnelarea', 'heatmap', 'histogram', 'histogram2d', 'histogram2dcontour',
+  'icicle', 'image', 'indicator', 'isosurface', 'mesh3d', 'ohlc', 'parcats', 'parcoords',
+  'pie', 'sankey', 'scatter', 'scatter3d', 'scattercarpet', 'scattergeo', 'scattergl',
+  'scattermap', 'scattermapbox', 'scatterpolar', 'scatterpolargl', 'scattersmith',
+  'scatterternary', 'splom', 'streamtube', 'sunburst', 'surface', 'table', 'treemap',
+  'violin', 'volume', 'waterfall',
+];
+
+// Traces whose x and y describe the same points
+const PAIRED_XY_TYPES = ['scatter', 'scattergl', 'bar', 'waterfall', 'funnel'];
+
+// Columns that must line up point by point, per trace type
+const ALIGNED_COLUMNS = {
+  candlestick: ['x', 'open', 'high', 'low', 'close'],
+  ohlc: ['x', 'open', 'high', 'low', 'close'],
+  pie: ['labels', 'values'],
+  funnelarea: ['labels', 'values'],
+  scatter3d: ['x', 'y', 'z'],
+  scatterpolar: ['r', 'theta'],
+  scatterpolargl: ['r', 'theta'],
+  barpolar: ['r', 'theta'],
+  scattergeo: ['lat', 'lon'],
+  scattermap: ['lat', 'lon'],
+  scattermapbox: ['lat', 'lon'],
+};
+
+// Data columns that must be arrays when present
+const ARRAY_KEYS = ['x', 'y', 'z', 'labels', 'values', 'open', 'high', 'low', 'close', 'lat', 'lon', 'r', 'theta'];
+
+// Per-point extras that should have one entry per point
+const PER_POINT_KEYS = ['text', 'hovertext', 'customdata'];
+
+const LAYOUT_KEYS = new Set([
+  'activeselection', 'activeshape', 'annotations', 'autosize', 'autotypenumbers', 'barcornerradius',
+  'bargap', 'bargroupgap', 'barmode', 'barnorm', 'boxgap', 'boxgroupgap', 'boxmode', 'calendar',
+  'clickmode', 'colorscale', 'colorway', 'computed', 'datarevision', 'dragmode', 'editrevision',
+  'extendfunnelareacolors', 'extendiciclecolors', 'extendpiecolors', 'extendsunburstcolors',
+  'extendtreemapcolors', 'font', 'funnelareacolorway', 'funnelgap', 'funnelgroupgap', 'funnelmode',
+  'grid', 'height', 'hidesources', 'hiddenlabels', 'hoverdistance', 'hoverlabel', 'hovermode',
+  'hoversubplots', 'iciclecolorway', 'images', 'legend', 'margin', 'meta', 'minreducedheight',
+  'minreducedwidth', 'modebar', 'newselection', 'newshape', 'paper_bgcolor', 'piecolorway',
+  'plot_bgcolor', 'scattergap', 'scattermode', 'selectdirection', 'selectionrevision', 'selections',
+  'separators', 'shapes', 'showlegend', 'sliders', 'spikedistance', 'sunburstcolorway', 'template',
+  'title', 'transition', 'treemapcolorway', 'uirevision', 'uniformtext', 'updatemenus', 'violingap',
+  'violingroupgap', 'violinmode', 'waterfallgap', 'waterfallgroupgap', 'waterfallmode', 'width',
+]);
+
+// Subplot containers may be numbered: xaxis2, scene3, coloraxis2, legend2, ...
+const NUMBERED_LAYOUT_KEY = /^(xaxis|yaxis|scene|geo|polar|ternary|mapbox|map|smith|coloraxis|legend)\d*$/;
+
+/**
+ * Whether a value is array data Plotly accepts (arrays, typed arrays, or { bdata } encoded arrays)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for array-like data
+ */
+const isArrayData = (value) => (
+  Array.isArray(value) || ArrayBuffer.isView(value) || (typeof value?.bdata === 'string')
+);
+
+/**
+ * Length of array data, or null when it cannot be known without decoding
+ * @param {*} value - Array data
+ * @returns {number|null} Length
+ */
+const lengthOf = (value) => (Array.isArray(value) || ArrayBuffer.isView(value) ? value.length : null);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Problems of a single trace
+ * @param {Object} trace - Plotly trace
+ * @param {number} index - Trace index
+ * @returns {FigureProblem[]} Problems
+ */
+const validateTrace = (trace, index) => {
+  const path = `data.${index}`;
+  if (!isPlainObject(trace)) {
+    return [{ path, message: 'Trace must be an object', severity: 'error' }];
+  }
+
+  const problems = [];
+  const type = trace.type ?? 'scatter';
+
+  if (!TRACE_TYPES.includes(type)) {
+    problems.push({ path: `${path}.type`, message: `Unknown trace type "${type}"`, severity: 'error' });
+  }
+
+  ARRAY_KEYS.forEach(key => {
+    if (trace[key] !== undefined && trace[key] !== null && !isArrayData(trace[key])) {
+      problems.push({ path: `${path}.${key}`, message: `"${key}" must be an array`, severity: 'error' });
+    }
+  });
+
+  // Lengths that must match; compare only columns whose length is known
+  const columns = ALIGNED_COLUMNS[type] || (PAIRED_XY_TYPES.includes(type) ? ['x', 'y'] : []);
+  const known = columns.filter(key => lengthOf(trace[key]) !== null);
+  const [first] = known;
+  known.slice(1).forEach(key => {
+    if (lengthOf(trace[key]) !== lengthOf(trace[first])) {
+      problems.push({
+        path: `${path}.${key}`,
+        message: `"${key}" has ${lengthOf(trace[key])} values but "${first}" has ${lengthOf(trace[first])}`,
+        severity: 'error',
+      });
+    }
+  });
+
+  // Extras longer or shorter than the data are drawn, but mislabel points
+  const pointCount = first ? lengthOf(trace[first]) : null;
+  if (pointCount !== null) {
+    PER_POINT_KEYS.forEach(key => {
+      const length = Array.isArray(trace[key]) ? trace[key].length : null;
+      if (length !== null && length !== pointCount) {
+        problems.push({
+          path: `${path}.${key}`,
+          message: `"${key}" has ${length} entries for ${pointCount} points`,
+          severity: 'warning',
+        });
+      }
+    });
+  }
+
+  return problems;
+};
+
+/**
+ * Validate a Plotly figure
+ * @param {Object} figure - Figure ({ data, layout }); a normalized chart works too
+ * @returns {{valid: boolean, problems: FigureProblem[]}} Result; valid when there are no errors
+ */
+export const validateFigure = (figure) => {
+  const problems = [];
+
+  if (!isPlainObject(figure)) {
+    problems.push({ path: '', message: 'Figure must be an object with "data" and "layout"', severity: 'error' });
+    return { valid: false, problems };
+  }
+
+  if (!Array.isArray(figure.data)) {
+    problems.push({ path: 'data', message: '"data" must be an array of traces', severity: 'error' });
+  } else {
+    figure.data.forEach((trace, index) => problems.push(...validateTrace(trace, index)));
+  }
+
+  if (figure.layout !== undefined && figure.layout !== null) {
+    if (!isPlainObject(figure.layout)) {
+      problems.push({ path: 'layout', message: '"layout" must be an object', severity: 'error' });
+    } else {
+      Object.keys(figure.layout).forEach(key => {
+        if (!LAYOUT_KEYS.has(key) && !NUMBERED_LAYOUT_KEY.test(key)) {
+          problems.push({ path: `layout.${key}`, message: `Unknown layout key "${key}" is ignored by Plotly`, severity: 'warning' });
+        }
+      });
+    }
+  }
+
+  return { valid: !problems.some(problem => problem.severity === 'error'), problems };
+};
+
+/**
+ * Errors only, shaped as ValidationError field errors
+ * @param {FigureProblem[]} problems - Problems from validateFigure
+ * @returns {Array<{path: string, message: string}>} Field errors
+ */
+export const toFieldErrors = (problems) => problems
+  .filter(problem => problem.severity === 'error')
+  .map(({ path, message }) => ({ path, message }));
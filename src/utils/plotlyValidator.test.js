@@ -0,0 +1,55 @@
+import { describe, test, expect } from 'vitest';
+import { validateFigure, toFieldErrors } from './plotlyValidator';
+
+describe('Plotly figure validation', () => {
+  test('accepts a well-formed figure', () => {
+    const result = validateFigure({
+      data: [
+        { type: 'scatter', x: [1, 2, 3], y: [4, 5, 6], hovertext: ['a', 'b', 'c'] },
+        { x: ['Q1', 'Q2'], y: new Float64Array([1, 2]) },
+        { type: 'pie', labels: ['A', 'B'], values: [1, 2] },
+      ],
+      layout: { title: { text: 'Revenue' }, xaxis2: {}, yaxis: { type: 'log' } },
+    });
+
+    expect(result).toEqual({ valid: true, problems: [] });
+  });
+
+  test('reports unknown trace types, non-array data and length mismatches per path', () => {
+    const { valid, problems } = validateFigure({
+      data: [
+        { type: 'scater', x: [1], y: [1] },
+        { type: 'bar', x: [1, 2, 3], y: [1, 2] },
+        { type: 'scatter', x: 'not an array' },
+        { type: 'candlestick', x: [1, 2], open: [1, 2], high: [1, 2], low: [1], close: [1, 2] },
+      ],
+    });
+
+    expect(valid).toBe(false);
+    expect(toFieldErrors(problems)).toEqual([
+      { path: 'data.0.type', message: 'Unknown trace type "scater"' },
+      { path: 'data.1.y', message: '"y" has 2 values but "x" has 3' },
+      { path: 'data.2.x', message: '"x" must be an array' },
+      { path: 'data.3.low', message: '"low" has 1 values but "x" has 2' },
+    ]);
+  });
+
+  test('treats unknown layout keys and misaligned hover text as warnings', () => {
+    const { valid, problems } = validateFigure({
+      data: [{ x: [1, 2], y: [1, 2], text: ['only one'] }],
+      layout: { titel: 'typo' },
+    });
+
+    expect(valid).toBe(true);
+    expect(problems.map(problem => [problem.path, problem.severity])).toEqual([
+      ['data.0.text', 'warning'],
+      ['layout.titel', 'warning'],
+    ]);
+  });
+
+  test('rejects figures without a data array or with a non-object layout', () => {
+    expect(validateFigure(null).valid).toBe(false);
+    expect(validateFigure({ data: {} }).problems[0]).toMatchObject({ path: 'data', severity: 'error' });
+    expect(validateFigure({ data: [], layout: [] }).problems[0]).toMatchObject({ path: 'layout', severity: 'error' });
+  });
+});
@@ -0,0 +1,117 @@
+// src/utils/requestDedup.js
+import axios from 'axios';
+
+/**
+ * Whether an error comes from an aborted request (AbortController or axios cancel)
+ * @param {*} error - Caught error
+ * @returns {boolean} True for cancellations, which callers should ignore
+ */
+export const isRequestCanceled = (error) => (
+  axios.isCancel(error) || error?.name === 'AbortError' || error?.name === 'CanceledError'
+);
+
+/**
+ * Serialize params with sorted keys so equivalent requests share a key
+ * @param {*} value - Params value
+ * @returns {string} Stable string
+ */
+const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? '';
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  return `{${Object.keys(value).sort()
+    .filter(key => value[key] !== undefined)
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    .join(',')}}`;
+};
+
+/**
+ * Headers as a plain object with lower-case names
+ * @param {Object|undefined} headers - Plain headers or AxiosHeaders
+ * @returns {Object|undefined} Headers
+ */
+const plainHeaders = (headers) => {
+  if (!headers) return undefined;
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  return Object.fromEntries(Object.entries(plain).map(([name, value]) => [name.toLowerCase(), value]));
+};
+
+/**
+ * Key identifying a GET request. Requests differing in params, headers,
+ * response type or retry settings may get different answers, so they are not shared.
+ * @param {string} url - Request URL
+ * @param {Object} [config] - Axios request config
+ * @returns {string} Request key
+ */
+export const getRequestKey = (url, config = {}) => `${url}|${stableStringify({
+  params: config.params,
+  headers: plainHeaders(config.headers),
+  responseType: config.responseType,
+  retry: config.retry,
+})}`;
+
+/**
+ * Coalesce identical in-flight GET requests of an axios instance.
+ *
+ * Callers of the same GET share one HTTP request. Each caller may pass its own
+ * `signal`: aborting it rejects only that caller, and the shared request is
+ * aborted once every caller that passed a signal has aborted (callers without
+ * a signal keep it alive).
+ * @param {import('axios').AxiosInstance} instance - Axios instance to patch
+ * @returns {import('axios').AxiosInstance} The same instance
+ */
+export const dedupeGets = (instance) => {
+  const originalGet = instance.get.bind(instance);
+  const inflight = new Map();
+
+  const release = (key, entry) => {
+    entry.subscribers -= 1;
+    if (entry.subscribers === 0 && !entry.pinned) {
+      entry.controller.abort();
+      if (inflight.get(key) === entry) inflight.delete(key);
+    }
+  };
+
+  instance.get = (url, config = {}) => {
+    const { signal, ...requestConfig } = config;
+    const key = getRequestKey(url, requestConfig);
+
+    let entry = inflight.get(key);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, subscribers: 0, pinned: false };
+      entry.promise = originalGet(url, { ...requestConfig, signal: controller.signal });
+      // Settled requests are never shared: the next caller gets fresh data
+      const settled = () => {
+        if (inflight.get(key) === entry) inflight.delete(key);
+      };
+      entry.promise.then(settled, settled);
+      inflight.set(key, entry);
+    }
+
+    if (!signal) {
+      entry.pinned = true;
+      return entry.promise;
+    }
+
+    if (signal.aborted) {
+      return Promise.reject(new axios.CanceledError());
+    }
+
+    const current = entry;
+    current.subscribers += 1;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        release(key, current);
+        reject(new axios.CanceledError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      current.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
+  };
+
+  return instance;
+};
@@ -0,0 +1,87 @@
+import { describe, test, expect, vi } from 'vitest';
+import { dedupeGets, getRequestKey, isRequestCanceled } from './requestDedup';
+
+/**
+ * Minimal axios-like instance whose GETs resolve when told to
+ */
+const createFakeInstance = () => {
+  const requests = [];
+  const instance = {
+    get: vi.fn((url, config) => new Promise((resolve, reject) => {
+      const request = { url, config, resolve: (data) => resolve({ data }) };
+      config.signal.addEventListener('abort', () => {
+        request.aborted = true;
+        reject(Object.assign(new Error('canceled'), { name: 'CanceledError' }));
+      });
+      requests.push(request);
+    })),
+  };
+  return { instance: dedupeGets(instance), requests };
+};
+
+describe('Request deduplication', () => {
+  test('builds the same key regardless of param order', () => {
+    expect(getRequestKey('/charts', { params: { page: 1, limit: 20 } }))
+      .toBe(getRequestKey('/charts', { params: { limit: 20, page: 1 } }));
+    expect(getRequestKey('/charts', { params: { page: 1 } }))
+      .not.toBe(getRequestKey('/charts', { params: { page: 2 } }));
+  });
+
+  test('keeps GETs with different headers, response type or retry settings apart', () => {
+    const key = getRequestKey('/charts', { params: { page: 1 } });
+    expect(getRequestKey('/charts', { params: { page: 1 }, headers: { Accept: 'text/csv' } })).not.toBe(key);
+    expect(getRequestKey('/charts', { params: { page: 1 }, responseType: 'blob' })).not.toBe(key);
+    expect(getRequestKey('/charts', { params: { page: 1 }, retry: false })).not.toBe(key);
+    expect(getRequestKey('/charts', { headers: { Accept: 'text/csv' } }))
+      .toBe(getRequestKey('/charts', { headers: { accept: 'text/csv' } }));
+  });
+
+  test('coalesces identical in-flight GETs', async () => {
+    const { instance, requests } = createFakeInstance();
+
+    const first = instance.get('/charts', { params: { page: 1 } });
+    const second = instance.get('/charts', { params: { page: 1 } });
+    expect(requests).toHaveLength(1);
+
+    requests[0].resolve('charts');
+    await expect(first).resolves.toEqual({ data: 'charts' });
+    await expect(second).resolves.toEqual({ data: 'charts' });
+  });
+
+  test('sends a new request once the previous one settled', async () => {
+    const { instance, requests } = createFakeInstance();
+
+    const first = instance.get('/charts');
+    requests[0].resolve('old');
+    await first;
+
+    instance.get('/charts');
+    expect(requests).toHaveLength(2);
+  });
+
+  test('aborting one caller keeps the shared request alive for the others', async () => {
+    const { instance, requests } = createFakeInstance();
+    const controller = new AbortController();
+
+    const aborted = instance.get('/charts', { signal: controller.signal });
+    const other = instance.get('/charts', { signal: new AbortController().signal });
+
+    controller.abort();
+    await expect(aborted).rejects.toSatisfy(isRequestCanceled);
+    expect(requests[0].aborted).toBeUndefined();
+
+    requests[0].resolve('charts');
+    await expect(other).resolves.toEqual({ data: 'charts' });
+  });
+
+  test('aborts the shared request when every caller aborted', async () => {
+    const { instance, requests } = createFakeInstance();
+    const controller = new AbortController();
+
+    const request = instance.get('/charts', { signal: controller.signal });
+    controller.abort();
+
+    await expect(request).rejects.toSatisfy(isRequestCanceled);
+    expect(requests[0].aborted).toBe(true);
+  });
+});
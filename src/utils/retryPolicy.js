@@ -0,0 +1,208 @@
+// src/utils/retryPolicy.js
+import { isRequestCanceled } from './requestDedup';
+
+/**
+ * Retry policy for transient API failures
+ *
+ * Retries use exponential backoff with full jitter and honour `Retry-After`.
+ * Only idempotent requests are retried; POST and PATCH are retried only when
+ * they carry an `Idempotency-Key` header.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {number} retries - Maximum number of retries after the first attempt
+ * @property {number} baseDelay - Backoff base in milliseconds
+ * @property {number} maxDelay - Upper bound of a backoff delay in milliseconds
+ * @property {number} maxRetryAfter - Longest Retry-After we are willing to wait; longer ones fail immediately
+ * @property {number[]} retryStatuses - HTTP statuses considered transient
+ * @property {boolean} retryOnTimeout - Whether timeouts are retried, e.g. of a serverless backend starting cold
+ */
+
+/** @type {RetryPolicy} */
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  maxRetryAfter: 60000,
+  retryStatuses: [408, 429, 502, 503, 504],
+  retryOnTimeout: true,
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+
+/**
+ * Build a policy from the defaults and overrides
+ * @param {Partial<RetryPolicy>} [overrides] - Settings to change
+ * @returns {RetryPolicy} Policy
+ */
+export const createRetryPolicy = (overrides = {}) => ({ ...DEFAULT_RETRY_POLICY, ...overrides });
+
+/**
+ * Read a header from a plain object or AxiosHeaders, case-insensitively
+ * @param {Object} headers - Request or response headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+export const readHeader = (headers, name) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+/**
+ * Whether a request may be sent again without side effects
+ * @param {Object} config - Axios request config
+ * @returns {boolean} True for idempotent methods and writes with an idempotency key
+ */
+export const isIdempotentRequest = (config) => {
+  const method = (config.method || 'get').toLowerCase();
+  return IDEMPOTENT_METHODS.includes(method) || Boolean(readHeader(config.headers, IDEMPOTENCY_KEY_HEADER));
+};
+
+/**
+ * Whether a failure is transient according to the policy
+ * @param {Object} error - Axios error (or any error with response/status)
+ * @param {RetryPolicy} policy - Retry policy
+ * @returns {boolean} True if retrying may succeed
+ */
+export const isTransientError = (error, policy = DEFAULT_RETRY_POLICY) => {
+  if (isRequestCanceled(error)) return false;
+
+  const status = error?.response?.status ?? error?.status;
+  if (status) return policy.retryStatuses.includes(status);
+
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') return policy.retryOnTimeout;
+
+  // No response at all: network failure
+  return Boolean(error?.request || error?.code === 'ERR_NETWORK');
+};
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|number|undefined} value - Header value
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Delay before the next attempt: Retry-After when given, otherwise
+ * exponential backoff with full jitter
+ * @param {number} attempt - Number of retries already made (0 for the first retry)
+ * @param {RetryPolicy} policy - Retry policy
+ * @param {number|null} [retryAfter] - Delay requested by the server in milliseconds
+ * @param {function(): number} [random=Math.random] - Random source, for tests
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, policy, retryAfter = null, random = Math.random) => {
+  if (retryAfter !== null) return retryAfter;
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(random() * ceiling);
+};
+
+/**
+ * Wait for a delay, stopping early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Aborts the wait
+ * @returns {Promise<void>} Resolves after the delay, rejects with AbortError on abort
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('The request was aborted', 'AbortError'));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('The request was aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Decide whether and when to retry
+ * @param {*} error - Failure of the last attempt
+ * @param {number} attempt - Retries already made
+ * @param {RetryPolicy} policy - Retry policy
+ * @returns {number|null} Delay before retrying, or null to give up
+ */
+const planRetry = (error, attempt, policy) => {
+  if (attempt >= policy.retries || !isTransientError(error, policy)) return null;
+
+  const retryAfter = parseRetryAfter(readHeader(error?.response?.headers, 'retry-after') ?? error?.retryAfter);
+  if (retryAfter !== null && retryAfter > policy.maxRetryAfter) return null;
+
+  return getRetryDelay(attempt, policy, retryAfter);
+};
+
+/**
+ * Run an async operation, retrying transient failures
+ * @param {function(number): Promise<*>} operation - Called with the attempt number
+ * @param {Object} [options] - Options
+ * @param {Partial<RetryPolicy>} [options.policy] - Policy overrides
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export const retryAsync = async (operation, { policy: overrides, signal } = {}) => {
+  const policy = createRetryPolicy(overrides);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const delay = planRetry(error, attempt, policy);
+      if (delay === null) throw error;
+
+      await wait(delay, signal);
+    }
+  }
+};
+
+/**
+ * Retry transient failures of an axios instance.
+ *
+ * Register it before other response interceptors that replace the axios
+ * error, since the retry decision needs the original response. Individual
+ * requests can opt out with `retry: false` or override the policy with
+ * `retry: { retries: 5 }` in their config.
+ * @param {import('axios').AxiosInstance} instance - Axios instance
+ * @param {Partial<RetryPolicy>} [overrides] - Policy for this instance
+ * @returns {import('axios').AxiosInstance} The same instance
+ */
+export const attachRetryPolicy = (instance, overrides = {}) => {
+  const basePolicy = createRetryPolicy(overrides);
+
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const config = error?.config;
+      if (!config || config.retry === false || !isIdempotentRequest(config)) {
+        throw error;
+      }
+
+      const policy = { ...basePolicy, ...(typeof config.retry === 'object' ? config.retry : {}) };
+      const attempt = config.retryAttempt || 0;
+      const delay = planRetry(error, attempt, policy);
+      if (delay === null) throw error;
+
+      await wait(delay, config.signal);
+      return instance.request({ ...config, retryAttempt: attempt + 1 });
+    }
+  );
+
+  return instance;
+};
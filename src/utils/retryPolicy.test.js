@@ -0,0 +1,86 @@
+import { describe, test, expect, vi } from 'vitest';
+import {
+  DEFAULT_RETRY_POLICY,
+  isIdempotentRequest,
+  isTransientError,
+  parseRetryAfter,
+  getRetryDelay,
+  retryAsync,
+  attachRetryPolicy,
+} from './retryPolicy';
+
+describe('Retry policy', () => {
+  test('treats reads and idempotent writes as retryable', () => {
+    expect(isIdempotentRequest({ method: 'get' })).toBe(true);
+    expect(isIdempotentRequest({ method: 'PUT' })).toBe(true);
+    expect(isIdempotentRequest({ method: 'post' })).toBe(false);
+    expect(isIdempotentRequest({ method: 'post', headers: { 'idempotency-key': 'abc' } })).toBe(true);
+  });
+
+  test('recognizes transient failures', () => {
+    expect(isTransientError({ response: { status: 503 } })).toBe(true);
+    expect(isTransientError({ response: { status: 429 } })).toBe(true);
+    expect(isTransientError({ response: { status: 404 } })).toBe(false);
+    expect(isTransientError({ request: {}, code: 'ERR_NETWORK' })).toBe(true);
+    expect(isTransientError({ request: {}, code: 'ECONNABORTED' })).toBe(true);
+    expect(isTransientError({ request: {}, code: 'ECONNABORTED' }, { ...DEFAULT_RETRY_POLICY, retryOnTimeout: false })).toBe(false);
+    expect(isTransientError({ name: 'CanceledError' })).toBe(false);
+  });
+
+  test('parses Retry-After as seconds or HTTP date', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+
+  test('backs off exponentially with jitter up to maxDelay', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelay: 100, maxDelay: 1000 };
+    expect(getRetryDelay(0, policy, null, () => 1)).toBe(100);
+    expect(getRetryDelay(2, policy, null, () => 1)).toBe(400);
+    expect(getRetryDelay(10, policy, null, () => 1)).toBe(1000);
+    expect(getRetryDelay(2, policy, null, () => 0.5)).toBe(200);
+    expect(getRetryDelay(2, policy, 3000, () => 1)).toBe(3000);
+  });
+
+  test('retries transient failures until an attempt succeeds', async () => {
+    const operation = vi.fn()
+      .mockRejectedValueOnce({ response: { status: 502 } })
+      .mockResolvedValueOnce('ok');
+
+    await expect(retryAsync(operation, { policy: { baseDelay: 0 } })).resolves.toBe('ok');
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up on permanent failures and after the retry limit', async () => {
+    const notFound = vi.fn().mockRejectedValue({ response: { status: 404 } });
+    await expect(retryAsync(notFound, { policy: { baseDelay: 0 } })).rejects.toEqual({ response: { status: 404 } });
+    expect(notFound).toHaveBeenCalledTimes(1);
+
+    const unavailable = vi.fn().mockRejectedValue({ response: { status: 503 } });
+    await expect(retryAsync(unavailable, { policy: { baseDelay: 0, retries: 2 } })).rejects.toBeDefined();
+    expect(unavailable).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not wait for a Retry-After beyond maxRetryAfter', async () => {
+    const operation = vi.fn().mockRejectedValue({ response: { status: 429, headers: { 'retry-after': '120' } } });
+    await expect(retryAsync(operation)).rejects.toBeDefined();
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a timed-out GET, e.g. of a backend starting cold, but not a POST', async () => {
+    const instance = {
+      interceptors: { response: { use: (onSuccess, onError) => { instance.onError = onError; } } },
+      request: vi.fn(async () => ({ data: 'ok' })),
+    };
+    attachRetryPolicy(instance, { baseDelay: 0 });
+    const timeout = (method) => ({ code: 'ECONNABORTED', request: {}, config: { method, url: '/plotly/' } });
+
+    await expect(instance.onError(timeout('get'))).resolves.toEqual({ data: 'ok' });
+    expect(instance.request).toHaveBeenCalledWith(expect.objectContaining({ method: 'get', retryAttempt: 1 }));
+
+    await expect(instance.onError(timeout('post'))).rejects.toMatchObject({ code: 'ECONNABORTED' });
+    expect(instance.request).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,127 @@
+// src/utils/seriesStats.js
+import { toCsv, toXlsx } from './dataExport';
+import { downloadFile, toFileName } from './chartExport';
+import { isNumber, toTime } from './chartFilters';
+
+/**
+ * Summary statistics of chart series
+ *
+ * One row per x/y trace, computed from the traces the viewer draws after
+ * filtering, so the numbers follow the filters and date range. Points are
+ * ordered by x (dates or numbers; categories keep their order), so "latest"
+ * and "change" read from the first to the last point of the range.
+ *
+ * @typedef {Object} SeriesStats
+ * @property {string} series - Trace name
+ * @property {number} points - Points with a numeric y value
+ * @property {*} start - X of the first point
+ * @property {*} end - X of the last point
+ * @property {number} latest - Y of the last point
+ * @property {number} min - Lowest y value
+ * @property {*} min_at - X of the lowest value
+ * @property {number} max - Highest y value
+ * @property {*} max_at - X of the highest value
+ * @property {number} mean - Mean of the y values
+ * @property {number|null} std - Sample standard deviation, null for a single point
+ * @property {number} change - Last minus first value
+ * @property {number|null} change_pct - Change in % of the first value, null when it is zero
+ */
+
+export const STATS_COLUMNS = [
+  'series', 'points', 'start', 'end', 'latest', 'min', 'min_at', 'max', 'max_at', 'mean', 'std', 'change', 'change_pct',
+];
+
+/**
+ * Points of a trace with numeric y, in x order
+ * @param {Object} trace - x/y trace
+ * @returns {Array<{x: *, y: number}>} Points
+ */
+const orderedPoints = (trace) => {
+  const points = trace.x
+    .map((x, i) => ({ x, y: trace.y[i], time: toTime(x) }))
+    .filter(point => isNumber(point.y));
+
+  if (points.every(point => !Number.isNaN(point.time))) return points.sort((a, b) => a.time - b.time);
+  if (points.every(point => isNumber(point.x))) return points.sort((a, b) => a.x - b.x);
+  return points;
+};
+
+/**
+ * Statistics of one series
+ * @param {Object} trace - Plotly trace
+ * @returns {SeriesStats|null} Statistics, null for traces without x/y points
+ */
+export const summarizeTrace = (trace) => {
+  if (!Array.isArray(trace?.x) || !Array.isArray(trace?.y)) return null;
+  const points = orderedPoints(trace);
+  if (points.length === 0) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  // First occurrence wins on ties, i.e. the earliest date of the extreme
+  const min = points.reduce((lowest, point) => (point.y < lowest.y ? point : lowest));
+  const max = points.reduce((highest, point) => (point.y > highest.y ? point : highest));
+  const mean = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const variance = points.length > 1
+    ? points.reduce((sum, point) => sum + (point.y - mean) ** 2, 0) / (points.length - 1)
+    : null;
+
+  return {
+    series: trace.name || 'Series',
+    points: points.length,
+    start: first.x,
+    end: last.x,
+    latest: last.y,
+    min: min.y,
+    min_at: min.x,
+    max: max.y,
+    max_at: max.x,
+    mean,
+    std: variance === null ? null : Math.sqrt(variance),
+    change: last.y - first.y,
+    change_pct: first.y === 0 ? null : ((last.y - first.y) / Math.abs(first.y)) * 100,
+  };
+};
+
+/**
+ * Statistics of every x/y series of a chart
+ * @param {Object[]} traces - Plotly traces (the filtered ones on screen)
+ * @returns {SeriesStats[]} One row per series
+ */
+export const summarizeTraces = (traces) => traces.map(summarizeTrace).filter(Boolean);
+
+/**
+ * Tab-separated text, which spreadsheets split into cells when pasted
+ * @param {SeriesStats[]} rows - Statistics rows
+ * @returns {string} TSV with a header row
+ */
+export const statsToTsv = (rows) => (
+  [STATS_COLUMNS, ...rows.map(row => STATS_COLUMNS.map(column => row[column]))]
+    .map(cells => cells.map(value => (value === null || value === undefined ? '' : String(value).replace(/[\t\r\n]+/g, ' '))).join('\t'))
+    .join('\n')
+);
+
+/**
+ * Download the statistics table of a chart
+ * @param {Object} chart - Normalized chart (title is used for the file name)
+ * @param {SeriesStats[]} rows - Statistics rows
+ * @param {string} format - 'csv', 'xlsx' or 'json'
+ */
+export const exportStats = (chart, rows, format) => {
+  const title = `${chart.title || 'chart'} statistics`;
+  const fileName = toFileName(title, format);
+
+  if (format === 'csv') {
+    downloadFile(toCsv(rows, STATS_COLUMNS), fileName, 'text/csv;charset=utf-8');
+  } else if (format === 'xlsx') {
+    downloadFile(
+      toXlsx(rows, { columns: STATS_COLUMNS, sheetName: 'Statistics' }),
+      fileName,
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+  } else if (format === 'json') {
+    downloadFile(JSON.stringify({ title: chart.title, columns: STATS_COLUMNS, rows }, null, 2), fileName, 'application/json');
+  } else {
+    throw new Error(`Unsupported statistics export format "${format}"`);
+  }
+};
@@ -0,0 +1,42 @@
+import { describe, test, expect } from 'vitest';
+import { STATS_COLUMNS, statsToTsv, summarizeTrace, summarizeTraces } from './seriesStats';
+
+describe('Series statistics', () => {
+  test('summarizes a series in date order', () => {
+    const stats = summarizeTrace({
+      name: 'AAPL_CCP',
+      x: ['2020-09-30', '2020-03-31', '2020-06-30', '2020-12-31'],
+      y: [30, 10, null, 50],
+    });
+
+    expect(stats).toMatchObject({
+      series: 'AAPL_CCP',
+      points: 3,
+      start: '2020-03-31',
+      end: '2020-12-31',
+      latest: 50,
+      min: 10,
+      min_at: '2020-03-31',
+      max: 50,
+      max_at: '2020-12-31',
+      mean: 30,
+      std: 20,
+      change: 40,
+      change_pct: 400,
+    });
+  });
+
+  test('handles single points, zero bases and non x/y traces', () => {
+    expect(summarizeTrace({ x: ['a'], y: [0] })).toMatchObject({ series: 'Series', std: null, change: 0, change_pct: null });
+    expect(summarizeTrace({ x: [1, 2], y: [null, undefined] })).toBeNull();
+    expect(summarizeTraces([{ type: 'pie', values: [1] }, { name: 'B', x: [2, 1], y: [4, 2] }]))
+      .toEqual([expect.objectContaining({ series: 'B', start: 1, latest: 4, change_pct: 100 })]);
+  });
+
+  test('writes tab-separated text for the clipboard', () => {
+    const rows = summarizeTraces([{ name: 'Tab\tname', x: ['a'], y: [1] }]);
+    const [header, line] = statsToTsv(rows).split('\n');
+    expect(header.split('\t')).toEqual(STATS_COLUMNS);
+    expect(line.split('\t')).toEqual(['Tab name', '1', 'a', 'a', '1', '1', 'a', '1', 'a', '1', '', '0', '0']);
+  });
+});
@@ -0,0 +1,145 @@
+// src/utils/viewState.js
+import { isDate } from './chartFilters';
+
+/**
+ * View state in the URL
+ *
+ * Selected charts, display mode, the current chart in single view and the
+ * viewer filters are kept in query parameters so a refresh restores the view
+ * and a link can be shared:
+ *
+ *   ?chart=fastapi:12&chart=supabase:7&mode=single&index=2
+ *    &filtered=fastapi:12&f.name.0=AAPL&f.name.0=MSFT&r.x=2020-01-01~2023-12-31
+ *
+ * Lists are repeated parameters, so ids and values may contain commas.
+ * Filters apply only to the chart named by `filtered`; opening another chart
+ * does not inherit them. `f.<dimension>` lists the selected values of a
+ * categorical dimension (one empty value selects nothing) and `r.<dimension>`
+ * holds `min~max` bounds of a number or date dimension (see chartFilters).
+ * Links from before the filter dimensions (`from`, `to`, `company`, `metric`)
+ * are still read. A value of null means "not in the URL, use the default".
+ *
+ * @typedef {Object} FilterState
+ * @property {string} chartId - Chart the filters belong to
+ * @property {Object<string, string[]>} values - Selected values per categorical dimension
+ * @property {Object<string, {min: string, max: string}>} ranges - Bounds per range dimension, '' when open
+ *
+ * @typedef {Object} ViewState
+ * @property {string[]|null} charts - Selected chart ids
+ * @property {'single'|'grid'|'diff'|null} mode - Display mode
+ * @property {number|null} index - 0-based position of the chart shown in single view
+ * @property {FilterState|null} filters - Viewer filters
+ */
+
+export const DISPLAY_MODES = ['single', 'grid', 'diff'];
+
+const VALUE_PREFIX = 'f.';
+const RANGE_PREFIX = 'r.';
+const RANGE_SEPARATOR = '~';
+
+// Dimensions the filters of older links map to (see chartFilters)
+const LEGACY_PARAMS = { company: 'name', metric: 'name.1' };
+
+const isBound = (value) => isDate(value) || (value !== '' && Number.isFinite(Number(value)));
+
+const listOrNull = (params, key) => {
+  const values = params.getAll(key).filter(Boolean);
+  return values.length > 0 ? values : null;
+};
+
+/**
+ * Read the view state from query parameters; invalid values are ignored
+ * @param {URLSearchParams|string} search - Query parameters or query string
+ * @returns {ViewState} View state
+ */
+export const parseViewState = (search) => {
+  const params = typeof search === 'string' ? new URLSearchParams(search) : search;
+
+  const mode = params.get('mode');
+  // The URL counts from 1 like the "2 of 5" counter
+  const position = Number.parseInt(params.get('index'), 10);
+
+  const chartId = params.get('filtered');
+  const values = {};
+  const ranges = {};
+
+  Object.entries(LEGACY_PARAMS).forEach(([param, key]) => {
+    const legacy = listOrNull(params, param);
+    if (legacy) values[key] = legacy;
+  });
+  const from = params.get('from') || '';
+  const to = params.get('to') || '';
+  if (isDate(from) || isDate(to)) {
+    ranges.x = { min: isDate(from) ? from : '', max: isDate(to) ? to : '' };
+  }
+
+  new Set(params.keys()).forEach(param => {
+    if (param.startsWith(VALUE_PREFIX)) {
+      values[param.slice(VALUE_PREFIX.length)] = params.getAll(param).filter(Boolean);
+    } else if (param.startsWith(RANGE_PREFIX)) {
+      const [min = '', max = ''] = (params.get(param) || '').split(RANGE_SEPARATOR);
+      if (isBound(min) || isBound(max)) {
+        ranges[param.slice(RANGE_PREFIX.length)] = { min: isBound(min) ? min : '', max: isBound(max) ? max : '' };
+      }
+    }
+  });
+
+  return {
+    charts: listOrNull(params, 'chart'),
+    mode: DISPLAY_MODES.includes(mode) ? mode : null,
+    index: Number.isInteger(position) && position >= 1 ? position - 1 : null,
+    filters: chartId ? { chartId, values, ranges } : null,
+  };
+};
+
+/**
+ * Write view state changes into query parameters. Only the keys present in
+ * `changes` are touched; null or empty values remove their parameters.
+ * Unrelated parameters are kept.
+ * @param {URLSearchParams|string} search - Current query parameters
+ * @param {Partial<ViewState>} changes - Changed parts of the view state
+ * @returns {URLSearchParams} New query parameters
+ */
+export const applyViewState = (search, changes) => {
+  const params = new URLSearchParams(search);
+
+  const setList = (key, values) => {
+    params.delete(key);
+    (values || []).forEach(value => params.append(key, value));
+  };
+
+  if ('charts' in changes) {
+    setList('chart', changes.charts);
+  }
+
+  if ('mode' in changes) {
+    if (changes.mode) params.set('mode', changes.mode);
+    else params.delete('mode');
+  }
+
+  if ('index' in changes) {
+    if (changes.index > 0) params.set('index', String(changes.index + 1));
+    else params.delete('index');
+  }
+
+  if ('filters' in changes) {
+    const { filters } = changes;
+    ['filtered', 'from', 'to', ...Object.keys(LEGACY_PARAMS)].forEach(key => params.delete(key));
+    [...new Set(params.keys())]
+      .filter(key => key.startsWith(VALUE_PREFIX) || key.startsWith(RANGE_PREFIX))
+      .forEach(key => params.delete(key));
+
+    if (filters) {
+      params.set('filtered', filters.chartId);
+      Object.entries(filters.values || {}).forEach(([key, selected]) => {
+        // An empty value keeps "nothing selected" apart from "everything selected"
+        setList(VALUE_PREFIX + key, selected.length > 0 ? selected : ['']);
+      });
+      Object.entries(filters.ranges || {}).forEach(([key, { min = '', max = '' }]) => {
+        if (min !== '' || max !== '') params.set(RANGE_PREFIX + key, `${min}${RANGE_SEPARATOR}${max}`);
+      });
+    }
+  }
+
+  return params;
+};
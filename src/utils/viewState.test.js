@@ -0,0 +1,73 @@
+import { describe, test, expect } from 'vitest';
+import { applyViewState, parseViewState } from './viewState';
+
+describe('View state in the URL', () => {
+  test('parses selection, display mode, index and filters', () => {
+    const state = parseViewState(
+      '?chart=fastapi:12&chart=supabase:7&mode=single&index=2'
+      + '&filtered=fastapi:12&r.x=2020-01-01~2023-12-31&f.name.0=AAPL&f.name.0=MSFT&f.name.1=CCP&r.customdata.score=~0.5'
+    );
+
+    expect(state).toEqual({
+      charts: ['fastapi:12', 'supabase:7'],
+      mode: 'single',
+      index: 1,
+      filters: {
+        chartId: 'fastapi:12',
+        values: { 'name.0': ['AAPL', 'MSFT'], 'name.1': ['CCP'] },
+        ranges: {
+          x: { min: '2020-01-01', max: '2023-12-31' },
+          'customdata.score': { min: '', max: '0.5' },
+        },
+      },
+    });
+  });
+
+  test('reads the filters of older links as dimensions', () => {
+    expect(parseViewState('?filtered=fastapi:12&from=2020-01-01&company=AAPL_CCP&company=MSFT_CCP&metric=CCP').filters).toEqual({
+      chartId: 'fastapi:12',
+      values: { name: ['AAPL_CCP', 'MSFT_CCP'], 'name.1': ['CCP'] },
+      ranges: { x: { min: '2020-01-01', max: '' } },
+    });
+  });
+
+  test('ignores missing and invalid values', () => {
+    expect(parseViewState('?mode=carousel&index=0&from=yesterday')).toEqual({
+      charts: null,
+      mode: null,
+      index: null,
+      filters: null,
+    });
+    expect(parseViewState('?filtered=express:1&from=nope&r.y=low~high').filters).toEqual({
+      chartId: 'express:1',
+      values: {},
+      ranges: {},
+    });
+  });
+
+  test('writes only the changed keys and keeps other parameters', () => {
+    const params = applyViewState('?tab=2&chart=express:1&mode=grid', { charts: ['express:1', 'express:a,b'], index: 3 });
+
+    expect(params.get('tab')).toBe('2');
+    expect(params.get('mode')).toBe('grid');
+    expect(params.getAll('chart')).toEqual(['express:1', 'express:a,b']);
+    expect(params.get('index')).toBe('4');
+    expect(parseViewState(params).charts).toEqual(['express:1', 'express:a,b']);
+  });
+
+  test('removes parameters for default values', () => {
+    const search = '?chart=express:1&mode=single&index=2&filtered=express:1&from=2021-01-01&company=AAPL_CCP&f.name=A&r.y=1~2';
+    const params = applyViewState(search, { charts: [], mode: null, index: 0, filters: null });
+
+    expect(params.toString()).toBe('');
+  });
+
+  test('round-trips filters for a chart', () => {
+    const filters = {
+      chartId: 'supabase:3',
+      values: { 'name.1': ['LTD'], legendgroup: [] },
+      ranges: { x: { min: '', max: '2022-06-30' }, y: { min: '-5', max: '10' } },
+    };
+    expect(parseViewState(applyViewState('', { filters })).filters).toEqual(filters);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, test, expect } from 'vitest';
+import { crc32, createZip } from './zip';
+
+const readUint32 = (bytes, offset) => new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset, true);
+const readUint16 = (bytes, offset) => new DataView(bytes.buffer, bytes.byteOffset).getUint16(offset, true);
+
+describe('ZIP writer', () => {
+  test('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+
+  test('writes stored entries with a central directory', () => {
+    const zip = createZip([
+      { name: 'a.txt', data: 'hello' },
+      { name: 'b.bin', data: new Uint8Array([1, 2, 3]) },
+    ], { modifiedAt: new Date(2024, 0, 2, 10, 30) });
+
+    expect(readUint32(zip, 0)).toBe(0x04034b50);
+    expect(readUint32(zip, 14)).toBe(0x3610a686);
+    expect(new TextDecoder().decode(zip.slice(30, 35))).toBe('a.txt');
+    expect(new TextDecoder().decode(zip.slice(35, 40))).toBe('hello');
+
+    const end = zip.length - 22;
+    expect(readUint32(zip, end)).toBe(0x06054b50);
+    expect(readUint16(zip, end + 10)).toBe(2);
+
+    const centralOffset = readUint32(zip, end + 16);
+    expect(readUint32(zip, centralOffset)).toBe(0x02014b50);
+    expect(centralOffset).toBe(30 + 5 + 5 + 30 + 5 + 3);
+  });
+});